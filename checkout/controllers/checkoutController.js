@@ -3,6 +3,9 @@ const { Pool } = require('pg');
 const checkoutContract = require('../helpers/contract');
 const { ethers } = require('ethers');
 const priceConversion = require('../services/priceConversion');
+const paymentConfirmationService = require('../services/paymentConfirmationService');
+const sandboxService = require('../../services/sandboxService');
+const { TEST_KEY_PREFIXES } = require('../../utils/sandbox');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -157,7 +160,8 @@ async function createOrder(req, res, next) {
       paymentMethod, // 'inr' or 'crypto' - if not provided, infer from currency
       cryptoCoin, // ETH, USDT, MATIC
       network = 'localhost',
-      metadata = {}
+      metadata = {},
+      couponCode // Optional vendor coupon, redeemed with the order
     } = req.body;
 
     // Infer payment method if not provided
@@ -205,8 +209,13 @@ async function createOrder(req, res, next) {
 
     // Verify API key if provided (optional for development)
     const apiKey = req.headers['x-api-key'];
+    let checkoutApp = null;
     if (apiKey) {
-      const apiKeyData = await checkoutService.verifyApiKey(apiKey);
+      // Checkout app keys first (they carry per-app settings), then legacy vendor keys,
+      // then integration keys with the checkout:create scope (resolved by requireScope)
+      checkoutApp = await checkoutService.getCheckoutAppByApiKey(apiKey);
+      const apiKeyData = checkoutApp || await checkoutService.verifyApiKey(apiKey) ||
+        (req.apiKey?.key_type === 'api_key' ? req.apiKey : null);
       if (!apiKeyData) {
         return res.status(401).json({ 
           error: 'Invalid API key',
@@ -247,7 +256,9 @@ async function createOrder(req, res, next) {
       totalAmountInINR: totalAmountInINR, // Required for crypto payments; stored in metadata
       currency: finalPaymentMethod === 'inr' ? 'INR' : (finalPaymentMethod === 'crypto' ? finalCryptoCoin : currency),
       network,
-      metadata: enhancedMetadata
+      metadata: enhancedMetadata,
+      checkoutApp,
+      couponCode: couponCode || null
     });
 
     // If crypto payment, create blockchain order
@@ -265,6 +276,10 @@ async function createOrder(req, res, next) {
       data: order
     });
   } catch (error) {
+    // Coupon could not be redeemed
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     next(error);
   }
 }
@@ -691,111 +706,118 @@ async function updateOrderStatus(req, res, next) {
  */
 async function confirmPayment(req, res, next) {
   try {
-    const { orderId, transactionHash, network = 'localhost' } = req.body;
+    const { orderId, transactionHash } = req.body;
 
     if (!orderId || !transactionHash) {
       return res.status(400).json({ error: 'Order ID and transaction hash are required' });
     }
 
-    // Get order with blockchain status sync (blockchain is source of truth)
-    const order = await checkoutService.getOrder(orderId, network);
+    // Read the stored order without the blockchain status sync - the chain reports
+    // 'paid' as soon as the payment is mined, before it has any confirmation depth
+    const orderResult = await pool.query(
+      `SELECT * FROM checkout_orders WHERE order_id = $1`,
+      [orderId]
+    );
+    const order = orderResult.rows[0];
 
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    // The payment is verified on the order's own chain, never one the caller picks
+    const network = order.network || 'localhost';
+
+    if (order.status === 'paid' && order.transaction_hash === transactionHash) {
+      return res.json({
+        success: true,
+        data: { orderId, status: 'paid', transactionHash }
+      });
+    }
+
+    const awaitingPayment = ['pending', paymentConfirmationService.PENDING_CONFIRMATIONS_STATUS].includes(order.status) ||
+      (order.status === 'paid' && !order.transaction_hash);
+
+    if (!awaitingPayment) {
+      return res.status(409).json({
+        error: 'Order is not awaiting payment',
+        message: `Order status is ${order.status}`
+      });
+    }
+
+    // A transaction can only ever pay one order
+    const existingTx = await pool.query(
+      `SELECT order_id FROM checkout_transactions WHERE transaction_hash = $1`,
+      [transactionHash]
+    );
+    if (existingTx.rows.length > 0 && existingTx.rows[0].order_id !== orderId) {
+      return res.status(409).json({ error: 'Transaction already used for another order' });
+    }
+
     // Verify transaction on blockchain
     try {
       const contract = await checkoutContract.getContract(network);
       const provider = contract.runner.provider;
       const receipt = await provider.getTransactionReceipt(transactionHash);
 
-      if (!receipt || receipt.status !== 1) {
-        return res.status(400).json({ error: 'Invalid transaction' });
-      }
-
-      // Verify payment event was emitted
-      const orderIdBytes = ethers.id(orderId);
-      const paymentEvent = receipt.logs.find(log => {
-        try {
-          const parsed = contract.interface.parseLog(log);
-          return parsed && parsed.name === 'PaymentReceived' && parsed.args.orderId === orderIdBytes;
-        } catch (e) {
-          return false;
+      let paymentEvent;
+      try {
+        paymentEvent = await paymentConfirmationService.verifyPaymentReceipt(contract, order, receipt);
+      } catch (verifyError) {
+        if (!verifyError.status) {
+          throw verifyError;
         }
-      });
-
-      if (!paymentEvent) {
-        console.warn(`[Checkout] PaymentReceived event not found for order ${orderId}`);
+        console.warn(`[Checkout] ❌ Payment verification failed for order ${orderId}:`, verifyError.message);
+        return res.status(verifyError.status).json({ error: verifyError.message, transactionHash });
       }
 
+      const head = await provider.getBlockNumber();
+      const confirmations = head - receipt.blockNumber + 1;
+      const requiredConfirmations = paymentConfirmationService.getRequiredConfirmations(network);
+
       // Record transaction
       await checkoutService.recordTransaction({
         orderId,
         transactionHash,
         fromAddress: receipt.from,
         toAddress: receipt.to,
-        amount: order.total_amount,
+        amount: ethers.formatEther(paymentEvent.args.amount),
         gasUsed: receipt.gasUsed.toString(),
         gasPrice: receipt.gasPrice ? receipt.gasPrice.toString() : null,
         blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        confirmations,
         network,
-        status: 'confirmed'
+        status: 'pending_confirmations'
       });
 
-      // Update order status (blockchain already updated via processPayment)
-      // Verify blockchain status matches
-      try {
-        const contract = await checkoutContract.getContract(network);
-        const orderIdBytes = ethers.id(orderId);
-        const blockchainOrder = await contract.getOrder(orderIdBytes);
-        const statusMap = ['pending', 'paid', 'confirmed', 'received', 'cancelled', 'refunded'];
-        const blockchainStatus = statusMap[blockchainOrder.status];
-        
-        if (blockchainStatus !== 'paid') {
-          console.warn(`[Checkout] ⚠️ Blockchain status (${blockchainStatus}) does not match expected 'paid'`);
-        }
-      } catch (verifyError) {
-        console.warn(`[Checkout] ⚠️ Could not verify blockchain status:`, verifyError.message);
-      }
-
-      await checkoutService.updateOrderStatus(orderId, 'paid', transactionHash);
-
-      // Send webhooks
-      const apiKeyResult = await pool.query(
-        `SELECT id FROM vendor_api_keys WHERE vendor_address = $1 AND active = true LIMIT 1`,
-        [order.vendor_address]
-      );
+      if (confirmations >= requiredConfirmations) {
+        await paymentConfirmationService.finalizePayment(order, receipt, network, confirmations);
 
-      if (apiKeyResult.rows.length > 0) {
-        // Send payment.completed webhook (AC2.2)
-        await checkoutService.sendWebhook({
-          vendorAddress: order.vendor_address,
-          apiKeyId: apiKeyResult.rows[0].id,
-          orderId,
-          eventType: 'payment.completed',
-          payload: {
+        return res.json({
+          success: true,
+          data: {
             orderId,
+            status: 'paid',
             transactionHash,
-            amount: order.total_amount,
-            currency: order.currency,
-            customerAddress: receipt.from,
-            vendorAddress: order.vendor_address,
-            network: network,
-            blockNumber: receipt.blockNumber,
-            gasUsed: receipt.gasUsed.toString(),
-            paymentTimestamp: new Date().toISOString()
+            confirmations,
+            requiredConfirmations
           }
         });
       }
 
-      res.json({
+      // Not deep enough yet - the confirmation worker finishes it
+      await checkoutService.updateOrderStatus(orderId, paymentConfirmationService.PENDING_CONFIRMATIONS_STATUS, transactionHash);
+
+      res.status(202).json({
         success: true,
         data: {
           orderId,
-          status: 'paid',
-          transactionHash
-        }
+          status: paymentConfirmationService.PENDING_CONFIRMATIONS_STATUS,
+          transactionHash,
+          confirmations,
+          requiredConfirmations
+        },
+        message: `Payment seen in block ${receipt.blockNumber}; waiting for ${requiredConfirmations} confirmations`
       });
     } catch (error) {
       console.error('[Checkout] Error confirming payment:', error);
@@ -930,24 +952,64 @@ async function cancelPayment(req, res, next) {
  */
 async function processRefund(req, res, next) {
   try {
-    const { orderId } = req.body;
-    const vendorAddress = req.body.vendorAddress || req.headers['x-vendor-address'];
+    const { orderId, amount, items, reason, transactionHash } = req.body;
+    // Only the signed-in vendor wallet can refund its orders (requireWalletFor)
+    const vendorAddress = req.walletAddress;
 
-    if (!orderId || !vendorAddress) {
-      return res.status(400).json({ error: 'Order ID and vendor address are required' });
+    if (!orderId) {
+      return res.status(400).json({ error: 'Order ID is required' });
     }
 
-    const order = await checkoutService.processRefund(orderId, vendorAddress);
+    const order = await checkoutService.processRefund(orderId, vendorAddress, {
+      amount,
+      items,
+      reason,
+      transactionHash
+    });
 
     res.json({
       success: true,
       data: {
         orderId,
-        status: 'refunded',
-        amount: order.total_amount
+        status: order.status,
+        refund: {
+          refundId: order.refund.refund_id,
+          amount: order.refund.amount,
+          currency: order.refund.currency,
+          items: order.refund.items,
+          reason: order.refund.reason,
+          settlement: order.refund.settlement,
+          transactionHash: order.refund.transaction_hash
+        }
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+}
+
+/**
+ * Get refund ledger for an order
+ */
+async function getOrderRefunds(req, res, next) {
+  try {
+    const { id } = req.params;
+    // The signed-in vendor wallet, or the vendor of the orders:read API key
+    const vendorAddress = req.walletAddress || req.apiKey?.vendor_address;
+
+    const refunds = await checkoutService.getOrderRefunds(id, vendorAddress);
+
+    res.json({
+      success: true,
+      data: refunds
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     next(error);
   }
 }
@@ -975,8 +1037,8 @@ async function acceptOrder(req, res, next) {
       return res.status(403).json({ error: 'Unauthorized: You can only accept your own orders' });
     }
 
-    // Verify order is in paid status
-    if (order.status !== 'paid') {
+    // Verify order is in paid status (partially refunded orders still release the rest)
+    if (!['paid', 'partially_refunded'].includes(order.status)) {
       return res.status(400).json({ 
         error: 'Invalid order status',
         message: `Order must be paid to accept. Current status: ${order.status}`
@@ -1057,13 +1119,18 @@ async function acceptOrder(req, res, next) {
   }
 }
 
+function isValidOrderExpiry(minutes) {
+  return Number.isInteger(minutes) && minutes >= 1 && minutes <= checkoutService.MAX_ORDER_EXPIRY_MINUTES;
+}
+
 /**
  * Create checkout app
  * POST /api/checkout/apps
+ * testMode: true creates a ck_test_ key whose orders and contract calls use the sandbox network
  */
 async function createApp(req, res, next) {
   try {
-    const { vendorAddress, appName, description, webhookUrl } = req.body;
+    const { vendorAddress, appName, description, webhookUrl, orderExpiryMinutes = null, testMode = false } = req.body;
 
     if (!vendorAddress || !appName) {
       return res.status(400).json({ 
@@ -1072,6 +1139,13 @@ async function createApp(req, res, next) {
       });
     }
 
+    if (orderExpiryMinutes !== null && !isValidOrderExpiry(orderExpiryMinutes)) {
+      return res.status(400).json({
+        success: false,
+        error: `orderExpiryMinutes must be an integer between 1 and ${checkoutService.MAX_ORDER_EXPIRY_MINUTES}`
+      });
+    }
+
     const crypto = require('crypto');
 
     // Generate app ID (same format as subscription apps: app_<timestamp>_<random>)
@@ -1080,7 +1154,8 @@ async function createApp(req, res, next) {
     const appId = `app_${timestamp}_${random}`;
 
     // Generate API key and secret
-    const apiKey = `ck_${crypto.randomBytes(24).toString('hex')}`;
+    const apiKeyPrefix = testMode === true ? TEST_KEY_PREFIXES.checkout_app : 'ck_';
+    const apiKey = `${apiKeyPrefix}${crypto.randomBytes(24).toString('hex')}`;
     const apiSecret = crypto.randomBytes(32).toString('hex');
     const apiSecretHash = crypto.createHash('sha256').update(apiSecret).digest('hex');
 
@@ -1105,8 +1180,8 @@ async function createApp(req, res, next) {
     // Create checkout app
     const result = await pool.query(
       `INSERT INTO checkout_apps 
-       (app_id, vendor_address, api_key, api_secret_hash, app_name, description, webhook_url, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'active')
+       (app_id, vendor_address, api_key, api_secret_hash, app_name, description, webhook_url, status, order_expiry_minutes, test_mode)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', $8, $9)
        RETURNING *`,
       [
         appId,
@@ -1115,7 +1190,9 @@ async function createApp(req, res, next) {
         apiSecretHash,
         appName,
         description || null,
-        webhookUrl || null
+        webhookUrl || null,
+        orderExpiryMinutes,
+        testMode === true
       ]
     );
 
@@ -1127,6 +1204,8 @@ async function createApp(req, res, next) {
         appName: result.rows[0].app_name,
         description: result.rows[0].description,
         webhookUrl: result.rows[0].webhook_url,
+        orderExpiryMinutes: result.rows[0].order_expiry_minutes || checkoutService.DEFAULT_ORDER_EXPIRY_MINUTES,
+        testMode: result.rows[0].test_mode === true,
         status: result.rows[0].status,
         createdAt: result.rows[0].created_at
       },
@@ -1138,6 +1217,41 @@ async function createApp(req, res, next) {
   }
 }
 
+/**
+ * Set how long unpaid orders stay open for a checkout app
+ * PUT /api/checkout/apps/:appId/order-expiry
+ */
+async function setAppOrderExpiry(req, res, next) {
+  try {
+    const { appId } = req.params;
+    const { orderExpiryMinutes = null } = req.body;
+    // Only the signed-in vendor wallet can change its apps (requireWalletFor)
+    const vendorAddress = req.walletAddress;
+
+    if (orderExpiryMinutes !== null && !isValidOrderExpiry(orderExpiryMinutes)) {
+      return res.status(400).json({
+        error: `orderExpiryMinutes must be an integer between 1 and ${checkoutService.MAX_ORDER_EXPIRY_MINUTES}, or null for the default`
+      });
+    }
+
+    const app = await checkoutService.setAppOrderExpiry(appId, vendorAddress, orderExpiryMinutes);
+    if (!app) {
+      return res.status(404).json({ error: 'Checkout app not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        appId: app.app_id,
+        orderExpiryMinutes: app.order_expiry_minutes || checkoutService.DEFAULT_ORDER_EXPIRY_MINUTES,
+        usesDefault: app.order_expiry_minutes === null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Convert INR to Crypto
  */
@@ -1189,12 +1303,38 @@ async function getExchangeRates(req, res, next) {
   }
 }
 
+/**
+ * Wipe the vendor's sandbox orders and test-mode integration data
+ * DELETE /api/checkout/sandbox (X-API-Key: ck_test_ key)
+ */
+async function wipeSandboxData(req, res, next) {
+  try {
+    if (req.apiKey.test_mode !== true) {
+      return res.status(403).json({
+        success: false,
+        error: 'Sandbox data can only be wiped with a test-mode (ck_test_) key'
+      });
+    }
+
+    const deleted = await sandboxService.wipeSandboxData(req.apiKey.vendor_address);
+
+    res.json({
+      success: true,
+      data: { deleted },
+      message: 'Sandbox data deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   registerVendor,
   generateApiKey,
   setWebhookUrl,
   setWebhookUrlByApiKey,
   createApp,
+  setAppOrderExpiry,
   createOrder,
   createBlockchainOrder,
   getOrder,
@@ -1205,7 +1345,9 @@ module.exports = {
   confirmPayment,
   cancelPayment,
   processRefund,
+  getOrderRefunds,
   convertToCrypto,
-  getExchangeRates
+  getExchangeRates,
+  wipeSandboxData
 };
 
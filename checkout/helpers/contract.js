@@ -1,6 +1,7 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { SANDBOX_NETWORK, resolveNetwork } = require('../../utils/sandbox');
 
 let contracts = {}; // Store contracts per network: { network: contract }
 let providers = {}; // Store providers per network: { network: provider }
@@ -16,7 +17,8 @@ function getRpcUrlForNetwork(network) {
     sepolia: process.env.SEPOLIA_RPC_URL || 'https://sepolia.infura.io/v3/YOUR_INFURA_KEY',
     mumbai: process.env.MUMBAI_RPC_URL || 'https://matic-mumbai.chainstacklabs.com',
     ethereum: process.env.ETHEREUM_RPC_URL || 'https://mainnet.infura.io/v3/YOUR_INFURA_KEY',
-    polygon: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com'
+    polygon: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com',
+    [SANDBOX_NETWORK]: process.env.SANDBOX_RPC_URL || process.env.GANACHE_URL || 'http://localhost:8545'
   };
   
   return networkConfigs[network] || networkConfigs.localhost;
@@ -26,6 +28,8 @@ function getRpcUrlForNetwork(network) {
  * Load checkout contract config
  */
 function loadCheckoutConfig(network = 'localhost') {
+  network = resolveNetwork(network);
+
   // Try 1: Load from config file
   const configPath = path.join(__dirname, '../config/checkout-contract.json');
   if (fs.existsSync(configPath)) {
@@ -39,8 +43,10 @@ function loadCheckoutConfig(network = 'localhost') {
     }
   }
 
-  // Try 2: Load from environment
-  const contractAddress = process.env.CHECKOUT_CONTRACT_ADDRESS;
+  // Try 2: Load from environment (the sandbox never falls back to the live address)
+  const contractAddress = network === SANDBOX_NETWORK
+    ? process.env.SANDBOX_CHECKOUT_CONTRACT_ADDRESS
+    : process.env.CHECKOUT_CONTRACT_ADDRESS;
   if (contractAddress) {
     return {
       network,
@@ -102,8 +108,11 @@ function loadContractABI() {
 
 /**
  * Initialize checkout contract for a specific network
+ * (always the sandbox network inside a test-mode API request)
  */
 async function initialize(network = 'localhost', signerAddress = null) {
+  network = resolveNetwork(network);
+
   // Check if already initialized
   if (contracts[network] && providers[network]) {
     return contracts[network];
@@ -181,6 +190,7 @@ async function initialize(network = 'localhost', signerAddress = null) {
  * Get checkout contract instance
  */
 async function getContract(network = 'localhost', signerAddress = null) {
+  network = resolveNetwork(network);
   if (contracts[network]) {
     return contracts[network];
   }
@@ -202,9 +212,32 @@ async function verifyInitialized(network = 'localhost') {
   }
 }
 
+/**
+ * Get checkout contract connected to the owner wallet, for owner-only calls
+ * (createOrder, cancelOrder, refundOrder). Returns null if
+ * CHECKOUT_CONTRACT_OWNER_PRIVATE_KEY is not set or the contract is not configured.
+ */
+function getOwnerContract(network = 'localhost') {
+  network = resolveNetwork(network);
+  const ownerPrivateKey = process.env.CHECKOUT_CONTRACT_OWNER_PRIVATE_KEY;
+  if (!ownerPrivateKey) {
+    return null;
+  }
+
+  const config = loadCheckoutConfig(network);
+  if (!config || !config.contractAddress) {
+    return null;
+  }
+
+  const provider = new ethers.JsonRpcProvider(getRpcUrlForNetwork(network));
+  const wallet = new ethers.Wallet(ownerPrivateKey, provider);
+  return new ethers.Contract(config.contractAddress, loadContractABI(), wallet);
+}
+
 module.exports = {
   initialize,
   getContract,
+  getOwnerContract,
   verifyInitialized,
   getRpcUrlForNetwork,
   loadCheckoutConfig,
@@ -1,6 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const checkoutController = require('../controllers/checkoutController');
+const { requireScope } = require('../../middleware/apiKeyAuth');
+const { idempotentRequest } = require('../../middleware/idempotency');
+const { requireWalletFor } = require('../../middleware/walletAuth');
+
+// Scopes are checked when an API key is sent (keys stay optional in development)
+const canCreateCheckout = requireScope('checkout:create', { optional: true });
+const canManageWebhooks = requireScope('webhooks:manage', { optional: true });
+
+// Vendor reads: an orders:read API key when X-API-Key is sent, otherwise the vendor wallet session
+const canReadVendorOrders = (req, res, next) => (req.headers['x-api-key']
+  ? requireScope('orders:read')
+  : requireWalletFor(request => request.query.vendorAddress))(req, res, next);
 
 /**
  * Vendor Integration APIs
@@ -8,14 +20,16 @@ const checkoutController = require('../controllers/checkoutController');
 router.post('/register-vendor', checkoutController.registerVendor);
 router.post('/generate-api-key/:vendorAddress', checkoutController.generateApiKey);
 router.post('/webhook-url/:vendorAddress', checkoutController.setWebhookUrl);
-router.post('/webhook-url', checkoutController.setWebhookUrlByApiKey); // Set webhook URL via API key (AC5.1)
+router.post('/webhook-url', canManageWebhooks, checkoutController.setWebhookUrlByApiKey); // Set webhook URL via API key (AC5.1)
 router.post('/apps', checkoutController.createApp); // Create checkout app
+router.put('/apps/:appId/order-expiry', requireWalletFor(req => req.body.vendorAddress), checkoutController.setAppOrderExpiry); // Per-app unpaid order expiry (vendor wallet session)
+router.delete('/sandbox', requireScope('sandbox:manage'), checkoutController.wipeSandboxData); // Wipe sandbox data (test-mode keys only)
 
 /**
  * Checkout Flow APIs
  */
-router.post('/create-order', checkoutController.createOrder);
-router.post('/create-blockchain-order', checkoutController.createBlockchainOrder);
+router.post('/create-order', canCreateCheckout, idempotentRequest, checkoutController.createOrder); // Idempotency-Key supported when X-API-Key is sent
+router.post('/create-blockchain-order', canCreateCheckout, checkoutController.createBlockchainOrder);
 router.get('/order/:id', checkoutController.getOrder);
 router.put('/order/:id/status', checkoutController.updateOrderStatus);
 router.get('/customer/:customerAddress/orders', checkoutController.getCustomerOrders);
@@ -23,7 +37,8 @@ router.get('/vendor/:vendorAddress/orders', checkoutController.getVendorOrders);
 router.post('/order/:id/accept', checkoutController.acceptOrder);
 router.post('/confirm-payment', checkoutController.confirmPayment);
 router.post('/cancel-payment', checkoutController.cancelPayment);
-router.post('/refund', checkoutController.processRefund);
+router.post('/refund', requireWalletFor(req => req.body.vendorAddress), checkoutController.processRefund); // Vendor wallet session required
+router.get('/order/:id/refunds', canReadVendorOrders, checkoutController.getOrderRefunds); // Vendor wallet session or orders:read API key
 
 /**
  * Price Conversion APIs
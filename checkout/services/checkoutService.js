@@ -2,11 +2,18 @@ const { ethers } = require('ethers');
 const { Pool } = require('pg');
 const crypto = require('crypto');
 const checkoutContract = require('../helpers/contract');
+const webhookService = require('../../services/webhookService');
+const couponService = require('./couponService');
+const { isTestMode, resolveNetwork } = require('../../utils/sandbox');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+// Unpaid orders expire after this many minutes unless the checkout app overrides it
+const DEFAULT_ORDER_EXPIRY_MINUTES = parseInt(process.env.CHECKOUT_ORDER_EXPIRY_MINUTES || '30');
+const MAX_ORDER_EXPIRY_MINUTES = 7 * 24 * 60;
+
 /**
  * Generate unique order ID
  */
@@ -34,10 +41,19 @@ async function createOrder(orderData) {
     totalAmount,
     totalAmountInINR, // Store INR equivalent for crypto payments
     currency = 'ETH',
-    network = 'localhost',
-    metadata = {}
+    network: requestedNetwork = 'localhost',
+    metadata = {},
+    checkoutApp = null, // checkout_apps row the order was created with
+    couponCode = null
   } = orderData;
 
+  // Orders created with a test-mode key are flagged and always use the sandbox network
+  const testMode = isTestMode();
+  const network = resolveNetwork(requestedNetwork);
+
+  const expiryMinutes = checkoutApp?.order_expiry_minutes || DEFAULT_ORDER_EXPIRY_MINUTES;
+  const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
+
   // Customers can create multiple orders for the same product - no restrictions
   // Generate unique order ID
   const orderId = generateOrderId();
@@ -47,37 +63,64 @@ async function createOrder(orderData) {
     // Use transaction for data consistency
     await client.query('BEGIN');
 
-    // Store INR amount in metadata if provided
+    // Redeem the coupon (locks it until the order is committed)
+    let couponPricing = null;
+    const customerKey = customerAddress
+      ? customerAddress.toLowerCase()
+      : (metadata.externalUserId ? `${metadata.appId}:${metadata.externalUserId}` : null);
+    if (couponCode) {
+      couponPricing = await couponService.applyCoupon(client, vendorAddress, couponCode, {
+        totalAmount,
+        currency,
+        items,
+        appId: checkoutApp?.app_id ?? metadata.appId,
+        planId: metadata.planId,
+        customerKey
+      });
+    }
+    const orderTotal = couponPricing ? couponPricing.total : totalAmount;
+
+    // Store INR amount in metadata if provided (discounted like the order total)
+    const inrAmount = totalAmountInINR && couponPricing
+      ? Math.round(totalAmountInINR * Number(couponPricing.total) / Number(totalAmount) * 100) / 100
+      : totalAmountInINR;
     const enhancedMetadata = {
       ...metadata,
-      ...(totalAmountInINR && { totalAmountInINR })
+      ...(inrAmount && { totalAmountInINR: inrAmount })
     };
 
     // Create order
     const orderResult = await client.query(
       `INSERT INTO checkout_orders 
-       (order_id, vendor_address, customer_address, total_amount, currency, network, metadata, expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       (order_id, vendor_address, customer_address, total_amount, currency, network, metadata, expires_at, api_key_id,
+        subtotal_amount, discount_amount, coupon_id, coupon_code, test_mode)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
        RETURNING *`,
       [
         orderId,
         vendorAddress.toLowerCase(),
         customerAddress ? customerAddress.toLowerCase() : null,
-        totalAmount,
+        orderTotal,
         currency,
         network,
         JSON.stringify(enhancedMetadata),
-        new Date(Date.now() + 30 * 60 * 1000) // 30 minutes expiry
+        expiresAt,
+        checkoutApp ? checkoutApp.id : null,
+        totalAmount,
+        couponPricing ? couponPricing.discount : 0,
+        couponPricing ? couponPricing.coupon.id : null,
+        couponPricing ? couponPricing.coupon.code : null,
+        testMode
       ]
     );
 
     // Create order items
     if (items && items.length > 0) {
-      for (const item of items) {
+      for (const [index, item] of items.entries()) {
         await client.query(
           `INSERT INTO checkout_order_items 
-           (order_id, product_id, product_name, product_description, quantity, unit_price, total_price, metadata)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+           (order_id, product_id, product_name, product_description, quantity, unit_price, total_price, metadata, discount_amount)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
           [
             orderId,
             item.productId || null,
@@ -86,12 +129,24 @@ async function createOrder(orderData) {
             item.quantity || 1,
             item.unitPrice,
             item.totalPrice || (item.unitPrice * (item.quantity || 1)),
-            item.metadata ? JSON.stringify(item.metadata) : null
+            item.metadata ? JSON.stringify(item.metadata) : null,
+            couponPricing?.itemDiscounts[index] || 0
           ]
         );
       }
     }
 
+    if (couponPricing) {
+      await couponService.recordRedemption(client, {
+        coupon: couponPricing.coupon,
+        orderId,
+        customerKey,
+        discount: couponPricing.discount,
+        currency
+      });
+      console.log(`[Checkout] 🏷️ Coupon ${couponPricing.coupon.code} applied to order ${orderId}: -${couponPricing.discount} ${currency}`);
+    }
+
     await client.query('COMMIT');
 
     // Create order on blockchain
@@ -100,8 +155,7 @@ async function createOrder(orderData) {
     try {
       const contract = await checkoutContract.getContract(network);
       const orderIdBytes = ethers.id(orderId);
-      const expiresAt = Math.floor((Date.now() + 30 * 60 * 1000) / 1000);
-      const amountWei = ethers.parseEther(totalAmount.toString());
+      const amountWei = ethers.parseEther(orderTotal.toString());
       
       // Get contract owner (deployer) - in production, use a relayer or owner account
       // For now, we'll try to call it. If it fails, order still exists in DB
@@ -128,7 +182,7 @@ async function createOrder(orderData) {
               orderIdBytes,
               vendorAddress,
               amountWei,
-              expiresAt
+              Math.floor(expiresAt.getTime() / 1000)
             );
             const receipt = await tx.wait();
             blockchainTxHash = receipt.hash;
@@ -172,12 +226,15 @@ async function createOrder(orderData) {
             vendorAddress: vendorAddress.toLowerCase(),
             customerAddress: customerAddress ? customerAddress.toLowerCase() : null,
             items: items,
-            totalAmount: totalAmount,
+            totalAmount: orderTotal,
+            subtotalAmount: totalAmount,
+            discountAmount: couponPricing ? couponPricing.discount : '0',
+            couponCode: couponPricing ? couponPricing.coupon.code : null,
             currency: currency,
             network: network,
             status: 'pending',
             createdAt: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+            expiresAt: expiresAt.toISOString(),
             metadata: enhancedMetadata
           }
         });
@@ -196,9 +253,10 @@ async function createOrder(orderData) {
 }
 
 /**
- * Get order by ID (with blockchain status sync - blockchain is source of truth)
+ * Get order by ID (with blockchain status sync - blockchain is source of truth).
+ * The status is read from `network`, or from the network the order was created on when omitted.
  */
-async function getOrder(orderId, network = 'localhost') {
+async function getOrder(orderId, network = null) {
   const orderResult = await pool.query(
     `SELECT * FROM checkout_orders WHERE order_id = $1`,
     [orderId]
@@ -209,6 +267,7 @@ async function getOrder(orderId, network = 'localhost') {
   }
 
   const order = orderResult.rows[0];
+  network = network || order.network || 'localhost';
 
   // Get order items
   const itemsResult = await pool.query(
@@ -242,7 +301,7 @@ async function getOrder(orderId, network = 'localhost') {
         const blockchainStatus = statusMap[blockchainOrder.status] || order.status;
         
         // Update database if status differs (blockchain is source of truth)
-        if (blockchainStatus !== order.status) {
+        if (shouldSyncFromChain(order.status, blockchainStatus)) {
           console.log(`[Checkout] 🔄 Syncing order ${orderId} status from blockchain: ${order.status} → ${blockchainStatus}`);
           await updateOrderStatus(orderId, blockchainStatus);
           order.status = blockchainStatus;
@@ -257,10 +316,32 @@ async function getOrder(orderId, network = 'localhost') {
   return order;
 }
 
+/**
+ * DB-only statuses the contract has no equivalent for, mapped to the on-chain
+ * status they sit on top of. The blockchain sync must not overwrite these.
+ */
+const OFF_CHAIN_STATUSES = {
+  payment_pending_confirmations: 'paid', // promoted by the confirmation worker
+  partially_refunded: 'paid', // partial refunds are settled off-chain
+  refunded: 'paid' // full refund settled off-chain after earlier partial refunds
+};
+
+/**
+ * Whether a read-time sync may overwrite the DB status with the on-chain one.
+ * It never writes 'paid': a payment only counts once the confirmation worker
+ * has seen it at the required depth (paymentConfirmationService).
+ */
+function shouldSyncFromChain(dbStatus, blockchainStatus) {
+  return blockchainStatus !== dbStatus &&
+    blockchainStatus !== 'paid' &&
+    OFF_CHAIN_STATUSES[dbStatus] !== blockchainStatus;
+}
+
 /**
  * Get all orders (for customer page - shows all orders)
  */
 async function getAllOrders(network = 'localhost') {
+  network = resolveNetwork(network);
   const result = await pool.query(
     `SELECT 
       co.*,
@@ -301,7 +382,7 @@ async function getAllOrders(network = 'localhost') {
           const blockchainStatus = statusMap[blockchainOrder.status] || order.status;
           
           // Update database if status differs
-          if (blockchainStatus !== order.status) {
+          if (shouldSyncFromChain(order.status, blockchainStatus)) {
             console.log(`[Checkout] 🔄 Syncing order ${order.order_id} status: ${order.status} → ${blockchainStatus}`);
             await updateOrderStatus(order.order_id, blockchainStatus);
             order.status = blockchainStatus;
@@ -404,17 +485,22 @@ async function recordTransaction(txData) {
     gasUsed,
     gasPrice,
     blockNumber,
+    blockHash = null,
+    confirmations = null,
     network = 'localhost',
     status = 'pending'
   } = txData;
 
+  // A re-submitted confirmation never moves a finalized payment back to pending_confirmations
   const result = await pool.query(
     `INSERT INTO checkout_transactions 
-     (order_id, transaction_hash, from_address, to_address, amount, gas_used, gas_price, block_number, network, status)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     (order_id, transaction_hash, from_address, to_address, amount, gas_used, gas_price, block_number, network, status, block_hash, confirmations)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
      ON CONFLICT (transaction_hash) DO UPDATE SET
-       status = EXCLUDED.status,
+       status = CASE WHEN checkout_transactions.status = 'confirmed' THEN checkout_transactions.status ELSE EXCLUDED.status END,
        block_number = EXCLUDED.block_number,
+       block_hash = EXCLUDED.block_hash,
+       confirmations = EXCLUDED.confirmations,
        updated_at = CURRENT_TIMESTAMP
      RETURNING *`,
     [
@@ -427,7 +513,9 @@ async function recordTransaction(txData) {
       gasPrice,
       blockNumber,
       network,
-      status
+      status,
+      blockHash,
+      confirmations
     ]
   );
 
@@ -489,6 +577,34 @@ async function verifyApiKey(apiKey) {
   return result.rows[0];
 }
 
+/**
+ * Get the active checkout app for an API key
+ */
+async function getCheckoutAppByApiKey(apiKey) {
+  const result = await pool.query(
+    `SELECT * FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
+    [apiKey]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Set how long unpaid orders created through a checkout app stay open.
+ * Pass null to fall back to the default.
+ */
+async function setAppOrderExpiry(appId, vendorAddress, minutes) {
+  const result = await pool.query(
+    `UPDATE checkout_apps
+     SET order_expiry_minutes = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE app_id = $1 AND vendor_address = $2 AND status = 'active'
+     RETURNING *`,
+    [appId, vendorAddress.toLowerCase(), minutes]
+  );
+
+  return result.rows[0] || null;
+}
+
 /**
  * Send webhook to vendor
  */
@@ -514,6 +630,13 @@ async function sendWebhook(webhookData) {
 
   const webhookUrl = apiKeyResult.rows[0].webhook_url;
 
+  // Orders created with test-mode keys are delivered with livemode: false
+  const orderModeResult = await pool.query(
+    `SELECT test_mode FROM checkout_orders WHERE order_id = $1`,
+    [orderId]
+  );
+  const labelledPayload = { ...payload, livemode: orderModeResult.rows[0]?.test_mode !== true };
+
   // Record webhook attempt
   const webhookResult = await pool.query(
     `INSERT INTO vendor_webhooks 
@@ -525,7 +648,7 @@ async function sendWebhook(webhookData) {
       apiKeyId,
       orderId,
       eventType,
-      JSON.stringify(payload)
+      JSON.stringify(labelledPayload)
     ]
   );
 
@@ -534,7 +657,7 @@ async function sendWebhook(webhookData) {
   // Send webhook
   try {
     const axios = require('axios');
-    const response = await axios.post(webhookUrl, payload, {
+    const response = await axios.post(webhookUrl, labelledPayload, {
       headers: {
         'Content-Type': 'application/json',
         'X-Webhook-Event': eventType,
@@ -573,51 +696,337 @@ async function sendWebhook(webhookData) {
   }
 }
 
+/**
+ * Statuses an order can be refunded from
+ */
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+// checkout amounts are stored as NUMERIC(20, 8)
+const AMOUNT_DECIMALS = 8;
+
+function toUnits(value) {
+  return ethers.parseUnits(value.toString(), AMOUNT_DECIMALS);
+}
+
+function fromUnits(units) {
+  return ethers.formatUnits(units, AMOUNT_DECIMALS);
+}
+
+function refundError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Find the webhook key for an order: the checkout app it was created with,
+ * otherwise the vendor's active checkout app
+ */
+async function findOrderWebhookKeyId(order) {
+  if (order.api_key_id) {
+    return order.api_key_id;
+  }
+
+  const appResult = await pool.query(
+    `SELECT id FROM checkout_apps WHERE vendor_address = $1 AND status = 'active' ORDER BY created_at ASC LIMIT 1`,
+    [order.vendor_address.toLowerCase()]
+  );
+
+  return appResult.rows[0]?.id || null;
+}
+
+/**
+ * Work out what a refund request covers. Either an explicit amount, specific
+ * order item lines ({ itemId, quantity }), or - if neither is given - the
+ * whole remaining refundable amount.
+ */
+async function buildRefundBreakdown(client, orderId, request, previousRefunds, remainingUnits) {
+  const { amount, items } = request;
+
+  if (amount !== undefined && amount !== null && items) {
+    throw refundError('Provide either amount or items, not both');
+  }
+
+  if (!items) {
+    let amountUnits = remainingUnits;
+    if (amount !== undefined && amount !== null) {
+      try {
+        amountUnits = toUnits(amount);
+      } catch (error) {
+        throw refundError('Invalid refund amount');
+      }
+    }
+    return { amountUnits, items: [] };
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw refundError('items must be a non-empty array');
+  }
+
+  const itemsResult = await client.query(
+    `SELECT id, product_id, product_name, quantity, unit_price, discount_amount
+     FROM checkout_order_items WHERE order_id = $1`,
+    [orderId]
+  );
+
+  // Quantities already refunded per item line
+  const refundedQuantities = {};
+  for (const refund of previousRefunds) {
+    for (const item of refund.items || []) {
+      refundedQuantities[item.itemId] = (refundedQuantities[item.itemId] || 0) + item.quantity;
+    }
+  }
+
+  const seen = new Set();
+  const lines = [];
+  let amountUnits = 0n;
+
+  for (const requested of items) {
+    const itemId = String(requested.itemId ?? requested.id ?? '');
+    const orderItem = itemsResult.rows.find(row => String(row.id) === itemId);
+
+    if (!orderItem) {
+      throw refundError(`Item ${itemId || '(missing itemId)'} is not part of order ${orderId}`);
+    }
+    if (seen.has(itemId)) {
+      throw refundError(`Item ${itemId} is listed more than once`);
+    }
+    seen.add(itemId);
+
+    const refundableQuantity = orderItem.quantity - (refundedQuantities[itemId] || 0);
+    if (refundableQuantity <= 0) {
+      throw refundError(`Item ${itemId} has already been fully refunded`);
+    }
+    const quantity = requested.quantity === undefined ? refundableQuantity : Number(requested.quantity);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw refundError(`Invalid refund quantity for item ${itemId}`);
+    }
+    if (quantity > refundableQuantity) {
+      throw refundError(`Only ${refundableQuantity} of item ${itemId} can still be refunded`);
+    }
+
+    // Lines bought with a coupon refund their share of the discount too
+    const discountUnits = toUnits(orderItem.discount_amount || 0) * BigInt(quantity) / BigInt(orderItem.quantity);
+    const lineUnits = toUnits(orderItem.unit_price) * BigInt(quantity) - discountUnits;
+    amountUnits += lineUnits;
+    lines.push({
+      itemId,
+      productId: orderItem.product_id,
+      name: orderItem.product_name,
+      quantity,
+      unitPrice: fromUnits(toUnits(orderItem.unit_price)),
+      amount: fromUnits(lineUnits)
+    });
+  }
+
+  return { amountUnits, items: lines };
+}
+
+/**
+ * Execute refundOrder on-chain. Returns the transaction hash, or null when the
+ * order isn't on-chain or no owner key is configured.
+ */
+async function refundOrderOnChain(orderId, network) {
+  const ownerContract = checkoutContract.getOwnerContract(network);
+  if (!ownerContract) {
+    console.log(`[Checkout] ⚠️  CHECKOUT_CONTRACT_OWNER_PRIVATE_KEY not set. Refund for ${orderId} recorded off-chain.`);
+    return null;
+  }
+
+  const orderIdBytes = ethers.id(orderId);
+  const exists = await ownerContract.orderExists(orderIdBytes);
+  if (!exists) {
+    return null;
+  }
+
+  const tx = await ownerContract.refundOrder(orderIdBytes);
+  const receipt = await tx.wait();
+  console.log(`[Checkout] ✅ Order ${orderId} refunded on blockchain (tx: ${receipt.hash})`);
+  return receipt.hash;
+}
+
 /**
  * Process refund
+ *
+ * Refunds the whole remaining amount by default, or a specific `amount`, or
+ * specific order item lines (`items: [{ itemId, quantity }]`). Every refund is
+ * written to the checkout_refunds ledger. The contract's refundOrder can only
+ * return the full order total, so it is executed for a full refund of an order
+ * with no earlier refunds; partial refunds are settled off-chain by the vendor
+ * (optionally recording their payout `transactionHash`).
+ * The refund always runs on the network the order was created on.
  */
-async function processRefund(orderId, vendorAddress) {
+async function processRefund(orderId, vendorAddress, options = {}) {
+  const {
+    amount,
+    items,
+    reason = null,
+    transactionHash = null
+  } = options;
+
   const order = await getOrder(orderId);
 
   if (!order) {
-    throw new Error('Order not found');
+    throw refundError('Order not found', 404);
   }
 
+  const network = order.network || 'localhost';
+
   if (order.vendor_address.toLowerCase() !== vendorAddress.toLowerCase()) {
-    throw new Error('Unauthorized');
+    throw refundError('Unauthorized', 403);
   }
 
-  if (order.status !== 'paid') {
-    throw new Error('Order must be paid to refund');
+  const client = await pool.connect();
+  let refund;
+  let breakdown;
+  let totalUnits;
+  let refundedUnits;
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the order so concurrent refunds can't exceed the order total
+    const lockedOrder = await client.query(
+      `SELECT status, total_amount FROM checkout_orders WHERE order_id = $1 FOR UPDATE`,
+      [orderId]
+    );
+
+    if (!REFUNDABLE_STATUSES.includes(lockedOrder.rows[0]?.status)) {
+      throw refundError('Order must be paid to refund');
+    }
+
+    const previousResult = await client.query(
+      `SELECT amount, items FROM checkout_refunds WHERE order_id = $1 AND status <> 'failed'`,
+      [orderId]
+    );
+
+    totalUnits = toUnits(lockedOrder.rows[0].total_amount);
+    refundedUnits = previousResult.rows.reduce((sum, row) => sum + toUnits(row.amount), 0n);
+    const remainingUnits = totalUnits - refundedUnits;
+
+    breakdown = await buildRefundBreakdown(client, orderId, { amount, items }, previousResult.rows, remainingUnits);
+
+    if (breakdown.amountUnits <= 0n) {
+      throw refundError('Refund amount must be greater than zero');
+    }
+    if (breakdown.amountUnits > remainingUnits) {
+      throw refundError(`Refund amount exceeds the remaining refundable amount (${fromUnits(remainingUnits)} ${order.currency})`);
+    }
+
+    const settlement = refundedUnits === 0n && breakdown.amountUnits === totalUnits ? 'on_chain' : 'off_chain';
+
+    const refundResult = await client.query(
+      `INSERT INTO checkout_refunds
+       (refund_id, order_id, vendor_address, amount, currency, items, reason, settlement, status, transaction_hash, network)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        `RFD-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`,
+        orderId,
+        order.vendor_address.toLowerCase(),
+        fromUnits(breakdown.amountUnits),
+        order.currency,
+        JSON.stringify(breakdown.items),
+        reason,
+        settlement,
+        settlement === 'on_chain' ? 'pending' : 'completed',
+        settlement === 'on_chain' ? null : transactionHash,
+        network
+      ]
+    );
+    refund = refundResult.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
 
-  // Update order status
-  await updateOrderStatus(orderId, 'refunded');
+  if (refund.settlement === 'on_chain') {
+    try {
+      const refundTxHash = await refundOrderOnChain(orderId, network);
+      const updated = await pool.query(
+        `UPDATE checkout_refunds
+         SET status = 'completed', settlement = $2, transaction_hash = COALESCE($3, transaction_hash), updated_at = CURRENT_TIMESTAMP
+         WHERE refund_id = $1
+         RETURNING *`,
+        [refund.refund_id, refundTxHash ? 'on_chain' : 'off_chain', refundTxHash || transactionHash]
+      );
+      refund = updated.rows[0];
+    } catch (error) {
+      await pool.query(
+        `UPDATE checkout_refunds SET status = 'failed', failure_reason = $2, updated_at = CURRENT_TIMESTAMP WHERE refund_id = $1`,
+        [refund.refund_id, error.message]
+      );
+      console.error(`[Checkout] ❌ Failed to refund order ${orderId} on blockchain:`, error.message);
+      throw refundError(`On-chain refund failed: ${error.message}`, 502);
+    }
+  }
 
-  // Send webhook
-  const apiKeyResult = await pool.query(
-    `SELECT id FROM vendor_api_keys WHERE vendor_address = $1 AND active = true LIMIT 1`,
-    [vendorAddress.toLowerCase()]
-  );
+  const refundedTotalUnits = refundedUnits + breakdown.amountUnits;
+  const newStatus = refundedTotalUnits === totalUnits ? 'refunded' : 'partially_refunded';
 
-  if (apiKeyResult.rows.length > 0) {
-    await sendWebhook({
-      vendorAddress,
-      apiKeyId: apiKeyResult.rows[0].id,
-      orderId,
-      eventType: 'order.refunded',
-      payload: {
+  await updateOrderStatus(orderId, newStatus);
+
+  // Send order.refunded webhook with the refund breakdown
+  try {
+    const apiKeyId = await findOrderWebhookKeyId(order);
+    if (apiKeyId) {
+      await webhookService.triggerWebhook(apiKeyId, 'order.refunded', {
         orderId,
-        status: 'refunded',
-        amount: order.total_amount,
-        currency: order.currency
-      }
-    });
+        refundId: refund.refund_id,
+        status: newStatus,
+        amount: fromUnits(breakdown.amountUnits),
+        currency: order.currency,
+        orderTotal: fromUnits(totalUnits),
+        refundedTotal: fromUnits(refundedTotalUnits),
+        remainingAmount: fromUnits(totalUnits - refundedTotalUnits),
+        items: breakdown.items,
+        reason,
+        settlement: refund.settlement,
+        transactionHash: refund.transaction_hash,
+        network,
+        refundedAt: new Date().toISOString()
+      });
+    }
+  } catch (webhookError) {
+    console.warn('[Checkout] Error triggering order.refunded webhook:', webhookError.message);
   }
 
+  order.status = newStatus;
+  order.refund = refund;
   return order;
 }
 
+/**
+ * Get the refund ledger for an order. Throws (403) unless vendorAddress owns the order.
+ */
+async function getOrderRefunds(orderId, vendorAddress) {
+  // The stored order is enough to check ownership - no chain sync needed
+  const orderResult = await pool.query(
+    `SELECT vendor_address FROM checkout_orders WHERE order_id = $1`,
+    [orderId]
+  );
+  const order = orderResult.rows[0];
+
+  if (!order) {
+    throw refundError('Order not found', 404);
+  }
+
+  if (!vendorAddress || order.vendor_address.toLowerCase() !== vendorAddress.toLowerCase()) {
+    throw refundError('Unauthorized', 403);
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM checkout_refunds WHERE order_id = $1 ORDER BY created_at ASC`,
+    [orderId]
+  );
+  return result.rows;
+}
+
 module.exports = {
   createOrder,
   getOrder,
@@ -628,8 +1037,14 @@ module.exports = {
   recordTransaction,
   registerVendor,
   verifyApiKey,
+  getCheckoutAppByApiKey,
+  setAppOrderExpiry,
   sendWebhook,
   processRefund,
-  generateOrderId
+  getOrderRefunds,
+  findOrderWebhookKeyId,
+  generateOrderId,
+  DEFAULT_ORDER_EXPIRY_MINUTES,
+  MAX_ORDER_EXPIRY_MINUTES
 };
 
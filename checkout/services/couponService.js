@@ -0,0 +1,437 @@
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * Coupons and promotion codes
+ *
+ * A coupon belongs to a vendor and is redeemed by code when an order is
+ * created. It takes a percentage or a fixed amount (in one currency) off the
+ * order, optionally only for some apps, plans or products. Redemptions of
+ * cancelled (including expired) orders no longer count towards
+ * max_redemptions or per_customer_limit.
+ */
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// checkout amounts are stored as NUMERIC(20, 8)
+const AMOUNT_DECIMALS = 8;
+const ONE = 10n ** BigInt(AMOUNT_DECIMALS);
+
+function toUnits(value) {
+  return ethers.parseUnits(value.toString(), AMOUNT_DECIMALS);
+}
+
+function fromUnits(units) {
+  return ethers.formatUnits(units, AMOUNT_DECIMALS);
+}
+
+function couponError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function toIdList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw couponError(`${field} must be an array`);
+  }
+  return value.map(id => String(id));
+}
+
+function toLimit(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const limit = parseInt(value);
+  if (isNaN(limit) || limit < 1) {
+    throw couponError(`${field} must be a positive integer`);
+  }
+  return limit;
+}
+
+function toDate(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw couponError(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Validate coupon settings from a request body. partial = only validate the
+ * fields that are present (updates). Returns { column: value }.
+ */
+function parseCouponInput(input, { partial = false } = {}) {
+  const fields = {};
+  const has = (key) => input[key] !== undefined;
+
+  if (!partial || has('code')) {
+    const code = normalizeCode(input.code);
+    if (!/^[A-Z0-9_-]{3,40}$/.test(code)) {
+      throw couponError('code must be 3-40 letters, digits, "-" or "_"');
+    }
+    fields.code = code;
+  }
+
+  if (!partial || has('discountType') || has('discountValue')) {
+    if (!DISCOUNT_TYPES.includes(input.discountType)) {
+      throw couponError(`discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+    }
+    let value;
+    try {
+      value = toUnits(input.discountValue);
+    } catch (e) {
+      throw couponError('discountValue must be a decimal amount');
+    }
+    if (value <= 0n || (input.discountType === 'percentage' && value > 100n * ONE)) {
+      throw couponError(input.discountType === 'percentage'
+        ? 'discountValue must be a percentage between 0 and 100'
+        : 'discountValue must be greater than 0');
+    }
+    if (input.discountType === 'fixed' && !input.currency) {
+      throw couponError('currency is required for fixed discounts');
+    }
+    fields.discount_type = input.discountType;
+    fields.discount_value = fromUnits(value);
+    fields.currency = input.discountType === 'fixed' ? String(input.currency).toUpperCase() : null;
+  }
+
+  if (!partial || has('description')) fields.description = input.description || null;
+  if (!partial || has('maxRedemptions')) fields.max_redemptions = toLimit(input.maxRedemptions, 'maxRedemptions');
+  if (!partial || has('perCustomerLimit')) fields.per_customer_limit = toLimit(input.perCustomerLimit, 'perCustomerLimit');
+  if (!partial || has('startsAt')) fields.starts_at = toDate(input.startsAt, 'startsAt');
+  if (!partial || has('expiresAt')) fields.expires_at = toDate(input.expiresAt, 'expiresAt');
+  if (!partial || has('appIds')) fields.app_ids = toIdList(input.appIds, 'appIds');
+  if (!partial || has('planIds')) fields.plan_ids = toIdList(input.planIds, 'planIds');
+  if (!partial || has('productIds')) fields.product_ids = toIdList(input.productIds, 'productIds');
+  if (has('active')) fields.active = input.active === true || input.active === 'true';
+
+  if (fields.starts_at && fields.expires_at && fields.expires_at <= fields.starts_at) {
+    throw couponError('expiresAt must be after startsAt');
+  }
+
+  return fields;
+}
+
+function formatCoupon(row) {
+  return {
+    id: row.id,
+    vendorAddress: row.vendor_address,
+    code: row.code,
+    description: row.description,
+    discountType: row.discount_type,
+    discountValue: row.discount_value?.toString(),
+    currency: row.currency,
+    maxRedemptions: row.max_redemptions,
+    perCustomerLimit: row.per_customer_limit,
+    startsAt: row.starts_at ? new Date(row.starts_at).toISOString() : null,
+    expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+    appIds: row.app_ids || [],
+    planIds: row.plan_ids || [],
+    productIds: row.product_ids || [],
+    active: row.active,
+    redemptionCount: row.redemption_count !== undefined ? parseInt(row.redemption_count) : undefined,
+    createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+  };
+}
+
+// Redemptions that still count (their order was not cancelled or expired)
+const ACTIVE_REDEMPTIONS_SQL = `
+  SELECT COUNT(*) FROM coupon_redemptions r
+  JOIN checkout_orders o ON o.order_id = r.order_id
+  WHERE r.coupon_id = $1 AND o.status <> 'cancelled'`;
+
+async function createCoupon(vendorAddress, input) {
+  const fields = parseCouponInput(input);
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO coupons
+       (vendor_address, code, description, discount_type, discount_value, currency, max_redemptions, per_customer_limit,
+        starts_at, expires_at, app_ids, plan_ids, product_ids, active, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, true, NOW(), NOW())
+       RETURNING *`,
+      [
+        vendorAddress.toLowerCase(),
+        fields.code,
+        fields.description,
+        fields.discount_type,
+        fields.discount_value,
+        fields.currency,
+        fields.max_redemptions,
+        fields.per_customer_limit,
+        fields.starts_at,
+        fields.expires_at,
+        fields.app_ids,
+        fields.plan_ids,
+        fields.product_ids
+      ]
+    );
+    return formatCoupon(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw couponError(`Coupon code ${fields.code} already exists`, 409);
+    }
+    throw error;
+  }
+}
+
+async function listCoupons(vendorAddress, { active } = {}) {
+  const params = [vendorAddress.toLowerCase()];
+  let query = `
+    SELECT c.*,
+      (SELECT COUNT(*) FROM coupon_redemptions r
+       JOIN checkout_orders o ON o.order_id = r.order_id
+       WHERE r.coupon_id = c.id AND o.status <> 'cancelled') AS redemption_count
+    FROM coupons c
+    WHERE c.vendor_address = $1`;
+  if (active !== undefined) {
+    params.push(active === true || active === 'true');
+    query += ` AND c.active = $2`;
+  }
+  query += ` ORDER BY c.created_at DESC`;
+
+  const result = await pool.query(query, params);
+  return result.rows.map(formatCoupon);
+}
+
+async function getVendorCoupon(vendorAddress, couponId) {
+  const result = await pool.query(
+    `SELECT * FROM coupons WHERE id = $1 AND vendor_address = $2`,
+    [couponId, vendorAddress.toLowerCase()]
+  );
+  if (result.rows.length === 0) {
+    throw couponError('Coupon not found', 404);
+  }
+  return result.rows[0];
+}
+
+async function updateCoupon(vendorAddress, couponId, input) {
+  const current = await getVendorCoupon(vendorAddress, couponId);
+
+  // Discount type and value are validated together
+  const merged = { ...input };
+  if (input.discountType !== undefined || input.discountValue !== undefined || input.currency !== undefined) {
+    merged.discountType = input.discountType ?? current.discount_type;
+    merged.discountValue = input.discountValue ?? current.discount_value;
+    merged.currency = input.currency ?? current.currency;
+  }
+  const fields = parseCouponInput(merged, { partial: true });
+  const startsAt = fields.starts_at !== undefined ? fields.starts_at : current.starts_at;
+  const expiresAt = fields.expires_at !== undefined ? fields.expires_at : current.expires_at;
+  if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+    throw couponError('expiresAt must be after startsAt');
+  }
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    throw couponError('No fields to update');
+  }
+
+  const values = columns.map(column => fields[column]);
+  const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+  values.push(current.id);
+
+  try {
+    const result = await pool.query(
+      `UPDATE coupons SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $${values.length}
+       RETURNING *`,
+      values
+    );
+    return formatCoupon(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw couponError(`Coupon code ${fields.code} already exists`, 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Coupons that were redeemed are deactivated rather than deleted so reports keep them
+ */
+async function deleteCoupon(vendorAddress, couponId) {
+  const current = await getVendorCoupon(vendorAddress, couponId);
+  const redemptions = await pool.query(
+    `SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = $1`,
+    [current.id]
+  );
+
+  if (parseInt(redemptions.rows[0].count) > 0) {
+    const result = await pool.query(
+      `UPDATE coupons SET active = false, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [current.id]
+    );
+    return { coupon: formatCoupon(result.rows[0]), deleted: false };
+  }
+
+  await pool.query(`DELETE FROM coupons WHERE id = $1`, [current.id]);
+  return { coupon: formatCoupon(current), deleted: true };
+}
+
+function lineTotalUnits(item) {
+  if (item.totalPrice !== undefined && item.totalPrice !== null) {
+    return toUnits(item.totalPrice);
+  }
+  return toUnits(item.unitPrice) * BigInt(item.quantity || 1);
+}
+
+/**
+ * Work out the discount of a coupon for an order.
+ * order: { totalAmount, currency, items, appId, planId, customerKey }
+ * Returns { discount, total, itemDiscounts } as decimal strings (itemDiscounts by item index).
+ */
+async function calculateDiscount(db, coupon, order) {
+  const now = new Date();
+  if (!coupon.active) {
+    throw couponError('Coupon is no longer active');
+  }
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+    throw couponError('Coupon is not valid yet');
+  }
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+    throw couponError('Coupon has expired');
+  }
+
+  const appIds = coupon.app_ids || [];
+  const planIds = coupon.plan_ids || [];
+  const productIds = coupon.product_ids || [];
+  if (appIds.length > 0 && !appIds.includes(String(order.appId))) {
+    throw couponError('Coupon does not apply to this app');
+  }
+  if (planIds.length > 0 && !planIds.includes(String(order.planId))) {
+    throw couponError('Coupon does not apply to this plan');
+  }
+  if (coupon.discount_type === 'fixed' && coupon.currency !== String(order.currency).toUpperCase()) {
+    throw couponError(`Coupon is only valid for ${coupon.currency} orders`);
+  }
+
+  if (coupon.max_redemptions) {
+    const used = await db.query(ACTIVE_REDEMPTIONS_SQL, [coupon.id]);
+    if (parseInt(used.rows[0].count) >= coupon.max_redemptions) {
+      throw couponError('Coupon has reached its redemption limit', 409);
+    }
+  }
+  if (coupon.per_customer_limit) {
+    if (!order.customerKey) {
+      throw couponError('Coupon requires a customer address or user');
+    }
+    const usedByCustomer = await db.query(
+      `${ACTIVE_REDEMPTIONS_SQL} AND r.customer_key = $2`,
+      [coupon.id, order.customerKey]
+    );
+    if (parseInt(usedByCustomer.rows[0].count) >= coupon.per_customer_limit) {
+      throw couponError('Coupon has already been used the maximum number of times by this customer', 409);
+    }
+  }
+
+  // Product-scoped coupons only discount matching items
+  const items = order.items || [];
+  const eligible = items
+    .map((item, index) => ({ index, units: lineTotalUnits(item), productId: item.productId }))
+    .filter(line => productIds.length === 0 || productIds.includes(String(line.productId)));
+  if (productIds.length > 0 && eligible.length === 0) {
+    throw couponError('Coupon does not apply to these products');
+  }
+
+  const totalUnits = toUnits(order.totalAmount);
+  const baseUnits = productIds.length > 0
+    ? eligible.reduce((sum, line) => sum + line.units, 0n)
+    : totalUnits;
+
+  let discountUnits = coupon.discount_type === 'percentage'
+    ? baseUnits * toUnits(coupon.discount_value) / (100n * ONE)
+    : toUnits(coupon.discount_value);
+  if (discountUnits > baseUnits) {
+    discountUnits = baseUnits;
+  }
+  if (discountUnits >= totalUnits) {
+    throw couponError('Coupon would cover the whole order; free orders are not supported');
+  }
+
+  // Spread the discount over the eligible items by line total, remainder on the last one
+  const itemDiscounts = {};
+  const eligibleUnits = eligible.reduce((sum, line) => sum + line.units, 0n);
+  if (eligibleUnits > 0n) {
+    let allocated = 0n;
+    eligible.forEach((line, position) => {
+      const share = position === eligible.length - 1
+        ? discountUnits - allocated
+        : discountUnits * line.units / eligibleUnits;
+      allocated += share;
+      itemDiscounts[line.index] = fromUnits(share);
+    });
+  }
+
+  return {
+    discount: fromUnits(discountUnits),
+    total: fromUnits(totalUnits - discountUnits),
+    itemDiscounts
+  };
+}
+
+async function findCouponByCode(db, vendorAddress, code, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM coupons WHERE vendor_address = $1 AND code = $2${lock ? ' FOR UPDATE' : ''}`,
+    [vendorAddress.toLowerCase(), normalizeCode(code)]
+  );
+  if (result.rows.length === 0) {
+    throw couponError('Coupon not found', 404);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Price an order with a coupon without redeeming it
+ */
+async function quoteCoupon(vendorAddress, code, order) {
+  const coupon = await findCouponByCode(pool, vendorAddress, code);
+  const pricing = await calculateDiscount(pool, coupon, order);
+  return { coupon: formatCoupon(coupon), ...pricing };
+}
+
+/**
+ * Apply a coupon inside the order creation transaction. The coupon row is
+ * locked so concurrent orders cannot exceed its limits.
+ */
+async function applyCoupon(client, vendorAddress, code, order) {
+  const coupon = await findCouponByCode(client, vendorAddress, code, { lock: true });
+  const pricing = await calculateDiscount(client, coupon, order);
+  return { coupon, ...pricing };
+}
+
+async function recordRedemption(client, { coupon, orderId, customerKey, discount, currency }) {
+  await client.query(
+    `INSERT INTO coupon_redemptions (coupon_id, order_id, vendor_address, customer_key, discount_amount, currency, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+    [coupon.id, orderId, coupon.vendor_address, customerKey || null, discount, currency]
+  );
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  parseCouponInput,
+  createCoupon,
+  listCoupons,
+  updateCoupon,
+  deleteCoupon,
+  quoteCoupon,
+  applyCoupon,
+  recordRedemption
+};
@@ -0,0 +1,201 @@
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const checkoutContract = require('../helpers/contract');
+const checkoutService = require('./checkoutService');
+const webhookService = require('../../services/webhookService');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// Orders expired per sweep (each may need an on-chain cancelOrder)
+const SWEEP_BATCH_SIZE = parseInt(process.env.CHECKOUT_EXPIRY_BATCH_SIZE || '25');
+
+// A claimed order is retried by another sweep after this long (e.g. if the sweeper crashed)
+const EXPIRY_LOCK_MINUTES = 5;
+
+// Contract order status enum indexes
+const ONCHAIN_PENDING = 0;
+const ONCHAIN_CANCELLED = 4;
+
+let workerInterval = null;
+
+/**
+ * Cancel an expired order on-chain. Returns { expire: true, transactionHash }
+ * when the order can be expired (transactionHash is null when the order isn't
+ * on-chain or is already cancelled there), or { expire: false, reason } when
+ * the chain still needs it: it was paid at the last moment, or it is pending
+ * on-chain and no owner key is configured to cancel it.
+ */
+async function cancelOrderOnChain(order) {
+  const ownerContract = checkoutContract.getOwnerContract(order.network);
+  const contract = ownerContract || await checkoutContract.getContract(order.network);
+
+  const orderIdBytes = ethers.id(order.order_id);
+  const exists = await contract.orderExists(orderIdBytes);
+  if (!exists) {
+    return { expire: true, transactionHash: null };
+  }
+
+  const blockchainOrder = await contract.getOrder(orderIdBytes);
+  const onChainStatus = Number(blockchainOrder.status);
+
+  // e.g. cancelled by an earlier sweep that stopped before updating the DB
+  if (onChainStatus === ONCHAIN_CANCELLED) {
+    return { expire: true, transactionHash: null };
+  }
+
+  if (onChainStatus !== ONCHAIN_PENDING) {
+    return { expire: false, reason: 'is no longer pending on-chain' };
+  }
+
+  if (!ownerContract) {
+    return { expire: false, reason: 'is pending on-chain and no owner key is configured to cancel it' };
+  }
+
+  const tx = await ownerContract.cancelOrder(orderIdBytes);
+  const receipt = await tx.wait();
+  return { expire: true, transactionHash: receipt.hash };
+}
+
+/**
+ * Send order.status_changed and order.cancelled for an expired order
+ */
+async function notifyOrderExpired(order) {
+  try {
+    const apiKeyId = await checkoutService.findOrderWebhookKeyId(order);
+    if (!apiKeyId) {
+      return;
+    }
+
+    const expiredAt = new Date().toISOString();
+
+    await webhookService.triggerWebhook(apiKeyId, 'order.status_changed', {
+      orderId: order.order_id,
+      previousStatus: 'pending',
+      newStatus: 'cancelled',
+      transactionHash: order.cancellation_tx_hash || null,
+      updatedAt: expiredAt
+    });
+
+    await webhookService.triggerWebhook(apiKeyId, 'order.cancelled', {
+      orderId: order.order_id,
+      status: 'cancelled',
+      reason: 'expired',
+      expiresAt: order.expires_at,
+      cancelledAt: expiredAt,
+      cancelledBy: 'system',
+      transactionHash: order.cancellation_tx_hash || null,
+      network: order.network
+    });
+  } catch (error) {
+    console.warn(`[Checkout] Error sending expiry webhooks for order ${order.order_id}:`, error.message);
+  }
+}
+
+/**
+ * Claim a batch of overdue pending orders. FOR UPDATE SKIP LOCKED lets several
+ * server instances run the sweeper at once; the row locks are only held for
+ * this statement, never while waiting on the chain.
+ */
+async function claimExpiredOrders() {
+  const result = await pool.query(
+    `UPDATE checkout_orders
+     SET expiry_locked_at = CURRENT_TIMESTAMP
+     WHERE order_id IN (
+       SELECT order_id FROM checkout_orders
+       WHERE status = 'pending' AND expires_at IS NOT NULL AND expires_at < CURRENT_TIMESTAMP
+         AND (expiry_locked_at IS NULL OR expiry_locked_at < CURRENT_TIMESTAMP - ($2 || ' minutes')::interval)
+       ORDER BY expires_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [SWEEP_BATCH_SIZE, EXPIRY_LOCK_MINUTES.toString()]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Hand a claimed order back so the next sweep can retry it
+ */
+async function releaseExpiryLock(orderId) {
+  await pool.query(
+    `UPDATE checkout_orders SET expiry_locked_at = NULL WHERE order_id = $1`,
+    [orderId]
+  );
+}
+
+/**
+ * Expire overdue pending orders
+ */
+async function sweepExpiredOrders() {
+  const claimed = await claimExpiredOrders();
+  const expired = [];
+
+  for (const order of claimed) {
+    let cancellation;
+    try {
+      cancellation = await cancelOrderOnChain(order);
+    } catch (error) {
+      // Leave the order pending and retry on the next sweep
+      console.error(`[Checkout] ❌ Failed to cancel expired order ${order.order_id} on blockchain:`, error.message);
+      await releaseExpiryLock(order.order_id);
+      continue;
+    }
+
+    if (!cancellation.expire) {
+      console.log(`[Checkout] ⏭️ Order ${order.order_id} ${cancellation.reason}; skipping expiry`);
+      await releaseExpiryLock(order.order_id);
+      continue;
+    }
+
+    // Only if nothing (e.g. a payment confirmation) moved the order on meanwhile
+    const updated = await pool.query(
+      `UPDATE checkout_orders
+       SET status = 'cancelled',
+           cancellation_reason = 'expired',
+           cancellation_tx_hash = $2,
+           expired_at = CURRENT_TIMESTAMP,
+           expiry_locked_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $1 AND status = 'pending'
+       RETURNING *`,
+      [order.order_id, cancellation.transactionHash]
+    );
+
+    if (updated.rows.length === 0) {
+      console.log(`[Checkout] ⏭️ Order ${order.order_id} is no longer pending; skipping expiry`);
+      continue;
+    }
+
+    expired.push(updated.rows[0]);
+    console.log(`[Checkout] ⌛ Order ${order.order_id} expired${cancellation.transactionHash ? ` (cancelled on-chain: ${cancellation.transactionHash})` : ''}`);
+
+    await notifyOrderExpired(updated.rows[0]);
+  }
+
+  return expired.length;
+}
+
+/**
+ * Start expired order sweeper (runs every minute)
+ */
+function startOrderExpiryWorker() {
+  if (workerInterval) {
+    return;
+  }
+
+  console.log('[Checkout] Starting expired order sweeper...');
+
+  sweepExpiredOrders().catch(console.error);
+  workerInterval = setInterval(() => {
+    sweepExpiredOrders().catch(console.error);
+  }, 60000);
+}
+
+module.exports = {
+  sweepExpiredOrders,
+  startOrderExpiryWorker
+};
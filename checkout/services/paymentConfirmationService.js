@@ -0,0 +1,385 @@
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const checkoutContract = require('../helpers/contract');
+const checkoutService = require('./checkoutService');
+const webhookService = require('../../services/webhookService');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * Blocks a payment must be buried under before the order counts as paid.
+ * Override per network with CHECKOUT_CONFIRMATIONS_<NETWORK>, e.g. CHECKOUT_CONFIRMATIONS_SEPOLIA=5
+ */
+const DEFAULT_CONFIRMATIONS = {
+  localhost: 1,
+  ganache: 1,
+  hardhat: 1,
+  sepolia: 3,
+  mumbai: 20,
+  ethereum: 12,
+  polygon: 64
+};
+
+// Keep checking confirmed payments for reorgs this long after they reach depth
+const REORG_WATCH_MINUTES = parseInt(process.env.CHECKOUT_REORG_WATCH_MINUTES || '60');
+
+// Consecutive checks a payment's receipt may be missing before it counts as
+// dropped - nodes behind a load balancer can briefly miss a recent receipt
+const MISSING_RECEIPT_LIMIT = parseInt(process.env.CHECKOUT_MISSING_RECEIPT_LIMIT || '3');
+
+const PENDING_CONFIRMATIONS_STATUS = 'payment_pending_confirmations';
+
+let workerInterval = null;
+let workerRunning = false;
+
+/**
+ * Get the confirmation depth required for a network
+ */
+function getRequiredConfirmations(network) {
+  const override = process.env[`CHECKOUT_CONFIRMATIONS_${network.toUpperCase()}`];
+  if (override !== undefined && !isNaN(parseInt(override))) {
+    return Math.max(1, parseInt(override));
+  }
+  return DEFAULT_CONFIRMATIONS[network] || 12;
+}
+
+function paymentError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Amount (wei) the order must be paid with: the on-chain order total if the
+ * order exists on-chain, otherwise the DB total for ETH orders (null when neither applies)
+ */
+async function getExpectedAmountWei(contract, order) {
+  try {
+    const blockchainOrder = await contract.getOrder(ethers.id(order.order_id));
+    if (blockchainOrder && blockchainOrder.exists) {
+      return blockchainOrder.totalAmount;
+    }
+  } catch (error) {
+    console.warn(`[Checkout] ⚠️ Could not read on-chain total for order ${order.order_id}:`, error.message);
+  }
+
+  if (!order.currency || order.currency === 'ETH') {
+    return ethers.parseEther(order.total_amount.toString());
+  }
+
+  return null;
+}
+
+/**
+ * Check a payment receipt against an order. Throws (status 400) when the
+ * transaction reverted, went to another contract, has no PaymentReceived
+ * event for this order, or paid less than the order total. A payment is never
+ * accepted when the order total it must cover can't be determined.
+ */
+async function verifyPaymentReceipt(contract, order, receipt) {
+  if (!receipt) {
+    throw paymentError('Transaction not found or not yet mined', 409);
+  }
+
+  if (receipt.status !== 1) {
+    throw paymentError('Transaction reverted on-chain');
+  }
+
+  if (!receipt.to || receipt.to.toLowerCase() !== contract.target.toLowerCase()) {
+    throw paymentError('Transaction was not sent to the checkout contract');
+  }
+
+  const orderIdBytes = ethers.id(order.order_id);
+  let paymentEvent = null;
+  let otherOrderId = null;
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contract.target.toLowerCase()) {
+      continue;
+    }
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === 'PaymentReceived') {
+        if (parsed.args.orderId === orderIdBytes) {
+          paymentEvent = parsed;
+          break;
+        }
+        otherOrderId = parsed.args.orderId;
+      }
+    } catch (e) {
+      // Log from a different ABI fragment - skip
+    }
+  }
+
+  if (!paymentEvent) {
+    throw paymentError(otherOrderId
+      ? 'Transaction paid a different order'
+      : 'PaymentReceived event not found in transaction receipt');
+  }
+
+  const expectedWei = await getExpectedAmountWei(contract, order);
+  if (expectedWei === null) {
+    throw paymentError('Order total could not be determined: the order is not on-chain and is not priced in ETH', 409);
+  }
+  if (paymentEvent.args.amount < expectedWei) {
+    throw paymentError(
+      `Payment amount ${ethers.formatEther(paymentEvent.args.amount)} is less than order total ${ethers.formatEther(expectedWei)}`
+    );
+  }
+
+  return paymentEvent;
+}
+
+/**
+ * Send a checkout webhook to the order's checkout app (if any)
+ */
+async function notifyVendor(order, eventType, payload) {
+  try {
+    const apiKeyId = await checkoutService.findOrderWebhookKeyId(order);
+    if (apiKeyId) {
+      await webhookService.triggerWebhook(apiKeyId, eventType, payload);
+    }
+  } catch (error) {
+    console.warn(`[Checkout] Error sending ${eventType} webhook for order ${order.order_id}:`, error.message);
+  }
+}
+
+/**
+ * Mark a payment as final once it has enough confirmations. The status change
+ * is claimed in one UPDATE so only the caller that moves the transaction out of
+ * pending_confirmations marks the order paid and sends payment.completed.
+ * Returns false when another run already finalized it.
+ */
+async function finalizePayment(order, receipt, network, confirmations) {
+  const claimed = await pool.query(
+    `UPDATE checkout_transactions
+     SET status = 'confirmed', confirmations = $2, missing_receipt_checks = 0,
+         confirmed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE transaction_hash = $1 AND status = 'pending_confirmations'
+     RETURNING *`,
+    [receipt.hash, confirmations]
+  );
+
+  if (claimed.rows.length === 0) {
+    console.log(`[Checkout] ⏭️ Payment ${receipt.hash} for order ${order.order_id} already finalized`);
+    return false;
+  }
+
+  await checkoutService.updateOrderStatus(order.order_id, 'paid', receipt.hash);
+
+  // Send payment.completed webhook (AC2.2)
+  await notifyVendor(order, 'payment.completed', {
+    orderId: order.order_id,
+    transactionHash: receipt.hash,
+    amount: order.total_amount,
+    currency: order.currency,
+    customerAddress: receipt.from,
+    vendorAddress: order.vendor_address,
+    network: network,
+    blockNumber: receipt.blockNumber,
+    confirmations,
+    gasUsed: receipt.gasUsed.toString(),
+    paymentTimestamp: new Date().toISOString()
+  });
+
+  console.log(`[Checkout] ✅ Payment for order ${order.order_id} final after ${confirmations} confirmation(s)`);
+  return true;
+}
+
+/**
+ * Roll an order back after its payment transaction was reorged out
+ */
+async function revertPayment(order, transaction, reason) {
+  const claimed = await pool.query(
+    `UPDATE checkout_transactions
+     SET status = 'reverted', reverted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE transaction_hash = $1 AND status IN ('pending_confirmations', 'confirmed')
+     RETURNING *`,
+    [transaction.transaction_hash]
+  );
+
+  if (claimed.rows.length === 0) {
+    return;
+  }
+
+  // Only roll back orders this payment moved forward
+  const previousStatus = order.status;
+  if (![PENDING_CONFIRMATIONS_STATUS, 'paid'].includes(previousStatus)) {
+    console.warn(`[Checkout] ⚠️ Payment ${transaction.transaction_hash} reverted but order ${order.order_id} is ${previousStatus}; leaving status`);
+  } else {
+    await checkoutService.updateOrderStatus(order.order_id, 'pending');
+  }
+
+  await notifyVendor(order, 'payment.reverted', {
+    orderId: order.order_id,
+    transactionHash: transaction.transaction_hash,
+    previousStatus,
+    newStatus: 'pending',
+    amount: order.total_amount,
+    currency: order.currency,
+    network: transaction.network,
+    blockNumber: transaction.block_number,
+    reason,
+    revertedAt: new Date().toISOString()
+  });
+
+  console.warn(`[Checkout] ⚠️ Payment ${transaction.transaction_hash} for order ${order.order_id} reverted: ${reason}`);
+}
+
+/**
+ * A single missing receipt is not proof of a reorg (a lagging node returns null
+ * too). Roll back once the block recorded for the payment has been replaced, or
+ * after MISSING_RECEIPT_LIMIT consecutive misses.
+ */
+async function handleMissingReceipt(provider, order, transaction) {
+  if (transaction.block_number && transaction.block_hash) {
+    const block = await provider.getBlock(Number(transaction.block_number));
+    if (block && block.hash !== transaction.block_hash) {
+      await revertPayment(order, transaction, 'Transaction no longer in the canonical chain');
+      return;
+    }
+  }
+
+  const result = await pool.query(
+    `UPDATE checkout_transactions
+     SET missing_receipt_checks = COALESCE(missing_receipt_checks, 0) + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE transaction_hash = $1
+     RETURNING missing_receipt_checks`,
+    [transaction.transaction_hash]
+  );
+  const misses = result.rows[0] ? result.rows[0].missing_receipt_checks : 0;
+
+  if (misses >= MISSING_RECEIPT_LIMIT) {
+    await revertPayment(order, transaction, 'Transaction no longer in the canonical chain');
+  } else {
+    console.warn(`[Checkout] ⚠️ Receipt for payment ${transaction.transaction_hash} not found (${misses}/${MISSING_RECEIPT_LIMIT})`);
+  }
+}
+
+/**
+ * Re-check one recorded payment: advance it to paid once deep enough, follow
+ * it if it was re-mined in another block, or roll the order back if it is gone
+ */
+async function checkPaymentTransaction(transaction) {
+  const orderResult = await pool.query(
+    `SELECT * FROM checkout_orders WHERE order_id = $1`,
+    [transaction.order_id]
+  );
+  const order = orderResult.rows[0];
+  if (!order) {
+    return;
+  }
+
+  const contract = await checkoutContract.getContract(transaction.network);
+  const provider = contract.runner.provider;
+  const receipt = await provider.getTransactionReceipt(transaction.transaction_hash);
+
+  if (!receipt) {
+    await handleMissingReceipt(provider, order, transaction);
+    return;
+  }
+
+  if (receipt.status !== 1) {
+    await revertPayment(order, transaction, 'Transaction reverted after reorg');
+    return;
+  }
+
+  if (transaction.missing_receipt_checks > 0) {
+    await pool.query(
+      `UPDATE checkout_transactions SET missing_receipt_checks = 0, updated_at = CURRENT_TIMESTAMP WHERE transaction_hash = $1`,
+      [transaction.transaction_hash]
+    );
+  }
+
+  if (transaction.block_hash && receipt.blockHash !== transaction.block_hash) {
+    console.log(`[Checkout] 🔄 Payment ${transaction.transaction_hash} re-mined in block ${receipt.blockNumber}`);
+    await pool.query(
+      `UPDATE checkout_transactions SET block_number = $2, block_hash = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE transaction_hash = $1`,
+      [transaction.transaction_hash, receipt.blockNumber, receipt.blockHash]
+    );
+  }
+
+  if (transaction.status !== 'pending_confirmations') {
+    return;
+  }
+
+  const head = await provider.getBlockNumber();
+  const confirmations = head - receipt.blockNumber + 1;
+  const required = getRequiredConfirmations(transaction.network);
+
+  if (confirmations >= required) {
+    await finalizePayment(order, receipt, transaction.network, confirmations);
+  } else {
+    await pool.query(
+      `UPDATE checkout_transactions SET confirmations = $2, updated_at = CURRENT_TIMESTAMP WHERE transaction_hash = $1`,
+      [transaction.transaction_hash, confirmations]
+    );
+  }
+}
+
+/**
+ * Process payments waiting for confirmations and recently confirmed ones (reorg watch)
+ */
+async function processPendingConfirmations() {
+  const result = await pool.query(
+    `SELECT * FROM checkout_transactions
+     WHERE status = 'pending_confirmations'
+        OR (status = 'confirmed' AND confirmed_at > CURRENT_TIMESTAMP - ($1 || ' minutes')::interval)
+     ORDER BY created_at ASC`,
+    [REORG_WATCH_MINUTES.toString()]
+  );
+
+  for (const transaction of result.rows) {
+    try {
+      await checkPaymentTransaction(transaction);
+    } catch (error) {
+      console.error(`[Checkout] Error checking payment ${transaction.transaction_hash}:`, error.message);
+    }
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Run one confirmation pass unless the previous one is still going
+ */
+async function runConfirmationPass() {
+  if (workerRunning) {
+    return;
+  }
+  workerRunning = true;
+  try {
+    await processPendingConfirmations();
+  } catch (error) {
+    console.error('[Checkout] Payment confirmation pass failed:', error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+/**
+ * Start payment confirmation worker (runs every 15 seconds)
+ */
+function startConfirmationWorker() {
+  if (workerInterval) {
+    return;
+  }
+
+  console.log('[Checkout] Starting payment confirmation worker...');
+
+  runConfirmationPass();
+  workerInterval = setInterval(runConfirmationPass, 15000);
+}
+
+module.exports = {
+  PENDING_CONFIRMATIONS_STATUS,
+  getRequiredConfirmations,
+  verifyPaymentReceipt,
+  finalizePayment,
+  checkPaymentTransaction,
+  processPendingConfirmations,
+  startConfirmationWorker
+};
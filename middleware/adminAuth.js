@@ -1,77 +1,124 @@
+const crypto = require('crypto');
+const adminAuthService = require('../services/adminAuthService');
+const siweAuthService = require('../services/siweAuthService');
+const { getSessionToken } = require('./walletAuth');
+
 /**
  * Admin Authentication Middleware
- * Checks if the request is from an authenticated admin user
+ * An admin is one of:
+ * - a SIWE session for a wallet on the admin allowlist (ADMIN_WALLETS or admin_users)
+ * - a hashed admin API token sent as X-Admin-Token
+ * - X-Admin-Secret matching ADMIN_MAINTENANCE_SECRET (break-glass superadmin)
  */
 
-function isAdmin(req) {
-  // Check for admin session token in header
-  const adminToken = req.headers['x-admin-token'];
-  const adminSecret = req.headers['x-admin-secret'];
-  
-  // Check for admin address header (from frontend admin session)
-  const adminAddress = req.headers['x-admin-address'];
-  
-  // Check for admin maintenance secret (for sensitive operations)
-  const requiredSecret = process.env.ADMIN_MAINTENANCE_SECRET;
-  
-  // Simple admin check: if ADMIN_MAINTENANCE_SECRET is set, require it
-  // Otherwise, allow if admin address or admin token is present
-  if (requiredSecret) {
-    if (adminSecret && adminSecret === requiredSecret) {
-      return true;
-    }
+function secretMatches(provided, expected) {
+  if (!provided || !expected) {
+    return false;
   }
-  
-  // Check for admin token (could be session-based)
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Resolve the admin behind a request ({ identity, role, method }) or null.
+ * The result is cached on req.admin.
+ */
+async function authenticateAdmin(req) {
+  if (req.admin !== undefined) {
+    return req.admin;
+  }
+
+  let admin = null;
+
+  const adminToken = req.headers['x-admin-token'];
   if (adminToken) {
-    // In a production system, you would validate this token
-    // For now, we'll accept it if present
-    return true;
+    admin = await adminAuthService.getTokenAdmin(adminToken);
   }
-  
-  // Check for admin address (from frontend admin session)
-  if (adminAddress) {
-    // In a production system, you would verify this address
-    // For now, we'll accept it if present
-    return true;
+
+  if (!admin) {
+    const session = await siweAuthService.getSession(getSessionToken(req));
+    if (session) {
+      admin = await adminAuthService.getWalletAdmin(session.wallet_address);
+    }
   }
-  
-  // Check if request is from admin dashboard (based on referer or origin)
-  const referer = req.headers.referer || '';
-  const origin = req.headers.origin || '';
-  if (referer.includes('/admin') || origin.includes('/admin')) {
-    // This is a simple check - in production, use proper session validation
-    return true;
+
+  if (!admin && secretMatches(req.headers['x-admin-secret'], process.env.ADMIN_MAINTENANCE_SECRET)) {
+    admin = { identity: 'maintenance-secret', role: 'superadmin', method: 'maintenance_secret' };
   }
-  
-  return false;
+
+  req.admin = admin;
+  return admin;
 }
 
 /**
- * Middleware to require admin authentication
+ * Check if the request is from an authenticated admin (any role)
  */
-function requireAdmin(req, res, next) {
-  if (isAdmin(req)) {
-    return next();
+async function isAdmin(req) {
+  try {
+    const admin = await authenticateAdmin(req);
+    return Boolean(admin && adminAuthService.hasPermission(admin.role, 'maintenance.bypass'));
+  } catch (error) {
+    console.error('Error authenticating admin:', error);
+    return false;
   }
-  
-  res.status(403).json({
-    error: 'Forbidden',
-    message: 'Admin authentication required'
-  });
+}
+
+/**
+ * Middleware factory to require an admin whose role grants the permission.
+ * Anything above viewer level is written to the admin audit log, including denials.
+ */
+function requireAdmin(permission) {
+  const audited = adminAuthService.PERMISSIONS[permission] !== 'viewer';
+
+  return async (req, res, next) => {
+    try {
+      const admin = await authenticateAdmin(req);
+
+      if (!admin || !adminAuthService.hasPermission(admin.role, permission)) {
+        const status = admin ? 403 : 401;
+        if (audited) {
+          await adminAuthService.recordAuditEntry({ admin, action: permission, req, statusCode: status, outcome: 'denied' });
+        }
+        return res.status(status).json({
+          error: admin ? 'Forbidden' : 'Unauthorized',
+          message: admin
+            ? `Admin role ${admin.role} does not grant ${permission}`
+            : 'Admin authentication required'
+        });
+      }
+
+      if (audited) {
+        res.on('finish', () => {
+          adminAuthService.recordAuditEntry({
+            admin,
+            action: permission,
+            req,
+            statusCode: res.statusCode,
+            outcome: res.statusCode < 400 ? 'success' : 'failed'
+          });
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error authenticating admin:', error);
+      next(error);
+    }
+  };
 }
 
 /**
  * Middleware to check admin status (doesn't block, just adds to request)
  */
-function checkAdmin(req, res, next) {
-  req.isAdmin = isAdmin(req);
+async function checkAdmin(req, res, next) {
+  req.isAdmin = await isAdmin(req);
   next();
 }
 
 module.exports = {
+  authenticateAdmin,
   isAdmin,
   requireAdmin,
   checkAdmin
 };
-
@@ -1,26 +1,189 @@
 const apiKeyService = require('../services/apiKeyService');
+const rateLimitService = require('../services/rateLimitService');
+const { verifyRequestSignature, DEFAULT_TOLERANCE_SECONDS } = require('../utils/requestSignature');
+const { isTestKey, runWithKeyMode } = require('../utils/sandbox');
 const { Pool } = require('pg');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+/**
+ * Extract the API key from the Authorization (Bearer) or X-API-Key header
+ */
+function getRequestApiKey(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7); // Remove 'Bearer ' prefix
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * body-parser `verify` hook: keep the exact request bytes for signature checks
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
+/**
+ * Check the HMAC request signature (see utils/requestSignature).
+ * Sent signatures are always verified; keys with require_signed_requests reject
+ * unsigned calls. Returns the reason the request is rejected, or null.
+ */
+async function checkRequestSignature(req, keyData) {
+  const signature = req.headers['x-signature'];
+  const timestamp = req.headers['x-timestamp'];
+
+  if (!signature && !timestamp) {
+    return keyData.require_signed_requests
+      ? 'This API key requires signed requests (X-Timestamp and X-Signature headers)'
+      : null;
+  }
+
+  if (keyData.key_type !== 'api_key' || !keyData.api_secret) {
+    return 'Request signing is only available for keys created with POST /api/api-keys';
+  }
+
+  const verification = verifyRequestSignature(keyData.api_secret, {
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody,
+    timestamp,
+    signature
+  });
+
+  if (!verification.valid) {
+    return verification.reason;
+  }
+
+  // Each signature is accepted once while its timestamp is inside the tolerance window
+  const expiresAt = new Date((verification.timestamp + DEFAULT_TOLERANCE_SECONDS) * 1000);
+  const firstUse = await apiKeyService.recordRequestSignature(keyData.id, verification.signature, expiresAt);
+  if (!firstUse) {
+    return 'Signature has already been used';
+  }
+
+  req.signedRequest = true;
+  return null;
+}
+
+/**
+ * Count the request against burst/sustained rate and daily/monthly quotas
+ * (per key, or per app for app-level keys) and set the X-RateLimit-* headers.
+ * Sends the 429 and returns false when a limit is exceeded.
+ */
+async function enforceRateLimit(res, keyData) {
+  const rateLimitStatus = await rateLimitService.consume(keyData);
+  res.set(rateLimitService.getHeaders(rateLimitStatus));
+
+  if (!rateLimitStatus.allowed) {
+    const quotaPeriod = { daily_quota: 'Daily', monthly_quota: 'Monthly' }[rateLimitStatus.limitType];
+    res.status(429).json({
+      error: quotaPeriod ? 'Quota exceeded' : 'Rate limit exceeded',
+      message: quotaPeriod
+        ? `${quotaPeriod} quota of ${rateLimitStatus[quotaPeriod.toLowerCase()].limit} requests exceeded`
+        : `Rate limit of ${rateLimitStatus.rateLimit} requests per minute (burst ${rateLimitStatus.burstLimit}) exceeded`,
+      limitType: rateLimitStatus.limitType,
+      retryAfter: rateLimitStatus.retryAfter
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Resolve an API key to its owner and scopes.
+ * Key types: api_key (api_keys table), app (apps.api_key),
+ * checkout_app (checkout_apps) and vendor (legacy vendor_api_keys).
+ * test_mode is set for ep_test_ / ck_test_ keys (app and vendor keys are always live)
+ */
+async function resolveApiKey(apiKey, keyTypes = ['api_key', 'app', 'checkout_app', 'vendor']) {
+  if (keyTypes.includes('api_key')) {
+    const keyData = await apiKeyService.verifyApiKey(apiKey);
+    if (keyData) {
+      return { ...keyData, key_type: 'api_key', scopes: apiKeyService.getKeyScopes(keyData), test_mode: isTestKey(apiKey) };
+    }
+  }
+
+  if (keyTypes.includes('app')) {
+    const appResult = await pool.query(
+      `SELECT app_id, vendor_address, name, active, api_key_scopes FROM apps WHERE api_key = $1 AND active = true`,
+      [apiKey]
+    );
+
+    if (appResult.rows.length > 0) {
+      const app = appResult.rows[0];
+      const scopes = app.api_key_scopes?.length ? app.api_key_scopes : apiKeyService.APP_KEY_DEFAULT_SCOPES;
+      // Create a keyData-like object from app
+      return {
+        id: null, // No api_keys table ID
+        key_type: 'app',
+        app_id: app.app_id,
+        app_name: app.name,
+        vendor_address: app.vendor_address,
+        permission_level: 'read', // Legacy permission for app-level keys
+        scopes,
+        test_mode: false,
+        active: true
+      };
+    }
+  }
+
+  if (keyTypes.includes('checkout_app')) {
+    const checkoutResult = await pool.query(
+      `SELECT id, vendor_address, app_name, scopes FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
+      [apiKey]
+    );
+
+    if (checkoutResult.rows.length > 0) {
+      const checkoutApp = checkoutResult.rows[0];
+      return {
+        id: null,
+        key_type: 'checkout_app',
+        app_id: `checkout_${checkoutApp.id}`,
+        app_name: checkoutApp.app_name,
+        vendor_address: checkoutApp.vendor_address,
+        scopes: checkoutApp.scopes?.length ? checkoutApp.scopes : apiKeyService.CHECKOUT_KEY_DEFAULT_SCOPES,
+        test_mode: isTestKey(apiKey),
+        active: true
+      };
+    }
+  }
+
+  if (keyTypes.includes('vendor')) {
+    const vendorResult = await pool.query(
+      `SELECT id, vendor_address FROM vendor_api_keys WHERE api_key = $1 AND active = true`,
+      [apiKey]
+    );
+
+    if (vendorResult.rows.length > 0) {
+      return {
+        id: null,
+        key_type: 'vendor',
+        app_id: null,
+        vendor_address: vendorResult.rows[0].vendor_address,
+        scopes: apiKeyService.CHECKOUT_KEY_DEFAULT_SCOPES,
+        test_mode: false,
+        active: true
+      };
+    }
+  }
+
+  return null;
+}
+
 /**
  * API Key Authentication Middleware
- * Validates Bearer token and attaches API key info to request
+ * Validates Bearer token and attaches API key info (with its scopes) to request
  * Supports both api_keys table and apps.api_key column
+ * Verifies HMAC request signatures when sent (required for keys with require_signed_requests)
+ * The rest of the request runs in the key's mode (test-mode keys use the sandbox network)
  */
 async function apiKeyAuth(req, res, next) {
   try {
-    // Extract API key from Authorization header or X-API-Key header
-    let apiKey = null;
-    
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      apiKey = authHeader.substring(7); // Remove 'Bearer ' prefix
-    } else if (req.headers['x-api-key']) {
-      apiKey = req.headers['x-api-key'];
-    }
+    const apiKey = getRequestApiKey(req);
     
     if (!apiKey) {
       return res.status(401).json({
@@ -30,29 +193,7 @@ async function apiKeyAuth(req, res, next) {
     }
 
     // Verify API key - check both api_keys table and apps.api_key
-    let keyData = await apiKeyService.verifyApiKey(apiKey);
-    
-    // If not found in api_keys table, check apps table's api_key column
-    if (!keyData) {
-      const appResult = await pool.query(
-        `SELECT app_id, vendor_address, name, active
-         FROM apps
-         WHERE api_key = $1 AND active = true`,
-        [apiKey]
-      );
-      
-      if (appResult.rows.length > 0) {
-        const app = appResult.rows[0];
-        // Create a keyData-like object from app
-        keyData = {
-          id: null, // No api_keys table ID
-          app_id: app.app_id,
-          app_name: app.name,
-          permission_level: 'read', // Default permission for app-level keys
-          active: true
-        };
-      }
-    }
+    const keyData = await resolveApiKey(apiKey, ['api_key', 'app']);
     
     if (!keyData) {
       return res.status(401).json({
@@ -61,31 +202,16 @@ async function apiKeyAuth(req, res, next) {
       });
     }
 
-    // Check rate limit (only for api_keys table entries, skip for app-level keys)
-    let rateLimitStatus = null;
-    if (keyData.id) {
-      rateLimitStatus = await apiKeyService.getRateLimitStatus(keyData.id);
-      
-      if (rateLimitStatus.requestCount >= rateLimitStatus.rateLimit) {
-        res.set({
-          'X-RateLimit-Limit': rateLimitStatus.rateLimit.toString(),
-          'X-RateLimit-Remaining': '0',
-          'X-RateLimit-Reset': rateLimitStatus.resetAt.toISOString()
-        });
-        
-        return res.status(429).json({
-          error: 'Rate limit exceeded',
-          message: `Rate limit of ${rateLimitStatus.rateLimit} requests per minute exceeded`,
-          retryAfter: Math.ceil((rateLimitStatus.resetAt - Date.now()) / 1000)
-        });
-      }
-    } else {
-      // For app-level keys, use default rate limit (60 req/min)
-      rateLimitStatus = {
-        rateLimit: 60,
-        remaining: 60,
-        resetAt: new Date(Date.now() + 60000)
-      };
+    const signatureError = await checkRequestSignature(req, keyData);
+    if (signatureError) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: signatureError
+      });
+    }
+
+    if (!(await enforceRateLimit(res, keyData))) {
+      return;
     }
 
     // Attach API key data to request
@@ -93,21 +219,12 @@ async function apiKeyAuth(req, res, next) {
     req.apiKeyId = keyData.id; // May be null for app-level keys
     req.appId = keyData.app_id;
 
-    // Set rate limit headers
-    if (rateLimitStatus) {
-      res.set({
-        'X-RateLimit-Limit': rateLimitStatus.rateLimit.toString(),
-        'X-RateLimit-Remaining': rateLimitStatus.remaining.toString(),
-        'X-RateLimit-Reset': rateLimitStatus.resetAt.toISOString()
-      });
-    }
-
     // Update last used timestamp (only for api_keys table entries)
     if (keyData.id) {
       apiKeyService.updateLastUsed(keyData.id).catch(console.error);
     }
 
-    next();
+    runWithKeyMode(keyData.test_mode, next);
   } catch (error) {
     console.error('[API Key Auth] Error:', error);
     return res.status(500).json({
@@ -117,9 +234,78 @@ async function apiKeyAuth(req, res, next) {
   }
 }
 
+/**
+ * Scope check middleware
+ * Uses the key attached by apiKeyAuth, or resolves the X-API-Key header to a
+ * key of any type (for routers that read X-API-Key themselves, e.g.
+ * /api/webhooks and /api/checkout).
+ * With { optional: true } requests without a key pass through unchecked.
+ * A key resolved here is rate limited and sets the key mode for the rest of the
+ * request, as in apiKeyAuth.
+ */
+function requireScope(scope, options = {}) {
+  const { optional = false } = options;
+
+  return async (req, res, next) => {
+    try {
+      const resolvedHere = !req.apiKey;
+
+      if (!req.apiKey) {
+        const apiKey = req.headers['x-api-key'];
+        const keyData = apiKey ? await resolveApiKey(apiKey) : null;
+
+        if (!keyData) {
+          if (optional && !apiKey) {
+            return next();
+          }
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: apiKey ? 'Invalid or revoked API key' : 'API key authentication required'
+          });
+        }
+
+        const signatureError = await checkRequestSignature(req, keyData);
+        if (signatureError) {
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: signatureError
+          });
+        }
+
+        if (!(await enforceRateLimit(res, keyData))) {
+          return;
+        }
+
+        req.apiKey = keyData;
+      }
+
+      const scopes = req.apiKey.scopes || apiKeyService.getKeyScopes(req.apiKey);
+      if (!scopes.includes(scope)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `This endpoint requires the ${scope} scope`,
+          requiredScope: scope,
+          scopes
+        });
+      }
+
+      if (resolvedHere) {
+        return runWithKeyMode(req.apiKey.test_mode, next);
+      }
+      next();
+    } catch (error) {
+      console.error('[API Key Auth] Scope check error:', error);
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to check API key scopes'
+      });
+    }
+  };
+}
+
 /**
  * Permission check middleware
- * Requires specific permission level
+ * Requires specific permission level (superseded by requireScope)
  */
 function requirePermission(requiredPermission) {
   return (req, res, next) => {
@@ -179,6 +365,9 @@ function logApiRequest(req, res, next) {
 
 module.exports = {
   apiKeyAuth,
+  requireScope,
+  resolveApiKey,
+  captureRawBody,
   requirePermission,
   logApiRequest
 };
@@ -89,7 +89,7 @@ async function dynamicCors(req, res, next) {
         res.setHeader('Access-Control-Allow-Origin', '*');
       }
       res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
       if (origin) {
         res.setHeader('Access-Control-Allow-Credentials', 'true');
       }
@@ -103,7 +103,7 @@ async function dynamicCors(req, res, next) {
     if (origin === 'null' || (!origin && process.env.NODE_ENV !== 'production')) {
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
       res.setHeader('Access-Control-Allow-Credentials', 'true');
       return res.status(200).end();
     }
@@ -135,7 +135,7 @@ async function dynamicCors(req, res, next) {
           if (isDomainAllowed(domain, allowedDomains)) {
             res.setHeader('Access-Control-Allow-Origin', origin);
             res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-            res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
             res.setHeader('Access-Control-Allow-Credentials', 'true');
             res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
             return res.status(200).end();
@@ -149,7 +149,7 @@ async function dynamicCors(req, res, next) {
     // Default OPTIONS response
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
     return res.status(200).end();
   }
   
@@ -169,14 +169,14 @@ async function dynamicCors(req, res, next) {
     if (origin) {
       res.setHeader('Access-Control-Allow-Origin', origin);
       res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
       res.setHeader('Access-Control-Allow-Credentials', 'true');
     } else {
       // No origin - allow from anywhere in development
       if (process.env.NODE_ENV !== 'production') {
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
       }
     }
     return next();
@@ -192,7 +192,7 @@ async function dynamicCors(req, res, next) {
     // Set permissive CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     
     // If no API key provided with null origin, still allow (for development)
@@ -220,12 +220,12 @@ async function dynamicCors(req, res, next) {
     if (origin) {
       res.setHeader('Access-Control-Allow-Origin', origin);
       res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
       res.setHeader('Access-Control-Allow-Credentials', 'true');
     } else {
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
     }
     return next();
   }
@@ -237,12 +237,12 @@ async function dynamicCors(req, res, next) {
     if (origin) {
       res.setHeader('Access-Control-Allow-Origin', origin);
       res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
       res.setHeader('Access-Control-Allow-Credentials', 'true');
     } else {
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
     }
     return next();
   }
@@ -307,7 +307,7 @@ async function dynamicCors(req, res, next) {
     // Validation passed - set CORS headers dynamically
     res.setHeader('Access-Control-Allow-Origin', origin);
     res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     
     // Attach app info to request for use in route handlers
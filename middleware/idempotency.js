@@ -0,0 +1,100 @@
+const idempotencyService = require('../services/idempotencyService');
+
+/**
+ * Owner of stored idempotency keys: the api_keys row, or the app / checkout app / vendor key
+ */
+function getOwnerKey(keyData) {
+  if (keyData.id) {
+    return `key:${keyData.id}`;
+  }
+  if (keyData.app_id) {
+    return `${keyData.key_type || 'app'}:${keyData.app_id}`;
+  }
+  return `vendor:${keyData.vendor_address.toLowerCase()}`;
+}
+
+/**
+ * Idempotency-Key middleware for endpoints that create orders or mint.
+ * Runs after apiKeyAuth / requireScope, since keys are stored per API key.
+ * - first request: processed normally, the response is stored once the handler ends it
+ *   (5xx responses are not, so they can be retried; a client disconnect does not release the key)
+ * - same key and body again: the stored response is returned with Idempotent-Replayed: true
+ * - same key with a different body or endpoint, or while the first is still running: 409
+ *   (a key left running past the service's lock, e.g. after a crash, is taken over instead)
+ * Requests without the header (or without an API key) are processed normally.
+ */
+async function idempotentRequest(req, res, next) {
+  const idempotencyKey = req.headers['idempotency-key'];
+  if (!idempotencyKey || !req.apiKey) {
+    return next();
+  }
+
+  if (idempotencyKey.length > idempotencyService.MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: `Idempotency-Key must be at most ${idempotencyService.MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const ownerKey = getOwnerKey(req.apiKey);
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const fingerprint = idempotencyService.fingerprintRequest(endpoint, req.body);
+
+  try {
+    const claim = await idempotencyService.claimKey(ownerKey, idempotencyKey, { endpoint, fingerprint });
+
+    if (!claim.claimed) {
+      const { record } = claim;
+
+      if (record.endpoint !== endpoint || record.request_fingerprint !== fingerprint) {
+        return res.status(409).json({
+          error: 'Idempotency key conflict',
+          message: 'This Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (record.status !== 'completed') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  // Settle the key when the handler (or the error handler after next(err)) ends
+  // the response, not on socket close: a client that disconnects mid-request must
+  // not free the key while the order / mint is still being processed.
+  let settled = false;
+  const originalEnd = res.end.bind(res);
+  res.end = (...args) => {
+    if (!settled) {
+      settled = true;
+      const stored = res.statusCode < 500
+        ? idempotencyService.completeKey(ownerKey, idempotencyKey, { statusCode: res.statusCode, body: responseBody })
+        : idempotencyService.releaseKey(ownerKey, idempotencyKey);
+
+      stored.catch(error => console.error('[Idempotency] Error storing response:', error.message));
+    }
+    return originalEnd(...args);
+  };
+
+  next();
+}
+
+module.exports = {
+  idempotentRequest
+};
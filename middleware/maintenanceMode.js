@@ -14,7 +14,7 @@ function checkMaintenanceMode(entityType) {
   return async (req, res, next) => {
     try {
       // Check if user is admin - admins can bypass maintenance mode
-      if (isAdmin(req)) {
+      if (await isAdmin(req)) {
         return next();
       }
 
@@ -54,7 +54,7 @@ function checkMaintenanceModeMultiple(entityTypes) {
   return async (req, res, next) => {
     try {
       // Check if user is admin - admins can bypass maintenance mode
-      if (isAdmin(req)) {
+      if (await isAdmin(req)) {
         return next();
       }
 
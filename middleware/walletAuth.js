@@ -0,0 +1,75 @@
+const siweAuthService = require('../services/siweAuthService');
+
+/**
+ * Wallet Session Middleware
+ * Resolves a SIWE session token (Authorization: Bearer <token> or X-Session-Token)
+ * and binds the signed-in wallet to req.walletAddress
+ */
+function getSessionToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  return req.headers['x-session-token'] || null;
+}
+
+/**
+ * Check that the signed-in wallet is the given address
+ */
+function isWalletOwner(req, address) {
+  return Boolean(address && req.walletAddress && address.toLowerCase() === req.walletAddress);
+}
+
+/**
+ * Middleware to require a valid wallet session
+ */
+async function requireWallet(req, res, next) {
+  try {
+    const session = await siweAuthService.getSession(getSessionToken(req));
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Sign in with Ethereum required. Use: Authorization: Bearer <SESSION_TOKEN>'
+      });
+    }
+
+    req.walletAddress = session.wallet_address.toLowerCase();
+    req.walletSession = session;
+    next();
+  } catch (error) {
+    console.error('Error validating wallet session:', error);
+    next(error);
+  }
+}
+
+/**
+ * Middleware factory that requires a wallet session for the address the request acts on.
+ * getAddress(req) returns that address (e.g. from params, body or query).
+ */
+function requireWalletFor(getAddress) {
+  return (req, res, next) => {
+    requireWallet(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+
+      const address = getAddress(req);
+      if (address && !isWalletOwner(req, address)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Signed-in wallet does not own this address'
+        });
+      }
+
+      next();
+    });
+  };
+}
+
+module.exports = {
+  getSessionToken,
+  isWalletOwner,
+  requireWallet,
+  requireWalletFor
+};
@@ -3,7 +3,12 @@ const router = express.Router();
 const { Pool } = require('pg');
 const { ethers } = require('ethers');
 const contractService = require('../services/contractService');
+const blockchainIndexerService = require('../services/blockchainIndexerService');
+const subscriptionExpiryService = require('../services/subscriptionExpiryService');
+const rateLimitService = require('../services/rateLimitService');
 const { getNetworkFromRequest } = require('../utils/networkHelper');
+const adminAuthService = require('../services/adminAuthService');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -14,10 +19,11 @@ const pool = new Pool({
  * Danger Zone: clears all DB tables except vendor identity tables.
  *
  * Safeguards:
+ * - requires a superadmin
  * - requires adminSecret to match ADMIN_MAINTENANCE_SECRET
  * - requires confirmation phrase
  */
-router.post('/db-cleanup', async (req, res) => {
+router.post('/db-cleanup', requireAdmin('db.cleanup'), async (req, res) => {
   const requiredSecret = process.env.ADMIN_MAINTENANCE_SECRET;
   const { adminSecret, confirmation } = req.body || {};
 
@@ -42,7 +48,7 @@ router.post('/db-cleanup', async (req, res) => {
     });
   }
 
-  const preservedTables = ['vendor_profiles', 'vendor_api_keys'];
+  const preservedTables = ['vendor_profiles', 'vendor_api_keys', 'admin_users', 'admin_api_tokens', 'admin_audit_log'];
 
   const client = await pool.connect();
   try {
@@ -92,7 +98,7 @@ router.post('/db-cleanup', async (req, res) => {
  * GET /api/admin/plans
  * Get all plans with pagination, search, and sorting
  */
-router.get('/plans', async (req, res, next) => {
+router.get('/plans', requireAdmin('admin.read'), async (req, res, next) => {
   try {
     const { page = 1, limit = 25, search = '', sortBy = 'created_at', sortOrder = 'desc' } = req.query;
     const offset = (page - 1) * limit;
@@ -157,7 +163,7 @@ router.get('/plans', async (req, res, next) => {
  * GET /api/admin/subscriptions
  * Get all subscriptions with pagination, search, and sorting
  */
-router.get('/subscriptions', async (req, res, next) => {
+router.get('/subscriptions', requireAdmin('admin.read'), async (req, res, next) => {
   try {
     const { page = 1, limit = 25, search = '', sortBy = 'created_at', sortOrder = 'desc', status } = req.query;
     const offset = (page - 1) * limit;
@@ -283,7 +289,7 @@ router.get('/subscriptions', async (req, res, next) => {
  * GET /api/admin/vendors
  * Get all vendors with pagination, search, and sorting
  */
-router.get('/vendors', async (req, res, next) => {
+router.get('/vendors', requireAdmin('admin.read'), async (req, res, next) => {
   try {
     const { page = 1, limit = 25, search = '', sortBy = 'created_at', sortOrder = 'desc' } = req.query;
     const offset = (page - 1) * limit;
@@ -411,7 +417,7 @@ router.get('/vendors', async (req, res, next) => {
  * GET /api/admin/customers
  * Get all customers with pagination, search, and sorting
  */
-router.get('/customers', async (req, res, next) => {
+router.get('/customers', requireAdmin('admin.read'), async (req, res, next) => {
   try {
     const { page = 1, limit = 25, search = '', sortBy = 'last_active', sortOrder = 'desc' } = req.query;
     const offset = (page - 1) * limit;
@@ -497,11 +503,69 @@ router.get('/customers', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/admin/indexer/status
+ * Block cursor per network for the blockchain event indexer
+ */
+router.get('/indexer/status', requireAdmin('indexer.read'), async (req, res, next) => {
+  try {
+    const status = await blockchainIndexerService.getIndexerStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error fetching indexer status:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/expiry-checker/status
+ * Latest subscription expiry checker run per network
+ */
+router.get('/expiry-checker/status', requireAdmin('expiry_checker.read'), async (req, res, next) => {
+  try {
+    const runs = await subscriptionExpiryService.getExpiryCheckerStatus();
+
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    console.error('Error fetching expiry checker status:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/expiry-checker/run
+ * Run the subscription expiry checker now (all networks, or body.network)
+ */
+router.post('/expiry-checker/run', requireAdmin('expiry_checker.run'), async (req, res, next) => {
+  try {
+    const { network } = req.body || {};
+
+    const summaries = network
+      ? [await subscriptionExpiryService.checkExpiredSubscriptions(network)]
+      : await subscriptionExpiryService.checkAllNetworks();
+
+    res.json({
+      success: true,
+      data: summaries
+    });
+  } catch (error) {
+    console.error('Error running expiry checker:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/admin/maintenance-mode
  * Get current maintenance mode status for all entity types
  */
-router.get('/maintenance-mode', async (req, res, next) => {
+router.get('/maintenance-mode', requireAdmin('maintenance.read'), async (req, res, next) => {
   try {
     const result = await pool.query(
       `SELECT * FROM maintenance_mode ORDER BY entity_type`
@@ -534,10 +598,10 @@ router.get('/maintenance-mode', async (req, res, next) => {
  * Enable/disable maintenance mode for an entity type
  * Body: { entityType: 'vendor'|'customer'|'api'|'package', enabled: boolean, message?: string }
  */
-router.post('/maintenance-mode', async (req, res, next) => {
+router.post('/maintenance-mode', requireAdmin('maintenance.toggle'), async (req, res, next) => {
   try {
     const { entityType, enabled, message } = req.body;
-    const enabledBy = req.headers['x-admin-address'] || req.headers['x-vendor-address'] || 'admin';
+    const enabledBy = req.admin.identity;
 
     if (!entityType || typeof enabled !== 'boolean') {
       return res.status(400).json({
@@ -631,5 +695,294 @@ router.post('/maintenance-mode', async (req, res, next) => {
   }
 });
 
-module.exports = router;
+/**
+ * GET /api/admin/rate-limit-tiers
+ * Rate limit tiers (burst, per-minute rate, daily/monthly quotas) and the vendors assigned to each
+ */
+router.get('/rate-limit-tiers', requireAdmin('rate_limits.read'), async (req, res, next) => {
+  try {
+    const tiers = await rateLimitService.getTiers();
+    const vendorCounts = await pool.query(
+      `SELECT COALESCE(rate_limit_tier, $1) AS tier, COUNT(*) AS vendors
+       FROM vendor_profiles
+       GROUP BY COALESCE(rate_limit_tier, $1)`,
+      [rateLimitService.DEFAULT_TIER]
+    );
+
+    const counts = {};
+    vendorCounts.rows.forEach(row => {
+      counts[row.tier] = parseInt(row.vendors);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        defaultTier: rateLimitService.DEFAULT_TIER,
+        tiers: Object.entries(tiers).map(([name, limits]) => ({
+          name,
+          ...limits,
+          vendors: counts[name] || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching rate limit tiers:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/vendors/:vendorAddress/rate-limit-tier
+ * Move a vendor's API keys to another rate limit tier
+ * Body: { tier: 'free'|'pro'|'enterprise'|... }
+ */
+router.put('/vendors/:vendorAddress/rate-limit-tier', requireAdmin('rate_limits.manage'), async (req, res, next) => {
+  try {
+    const { vendorAddress } = req.params;
+    const { tier } = req.body;
+
+    if (!ethers.isAddress(vendorAddress)) {
+      return res.status(400).json({ error: 'Invalid vendor address' });
+    }
+
+    const availableTiers = await rateLimitService.getTiers();
+    if (!tier || !availableTiers[tier]) {
+      return res.status(400).json({
+        error: 'Invalid tier',
+        message: `tier must be one of: ${Object.keys(availableTiers).join(', ')}`
+      });
+    }
+
+    const profileResult = await pool.query(
+      `INSERT INTO vendor_profiles (vendor_address, rate_limit_tier, updated_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (vendor_address)
+       DO UPDATE SET rate_limit_tier = EXCLUDED.rate_limit_tier, updated_at = CURRENT_TIMESTAMP
+       RETURNING vendor_address, rate_limit_tier`,
+      [vendorAddress.toLowerCase(), tier]
+    );
+
+    rateLimitService.clearLimitsCache();
+
+    res.json({
+      success: true,
+      data: {
+        vendorAddress: profileResult.rows[0].vendor_address,
+        tier: profileResult.rows[0].rate_limit_tier,
+        limits: availableTiers[tier]
+      }
+    });
+  } catch (error) {
+    console.error('Error updating vendor rate limit tier:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/api-keys/:id/rate-limits
+ * Per-key overrides on top of the vendor's tier
+ * Body: { burstLimit?, rateLimit?, dailyQuota?, monthlyQuota? } (null = use the tier's value)
+ */
+router.put('/api-keys/:id/rate-limits', requireAdmin('rate_limits.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const fields = {
+      burstLimit: 'burst_limit',
+      rateLimit: 'rate_limit',
+      dailyQuota: 'daily_quota',
+      monthlyQuota: 'monthly_quota'
+    };
+
+    const updates = [];
+    const updateParams = [];
+    for (const [field, column] of Object.entries(fields)) {
+      if (req.body[field] === undefined) {
+        continue;
+      }
+
+      const value = req.body[field];
+      if (value !== null && (!Number.isInteger(value) || value < 1)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `${field} must be a positive integer or null`
+        });
+      }
+
+      updateParams.push(value);
+      updates.push(`${column} = $${updateParams.length}`);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `Provide at least one of: ${Object.keys(fields).join(', ')}`
+      });
+    }
+
+    updateParams.push(id);
+    const keyResult = await pool.query(
+      `UPDATE api_keys
+       SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${updateParams.length}
+       RETURNING id, app_id, burst_limit, rate_limit, daily_quota, monthly_quota`,
+      updateParams
+    );
+
+    if (keyResult.rows.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    rateLimitService.clearLimitsCache();
+
+    res.json({
+      success: true,
+      data: keyResult.rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating API key rate limits:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/me
+ * The authenticated admin and their role
+ */
+router.get('/me', requireAdmin('admin.read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      identity: req.admin.identity,
+      role: req.admin.role,
+      method: req.admin.method,
+      permissions: Object.keys(adminAuthService.PERMISSIONS).filter(p => adminAuthService.hasPermission(req.admin.role, p))
+    }
+  });
+});
+
+/**
+ * GET /api/admin/admins
+ * List admin wallets and admin API tokens
+ */
+router.get('/admins', requireAdmin('admins.manage'), async (req, res, next) => {
+  try {
+    const admins = await adminAuthService.listAdmins();
+    res.json({ success: true, data: admins });
+  } catch (error) {
+    console.error('Error listing admins:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/admins
+ * Add an admin wallet or change its role
+ * Body: { walletAddress, role: 'viewer'|'operator'|'superadmin' }
+ */
+router.post('/admins', requireAdmin('admins.manage'), async (req, res, next) => {
+  try {
+    const { walletAddress, role } = req.body || {};
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'A valid walletAddress is required' });
+    }
+
+    const admin = await adminAuthService.upsertAdminWallet(walletAddress, role, req.admin.identity);
+    res.json({ success: true, data: admin });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error saving admin wallet:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/admins/:walletAddress
+ * Remove an admin wallet
+ */
+router.delete('/admins/:walletAddress', requireAdmin('admins.manage'), async (req, res, next) => {
+  try {
+    const { walletAddress } = req.params;
 
+    if (walletAddress.toLowerCase() === req.admin.identity) {
+      return res.status(400).json({ error: 'Admins cannot remove themselves' });
+    }
+
+    const removed = await adminAuthService.removeAdminWallet(walletAddress);
+    if (!removed) {
+      return res.status(404).json({ error: 'Admin wallet not found' });
+    }
+
+    res.json({ success: true, walletAddress: walletAddress.toLowerCase() });
+  } catch (error) {
+    console.error('Error removing admin wallet:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/tokens
+ * Create an admin API token (returned once, stored hashed)
+ * Body: { name, role: 'viewer'|'operator'|'superadmin' }
+ */
+router.post('/tokens', requireAdmin('admins.manage'), async (req, res, next) => {
+  try {
+    const { name, role } = req.body || {};
+
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const token = await adminAuthService.createAdminToken(name, role, req.admin.identity);
+    res.status(201).json({
+      success: true,
+      data: token,
+      message: 'Store this token securely. It will not be shown again.'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating admin token:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/tokens/:tokenId
+ * Revoke an admin API token
+ */
+router.delete('/tokens/:tokenId', requireAdmin('admins.manage'), async (req, res, next) => {
+  try {
+    const revoked = await adminAuthService.revokeAdminToken(req.params.tokenId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Admin token not found' });
+    }
+
+    res.json({ success: true, tokenId: req.params.tokenId });
+  } catch (error) {
+    console.error('Error revoking admin token:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Privileged admin actions, newest first
+ * Query: action, admin, limit, offset
+ */
+router.get('/audit-log', requireAdmin('audit.read'), async (req, res, next) => {
+  try {
+    const { action, admin, limit, offset } = req.query;
+    const entries = await adminAuthService.getAuditLog({ action, adminIdentity: admin, limit, offset });
+
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    console.error('Error fetching admin audit log:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
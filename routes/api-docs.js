@@ -1,5 +1,9 @@
 const express = require('express');
 const router = express.Router();
+const { API_KEY_SCOPES, PERMISSION_LEVEL_SCOPES, APP_KEY_DEFAULT_SCOPES, CHECKOUT_KEY_DEFAULT_SCOPES } = require('../services/apiKeyService');
+const { DEFAULT_TIERS, DEFAULT_TIER } = require('../services/rateLimitService');
+const { IDEMPOTENCY_KEY_TTL_HOURS } = require('../services/idempotencyService');
+const { SANDBOX_NETWORK, TEST_KEY_PREFIXES } = require('../utils/sandbox');
 
 /**
  * GET /api/docs
@@ -13,22 +17,80 @@ router.get('/', (req, res) => {
     authentication: {
       type: 'Bearer Token',
       header: 'Authorization: Bearer <API_KEY>',
-      description: 'All API requests require a valid API key in the Authorization header'
+      description: 'All API requests require a valid API key in the Authorization header',
+      scopes: {
+        description: 'Each endpoint requires one scope. Assign scopes when creating a key (POST /api/api-keys { scopes }); requests without it get 403.',
+        available: API_KEY_SCOPES,
+        enforcedOn: ['/api/integration', '/api/webhooks (webhooks:manage)', '/api/checkout (checkout:create, webhooks:manage when X-API-Key is sent)', 'DELETE /api/integration/sandbox and /api/checkout/sandbox (sandbox:manage)'],
+        defaults: {
+          'permissionLevel read': PERMISSION_LEVEL_SCOPES.read,
+          'permissionLevel read-write': PERMISSION_LEVEL_SCOPES['read-write'],
+          'app-level key (apps.api_key)': APP_KEY_DEFAULT_SCOPES,
+          'checkout app key': CHECKOUT_KEY_DEFAULT_SCOPES
+        }
+      },
+      signedRequests: {
+        description: 'Optional HMAC signing for server-to-server calls. Signatures are verified whenever sent; keys with requireSignedRequests reject unsigned calls (PUT /api/api-keys/:id/signed-requests).',
+        headers: {
+          'X-API-Key': 'API key (keys created with POST /api/api-keys)',
+          'X-Timestamp': 'Unix seconds, within 5 minutes of server time',
+          'X-Signature': 'HMAC-SHA256 hex of the canonical request'
+        },
+        signingKey: 'SHA-256 hex of the API secret',
+        canonicalRequest: '<timestamp>\\n<METHOD>\\n<path with query>\\n<SHA-256 hex of raw body>',
+        replayProtection: 'Each signature is accepted once',
+        helper: '/cdn/request-sign.js'
+      }
     },
     rateLimits: {
-      default: '60 requests per minute per API key',
+      description: 'Each API key has a token bucket (burst limit, refilled at the per-minute rate) plus daily and monthly quotas (UTC). Limits follow the vendor\'s tier; individual keys can have overrides. App-level keys share one bucket per app.',
+      defaultTier: DEFAULT_TIER,
+      tiers: DEFAULT_TIERS,
       headers: {
-        'X-RateLimit-Limit': 'Maximum requests allowed',
-        'X-RateLimit-Remaining': 'Remaining requests in current window',
-        'X-RateLimit-Reset': 'Timestamp when rate limit resets'
+        'X-RateLimit-Limit': 'Sustained requests per minute',
+        'X-RateLimit-Burst': 'Maximum requests allowed in a burst',
+        'X-RateLimit-Remaining': 'Requests available right now',
+        'X-RateLimit-Reset': 'Timestamp when the burst allowance is full again',
+        'X-Quota-Daily-Limit': 'Requests allowed per UTC day (omitted when unlimited)',
+        'X-Quota-Daily-Remaining': 'Requests left today',
+        'X-Quota-Monthly-Limit': 'Requests allowed per UTC month (omitted when unlimited)',
+        'X-Quota-Monthly-Remaining': 'Requests left this month',
+        'Retry-After': 'Seconds to wait before retrying (429 responses only)'
+      },
+      exceeded: {
+        status: 429,
+        body: {
+          error: 'Rate limit exceeded | Quota exceeded',
+          limitType: 'burst | daily_quota | monthly_quota',
+          retryAfter: 'seconds'
+        }
+      },
+      usage: 'GET /api/api-keys/:id/stats returns the key\'s limits, current usage and daily request history'
+    },
+    idempotency: {
+      header: 'Idempotency-Key: <unique string, max 255 characters>',
+      description: 'Safely retry order creation and minting. The first response is stored per API key; a retry with the same key and body returns it again (Idempotent-Replayed: true) instead of creating a second order or NFT. Responses with 5xx status are not stored, so those requests can be retried.',
+      endpoints: ['POST /api/integration/checkout', 'POST /api/integration/mint', 'POST /api/checkout/create-order (with X-API-Key)'],
+      expiresAfterHours: IDEMPOTENCY_KEY_TTL_HOURS,
+      conflicts: {
+        '409 Idempotency key conflict': 'The key was already used with a different body or endpoint',
+        '409 Request in progress': 'The first request with this key has not finished yet (see Retry-After)'
       }
     },
+    testMode: {
+      description: 'Test-mode keys run every contract call on the isolated sandbox network. Users, subscriptions, orders and webhooks they create are flagged test_mode and never mix with live data; live keys never see them (validate never treats a test subscription as valid for a live key).',
+      keyPrefixes: TEST_KEY_PREFIXES,
+      sandboxNetwork: SANDBOX_NETWORK,
+      create: 'POST /api/api-keys with { "testMode": true }, or POST /api/checkout/apps with { "testMode": true }',
+      webhooks: 'Deliveries for test-mode events carry "livemode": false',
+      wipe: 'DELETE /api/integration/sandbox (ep_test_ key) or DELETE /api/checkout/sandbox (ck_test_ key) deletes all of the vendor\'s sandbox data'
+    },
     endpoints: {
       users: {
         'GET /api/integration/users/:userId': {
           description: 'Get user by external user ID',
           authentication: 'Required',
-          permission: 'read',
+          scope: 'users:read',
           parameters: {
             userId: 'External user ID from partner platform'
           },
@@ -47,7 +109,7 @@ router.get('/', (req, res) => {
         'POST /api/integration/users': {
           description: 'Create or update external user',
           authentication: 'Required',
-          permission: 'read-write',
+          scope: 'users:write',
           body: {
             userId: 'string (required)',
             walletAddress: 'string (optional)',
@@ -64,7 +126,7 @@ router.get('/', (req, res) => {
         'GET /api/integration/subscriptions': {
           description: 'Get available subscription plans for the app',
           authentication: 'Required',
-          permission: 'read',
+          scope: 'subscriptions:read',
           response: {
             status: 'success',
             data: [
@@ -86,12 +148,14 @@ router.get('/', (req, res) => {
         'POST /api/integration/checkout': {
           description: 'Initiate subscription checkout (INR or Crypto)',
           authentication: 'Required',
-          permission: 'read-write',
+          scope: 'checkout:create',
+          idempotencyKey: 'Supported',
           body: {
             userId: 'string (required)',
             planId: 'string (required)',
             paymentMethod: 'string (crypto|inr, default: crypto)',
-            currency: 'string (ETH|USDT|MATIC, default: ETH)'
+            currency: 'string (ETH|USDT|MATIC, default: ETH)',
+            couponCode: 'string (optional) - vendor coupon code'
           },
           response: {
             status: 'success',
@@ -102,6 +166,14 @@ router.get('/', (req, res) => {
               currency: 'string',
               paymentMethod: 'string',
               inrAmount: 'number',
+              pricing: {
+                regularPrice: 'string',
+                price: 'string - intro price while the user has intro periods left',
+                introApplied: 'boolean',
+                introPeriodsRemaining: 'integer',
+                discount: 'string'
+              },
+              coupon: '{ code, discount } or null',
               checkoutUrl: 'string',
               expiresAt: 'timestamp'
             }
@@ -112,7 +184,8 @@ router.get('/', (req, res) => {
         'POST /api/integration/mint': {
           description: 'Auto-mint NFT after payment success',
           authentication: 'Required',
-          permission: 'read-write',
+          scope: 'subscriptions:mint',
+          idempotencyKey: 'Supported',
           body: {
             orderId: 'string (required)',
             userId: 'string (required)',
@@ -132,18 +205,24 @@ router.get('/', (req, res) => {
       },
       validate: {
         'GET /api/integration/validate': {
-          description: 'Validate subscription via NFT token ID',
+          description: 'Validate subscription via NFT token ID, or a free trial via trial ID',
           authentication: 'Required',
-          permission: 'read',
+          scope: 'subscriptions:validate',
           query: {
-            tokenId: 'string (required) - NFT token ID'
+            tokenId: 'string - NFT token ID',
+            trialId: 'integer - free trial ID (when no tokenId is given)'
           },
           response: {
             status: 'success',
             data: {
               tokenId: 'string',
-              status: 'active|inactive|expired|cancelled',
+              status: 'trialing|active|paused|past_due|expired|cancelled',
+              entitled: 'boolean - true while trialing, active or past_due (inside the plan grace period)',
+              livemode: 'boolean - false when validated with a test-mode key (sandbox network)',
               expiryDate: 'ISO timestamp',
+              gracePeriodEndsAt: 'ISO timestamp or null',
+              trialId: 'integer or null',
+              trialEndsAt: 'ISO timestamp or null',
               userId: 'string',
               planId: 'string',
               nextBillingDate: 'ISO timestamp',
@@ -153,6 +232,18 @@ router.get('/', (req, res) => {
             }
           }
         }
+      },
+      sandbox: {
+        'DELETE /api/integration/sandbox': {
+          description: 'Delete the vendor\'s sandbox data (test-mode users, subscriptions, orders and webhook logs). Live data is never touched.',
+          authentication: 'Required (test-mode ep_test_ key; live keys get 403)',
+          response: {
+            status: 'success',
+            data: {
+              deleted: { subscriptions: 'number', users: 'number', orders: 'number', webhookLogs: 'number' }
+            }
+          }
+        }
       }
     },
     webhooks: {
@@ -207,6 +298,38 @@ router.get('/', (req, res) => {
               planId: 'string'
             }
           }
+        },
+        'subscription.trial_ending': {
+          description: 'Triggered before a free trial ends (TRIAL_ENDING_LEAD_HOURS, default 72)',
+          payload: {
+            event: 'subscription.trial_ending',
+            timestamp: 'ISO timestamp',
+            data: {
+              trialId: 'integer',
+              planId: 'string',
+              customerAddress: 'string',
+              status: 'trialing',
+              trialEndsAt: 'ISO timestamp',
+              secondsRemaining: 'integer',
+              transaction: 'unsigned purchaseSubscription transaction, or null'
+            }
+          }
+        },
+        'subscription.transferred': {
+          description: 'Triggered when a subscription NFT moves to another wallet (a transfer or a delivered gift). Integration users are moved to the new owner\'s user in the same app, or get status transferred.',
+          payload: {
+            event: 'subscription.transferred',
+            timestamp: 'ISO timestamp',
+            data: {
+              tokenId: 'string',
+              planId: 'string',
+              previousOwner: 'string',
+              customerAddress: 'string - new owner',
+              giftId: 'integer or null',
+              integrations: '[{ appId, externalUserId, status: active|transferred }]',
+              transactionHash: 'string'
+            }
+          }
         }
       },
       retryPolicy: {
@@ -217,9 +340,10 @@ router.get('/', (req, res) => {
     errorCodes: {
       '400': 'Bad Request - Invalid parameters',
       '401': 'Unauthorized - Invalid or missing API key',
-      '403': 'Forbidden - Insufficient permissions',
+      '403': 'Forbidden - API key is missing the required scope',
       '404': 'Not Found - Resource not found',
-      '429': 'Rate Limit Exceeded - Too many requests',
+      '409': 'Conflict - Idempotency-Key reused with a different request, or still in progress',
+      '429': 'Rate Limit Exceeded - Burst rate or daily/monthly quota used up (see Retry-After)',
       '500': 'Internal Server Error'
     },
     examples: {
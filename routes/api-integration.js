@@ -2,14 +2,20 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const { Pool } = require('pg');
-const { apiKeyAuth, requirePermission, logApiRequest } = require('../middleware/apiKeyAuth');
+const { apiKeyAuth, requireScope, logApiRequest } = require('../middleware/apiKeyAuth');
+const { idempotentRequest } = require('../middleware/idempotency');
 const apiKeyService = require('../services/apiKeyService');
 const checkoutService = require('../checkout/services/checkoutService');
+const couponService = require('../checkout/services/couponService');
 const contractService = require('../services/contractService');
 const webhookService = require('../services/webhookService');
 const subscriptionDataService = require('../services/subscriptionDataService');
+const trialService = require('../services/trialService');
 const { ethers } = require('ethers');
 const { checkMaintenanceMode } = require('../middleware/maintenanceMode');
+const { getSubscriptionState } = require('../utils/subscriptionStatus');
+const { SANDBOX_NETWORK } = require('../utils/sandbox');
+const sandboxService = require('../services/sandboxService');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -26,15 +32,16 @@ router.use(logApiRequest);
  * GET /api/integration/users/:userId
  * Get user by external user ID
  */
-router.get('/users/:userId', async (req, res, next) => {
+router.get('/users/:userId', requireScope('users:read'), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { appId } = req;
 
+    // Test-mode keys only see users they created (and live keys only live users)
     const result = await pool.query(
       `SELECT * FROM external_users 
-       WHERE app_id = $1 AND external_user_id = $2`,
-      [appId, userId]
+       WHERE app_id = $1 AND external_user_id = $2 AND test_mode = $3`,
+      [appId, userId, req.apiKey.test_mode === true]
     );
 
     if (result.rows.length === 0) {
@@ -57,7 +64,7 @@ router.get('/users/:userId', async (req, res, next) => {
  * POST /api/integration/users
  * Create or update external user
  */
-router.post('/users', requirePermission('read-write'), async (req, res, next) => {
+router.post('/users', requireScope('users:write'), async (req, res, next) => {
   try {
     const { userId, walletAddress, email, metadata } = req.body;
     const { appId } = req;
@@ -70,16 +77,16 @@ router.post('/users', requirePermission('read-write'), async (req, res, next) =>
     }
 
     const result = await pool.query(
-      `INSERT INTO external_users (app_id, external_user_id, wallet_address, email, metadata)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (app_id, external_user_id) 
+      `INSERT INTO external_users (app_id, external_user_id, wallet_address, email, metadata, test_mode)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (app_id, external_user_id, test_mode) 
        DO UPDATE SET 
          wallet_address = EXCLUDED.wallet_address,
          email = EXCLUDED.email,
          metadata = EXCLUDED.metadata,
          updated_at = CURRENT_TIMESTAMP
        RETURNING *`,
-      [appId, userId, walletAddress || null, email || null, metadata || null]
+      [appId, userId, walletAddress || null, email || null, metadata || null, req.apiKey.test_mode === true]
     );
 
     res.status(201).json({
@@ -95,7 +102,7 @@ router.post('/users', requirePermission('read-write'), async (req, res, next) =>
  * GET /api/integration/subscriptions
  * Get available subscription plans
  */
-router.get('/subscriptions', async (req, res, next) => {
+router.get('/subscriptions', requireScope('subscriptions:read'), async (req, res, next) => {
   try {
     const { appId } = req;
 
@@ -138,11 +145,13 @@ router.get('/subscriptions', async (req, res, next) => {
 /**
  * POST /api/integration/checkout
  * Initiate subscription checkout (INR or Crypto)
+ * Supports the Idempotency-Key header (retries return the original order)
  */
-router.post('/checkout', requirePermission('read-write'), async (req, res, next) => {
+router.post('/checkout', requireScope('checkout:create'), idempotentRequest, async (req, res, next) => {
   try {
-    const { userId, planId, paymentMethod = 'crypto', currency = 'ETH' } = req.body;
+    const { userId, planId, paymentMethod = 'crypto', currency = 'ETH', couponCode } = req.body;
     const { appId } = req;
+    const testMode = req.apiKey.test_mode === true;
 
     if (!userId || !planId) {
       return res.status(400).json({
@@ -166,30 +175,62 @@ router.post('/checkout', requirePermission('read-write'), async (req, res, next)
 
     const plan = planResult.rows[0];
 
+    // Intro pricing covers the user's first intro_periods subscriptions in this app
+    const priorResult = await pool.query(
+      `SELECT COUNT(*) FROM api_integration_subscriptions WHERE app_id = $1 AND external_user_id = $2 AND test_mode = $3`,
+      [appId, userId, testMode]
+    );
+    const pricing = trialService.applyIntroPricing(plan, parseInt(priorResult.rows[0]?.count) || 0);
+
     // Get or create external user
     let userResult = await pool.query(
-      `SELECT * FROM external_users WHERE app_id = $1 AND external_user_id = $2`,
-      [appId, userId]
+      `SELECT * FROM external_users WHERE app_id = $1 AND external_user_id = $2 AND test_mode = $3`,
+      [appId, userId, testMode]
     );
 
     if (userResult.rows.length === 0) {
       // Create user if doesn't exist
       userResult = await pool.query(
-        `INSERT INTO external_users (app_id, external_user_id) 
-         VALUES ($1, $2) RETURNING *`,
-        [appId, userId]
+        `INSERT INTO external_users (app_id, external_user_id, test_mode) 
+         VALUES ($1, $2, $3) RETURNING *`,
+        [appId, userId, testMode]
       );
     }
 
     const user = userResult.rows[0];
 
+    // Coupon discount (redeemed when the order is created)
+    let payable = pricing.price;
+    let coupon = null;
+    if (couponCode) {
+      try {
+        const quote = await couponService.quoteCoupon(plan.vendor_address, couponCode, {
+          totalAmount: pricing.price,
+          currency: paymentMethod === 'inr' ? 'INR' : currency,
+          appId,
+          planId: plan.plan_id,
+          customerKey: user.wallet_address ? user.wallet_address.toLowerCase() : `${appId}:${userId}`
+        });
+        payable = quote.total;
+        coupon = { code: quote.coupon.code, discount: quote.discount };
+      } catch (couponError) {
+        if (couponError.status) {
+          return res.status(couponError.status).json({
+            error: 'Coupon error',
+            message: couponError.message
+          });
+        }
+        throw couponError;
+      }
+    }
+
     // Handle payment method
     let cryptoAmount = null;
     let inrAmount = null;
 
     if (paymentMethod === 'inr') {
       // Convert INR to crypto using existing conversion service
-      inrAmount = parseFloat(plan.price);
+      inrAmount = parseFloat(payable);
       try {
         const conversionService = require('../checkout/services/priceConversion');
         const conversion = await conversionService.convertInrToCrypto(
@@ -205,28 +246,43 @@ router.post('/checkout', requirePermission('read-write'), async (req, res, next)
         });
       }
     } else {
-      // Crypto payment - use plan price directly
-      cryptoAmount = plan.price;
+      // Crypto payment - use plan price directly (intro price while it applies, less any coupon)
+      cryptoAmount = payable;
     }
 
     // Create checkout order
     const orderData = {
       vendorAddress: plan.vendor_address,
       customerAddress: user.wallet_address || null,
-      totalAmount: inrAmount || cryptoAmount,
+      // Before the coupon discount, which createOrder applies
+      totalAmount: pricing.price,
       currency: paymentMethod === 'inr' ? 'INR' : currency,
       paymentMethod: paymentMethod,
       cryptoCoin: currency,
-      network: 'localhost',
+      network: 'localhost', // The sandbox network for test-mode keys
       metadata: {
         appId,
         externalUserId: userId,
         planId,
+        introApplied: pricing.introApplied,
         source: 'api_integration'
-      }
+      },
+      couponCode: couponCode || null
     };
 
-    const order = await checkoutService.createOrder(orderData);
+    // createOrder redeems the coupon: it can run out or hit its per-customer limit after the quote
+    let order;
+    try {
+      order = await checkoutService.createOrder(orderData);
+    } catch (orderError) {
+      if (couponCode && orderError.status) {
+        return res.status(orderError.status).json({
+          error: 'Coupon error',
+          message: orderError.message
+        });
+      }
+      throw orderError;
+    }
 
     res.status(201).json({
       status: 'success',
@@ -237,6 +293,8 @@ router.post('/checkout', requirePermission('read-write'), async (req, res, next)
         currency: currency,
         paymentMethod: paymentMethod,
         inrAmount: inrAmount,
+        pricing: pricing,
+        coupon: coupon,
         checkoutUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/checkout/${order.order_id}`,
         expiresAt: order.expires_at
       }
@@ -249,11 +307,13 @@ router.post('/checkout', requirePermission('read-write'), async (req, res, next)
 /**
  * POST /api/integration/mint
  * Auto-mint NFT after payment success (called internally after checkout)
+ * Supports the Idempotency-Key header (retries return the original mint)
  */
-router.post('/mint', requirePermission('read-write'), async (req, res, next) => {
+router.post('/mint', requireScope('subscriptions:mint'), idempotentRequest, async (req, res, next) => {
   try {
     const { orderId, userId, planId } = req.body;
     const { appId } = req;
+    const testModeMint = req.apiKey.test_mode === true;
 
     if (!orderId || !userId || !planId) {
       return res.status(400).json({
@@ -272,11 +332,21 @@ router.post('/mint', requirePermission('read-write'), async (req, res, next) =>
       });
     }
 
+    // Sandbox orders only mint test subscriptions, and live orders can't be minted with a test key
+    if ((order.test_mode === true) !== testModeMint) {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: testModeMint
+          ? 'Test-mode keys can only mint sandbox orders'
+          : 'Sandbox orders can only be minted with a test-mode key'
+      });
+    }
+
     // Get user wallet address
     const userResult = await pool.query(
       `SELECT wallet_address FROM external_users 
-       WHERE app_id = $1 AND external_user_id = $2`,
-      [appId, userId]
+       WHERE app_id = $1 AND external_user_id = $2 AND test_mode = $3`,
+      [appId, userId, testModeMint]
     );
 
     if (userResult.rows.length === 0 || !userResult.rows[0].wallet_address) {
@@ -313,10 +383,10 @@ router.post('/mint', requirePermission('read-write'), async (req, res, next) =>
     // Create subscription record in DB
     const subscriptionResult = await pool.query(
       `INSERT INTO api_integration_subscriptions 
-       (app_id, external_user_id, plan_id, checkout_order_id, status)
-       VALUES ($1, $2, $3, $4, 'active')
+       (app_id, external_user_id, plan_id, checkout_order_id, status, test_mode)
+       VALUES ($1, $2, $3, $4, 'active', $5)
        RETURNING *`,
-      [appId, userId, planId, orderId]
+      [appId, userId, planId, orderId, testModeMint]
     );
 
     // Trigger webhook for subscription_active
@@ -346,16 +416,50 @@ router.post('/mint', requirePermission('read-write'), async (req, res, next) =>
 
 /**
  * GET /api/integration/validate
- * Validate subscription via NFT token ID
+ * Validate subscription via NFT token ID, or a free trial via trialId
+ * status is trialing, active, paused, past_due (inside the plan's grace period), expired or cancelled;
+ * entitled is true for trialing, active and past_due
+ * Live keys only see live subscriptions; test-mode keys only see the sandbox network
  */
-router.get('/validate', async (req, res, next) => {
+router.get('/validate', requireScope('subscriptions:validate'), async (req, res, next) => {
   try {
-    const { tokenId } = req.query;
+    const { tokenId, trialId } = req.query;
+    const sandboxOnly = req.apiKey.test_mode === true;
 
-    if (!tokenId) {
+    if (!tokenId && !trialId) {
       return res.status(400).json({
         error: 'Validation error',
-        message: 'tokenId query parameter is required'
+        message: 'tokenId or trialId query parameter is required'
+      });
+    }
+
+    // Free trial that has not been purchased on-chain yet (the key's own vendor
+    // and app only; checkout app keys have no app of their own)
+    if (!tokenId) {
+      const keyAppId = req.apiKey.key_type === 'checkout_app' ? null : req.apiKey.app_id;
+      const trial = await trialService.getVendorTrial(trialId, req.apiKey.vendor_address, keyAppId);
+      if (!trial) {
+        return res.status(404).json({
+          error: 'Trial not found',
+          message: `No trial found for ID ${trialId}`
+        });
+      }
+
+      return res.json({
+        status: 'success',
+        data: {
+          tokenId: trial.tokenId,
+          trialId: trial.id,
+          status: trial.status,
+          entitled: trial.entitled,
+          trialEndsAt: trial.trialEndsAt,
+          expiryDate: trial.trialEndsAt,
+          gracePeriodEndsAt: null,
+          userId: null,
+          planId: trial.planId,
+          nextBillingDate: trial.entitled ? trial.trialEndsAt : null,
+          subscriptionPlan: { planId: trial.planId }
+        }
       });
     }
 
@@ -366,6 +470,7 @@ router.get('/validate', async (req, res, next) => {
     let planId = null;
 
     try {
+      // The sandbox network for test-mode keys
       const contract = await contractService.getContract('localhost');
       subscription = await contract.getSubscription(tokenId);
       isValid = await contract.isSubscriptionValid(tokenId);
@@ -374,13 +479,14 @@ router.get('/validate', async (req, res, next) => {
       planId = subscription.planId.toString();
     } catch (error) {
       console.error('[Validate] Blockchain error:', error);
-      // Try to get from database as fallback
+      // Try to get from database as fallback (sandbox network subscriptions never count for live keys)
+      const networkFilter = sandboxOnly ? 's.network = $2' : '(s.network IS NULL OR s.network <> $2)';
       const dbResult = await pool.query(
         `SELECT s.*, sp.plan_id 
          FROM subscriptions s
          JOIN subscription_plans sp ON s.plan_id = sp.plan_id
-         WHERE s.token_id = $1`,
-        [tokenId]
+         WHERE s.token_id = $1 AND ${networkFilter}`,
+        [tokenId, SANDBOX_NETWORK]
       );
 
       if (dbResult.rows.length > 0) {
@@ -399,40 +505,52 @@ router.get('/validate', async (req, res, next) => {
       });
     }
 
-    // Get user info from integration subscriptions
+    // Get user info from integration subscriptions (not users the token was transferred away from)
     const integrationResult = await pool.query(
       `SELECT eus.external_user_id, eus.app_id
        FROM api_integration_subscriptions ais
        JOIN external_users eus ON ais.app_id = eus.app_id 
          AND ais.external_user_id = eus.external_user_id
        JOIN subscriptions s ON ais.token_id = s.token_id
-       WHERE s.token_id = $1`,
-      [tokenId]
+       WHERE s.token_id = $1 AND ais.status <> 'transferred' AND ais.test_mode = $2`,
+      [tokenId, sandboxOnly]
     );
 
     const userId = integrationResult.rows[0]?.external_user_id || null;
 
-    // Determine status
-    let status = 'expired';
+    // Plan duration and grace period
+    const planSettingsResult = await pool.query(
+      `SELECT duration, grace_period FROM subscription_plans WHERE plan_id = $1`,
+      [planId]
+    );
+    const planSettings = planSettingsResult.rows[0] || null;
+
+    // Determine status (past_due between endTime and the end of the grace period)
+    const state = getSubscriptionState({
+      active: subscription ? subscription.active : true,
+      paused: subscription ? subscription.paused : false,
+      endTime: expiryDate ? Math.floor(expiryDate.getTime() / 1000) : 0
+    }, planSettings ? planSettings.grace_period : 0);
+
+    let status = state.status;
     if (isValid) {
       status = 'active';
-    } else if (subscription && !subscription.active) {
-      status = 'cancelled';
+    }
+    const entitled = isValid || state.entitled;
+
+    // Purchased from a free trial
+    let tokenTrial = null;
+    try {
+      tokenTrial = await trialService.getTrialForToken(tokenId);
+    } catch (trialError) {
+      console.warn('[Validate] Could not load trial:', trialError.message);
     }
 
     // Calculate next billing date (if active and has plan)
     let nextBillingDate = null;
-    if (status === 'active' && expiryDate) {
-      // Get plan duration
-      const planResult = await pool.query(
-        `SELECT duration FROM subscription_plans WHERE plan_id = $1`,
-        [planId]
-      );
-      
-      if (planResult.rows.length > 0) {
-        const duration = parseInt(planResult.rows[0].duration);
-        nextBillingDate = new Date(expiryDate.getTime() - duration * 1000);
-      }
+    if (status === 'active' && expiryDate && planSettings) {
+      const duration = parseInt(planSettings.duration);
+      nextBillingDate = new Date(expiryDate.getTime() - duration * 1000);
     }
 
     res.json({
@@ -440,7 +558,12 @@ router.get('/validate', async (req, res, next) => {
       data: {
         tokenId: tokenId,
         status: status,
+        entitled: entitled,
+        livemode: !sandboxOnly,
         expiryDate: expiryDate ? expiryDate.toISOString() : null,
+        gracePeriodEndsAt: state.gracePeriodEndsAt ? new Date(state.gracePeriodEndsAt * 1000).toISOString() : null,
+        trialId: tokenTrial ? tokenTrial.id : null,
+        trialEndsAt: tokenTrial ? tokenTrial.trialEndsAt : null,
         userId: userId,
         planId: planId,
         nextBillingDate: nextBillingDate ? nextBillingDate.toISOString() : null,
@@ -458,7 +581,7 @@ router.get('/validate', async (req, res, next) => {
  * GET /api/integration/subscriptions?customerAddress={address}
  * Get comprehensive subscription data for a customer (AC4.1)
  */
-router.get('/subscriptions', async (req, res, next) => {
+router.get('/subscriptions', requireScope('subscriptions:read'), async (req, res, next) => {
   try {
     const { customerAddress, appId, planId, status, network = 'localhost' } = req.query;
     const { appId: reqAppId } = req;
@@ -531,7 +654,7 @@ router.get('/subscriptions', async (req, res, next) => {
  * GET /api/integration/orders?orderId={id} or ?customerAddress={address}
  * Get order data with subscription context (AC4.2)
  */
-router.get('/orders', async (req, res, next) => {
+router.get('/orders', requireScope('orders:read'), async (req, res, next) => {
   try {
     const { orderId, customerAddress, vendorAddress, page = 1, limit = 25, network = 'localhost' } = req.query;
     const { appId } = req;
@@ -546,9 +669,9 @@ router.get('/orders', async (req, res, next) => {
     let orders = [];
 
     if (orderId) {
-      // Get single order
+      // Get single order (sandbox orders are only visible to test-mode keys, and live orders to live keys)
       const order = await checkoutService.getOrder(orderId, network);
-      if (!order) {
+      if (!order || (order.test_mode === true) !== (req.apiKey.test_mode === true)) {
         return res.status(404).json({
           error: 'Order not found',
           message: `Order with ID ${orderId} not found`
@@ -605,5 +728,32 @@ router.get('/orders', async (req, res, next) => {
   }
 });
 
+/**
+ * DELETE /api/integration/sandbox
+ * Wipe the vendor's sandbox data: test-mode users, subscriptions, orders and webhook logs,
+ * plus subscriptions and history recorded on the sandbox network.
+ * Needs the sandbox:manage scope and a test-mode key; live data is never touched.
+ */
+router.delete('/sandbox', requireScope('sandbox:manage'), async (req, res, next) => {
+  try {
+    if (req.apiKey.test_mode !== true) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Sandbox data can only be wiped with a test-mode (ep_test_) key'
+      });
+    }
+
+    const deleted = await sandboxService.wipeSandboxData(req.apiKey.vendor_address);
+
+    res.json({
+      status: 'success',
+      message: 'Sandbox data deleted',
+      data: { deleted }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
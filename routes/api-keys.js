@@ -3,6 +3,7 @@ const router = express.Router();
 const { Pool } = require('pg');
 const { checkMaintenanceMode } = require('../middleware/maintenanceMode');
 const apiKeyService = require('../services/apiKeyService');
+const rateLimitService = require('../services/rateLimitService');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -14,10 +15,26 @@ router.use(checkMaintenanceMode('api'));
 /**
  * POST /api/api-keys
  * Create a new API key for an app
+ * Body: appId, name, scopes (e.g. ['users:read', 'checkout:create']) or the
+ * legacy permissionLevel (read | read-write), webhookUrl, requireSignedRequests,
+ * testMode (creates an ep_test_ key that only reaches the sandbox network)
  */
 router.post('/', async (req, res, next) => {
   try {
-    const { appId, name, permissionLevel, webhookUrl } = req.body;
+    const { appId, name, permissionLevel, scopes, webhookUrl, requireSignedRequests, testMode } = req.body;
+
+    let keyScopes = null;
+    if (scopes !== undefined) {
+      try {
+        keyScopes = apiKeyService.normalizeScopes(scopes);
+      } catch (scopeError) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: scopeError.message,
+          availableScopes: Object.keys(apiKeyService.API_KEY_SCOPES)
+        });
+      }
+    }
 
     if (!appId) {
       return res.status(400).json({
@@ -42,7 +59,10 @@ router.post('/', async (req, res, next) => {
     const apiKey = await apiKeyService.createApiKey(appId, {
       name: name || 'Default API Key',
       permissionLevel: permissionLevel || 'read',
-      webhookUrl: webhookUrl || null
+      scopes: keyScopes,
+      webhookUrl: webhookUrl || null,
+      requireSignedRequests: requireSignedRequests === true,
+      testMode: testMode === true
     });
 
     res.status(201).json({
@@ -54,6 +74,9 @@ router.post('/', async (req, res, next) => {
         apiSecret: apiKey.apiSecret, // Only shown once
         name: apiKey.name,
         permissionLevel: apiKey.permission_level,
+        scopes: apiKey.scopes,
+        requireSignedRequests: apiKey.require_signed_requests,
+        testMode: apiKey.test_mode,
         webhookUrl: apiKey.webhook_url,
         createdAt: apiKey.created_at
       }
@@ -118,16 +141,16 @@ router.delete('/:id', async (req, res, next) => {
 
 /**
  * POST /api/api-keys/:id/regenerate
- * Regenerate an API key
+ * Regenerate an API key (keeps the old key's scopes unless new ones are sent, and its test mode)
  */
 router.post('/:id/regenerate', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, permissionLevel, webhookUrl } = req.body;
+    const { name, permissionLevel, scopes, webhookUrl } = req.body;
 
     // Get API key to find appId
     const keyResult = await pool.query(
-      `SELECT app_id FROM api_keys WHERE id = $1`,
+      `SELECT app_id, permission_level, scopes, require_signed_requests, test_mode FROM api_keys WHERE id = $1`,
       [id]
     );
 
@@ -140,10 +163,26 @@ router.post('/:id/regenerate', async (req, res, next) => {
 
     const appId = keyResult.rows[0].app_id;
 
+    let regeneratedScopes = permissionLevel ? null : apiKeyService.getKeyScopes(keyResult.rows[0]);
+    if (scopes !== undefined) {
+      try {
+        regeneratedScopes = apiKeyService.normalizeScopes(scopes);
+      } catch (scopeError) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: scopeError.message,
+          availableScopes: Object.keys(apiKeyService.API_KEY_SCOPES)
+        });
+      }
+    }
+
     const newApiKey = await apiKeyService.regenerateApiKey(id, appId, {
       name: name,
       permissionLevel: permissionLevel,
-      webhookUrl: webhookUrl
+      scopes: regeneratedScopes,
+      webhookUrl: webhookUrl,
+      requireSignedRequests: keyResult.rows[0].require_signed_requests === true,
+      testMode: keyResult.rows[0].test_mode === true
     });
 
     res.status(201).json({
@@ -155,6 +194,9 @@ router.post('/:id/regenerate', async (req, res, next) => {
         apiSecret: newApiKey.apiSecret,
         name: newApiKey.name,
         permissionLevel: newApiKey.permission_level,
+        scopes: newApiKey.scopes,
+        requireSignedRequests: newApiKey.require_signed_requests,
+        testMode: newApiKey.test_mode,
         webhookUrl: newApiKey.webhook_url,
         createdAt: newApiKey.created_at
       }
@@ -164,9 +206,51 @@ router.post('/:id/regenerate', async (req, res, next) => {
   }
 });
 
+/**
+ * PUT /api/api-keys/:id/signed-requests
+ * Require HMAC-signed requests (X-Timestamp + X-Signature) for an API key
+ * Body: required (boolean)
+ */
+router.put('/:id/signed-requests', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'required (boolean) is required'
+      });
+    }
+
+    const updated = await apiKeyService.setRequireSignedRequests(id, required);
+    if (!updated) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: `API key with ID ${id} not found`
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: required
+        ? 'Unsigned requests with this API key will now be rejected'
+        : 'Unsigned requests with this API key are accepted again',
+      data: {
+        id: updated.id,
+        name: updated.name,
+        requireSignedRequests: updated.require_signed_requests
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/api-keys/:id/stats
- * Get API key usage statistics
+ * Get API key usage statistics, plus its rate limits and current usage
+ * (burst tokens, daily/monthly quota counters and daily request history)
  */
 router.get('/:id/stats', async (req, res, next) => {
   try {
@@ -177,11 +261,13 @@ router.get('/:id/stats', async (req, res, next) => {
     const end = endDate ? new Date(endDate) : new Date();
 
     const stats = await apiKeyService.getUsageStats(id, start, end);
+    const rateLimit = await rateLimitService.getUsageForKey(id, { startDate: start, endDate: end });
 
     res.json({
       status: 'success',
       data: {
         ...stats,
+        rateLimit,
         period: {
           start: start.toISOString(),
           end: end.toISOString()
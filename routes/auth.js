@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const siweAuthService = require('../services/siweAuthService');
+const { getSessionToken, requireWallet } = require('../middleware/walletAuth');
+
+/**
+ * GET /api/auth/nonce
+ * Issue a single-use nonce to embed in a Sign-In With Ethereum (EIP-4361) message
+ */
+router.get('/nonce', async (req, res, next) => {
+  try {
+    const { nonce, expiresAt } = await siweAuthService.createNonce();
+    res.json({ nonce, expiresAt });
+  } catch (error) {
+    console.error('Error creating SIWE nonce:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/verify
+ * Verify a signed SIWE message and return a short-lived session token
+ * Body: { message, signature }
+ */
+router.post('/verify', async (req, res, next) => {
+  try {
+    const { message, signature } = req.body;
+
+    const session = await siweAuthService.verifySignIn(message, signature);
+
+    res.json({
+      success: true,
+      token: session.token,
+      walletAddress: session.walletAddress,
+      chainId: session.chainId,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error verifying SIWE message:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/session
+ * Return the wallet bound to the current session token
+ */
+router.get('/session', requireWallet, (req, res) => {
+  res.json({
+    walletAddress: req.walletAddress,
+    chainId: req.walletSession.chain_id,
+    expiresAt: req.walletSession.expires_at
+  });
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session token
+ */
+router.post('/logout', requireWallet, async (req, res, next) => {
+  try {
+    await siweAuthService.revokeSession(getSessionToken(req));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
-const { apiKeyAuth } = require('../middleware/apiKeyAuth');
+const { apiKeyAuth, requireScope } = require('../middleware/apiKeyAuth');
+const { idempotentRequest } = require('../middleware/idempotency');
 const apiKeyService = require('../services/apiKeyService');
 const checkoutService = require('../checkout/services/checkoutService');
 const contractService = require('../services/contractService');
@@ -28,7 +29,7 @@ const publicCors = (req, res, next) => {
   }
   
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,Idempotency-Key');
   res.setHeader('Access-Control-Max-Age', '86400');
   
   if (req.method === 'OPTIONS') {
@@ -189,8 +190,9 @@ router.get('/subscription-ui', apiKeyAuth, async (req, res, next) => {
 /**
  * POST /api/integration/checkout
  * Initiate subscription checkout (for CDN script)
+ * Supports the Idempotency-Key header (retries return the original order)
  */
-router.post('/checkout', apiKeyAuth, async (req, res, next) => {
+router.post('/checkout', apiKeyAuth, requireScope('checkout:create'), idempotentRequest, async (req, res, next) => {
   try {
     const { planId, walletAddress, paymentMethod = 'crypto', currency = 'ETH' } = req.body;
     const { appId } = req;
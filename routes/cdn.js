@@ -308,6 +308,34 @@ router.get('/subscriptions.v:version.css', (req, res) => {
   res.send(css);
 });
 
+/**
+ * GET /cdn/webhook-verify.js
+ * Serve the webhook signature verification helper for Node.js receivers
+ */
+router.get('/webhook-verify.js', (req, res) => {
+  const helperPath = path.join(__dirname, '../utils/webhookSignature.js');
+
+  res.setHeader('Content-Type', 'application/javascript');
+  res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  res.send(fs.readFileSync(helperPath, 'utf8'));
+});
+
+/**
+ * GET /cdn/request-sign.js
+ * Serve the API request signing helper for Node.js backends
+ */
+router.get('/request-sign.js', (req, res) => {
+  const signingHelperPath = path.join(__dirname, '../utils/requestSignature.js');
+
+  res.setHeader('Content-Type', 'application/javascript');
+  res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  res.send(fs.readFileSync(signingHelperPath, 'utf8'));
+});
+
 /**
  * GET /cdn/version
  * Get current CDN version information
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const couponService = require('../checkout/services/couponService');
+const { requireWalletFor } = require('../middleware/walletAuth');
+
+/**
+ * Vendor the request acts on (defaults to the signed-in wallet)
+ */
+function getVendorAddress(req) {
+  return req.body?.vendorAddress || req.query.vendorAddress || req.walletAddress;
+}
+
+function sendCouponError(res, next, error) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  next(error);
+}
+
+/**
+ * GET /api/vendor/coupons
+ * List the vendor's coupons with their redemption counts (?active=true|false)
+ * Requires a SIWE session; vendorAddress defaults to the signed-in wallet
+ */
+router.get('/coupons', requireWalletFor(req => req.query.vendorAddress), async (req, res, next) => {
+  try {
+    const coupons = await couponService.listCoupons(getVendorAddress(req), { active: req.query.active });
+
+    res.json({ data: coupons });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/vendor/coupons
+ * Create a coupon
+ * Body: code, discountType (percentage|fixed), discountValue, currency (fixed only),
+ * maxRedemptions, perCustomerLimit, startsAt, expiresAt, appIds, planIds, productIds
+ */
+router.post('/coupons', requireWalletFor(req => req.body.vendorAddress), async (req, res, next) => {
+  try {
+    const coupon = await couponService.createCoupon(getVendorAddress(req), req.body);
+
+    res.status(201).json({ data: coupon });
+  } catch (error) {
+    sendCouponError(res, next, error);
+  }
+});
+
+/**
+ * PUT /api/vendor/coupons/:couponId
+ * Update a coupon (only the fields that are sent; active: false pauses it)
+ */
+router.put('/coupons/:couponId', requireWalletFor(req => req.body.vendorAddress), async (req, res, next) => {
+  try {
+    const updated = await couponService.updateCoupon(getVendorAddress(req), req.params.couponId, req.body);
+
+    res.json({ data: updated });
+  } catch (error) {
+    sendCouponError(res, next, error);
+  }
+});
+
+/**
+ * DELETE /api/vendor/coupons/:couponId
+ * Delete a coupon. Coupons that were already redeemed are deactivated instead.
+ */
+router.delete('/coupons/:couponId', requireWalletFor(req => req.query.vendorAddress), async (req, res, next) => {
+  try {
+    const { coupon: removed, deleted } = await couponService.deleteCoupon(getVendorAddress(req), req.params.couponId);
+
+    res.json({
+      data: removed,
+      deleted,
+      message: deleted ? 'Coupon deleted' : 'Coupon has redemptions and was deactivated'
+    });
+  } catch (error) {
+    sendCouponError(res, next, error);
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -13,9 +14,9 @@ const pool = new Pool({
 
 /**
  * POST /api/migrations/run
- * Run all pending migrations
+ * Run all pending migrations (superadmin only)
  */
-router.post('/run', async (req, res, next) => {
+router.post('/run', requireAdmin('migrations.run'), async (req, res, next) => {
   const client = await pool.connect();
   
   try {
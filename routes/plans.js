@@ -3,12 +3,58 @@ const router = express.Router();
 const { Pool } = require('pg');
 const { ethers } = require('ethers');
 const contractService = require('../services/contractService');
+const subscriptionExpiryService = require('../services/subscriptionExpiryService');
 const { checkMaintenanceMode } = require('../middleware/maintenanceMode');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+/**
+ * Validate a dunning schedule (offsets after endTime, e.g. ["1d", "3d"]).
+ * Returns the normalised list as JSON, or null for the defaults. Throws on invalid input.
+ */
+function parseDunningSchedule(dunningSchedule) {
+  if (dunningSchedule === null || dunningSchedule === undefined) {
+    return null;
+  }
+  const offsets = subscriptionExpiryService.normalizeLeadTimes(dunningSchedule);
+  return JSON.stringify(offsets.map(subscriptionExpiryService.formatLeadTime).reverse());
+}
+
+/**
+ * Validate free trial and intro pricing settings against the plan price (ETH).
+ * The contract only knows price and duration, so these are kept off-chain.
+ * Returns { trialPeriod, introPrice, introPeriods }. Throws on invalid input.
+ */
+function parsePlanOffers({ trialPeriod, introPrice, introPeriods }, price) {
+  const trialSeconds = trialPeriod === undefined || trialPeriod === null ? 0 : parseInt(trialPeriod);
+  if (isNaN(trialSeconds) || trialSeconds < 0) {
+    throw new Error('trialPeriod must be a non-negative number of seconds');
+  }
+
+  if (introPrice === undefined || introPrice === null || introPrice === '') {
+    return { trialPeriod: trialSeconds, introPrice: null, introPeriods: 0 };
+  }
+
+  let introWei;
+  try {
+    introWei = ethers.parseEther(String(introPrice));
+  } catch (e) {
+    throw new Error('introPrice must be a decimal amount');
+  }
+  if (introWei < 0n || introWei >= ethers.parseEther(String(price))) {
+    throw new Error('introPrice must be at least 0 and below the plan price');
+  }
+
+  const periods = introPeriods === undefined || introPeriods === null ? 1 : parseInt(introPeriods);
+  if (isNaN(periods) || periods < 1) {
+    throw new Error('introPeriods must be at least 1');
+  }
+
+  return { trialPeriod: trialSeconds, introPrice: ethers.formatEther(introWei), introPeriods: periods };
+}
+
 // Apply maintenance mode middleware to all plan routes
 router.use(checkMaintenanceMode('vendor'));
 
@@ -497,6 +543,27 @@ router.post('/', async (req, res, next) => {
     // Get pause settings from request
     const pauseEnabled = req.body.pauseEnabled === true || req.body.pauseEnabled === 'true';
     const maxPauseAttempts = parseInt(req.body.maxPauseAttempts) || 0;
+    // Longest scheduled pause window in seconds (0 = no limit)
+    const maxPauseDuration = parseInt(req.body.maxPauseDuration) || 0;
+    // Grace period in seconds after endTime while the subscription is past_due (0 = none)
+    const gracePeriod = parseInt(req.body.gracePeriod) || 0;
+    if (gracePeriod < 0) {
+      return res.status(400).json({ error: 'gracePeriod must be a non-negative number of seconds' });
+    }
+    // Dunning reminders during the grace period (null = DUNNING_REMINDER_OFFSETS)
+    let dunningSchedule;
+    try {
+      dunningSchedule = parseDunningSchedule(req.body.dunningSchedule);
+    } catch (validationError) {
+      return res.status(400).json({ error: `dunningSchedule: ${validationError.message}` });
+    }
+    // Free trial and intro pricing (off-chain; on-chain purchases always pay price)
+    let offers;
+    try {
+      offers = parsePlanOffers(req.body, price);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
     
     // Get vendor's network preference if not provided
     let planNetwork = network;
@@ -519,8 +586,8 @@ router.post('/', async (req, res, next) => {
     // Save to database
     const result = await pool.query(
       `INSERT INTO subscription_plans 
-       (plan_id, vendor_address, name, description, price, duration, max_subscriptions, pause_enabled, max_pause_attempts, app_id, network, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+       (plan_id, vendor_address, name, description, price, duration, max_subscriptions, pause_enabled, max_pause_attempts, max_pause_duration, grace_period, dunning_schedule, app_id, network, trial_period, intro_price, intro_periods, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW())
        ON CONFLICT (plan_id) DO UPDATE SET
          name = EXCLUDED.name,
          description = EXCLUDED.description,
@@ -529,10 +596,16 @@ router.post('/', async (req, res, next) => {
          max_subscriptions = EXCLUDED.max_subscriptions,
          pause_enabled = EXCLUDED.pause_enabled,
          max_pause_attempts = EXCLUDED.max_pause_attempts,
+         max_pause_duration = EXCLUDED.max_pause_duration,
+         grace_period = EXCLUDED.grace_period,
+         dunning_schedule = EXCLUDED.dunning_schedule,
          app_id = EXCLUDED.app_id,
-         network = EXCLUDED.network
+         network = EXCLUDED.network,
+         trial_period = EXCLUDED.trial_period,
+         intro_price = EXCLUDED.intro_price,
+         intro_periods = EXCLUDED.intro_periods
        RETURNING *`,
-      [finalPlanId, vendorAddress.toLowerCase(), name, description, price, duration, maxSubscriptions || 0, pauseEnabled, maxPauseAttempts, appId || null, planNetwork]
+      [finalPlanId, vendorAddress.toLowerCase(), name, description, price, duration, maxSubscriptions || 0, pauseEnabled, maxPauseAttempts, maxPauseDuration, gracePeriod, dunningSchedule, appId || null, planNetwork, offers.trialPeriod, offers.introPrice, offers.introPeriods]
     );
     
     res.status(201).json({
@@ -552,7 +625,7 @@ router.post('/', async (req, res, next) => {
 router.put('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, description, active, maxSubscriptions } = req.body;
+    const { name, description, active, maxSubscriptions, maxPauseDuration, gracePeriod, dunningSchedule, trialPeriod, introPrice, introPeriods } = req.body;
     
     // First, verify the plan exists
     const planCheck = await pool.query(
@@ -584,6 +657,49 @@ router.put('/:id', async (req, res, next) => {
       updates.push(`max_subscriptions = $${paramCount++}`);
       values.push(maxSubscriptions);
     }
+    if (maxPauseDuration !== undefined) {
+      const seconds = parseInt(maxPauseDuration);
+      if (isNaN(seconds) || seconds < 0) {
+        return res.status(400).json({ error: 'maxPauseDuration must be a non-negative number of seconds' });
+      }
+      updates.push(`max_pause_duration = $${paramCount++}`);
+      values.push(seconds);
+    }
+    if (gracePeriod !== undefined) {
+      const graceSeconds = parseInt(gracePeriod);
+      if (isNaN(graceSeconds) || graceSeconds < 0) {
+        return res.status(400).json({ error: 'gracePeriod must be a non-negative number of seconds' });
+      }
+      updates.push(`grace_period = $${paramCount++}`);
+      values.push(graceSeconds);
+    }
+    if (dunningSchedule !== undefined) {
+      try {
+        values.push(parseDunningSchedule(dunningSchedule));
+      } catch (validationError) {
+        return res.status(400).json({ error: `dunningSchedule: ${validationError.message}` });
+      }
+      updates.push(`dunning_schedule = $${paramCount++}`);
+    }
+    if (trialPeriod !== undefined || introPrice !== undefined || introPeriods !== undefined) {
+      const current = planCheck.rows[0];
+      let offers;
+      try {
+        offers = parsePlanOffers({
+          trialPeriod: trialPeriod !== undefined ? trialPeriod : current.trial_period,
+          introPrice: introPrice !== undefined ? introPrice : current.intro_price,
+          introPeriods: introPeriods !== undefined ? introPeriods : current.intro_periods
+        }, current.price);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      updates.push(`trial_period = $${paramCount++}`);
+      values.push(offers.trialPeriod);
+      updates.push(`intro_price = $${paramCount++}`);
+      values.push(offers.introPrice);
+      updates.push(`intro_periods = $${paramCount++}`);
+      values.push(offers.introPeriods);
+    }
     
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
@@ -3,6 +3,7 @@ const router = express.Router();
 const { Pool } = require('pg');
 const { ethers } = require('ethers');
 const contractService = require('../services/contractService');
+const { requireWallet, isWalletOwner } = require('../middleware/walletAuth');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -12,11 +13,12 @@ const pool = new Pool({
  * POST /api/subscriptions/:tokenId/publish
  * Toggle publish status of a subscription (vendor can control this)
  * Note: This requires the vendor's wallet to call the contract function
+ * Requires a SIWE session for the plan vendor's wallet
  */
-router.post('/:tokenId/publish', async (req, res, next) => {
+router.post('/:tokenId/publish', requireWallet, async (req, res, next) => {
   try {
     const { tokenId } = req.params;
-    const { published, vendorAddress } = req.body;
+    const { published } = req.body;
     
     if (published === undefined) {
       return res.status(400).json({ error: 'published parameter is required' });
@@ -37,8 +39,8 @@ router.post('/:tokenId/publish', async (req, res, next) => {
     
     const sub = subResult.rows[0];
     
-    // Verify that the vendor address matches
-    if (vendorAddress && vendorAddress.toLowerCase() !== sub.vendor_address.toLowerCase()) {
+    // Verify that the signed-in wallet is the subscription's vendor
+    if (!isWalletOwner(req, sub.vendor_address)) {
       return res.status(403).json({ error: 'Vendor address does not match subscription vendor' });
     }
     
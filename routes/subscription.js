@@ -5,7 +5,15 @@ const { ethers } = require('ethers');
 const contractService = require('../services/contractService');
 const ipfsService = require('../services/ipfsService');
 const webhookService = require('../services/webhookService');
+const scheduledPauseService = require('../services/scheduledPauseService');
+const autoRenewalService = require('../services/autoRenewalService');
+const planChangeService = require('../services/planChangeService');
+const trialService = require('../services/trialService');
+const subscriptionTransferService = require('../services/subscriptionTransferService');
+const siweAuthService = require('../services/siweAuthService');
+const { buildUnsignedTransaction, getVerifiedReceipt, findContractEvent } = require('../utils/transactionHelper');
 const { checkMaintenanceMode } = require('../middleware/maintenanceMode');
+const { requireWallet, isWalletOwner, getSessionToken } = require('../middleware/walletAuth');
 
 /**
  * Helper function to safely checksum address without triggering ENS resolution
@@ -322,18 +330,76 @@ router.get('/:tokenId', async (req, res, next) => {
   }
 });
 
+/**
+ * Pricing of the next period for a subscriber (intro price while they have
+ * intro periods left). Purchases always pay the contract price, so any intro
+ * discount is reported for the vendor to settle.
+ */
+async function getPurchasePricing(planId, subscriberAddress) {
+  const planRowResult = await pool.query(
+    'SELECT * FROM subscription_plans WHERE plan_id = $1',
+    [planId]
+  );
+  const planRow = planRowResult.rows[0];
+  if (!planRow) {
+    return null;
+  }
+
+  const priorPeriods = await trialService.countPaidPeriods(subscriberAddress, planRow);
+  const intro = trialService.applyIntroPricing(planRow, priorPeriods);
+  return {
+    planRow,
+    pricing: {
+      ...trialService.getPlanOffers(planRow),
+      regularPrice: intro.regularPrice,
+      price: intro.price,
+      introApplied: intro.introApplied,
+      introPeriodsRemaining: intro.introPeriodsRemaining,
+      chargedOnChain: intro.regularPrice,
+      discountDue: intro.discount
+    }
+  };
+}
+
 /**
  * POST /api/subscriptions/purchase
- * Purchase a subscription NFT
+ * Build an unsigned purchaseSubscription transaction.
+ * The client signs and broadcasts it, then calls /purchase/confirm.
+ * With trial: true (signed-in subscriber, plan with a free trial) a trial is
+ * started instead; the returned transaction converts it when signed before
+ * the trial ends. One trial per wallet per app.
  */
 router.post('/purchase', async (req, res, next) => {
   try {
-    const { planId, subscriberAddress, subscriberPrivateKey, metadata } = req.body;
+    const { planId, subscriberAddress, metadata, trial, network = 'localhost' } = req.body;
     
-    if (!planId || !subscriberAddress || !subscriberPrivateKey) {
+    if (req.body.subscriberPrivateKey) {
+      return res.status(400).json({
+        error: 'Private keys are not accepted',
+        message: 'Sign the transaction returned by this endpoint in your wallet, then call POST /api/subscriptions/purchase/confirm'
+      });
+    }
+    
+    if (!planId || !subscriberAddress) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    if (!ethers.isAddress(subscriberAddress)) {
+      return res.status(400).json({ error: 'Invalid subscriber address' });
+    }
+    
+    // Starting a trial needs a wallet session for the subscriber (one trial per wallet)
+    if (trial === true || trial === 'true') {
+      const session = await siweAuthService.getSession(getSessionToken(req));
+      req.walletAddress = session ? session.wallet_address.toLowerCase() : null;
+      if (!session || !isWalletOwner(req, subscriberAddress)) {
+        return res.status(session ? 403 : 401).json({
+          error: session ? 'Forbidden' : 'Unauthorized',
+          message: 'Starting a free trial requires signing in with the subscriber wallet'
+        });
+      }
+    }
+    
     // Upload metadata to IPFS
     let tokenURI = '';
     if (metadata) {
@@ -342,41 +408,124 @@ router.post('/purchase', async (req, res, next) => {
       tokenURI = `ipfs://default-${Date.now()}`;
     }
     
-    // Get plan details
-    const contract = await contractService.getContract();
+    // Get plan price from the contract (source of truth for msg.value)
+    const contract = await contractService.getContract(network);
     const plan = await contract.getPlan(planId);
     
-    // Purchase subscription on blockchain
-    const provider = contractService.getProvider();
-    const wallet = new ethers.Wallet(subscriberPrivateKey, provider);
-    const contractWithSigner = contract.connect(wallet);
-    
-    // Use purchaseSubscription method (matches contract)
-    const tx = await contractWithSigner.purchaseSubscription(
-      planId,
-      tokenURI,
-      { value: plan.price }
+    const transaction = await buildUnsignedTransaction(
+      contract,
+      'purchaseSubscription',
+      [planId, tokenURI],
+      { value: plan.price, from: subscriberAddress }
     );
     
-    const receipt = await tx.wait();
+    // Trial and intro pricing settings are off-chain
+    let pricing = null;
+    try {
+      pricing = (await getPurchasePricing(planId, subscriberAddress))?.pricing || null;
+    } catch (pricingError) {
+      console.warn('[Subscription Purchase] Could not load plan pricing:', pricingError.message);
+    }
     
-      // Extract tokenId from event
-      const iface = contract.interface;
-      const event = receipt.logs.find(log => {
-        try {
-          const parsed = iface.parseLog(log);
-          return parsed && parsed.name === 'SubscriptionPurchased';
-        } catch {
-          return false;
+    if (trial === true || trial === 'true') {
+      let startedTrial;
+      try {
+        startedTrial = await trialService.startTrial(planId, subscriberAddress, { network });
+      } catch (trialError) {
+        if (trialError.status) {
+          return res.status(trialError.status).json({ error: trialError.message });
         }
-      });
-      
-      if (!event) {
-        throw new Error('SubscriptionPurchased event not found in transaction receipt');
+        throw trialError;
       }
       
-      const parsedEvent = iface.parseLog(event);
-      const tokenId = parsedEvent.args.tokenId.toString();
+      return res.status(201).json({
+        planId: planId.toString(),
+        status: 'trialing',
+        trial: startedTrial,
+        trialEndsAt: startedTrial.trialEndsAt,
+        tokenURI,
+        price: plan.price.toString(),
+        priceEth: ethers.formatEther(plan.price),
+        pricing,
+        network,
+        transaction,
+        confirmEndpoint: '/api/subscriptions/purchase/confirm',
+        message: `Free trial started. Sign and broadcast this transaction before ${startedTrial.trialEndsAt} to keep the subscription, then confirm it with the transaction hash`
+      });
+    }
+    
+    res.json({
+      planId: planId.toString(),
+      status: 'pending',
+      tokenURI,
+      price: plan.price.toString(),
+      priceEth: ethers.formatEther(plan.price),
+      pricing,
+      network,
+      transaction,
+      confirmEndpoint: '/api/subscriptions/purchase/confirm',
+      message: 'Sign and broadcast this transaction from the subscriber wallet, then confirm it with the transaction hash'
+    });
+  } catch (error) {
+    console.error('Error building purchase transaction:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/purchase/confirm
+ * Verify a broadcast purchase transaction and record the subscription
+ */
+router.post('/purchase/confirm', async (req, res, next) => {
+  try {
+    const { transactionHash, subscriberAddress, network = 'localhost' } = req.body;
+    
+    if (!transactionHash) {
+      return res.status(400).json({ error: 'transactionHash is required' });
+    }
+    
+    const contract = await contractService.getContract(network);
+    
+    let receipt;
+    try {
+      receipt = await getVerifiedReceipt(contract, transactionHash, { expectedFrom: subscriberAddress });
+    } catch (verifyError) {
+      return res.status(verifyError.status || 400).json({ error: verifyError.message, transactionHash });
+    }
+    
+    const parsedEvent = findContractEvent(contract, receipt, 'SubscriptionPurchased');
+    if (!parsedEvent) {
+      return res.status(400).json({ error: 'SubscriptionPurchased event not found in transaction receipt' });
+    }
+    
+    const tokenId = parsedEvent.args.tokenId.toString();
+    const planId = parsedEvent.args.planId.toString();
+    const subscriber = parsedEvent.args.subscriber.toLowerCase();
+    
+    // Already confirmed (client retried) - return the existing record
+    const existing = await pool.query(
+      'SELECT * FROM subscriptions WHERE token_id = $1',
+      [tokenId]
+    );
+    if (existing.rows.length > 0) {
+      return res.json({
+        tokenId,
+        transactionHash: receipt.hash,
+        tokenURI: existing.rows[0].token_uri,
+        alreadyConfirmed: true,
+        message: 'Subscription already recorded'
+      });
+    }
+    
+    // Recover the tokenURI from the signed calldata rather than trusting the client
+    let tokenURI = null;
+    try {
+      const tx = await contract.runner.provider.getTransaction(receipt.hash);
+      const parsedTx = contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+      tokenURI = parsedTx?.args?.tokenURI || parsedTx?.args?.[1] || null;
+    } catch (e) {
+      console.warn('[Subscription Purchase] Could not decode tokenURI from transaction:', e.message);
+    }
     
     // Get plan details for transaction record
     const planResult = await pool.query(
@@ -388,26 +537,47 @@ router.post('/purchase', async (req, res, next) => {
     await pool.query(
       `INSERT INTO subscriptions 
        (token_id, plan_id, subscriber_address, token_uri, transaction_hash, created_at)
-       VALUES ($1, $2, $3, $4, $5, NOW())`,
-      [tokenId, planId, subscriberAddress.toLowerCase(), tokenURI, receipt.hash]
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (token_id) DO NOTHING`,
+      [tokenId, planId, subscriber, tokenURI, receipt.hash]
     );
     
+    // Intro pricing for this period (counted before it is recorded in history)
+    let confirmedPricing = null;
+    try {
+      confirmedPricing = (await getPurchasePricing(planId, subscriber))?.pricing || null;
+    } catch (pricingError) {
+      console.warn('[Subscription Purchase] Could not load plan pricing:', pricingError.message);
+    }
+    
+    // A purchase during a free trial converts it
+    let convertedTrial = null;
+    try {
+      convertedTrial = await trialService.convertTrial(subscriber, planId, tokenId);
+    } catch (trialError) {
+      console.warn('[Subscription Purchase] Could not convert trial:', trialError.message);
+    }
+    
     // Record in subscription history (if table exists and has correct schema)
     try {
       await pool.query(
         `INSERT INTO subscription_history 
-         (token_id, subscriber_address, vendor_address, event_type, event_data, transaction_hash, block_number)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+         (token_id, plan_id, subscriber_address, vendor_address, event_type, event_data, transaction_hash, block_number)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
         [
           tokenId,
-          subscriberAddress.toLowerCase(),
+          planId,
+          subscriber,
           planResult.rows[0]?.vendor_address || '',
           'purchased',
           JSON.stringify({ 
             timestamp: new Date().toISOString(),
             planId: planId,
             price: planResult.rows[0]?.price || '0',
-            tokenURI
+            tokenURI,
+            introApplied: confirmedPricing ? confirmedPricing.introApplied : false,
+            discountDue: confirmedPricing ? confirmedPricing.discountDue : '0',
+            trialId: convertedTrial ? convertedTrial.id : null
           }),
           receipt.hash,
           receipt.blockNumber
@@ -420,50 +590,34 @@ router.post('/purchase', async (req, res, next) => {
     
     // Trigger subscription.purchased webhook (AC2.6)
     try {
-      // Get subscription data from blockchain
       const subscription = await contract.getSubscription(tokenId);
       const plan = await contract.getPlan(subscription.planId);
+      const apiKeyId = await webhookService.findVendorWebhookKeyId(planResult.rows[0]?.vendor_address);
       
-      // Try to find API key for vendor
-      const vendorAddress = planResult.rows[0]?.vendor_address;
-      if (vendorAddress) {
-        // Get API key ID from vendor address (try checkout_apps first, then api_keys)
-        let apiKeyResult = await pool.query(
-          `SELECT id FROM checkout_apps WHERE vendor_address = $1 AND status = 'active' LIMIT 1`,
-          [vendorAddress.toLowerCase()]
-        );
-        
-        // Fallback to api_keys table
-        if (apiKeyResult.rows.length === 0) {
-          apiKeyResult = await pool.query(
-            `SELECT id FROM api_keys WHERE vendor_address = $1 AND active = true LIMIT 1`,
-            [vendorAddress.toLowerCase()]
-          );
-        }
+      if (apiKeyId) {
+        const payload = {
+          tokenId: tokenId,
+          planId: subscription.planId.toString(),
+          customerAddress: subscriber,
+          startTime: subscription.startTime.toString(),
+          endTime: subscription.endTime.toString(),
+          startTimeISO: new Date(parseInt(subscription.startTime.toString()) * 1000).toISOString(),
+          endTimeISO: new Date(parseInt(subscription.endTime.toString()) * 1000).toISOString(),
+          transactionHash: receipt.hash,
+          purchaseTimestamp: new Date().toISOString(),
+          trial: convertedTrial,
+          pricing: confirmedPricing,
+          plan: {
+            name: plan.name,
+            description: plan.description,
+            price: plan.price.toString()
+          }
+        };
         
-        if (apiKeyResult.rows.length > 0) {
-          const payload = {
-            tokenId: tokenId,
-            planId: subscription.planId.toString(),
-            customerAddress: subscriberAddress.toLowerCase(),
-            startTime: subscription.startTime.toString(),
-            endTime: subscription.endTime.toString(),
-            startTimeISO: new Date(parseInt(subscription.startTime.toString()) * 1000).toISOString(),
-            endTimeISO: new Date(parseInt(subscription.endTime.toString()) * 1000).toISOString(),
-            transactionHash: receipt.hash,
-            purchaseTimestamp: new Date().toISOString(),
-            plan: {
-              name: plan.name,
-              description: plan.description,
-              price: plan.price.toString()
-            }
-          };
-          
-          webhookService.triggerWebhook(apiKeyResult.rows[0].id, 'subscription.purchased', payload)
-            .catch(error => {
-              console.error('[Webhook] Error triggering subscription.purchased:', error.message);
-            });
-        }
+        webhookService.triggerWebhook(apiKeyId, 'subscription.purchased', payload)
+          .catch(error => {
+            console.error('[Webhook] Error triggering subscription.purchased:', error.message);
+          });
       }
     } catch (webhookError) {
       console.warn('[Subscription] Error triggering webhook:', webhookError.message);
@@ -472,112 +626,317 @@ router.post('/purchase', async (req, res, next) => {
     res.status(201).json({
       tokenId,
       transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
       tokenURI,
       plan: planResult.rows[0] || null,
+      status: 'active',
+      trial: convertedTrial,
+      pricing: confirmedPricing,
       message: 'Subscription purchased successfully'
     });
   } catch (error) {
-    console.error('Error purchasing subscription:', error);
+    console.error('Error confirming subscription purchase:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/gift
+ * Buy a subscription for someone else
+ * Requires a SIWE session for the purchaser's wallet
+ * Body: { planId, recipientAddress | recipientEmail, message?, metadata?, network? }
+ * Returns the purchase transaction to sign from the purchaser's wallet; confirm it with /gift/:giftId/confirm
+ */
+router.post('/gift', requireWallet, async (req, res, next) => {
+  try {
+    const { planId, recipientAddress, recipientEmail, message, metadata, network } = req.body;
+
+    const created = await subscriptionTransferService.createGift(req.walletAddress, {
+      planId, recipientAddress, recipientEmail, message, metadata, network
+    });
+
+    res.status(201).json({
+      ...created,
+      confirmEndpoint: `/api/subscriptions/gift/${created.gift.id}/confirm`,
+      message: 'Sign and broadcast this transaction from your wallet, then confirm it with the transaction hash'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating gift:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/gift/:giftId/confirm
+ * Verify the gift's purchase transaction and record the subscription
+ * Requires a SIWE session for the purchaser's wallet
+ * Body: { transactionHash }
+ * Wallet gifts return the transfer transaction to sign; email gifts return a claim code and
+ * claimUrl to share with the recipient (shown once - confirming again issues a new one)
+ */
+router.post('/gift/:giftId/confirm', requireWallet, async (req, res, next) => {
+  try {
+    const giftPurchase = await subscriptionTransferService.confirmGiftPurchase(req.params.giftId, req.walletAddress, {
+      transactionHash: req.body.transactionHash
+    });
+
+    res.status(giftPurchase.alreadyConfirmed ? 200 : 201).json({
+      ...giftPurchase,
+      message: giftPurchase.claimCode
+        ? 'Gift purchased. Share the claim link with the recipient; once claimed, sign the transfer from GET /api/subscriptions/gift/:giftId'
+        : 'Gift purchased. Sign and broadcast the transfer transaction to deliver it'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, giftId: req.params.giftId });
+    }
+    console.error('Error confirming gift purchase:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/subscriptions/gift/claim/:claimCode
+ * Public preview of an email gift (plan and message)
+ */
+router.get('/gift/claim/:claimCode', async (req, res, next) => {
+  try {
+    const preview = await subscriptionTransferService.getGiftByClaimCode(req.params.claimCode);
+    res.json({ gift: preview });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching gift:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/gift/claim/:claimCode
+ * Claim an email gift for the signed-in wallet
+ * Requires a SIWE session for the recipient's wallet; the purchaser then signs the transfer
+ */
+router.post('/gift/claim/:claimCode', requireWallet, async (req, res, next) => {
+  try {
+    const claimed = await subscriptionTransferService.claimGift(req.params.claimCode, req.walletAddress);
+    res.json({
+      ...claimed,
+      message: 'Gift claimed. It is delivered to your wallet once the purchaser signs the transfer'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error claiming gift:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/subscriptions/gift/:giftId
+ * A gift for its purchaser or recipient
+ * Requires a SIWE session; the purchaser also gets the transfer transaction while the gift awaits delivery
+ */
+router.get('/gift/:giftId', requireWallet, async (req, res, next) => {
+  try {
+    const found = await subscriptionTransferService.getGift(req.params.giftId, req.walletAddress);
+    res.json(found);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, giftId: req.params.giftId });
+    }
+    console.error('Error fetching gift:', error);
     next(error);
   }
 });
 
 /**
  * POST /api/subscriptions/:tokenId/renew
- * Renew a subscription
+ * Build an unsigned renewSubscription transaction.
+ * The client signs and broadcasts it, then calls /:tokenId/renew/confirm.
  */
 router.post('/:tokenId/renew', async (req, res, next) => {
   try {
     const { tokenId } = req.params;
-    const { subscriberPrivateKey } = req.body;
+    const { network = 'localhost' } = req.body;
     
-    if (!subscriberPrivateKey) {
-      return res.status(400).json({ error: 'Private key required' });
+    if (req.body.subscriberPrivateKey) {
+      return res.status(400).json({
+        error: 'Private keys are not accepted',
+        message: `Sign the transaction returned by this endpoint in your wallet, then call POST /api/subscriptions/${tokenId}/renew/confirm`
+      });
     }
     
-    const contract = await contractService.getContract();
+    const contract = await contractService.getContract(network);
     const subscription = await contract.getSubscription(tokenId);
     const plan = await contract.getPlan(subscription.planId);
     
-    const provider = contractService.getProvider();
-    const wallet = new ethers.Wallet(subscriberPrivateKey, provider);
-    const contractWithSigner = contract.connect(wallet);
+    const transaction = await buildUnsignedTransaction(
+      contract,
+      'renewSubscription',
+      [tokenId],
+      { value: plan.price, from: subscription.subscriber }
+    );
     
-    const tx = await contractWithSigner.renewSubscription(tokenId, {
-      value: plan.price
+    res.json({
+      tokenId: tokenId.toString(),
+      planId: subscription.planId.toString(),
+      currentEndTime: subscription.endTime.toString(),
+      price: plan.price.toString(),
+      priceEth: ethers.formatEther(plan.price),
+      network,
+      transaction,
+      confirmEndpoint: `/api/subscriptions/${tokenId}/renew/confirm`,
+      message: 'Sign and broadcast this transaction from the subscriber wallet, then confirm it with the transaction hash'
     });
+  } catch (error) {
+    console.error('Error building renewal transaction:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/:tokenId/renew/confirm
+ * Verify a broadcast renewal transaction and notify the vendor
+ */
+router.post('/:tokenId/renew/confirm', async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+    const { transactionHash, network = 'localhost' } = req.body;
     
-    const receipt = await tx.wait();
+    if (!transactionHash) {
+      return res.status(400).json({ error: 'transactionHash is required' });
+    }
+    
+    const contract = await contractService.getContract(network);
+    
+    let receipt;
+    try {
+      receipt = await getVerifiedReceipt(contract, transactionHash);
+    } catch (verifyError) {
+      return res.status(verifyError.status || 400).json({ error: verifyError.message, transactionHash });
+    }
+    
+    const renewedEvent = findContractEvent(
+      contract,
+      receipt,
+      'SubscriptionRenewed',
+      parsed => parsed.args.tokenId.toString() === tokenId.toString()
+    );
+    if (!renewedEvent) {
+      return res.status(400).json({ error: `SubscriptionRenewed event for token ${tokenId} not found in transaction receipt` });
+    }
     
     // Get updated subscription data
     const updatedSubscription = await contract.getSubscription(tokenId);
     const updatedPlan = await contract.getPlan(updatedSubscription.planId);
+    const newEndTime = renewedEvent.args.newEndTime.toString();
     
-    // Trigger subscription.renewed webhook (AC2.7)
+    // End time as it was just before the renewal block
+    let previousEndTime;
+    try {
+      const priorSubscription = await contract.getSubscription(tokenId, { blockTag: receipt.blockNumber - 1 });
+      previousEndTime = priorSubscription.endTime.toString();
+    } catch (e) {
+      previousEndTime = (BigInt(newEndTime) - BigInt(updatedPlan.duration)).toString();
+    }
+    
+    // A renewal transaction is only recorded and announced once, whether or not
+    // the subscription row exists yet
+    const duplicate = await pool.query(
+      `SELECT 1 FROM subscription_history WHERE token_id = $1 AND event_type = 'renewed' AND transaction_hash = $2`,
+      [tokenId, receipt.hash]
+    );
+    if (duplicate.rows.length > 0) {
+      return res.json({
+        tokenId,
+        transactionHash: receipt.hash,
+        newEndTime,
+        alreadyConfirmed: true,
+        message: 'Renewal already recorded'
+      });
+    }
+    
+    const subResult = await pool.query(
+      `SELECT s.*, sp.vendor_address 
+       FROM subscriptions s
+       LEFT JOIN subscription_plans sp ON s.plan_id = sp.plan_id
+       WHERE s.token_id = $1`,
+      [tokenId]
+    );
+    const sub = subResult.rows[0];
+    
+    // Record in subscription history (from the chain when the row is missing)
     try {
-      // Get subscription from database to find vendor
-      const subResult = await pool.query(
-        `SELECT s.*, sp.vendor_address 
-         FROM subscriptions s
-         LEFT JOIN subscription_plans sp ON s.plan_id = sp.plan_id
-         WHERE s.token_id = $1`,
-        [tokenId]
+      await pool.query(
+        `INSERT INTO subscription_history 
+         (token_id, plan_id, subscriber_address, vendor_address, event_type, event_data, transaction_hash, block_number)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          tokenId,
+          sub ? sub.plan_id : updatedSubscription.planId.toString(),
+          sub ? sub.subscriber_address : updatedSubscription.subscriber.toLowerCase(),
+          sub?.vendor_address || '',
+          'renewed',
+          JSON.stringify({
+            timestamp: new Date().toISOString(),
+            previousEndTime,
+            newEndTime,
+            price: updatedPlan.price.toString()
+          }),
+          receipt.hash,
+          receipt.blockNumber
+        ]
       );
+    } catch (historyError) {
+      console.warn('[Subscription Renew] Could not record in subscription_history:', historyError.message);
+    }
+    
+    // Trigger subscription.renewed webhook (AC2.7)
+    try {
+      const apiKeyId = await webhookService.findVendorWebhookKeyId(sub?.vendor_address);
       
-      if (subResult.rows.length > 0) {
-        const vendorAddress = subResult.rows[0].vendor_address;
-        
-        // Get API key ID from vendor address (try checkout_apps first, then api_keys)
-        let apiKeyResult = await pool.query(
-          `SELECT id FROM checkout_apps WHERE vendor_address = $1 AND status = 'active' LIMIT 1`,
-          [vendorAddress?.toLowerCase()]
-        );
-        
-        // Fallback to api_keys table
-        if (apiKeyResult.rows.length === 0) {
-          apiKeyResult = await pool.query(
-            `SELECT id FROM api_keys WHERE vendor_address = $1 AND active = true LIMIT 1`,
-            [vendorAddress?.toLowerCase()]
-          );
-        }
+      if (apiKeyId) {
+        const payload = {
+          tokenId: tokenId,
+          planId: updatedSubscription.planId.toString(),
+          customerAddress: updatedSubscription.subscriber.toLowerCase(),
+          previousEndTime: previousEndTime,
+          previousEndTimeISO: new Date(parseInt(previousEndTime) * 1000).toISOString(),
+          newEndTime: newEndTime,
+          newEndTimeISO: new Date(parseInt(newEndTime) * 1000).toISOString(),
+          renewalTransactionHash: receipt.hash,
+          renewalTimestamp: new Date().toISOString(),
+          plan: {
+            name: updatedPlan.name,
+            description: updatedPlan.description,
+            price: updatedPlan.price.toString()
+          }
+        };
         
-        if (apiKeyResult.rows.length > 0) {
-          const previousEndTime = subscription.endTime.toString();
-          const newEndTime = updatedSubscription.endTime.toString();
-          
-          const payload = {
-            tokenId: tokenId,
-            planId: updatedSubscription.planId.toString(),
-            customerAddress: subscription.subscriber.toLowerCase(),
-            previousEndTime: previousEndTime,
-            previousEndTimeISO: new Date(parseInt(previousEndTime) * 1000).toISOString(),
-            newEndTime: newEndTime,
-            newEndTimeISO: new Date(parseInt(newEndTime) * 1000).toISOString(),
-            renewalTransactionHash: receipt.hash,
-            renewalTimestamp: new Date().toISOString(),
-            plan: {
-              name: updatedPlan.name,
-              description: updatedPlan.description,
-              price: updatedPlan.price.toString()
-            }
-          };
-          
-          webhookService.triggerWebhook(apiKeyResult.rows[0].id, 'subscription.renewed', payload)
-            .catch(error => {
-              console.error('[Webhook] Error triggering subscription.renewed:', error.message);
-            });
-        }
+        webhookService.triggerWebhook(apiKeyId, 'subscription.renewed', payload)
+          .catch(error => {
+            console.error('[Webhook] Error triggering subscription.renewed:', error.message);
+          });
       }
     } catch (webhookError) {
       console.warn('[Subscription] Error triggering renewal webhook:', webhookError.message);
     }
     
     res.json({
+      tokenId,
       transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      previousEndTime,
+      newEndTime,
       message: 'Subscription renewed successfully'
     });
   } catch (error) {
-    console.error('Error renewing subscription:', error);
+    console.error('Error confirming subscription renewal:', error);
     next(error);
   }
 });
@@ -704,8 +1063,20 @@ router.get('/user/:address', async (req, res, next) => {
     // Process all subscriptions (from blockchain, with database data if available)
     const allTokenIds = new Set();
     
-    // Add token IDs from blockchain
-    tokenIds.forEach(id => allTokenIds.add(id.toString()));
+    // Add token IDs from blockchain, except tokens since transferred to another wallet
+    let transferredAway = new Set();
+    if (tokenIds.length > 0) {
+      const transferredResult = await pool.query(
+        'SELECT token_id FROM subscriptions WHERE token_id = ANY($1) AND subscriber_address <> $2',
+        [tokenIds.map(id => id.toString()), normalizedAddress]
+      );
+      transferredAway = new Set(transferredResult.rows.map(row => row.token_id));
+    }
+    tokenIds.forEach(id => {
+      if (!transferredAway.has(id.toString())) {
+        allTokenIds.add(id.toString());
+      }
+    });
     
     // Add token IDs from database (in case some aren't in blockchain yet)
     dbResult.rows.forEach(sub => allTokenIds.add(sub.token_id));
@@ -864,34 +1235,123 @@ router.get('/user/:address', async (req, res, next) => {
   }
 });
 
+/**
+ * Verify a client-broadcast pause/unpause transaction for a subscription.
+ * Returns { sub, contract, receipt, event, onChain } or throws an error with `status`.
+ */
+async function verifyPauseTransaction(req, eventName) {
+  const { tokenId } = req.params;
+  const { transactionHash, network = 'localhost' } = req.body;
+
+  const fail = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  };
+
+  if (!transactionHash) {
+    throw fail('transactionHash is required');
+  }
+
+  const subResult = await pool.query(
+    `SELECT s.*, p.vendor_address, p.pause_enabled, p.max_pause_attempts, p.name AS plan_name
+     FROM subscriptions s
+     JOIN subscription_plans p ON s.plan_id = p.plan_id
+     WHERE s.token_id = $1`,
+    [tokenId]
+  );
+
+  if (subResult.rows.length === 0) {
+    throw fail('Subscription not found', 404);
+  }
+
+  const sub = subResult.rows[0];
+
+  if (!isWalletOwner(req, sub.subscriber_address)) {
+    throw fail('Only the subscriber can pause or unpause this subscription', 403);
+  }
+
+  if (sub.pause_enabled === false) {
+    throw fail('Pausing is not enabled for this plan');
+  }
+
+  const contract = await contractService.getContract(network);
+  const receipt = await getVerifiedReceipt(contract, transactionHash, { expectedFrom: sub.subscriber_address });
+
+  const event = findContractEvent(
+    contract,
+    receipt,
+    eventName,
+    parsed => parsed.args.tokenId.toString() === tokenId.toString()
+  );
+  if (!event) {
+    throw fail(`${eventName} event for token ${tokenId} not found in transaction receipt`);
+  }
+
+  const onChain = await contract.getSubscription(tokenId);
+
+  return { sub, contract, receipt, event, onChain, network };
+}
+
+/**
+ * Whether this transaction was already recorded for the subscription
+ */
+async function isPauseEventRecorded(tokenId, eventType, transactionHash) {
+  const duplicate = await pool.query(
+    `SELECT 1 FROM subscription_history WHERE token_id = $1 AND event_type = $2 AND transaction_hash = $3`,
+    [tokenId, eventType, transactionHash]
+  );
+  return duplicate.rows.length > 0;
+}
+
 /**
  * POST /api/subscriptions/:tokenId/pause
- * Record a pause event
+ * Verify a pauseSubscription transaction and record the pause
+ * Requires a SIWE session for the subscriber's wallet
+ * Body: { transactionHash, network? }
  */
-router.post('/:tokenId/pause', async (req, res, next) => {
+router.post('/:tokenId/pause', requireWallet, async (req, res, next) => {
   try {
     const { tokenId } = req.params;
-    const { transactionHash, blockNumber } = req.body;
-    
-    // Get subscription details
-    const subResult = await pool.query(
-      'SELECT s.*, p.vendor_address FROM subscriptions s JOIN subscription_plans p ON s.plan_id = p.plan_id WHERE s.token_id = $1',
-      [tokenId]
-    );
-    
-    if (subResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Subscription not found' });
+
+    let verified;
+    try {
+      verified = await verifyPauseTransaction(req, 'SubscriptionPaused');
+    } catch (verifyError) {
+      if (verifyError.status) {
+        return res.status(verifyError.status).json({ error: verifyError.message, tokenId });
+      }
+      throw verifyError;
     }
-    
-    const sub = subResult.rows[0];
-    
-    // Update subscription paused status
+
+    const { sub, receipt, event, onChain, network } = verified;
+
+    if (await isPauseEventRecorded(tokenId, 'paused', receipt.hash)) {
+      return res.json({ message: 'Pause already recorded', tokenId, transactionHash: receipt.hash, alreadyConfirmed: true });
+    }
+
+    const pauseAttempts = Number(onChain.pauseAttempts);
+    const maxPauseAttempts = sub.max_pause_attempts === null || sub.max_pause_attempts === undefined
+      ? null
+      : Number(sub.max_pause_attempts);
+    // The pause is already final on-chain, so it is recorded either way; going
+    // over the plan's limit is reported alongside it
+    const planViolation = maxPauseAttempts !== null && pauseAttempts > maxPauseAttempts
+      ? `Plan allows at most ${maxPauseAttempts} pauses`
+      : null;
+    if (planViolation) {
+      console.warn(`[Subscription] ⚠️ Subscription ${tokenId} paused ${pauseAttempts} times on-chain: ${planViolation}`);
+    }
+
+    const pauseStartTime = (onChain.pauseStartTime || event.args.pauseStartTime).toString();
+
     await pool.query(
-      'UPDATE subscriptions SET paused = true, pause_attempts = pause_attempts + 1, updated_at = NOW() WHERE token_id = $1',
-      [tokenId]
+      `UPDATE subscriptions
+       SET paused = true, pause_attempts = $2, total_paused_time = $3, updated_at = NOW()
+       WHERE token_id = $1`,
+      [tokenId, pauseAttempts, onChain.totalPausedTime.toString()]
     );
-    
-    // Record in history
+
     await pool.query(
       `INSERT INTO subscription_history 
        (token_id, plan_id, subscriber_address, vendor_address, event_type, event_data, transaction_hash, block_number)
@@ -902,13 +1362,47 @@ router.post('/:tokenId/pause', async (req, res, next) => {
         sub.subscriber_address,
         sub.vendor_address,
         'paused',
-        JSON.stringify({ timestamp: new Date().toISOString() }),
-        transactionHash,
-        blockNumber
+        JSON.stringify({ timestamp: new Date().toISOString(), pauseStartTime, pauseAttempts, planViolation }),
+        receipt.hash,
+        receipt.blockNumber
       ]
     );
-    
-    res.json({ message: 'Pause event recorded', tokenId });
+
+    // Trigger subscription.paused webhook
+    try {
+      const apiKeyId = await webhookService.findVendorWebhookKeyId(sub.vendor_address);
+
+      if (apiKeyId) {
+        webhookService.triggerWebhook(apiKeyId, 'subscription.paused', {
+          tokenId,
+          planId: sub.plan_id.toString(),
+          customerAddress: sub.subscriber_address.toLowerCase(),
+          pauseStartTime,
+          pauseStartTimeISO: new Date(parseInt(pauseStartTime) * 1000).toISOString(),
+          pauseAttempts,
+          maxPauseAttempts,
+          planViolation,
+          endTime: onChain.endTime.toString(),
+          transactionHash: receipt.hash,
+          network,
+          plan: { name: sub.plan_name }
+        }).catch(error => {
+          console.error('[Webhook] Error triggering subscription.paused:', error.message);
+        });
+      }
+    } catch (webhookError) {
+      console.warn('[Subscription] Error triggering pause webhook:', webhookError.message);
+    }
+
+    res.json({
+      message: 'Pause event recorded',
+      tokenId,
+      transactionHash: receipt.hash,
+      pauseStartTime,
+      pauseAttempts,
+      maxPauseAttempts,
+      planViolation
+    });
   } catch (error) {
     console.error('Error recording pause:', error);
     next(error);
@@ -917,36 +1411,52 @@ router.post('/:tokenId/pause', async (req, res, next) => {
 
 /**
  * POST /api/subscriptions/:tokenId/unpause
- * Record an unpause event
+ * Verify an unpauseSubscription transaction and record the resume
+ * Requires a SIWE session for the subscriber's wallet
+ * Body: { transactionHash, network? }
  */
-router.post('/:tokenId/unpause', async (req, res, next) => {
+router.post('/:tokenId/unpause', requireWallet, async (req, res, next) => {
   try {
     const { tokenId } = req.params;
-    const { transactionHash, blockNumber } = req.body;
-    
-    // Get subscription details
-    const subResult = await pool.query(
-      'SELECT s.*, p.vendor_address FROM subscriptions s JOIN subscription_plans p ON s.plan_id = p.plan_id WHERE s.token_id = $1',
-      [tokenId]
-    );
-    
-    if (subResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Subscription not found' });
+
+    let verified;
+    try {
+      verified = await verifyPauseTransaction(req, 'SubscriptionUnpaused');
+    } catch (verifyError) {
+      if (verifyError.status) {
+        return res.status(verifyError.status).json({ error: verifyError.message, tokenId });
+      }
+      throw verifyError;
     }
-    
-    const sub = subResult.rows[0];
-    
-    // Get blockchain data to get pause duration
-    const contract = await contractService.getContract();
-    const blockchainSub = await contract.getSubscription(tokenId);
-    
-    // Update subscription paused status
+
+    const { sub, contract, receipt, event, onChain, network } = verified;
+
+    if (await isPauseEventRecorded(tokenId, 'unpaused', receipt.hash)) {
+      return res.json({ message: 'Unpause already recorded', tokenId, transactionHash: receipt.hash, alreadyConfirmed: true });
+    }
+
+    // Paused duration is what this transaction added to totalPausedTime on-chain,
+    // read at its own block so later pause/unpause cycles aren't counted
+    const totalPausedTime = onChain.totalPausedTime.toString();
+    let pauseStartTime = null;
+    let pauseDuration;
+    try {
+      const priorSubscription = await contract.getSubscription(tokenId, { blockTag: receipt.blockNumber - 1 });
+      const unpausedSubscription = await contract.getSubscription(tokenId, { blockTag: receipt.blockNumber });
+      pauseStartTime = priorSubscription.pauseStartTime.toString();
+      pauseDuration = (unpausedSubscription.totalPausedTime - priorSubscription.totalPausedTime).toString();
+    } catch (e) {
+      pauseDuration = event.args.pauseDuration.toString();
+    }
+
+    // The token may have been paused again since this transaction
     await pool.query(
-      'UPDATE subscriptions SET paused = false, total_paused_time = total_paused_time + EXTRACT(EPOCH FROM (NOW() - created_at))::INTEGER, updated_at = NOW() WHERE token_id = $1',
-      [tokenId]
+      `UPDATE subscriptions
+       SET paused = $4, total_paused_time = $2, pause_attempts = $3, updated_at = NOW()
+       WHERE token_id = $1`,
+      [tokenId, totalPausedTime, Number(onChain.pauseAttempts), onChain.paused === true]
     );
-    
-    // Record in history
+
     await pool.query(
       `INSERT INTO subscription_history 
        (token_id, plan_id, subscriber_address, vendor_address, event_type, event_data, transaction_hash, block_number)
@@ -957,22 +1467,325 @@ router.post('/:tokenId/unpause', async (req, res, next) => {
         sub.subscriber_address,
         sub.vendor_address,
         'unpaused',
-        JSON.stringify({ 
+        JSON.stringify({
           timestamp: new Date().toISOString(),
-          totalPausedTime: blockchainSub.totalPausedTime ? blockchainSub.totalPausedTime.toString() : '0'
+          pauseStartTime,
+          pauseDuration,
+          totalPausedTime
         }),
-        transactionHash,
-        blockNumber
+        receipt.hash,
+        receipt.blockNumber
       ]
     );
-    
-    res.json({ message: 'Unpause event recorded', tokenId });
+
+    // Trigger subscription.resumed webhook
+    try {
+      const webhookKeyId = await webhookService.findVendorWebhookKeyId(sub.vendor_address);
+
+      if (webhookKeyId) {
+        webhookService.triggerWebhook(webhookKeyId, 'subscription.resumed', {
+          tokenId,
+          planId: sub.plan_id.toString(),
+          customerAddress: sub.subscriber_address.toLowerCase(),
+          pauseStartTime,
+          pauseDuration,
+          totalPausedTime,
+          endTime: onChain.endTime.toString(),
+          endTimeISO: new Date(parseInt(onChain.endTime.toString()) * 1000).toISOString(),
+          transactionHash: receipt.hash,
+          network,
+          plan: { name: sub.plan_name }
+        }).catch(error => {
+          console.error('[Webhook] Error triggering subscription.resumed:', error.message);
+        });
+      }
+    } catch (webhookError) {
+      console.warn('[Subscription] Error triggering resume webhook:', webhookError.message);
+    }
+
+    res.json({
+      message: 'Unpause event recorded',
+      tokenId,
+      transactionHash: receipt.hash,
+      pauseDuration,
+      totalPausedTime,
+      endTime: onChain.endTime.toString()
+    });
   } catch (error) {
     console.error('Error recording unpause:', error);
     next(error);
   }
 });
 
+/**
+ * POST /api/subscriptions/:tokenId/pause-schedule
+ * Schedule a pause window (limited by the plan's max pause length)
+ * Requires a SIWE session for the subscriber's wallet
+ * Body: { startDate, endDate, network? }
+ */
+router.post('/:tokenId/pause-schedule', requireWallet, async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+    const { startDate, endDate, network } = req.body;
+
+    const schedule = await scheduledPauseService.createScheduledPause(tokenId, req.walletAddress, { startDate, endDate, network });
+
+    res.status(201).json({ message: 'Pause scheduled', tokenId, schedule });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, tokenId: req.params.tokenId });
+    }
+    console.error('Error scheduling pause:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/subscriptions/:tokenId/pause-schedule
+ * List the subscription's pause windows
+ */
+router.get('/:tokenId/pause-schedule', async (req, res, next) => {
+  try {
+    const schedules = await scheduledPauseService.listScheduledPauses(req.params.tokenId);
+    res.json({ tokenId: req.params.tokenId, schedules });
+  } catch (error) {
+    console.error('Error fetching scheduled pauses:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/subscriptions/:tokenId/pause-schedule/:scheduleId
+ * Cancel a pause window that hasn't started yet
+ * Requires a SIWE session for the subscriber's wallet
+ */
+router.delete('/:tokenId/pause-schedule/:scheduleId', requireWallet, async (req, res, next) => {
+  try {
+    const { tokenId, scheduleId } = req.params;
+
+    const schedule = await scheduledPauseService.cancelScheduledPause(tokenId, scheduleId, req.walletAddress);
+
+    res.json({ message: 'Scheduled pause cancelled', tokenId, schedule });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, tokenId: req.params.tokenId });
+    }
+    console.error('Error cancelling scheduled pause:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/:tokenId/auto-renew
+ * Opt in to auto-renewal from an ERC-20 allowance
+ * Requires a SIWE session for the subscriber's wallet
+ * Body: { network?, paymentToken? (USDT), maxAmount? (per-renewal cap in token units) }
+ * Returns an unsigned approve() transaction for the relayer; sign and send it to finish opting in
+ */
+router.post('/:tokenId/auto-renew', requireWallet, async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+    const { network, paymentToken, maxAmount } = req.body;
+
+    const optIn = await autoRenewalService.enableAutoRenew(tokenId, req.walletAddress, { network, paymentToken, maxAmount });
+
+    res.json({ message: 'Auto-renew enabled. Sign the approval transaction to authorize charges.', tokenId, ...optIn });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, tokenId: req.params.tokenId });
+    }
+    console.error('Error enabling auto-renew:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/subscriptions/:tokenId/auto-renew
+ * Auto-renew settings with the subscriber's current token allowance and balance
+ */
+router.get('/:tokenId/auto-renew', async (req, res, next) => {
+  try {
+    const autoRenew = await autoRenewalService.getAutoRenewStatus(req.params.tokenId);
+    if (!autoRenew) {
+      return res.status(404).json({ error: 'Auto-renew is not set up for this subscription', tokenId: req.params.tokenId });
+    }
+    res.json({ tokenId: req.params.tokenId, autoRenew });
+  } catch (error) {
+    console.error('Error fetching auto-renew status:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/subscriptions/:tokenId/auto-renew
+ * Opt out of auto-renewal (the subscriber can also revoke the token approval on-chain)
+ * Requires a SIWE session for the subscriber's wallet
+ */
+router.delete('/:tokenId/auto-renew', requireWallet, async (req, res, next) => {
+  try {
+    const cancelled = await autoRenewalService.disableAutoRenew(req.params.tokenId, req.walletAddress);
+    res.json({ message: 'Auto-renew disabled', tokenId: req.params.tokenId, autoRenew: cancelled });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, tokenId: req.params.tokenId });
+    }
+    console.error('Error disabling auto-renew:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/:tokenId/change-plan
+ * Upgrade, downgrade or switch to another plan of the same app
+ * Requires a SIWE session for the subscriber's wallet
+ * Body: { newPlanId, mode? ('immediate' | 'end_of_period'), network?, metadata? }
+ * immediate returns the purchase and cancel transactions to sign now, with proration for the unused time;
+ * end_of_period is scheduled for the current endTime (transactions from GET once due)
+ */
+router.post('/:tokenId/change-plan', requireWallet, async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+    const { newPlanId, mode, network, metadata } = req.body;
+
+    const planChange = await planChangeService.createPlanChange(tokenId, req.walletAddress, { newPlanId, mode, network, metadata });
+
+    res.status(201).json({
+      tokenId,
+      ...planChange,
+      confirmEndpoint: `/api/subscriptions/${tokenId}/change-plan/confirm`,
+      message: planChange.change.mode === 'immediate'
+        ? 'Sign and broadcast the purchase, then the cancel transaction, and confirm with both hashes'
+        : `Plan change scheduled for ${planChange.change.effectiveAt}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, tokenId: req.params.tokenId });
+    }
+    console.error('Error requesting plan change:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/subscriptions/:tokenId/change-plan
+ * The open plan change for a subscription, with its transactions once due
+ */
+router.get('/:tokenId/change-plan', async (req, res, next) => {
+  try {
+    const pending = await planChangeService.getPlanChange(req.params.tokenId);
+    if (!pending) {
+      return res.status(404).json({ error: 'No open plan change for this subscription', tokenId: req.params.tokenId });
+    }
+    res.json({ tokenId: req.params.tokenId, ...pending });
+  } catch (error) {
+    console.error('Error fetching plan change:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/:tokenId/change-plan/confirm
+ * Verify the signed plan change transactions and record the switch
+ * Requires a SIWE session for the subscriber's wallet
+ * Body: { changeId, transactionHash (purchase), cancelTransactionHash (immediate) }
+ */
+router.post('/:tokenId/change-plan/confirm', requireWallet, async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+    const { changeId, transactionHash, cancelTransactionHash } = req.body;
+
+    const confirmed = await planChangeService.confirmPlanChange(tokenId, req.walletAddress, { changeId, transactionHash, cancelTransactionHash });
+
+    res.json({
+      tokenId,
+      ...confirmed,
+      message: confirmed.alreadyConfirmed ? 'Plan change already recorded' : 'Plan changed successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, tokenId: req.params.tokenId });
+    }
+    console.error('Error confirming plan change:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/subscriptions/:tokenId/change-plan/:changeId
+ * Cancel an open plan change
+ * Requires a SIWE session for the subscriber's wallet
+ */
+router.delete('/:tokenId/change-plan/:changeId', requireWallet, async (req, res, next) => {
+  try {
+    const { tokenId, changeId } = req.params;
+
+    const cancelledChange = await planChangeService.cancelPlanChange(tokenId, changeId, req.walletAddress);
+
+    res.json({ message: 'Plan change cancelled', tokenId, change: cancelledChange });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, tokenId: req.params.tokenId });
+    }
+    console.error('Error cancelling plan change:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/:tokenId/transfer
+ * Build an unsigned transferFrom transaction to move the subscription NFT to another wallet
+ * Requires a SIWE session for the current owner
+ * Body: { toAddress, network? }
+ * Auto-renewal and open plan changes of the current owner are cancelled once the transfer is recorded
+ */
+router.post('/:tokenId/transfer', requireWallet, async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+    const { toAddress, network } = req.body;
+
+    const transfer = await subscriptionTransferService.requestTransfer(tokenId, req.walletAddress, { toAddress, network });
+
+    res.json({
+      tokenId,
+      ...transfer,
+      confirmEndpoint: `/api/subscriptions/${tokenId}/transfer/confirm`,
+      message: 'Sign and broadcast this transaction from the owner wallet, then confirm it with the transaction hash'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, tokenId: req.params.tokenId });
+    }
+    console.error('Error building transfer transaction:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/subscriptions/:tokenId/transfer/confirm
+ * Verify a broadcast transfer and move the subscription to its new owner
+ * Body: { transactionHash, network? }
+ * The indexer records transfers made outside this API the same way
+ */
+router.post('/:tokenId/transfer/confirm', async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+    const { transactionHash, network } = req.body;
+
+    const recordedTransfer = await subscriptionTransferService.confirmTransfer(tokenId, { transactionHash, network });
+
+    res.json({
+      ...recordedTransfer,
+      message: recordedTransfer.alreadyConfirmed ? 'Transfer already recorded' : 'Subscription transferred successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, tokenId: req.params.tokenId });
+    }
+    console.error('Error confirming transfer:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/subscriptions/history/:tokenId
  * Get subscription history
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const { requireWalletFor, isWalletOwner } = require('../middleware/walletAuth');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -9,19 +10,12 @@ const pool = new Pool({
 /**
  * PUT /api/vendor/apps/:appId/domains
  * Update allowed domains for an app
- * Requires vendor authentication (vendor_address must match app owner)
+ * Requires a SIWE session for the app owner's wallet
  */
-router.put('/apps/:appId/domains', async (req, res, next) => {
+router.put('/apps/:appId/domains', requireWalletFor(req => req.body.vendorAddress), async (req, res, next) => {
   try {
     const { appId } = req.params;
-    const { vendorAddress, allowedDomains } = req.body;
-    
-    if (!vendorAddress) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: 'vendorAddress is required'
-      });
-    }
+    const { allowedDomains } = req.body;
     
     if (!Array.isArray(allowedDomains)) {
       return res.status(400).json({
@@ -60,7 +54,7 @@ router.put('/apps/:appId/domains', async (req, res, next) => {
     const app = appResult.rows[0];
     
     // Verify vendor ownership
-    if (app.vendor_address.toLowerCase() !== vendorAddress.toLowerCase()) {
+    if (!isWalletOwner(req, app.vendor_address)) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You do not have permission to update this app'
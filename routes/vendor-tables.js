@@ -4,6 +4,8 @@ const { Pool } = require('pg');
 const { ethers } = require('ethers');
 const contractService = require('../services/contractService');
 const { getNetworkFromRequest } = require('../utils/networkHelper');
+const { requireWalletFor } = require('../middleware/walletAuth');
+const { getSubscriptionState } = require('../utils/subscriptionStatus');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -262,13 +264,11 @@ router.get('/plans', async (req, res, next) => {
 /**
  * GET /api/vendor/subscribers
  * Get customers who subscribed to vendor's plans
+ * Requires a SIWE session; vendorAddress defaults to the signed-in wallet
  */
-router.get('/subscribers', async (req, res, next) => {
+router.get('/subscribers', requireWalletFor(req => req.query.vendorAddress), async (req, res, next) => {
   try {
-    const { vendorAddress } = req.query;
-    if (!vendorAddress) {
-      return res.status(400).json({ error: 'vendorAddress is required' });
-    }
+    const vendorAddress = req.query.vendorAddress || req.walletAddress;
 
     // Extract query parameters - note: 'network' is used here, so we'll use 'vendorNetwork' later to avoid conflicts
     const { page = 1, limit = 25, search = '', sortBy = 'created_at', sortOrder = 'desc', planId, network } = req.query;
@@ -281,7 +281,8 @@ router.get('/subscribers', async (req, res, next) => {
         s.plan_id,
         s.created_at,
         sp.name as plan_name,
-        sp.price as plan_price
+        sp.price as plan_price,
+        sp.grace_period
       FROM subscriptions s
       INNER JOIN subscription_plans sp ON s.plan_id = sp.plan_id
       WHERE sp.vendor_address = $1
@@ -341,14 +342,17 @@ router.get('/subscribers', async (req, res, next) => {
           const subscription = await contract.getSubscription(sub.token_id);
           const startTime = parseInt(subscription.startTime.toString());
           const endTime = parseInt(subscription.endTime.toString());
-          const isValid = subscription.active && endTime > Math.floor(Date.now() / 1000);
+          // active / paused / past_due (in the plan's grace period) / expired / cancelled
+          const state = getSubscriptionState(subscription, sub.grace_period);
           return {
             customerAddress: sub.subscriber_address,
             planName: sub.plan_name,
             planPrice: sub.plan_price || '0',
             subscriptionStart: new Date(startTime * 1000).toISOString(),
             subscriptionEnd: new Date(endTime * 1000).toISOString(),
-            status: isValid ? 'active' : 'expired',
+            status: state.status,
+            entitled: state.entitled,
+            gracePeriodEndsAt: state.gracePeriodEndsAt ? new Date(state.gracePeriodEndsAt * 1000).toISOString() : null,
             tokenId: sub.token_id,
             paused: subscription.paused,
             published: subscription.published
@@ -362,6 +366,8 @@ router.get('/subscribers', async (req, res, next) => {
             subscriptionStart: null,
             subscriptionEnd: null,
             status: 'unknown',
+            entitled: false,
+            gracePeriodEndsAt: null,
             tokenId: sub.token_id,
             paused: false,
             published: true
@@ -430,5 +436,103 @@ router.get('/subscribers', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/vendor/coupon-redemptions
+ * Coupon redemptions on the vendor's orders, with per-coupon totals
+ * (redemptions of cancelled or expired orders are listed but not counted)
+ * Requires a SIWE session; vendorAddress defaults to the signed-in wallet
+ */
+router.get('/coupon-redemptions', requireWalletFor(req => req.query.vendorAddress), async (req, res, next) => {
+  try {
+    const redemptionVendor = req.query.vendorAddress || req.walletAddress;
+    const { page = 1, limit = 25, search = '', sortBy = 'created_at', sortOrder = 'desc', couponId } = req.query;
+    const redemptionOffset = (page - 1) * limit;
+
+    let filters = ` WHERE r.vendor_address = $1`;
+    const filterParams = [redemptionVendor.toLowerCase()];
+
+    if (couponId) {
+      filterParams.push(couponId);
+      filters += ` AND r.coupon_id = $${filterParams.length}`;
+    }
+
+    if (search) {
+      filterParams.push(`%${search}%`);
+      filters += ` AND (c.code ILIKE $${filterParams.length} OR r.order_id ILIKE $${filterParams.length} OR r.customer_key ILIKE $${filterParams.length})`;
+    }
+
+    const redemptionSortColumns = { created_at: 'r.created_at', discount_amount: 'r.discount_amount', code: 'c.code' };
+    const redemptionOrder = `${redemptionSortColumns[sortBy] || 'r.created_at'} ${sortOrder.toLowerCase() === 'asc' ? 'ASC' : 'DESC'}`;
+
+    const redemptionsResult = await pool.query(
+      `SELECT r.id, r.coupon_id, c.code, c.discount_type, r.order_id, r.customer_key, r.discount_amount, r.currency,
+              r.created_at, o.status AS order_status, o.subtotal_amount, o.total_amount
+       FROM coupon_redemptions r
+       JOIN coupons c ON c.id = r.coupon_id
+       LEFT JOIN checkout_orders o ON o.order_id = r.order_id
+       ${filters}
+       ORDER BY ${redemptionOrder}
+       LIMIT $${filterParams.length + 1} OFFSET $${filterParams.length + 2}`,
+      [...filterParams, limit, redemptionOffset]
+    );
+
+    const couponTotals = await pool.query(
+      `SELECT r.coupon_id, c.code, r.currency,
+              COUNT(*) FILTER (WHERE o.status <> 'cancelled') AS redemptions,
+              COALESCE(SUM(r.discount_amount) FILTER (WHERE o.status <> 'cancelled'), 0) AS total_discount,
+              COALESCE(SUM(o.total_amount) FILTER (WHERE o.status IN ('paid', 'confirmed', 'partially_refunded')), 0) AS paid_revenue
+       FROM coupon_redemptions r
+       JOIN coupons c ON c.id = r.coupon_id
+       LEFT JOIN checkout_orders o ON o.order_id = r.order_id
+       ${filters}
+       GROUP BY r.coupon_id, c.code, r.currency
+       ORDER BY c.code`,
+      filterParams
+    );
+
+    const redemptionCount = await pool.query(
+      `SELECT COUNT(*)
+       FROM coupon_redemptions r
+       JOIN coupons c ON c.id = r.coupon_id
+       ${filters}`,
+      filterParams
+    );
+
+    res.json({
+      data: redemptionsResult.rows.map(row => ({
+        redemptionId: row.id,
+        couponId: row.coupon_id,
+        couponCode: row.code,
+        discountType: row.discount_type,
+        orderId: row.order_id,
+        customer: row.customer_key,
+        discountAmount: row.discount_amount?.toString() || '0',
+        currency: row.currency,
+        orderStatus: row.order_status || null,
+        subtotalAmount: row.subtotal_amount?.toString() || null,
+        totalAmount: row.total_amount?.toString() || null,
+        counted: row.order_status !== 'cancelled',
+        redeemedAt: row.created_at ? new Date(row.created_at).toISOString() : null
+      })),
+      summary: couponTotals.rows.map(row => ({
+        couponId: row.coupon_id,
+        couponCode: row.code,
+        currency: row.currency,
+        redemptions: parseInt(row.redemptions),
+        totalDiscount: row.total_discount.toString(),
+        paidRevenue: row.paid_revenue.toString()
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(redemptionCount.rows[0].count),
+        totalPages: Math.ceil(redemptionCount.rows[0].count / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
@@ -3,8 +3,10 @@ const router = express.Router();
 const { Pool } = require('pg');
 const { ethers } = require('ethers');
 const contractService = require('../services/contractService');
+const subscriptionExpiryService = require('../services/subscriptionExpiryService');
 const { getNetworkFromRequest } = require('../utils/networkHelper');
 const { checkMaintenanceMode } = require('../middleware/maintenanceMode');
+const { requireWalletFor } = require('../middleware/walletAuth');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -354,8 +356,9 @@ router.get('/:vendorAddress/subscriptions', async (req, res, next) => {
 /**
  * PUT /api/vendors/:vendorAddress/network
  * Update vendor's preferred network
+ * Requires a SIWE session for vendorAddress
  */
-router.put('/:vendorAddress/network', async (req, res, next) => {
+router.put('/:vendorAddress/network', requireWalletFor(req => req.params.vendorAddress), async (req, res, next) => {
   try {
     const { vendorAddress } = req.params;
     const { network } = req.body;
@@ -399,5 +402,73 @@ router.put('/:vendorAddress/network', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/vendors/:vendorAddress/expiry-reminders
+ * Lead times before endTime at which subscription.expiring_soon is sent
+ */
+router.get('/:vendorAddress/expiry-reminders', async (req, res, next) => {
+  try {
+    const { vendorAddress } = req.params;
+
+    const result = await pool.query(
+      'SELECT expiry_reminder_lead_times FROM vendor_profiles WHERE vendor_address = $1',
+      [vendorAddress.toLowerCase()]
+    );
+
+    const configured = result.rows[0]?.expiry_reminder_lead_times ?? null;
+
+    res.json({
+      success: true,
+      vendorAddress: vendorAddress.toLowerCase(),
+      leadTimes: configured ?? subscriptionExpiryService.DEFAULT_REMINDER_LEAD_TIMES,
+      usesDefault: configured === null
+    });
+  } catch (error) {
+    console.error('Error fetching vendor expiry reminders:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/vendors/:vendorAddress/expiry-reminders
+ * Requires a SIWE session for vendorAddress
+ * Set reminder lead times, e.g. { "leadTimes": ["7d", "3d", "1d"] }.
+ * An empty list turns reminders off; null restores the defaults.
+ */
+router.put('/:vendorAddress/expiry-reminders', requireWalletFor(req => req.params.vendorAddress), async (req, res, next) => {
+  try {
+    const { vendorAddress } = req.params;
+    const { leadTimes } = req.body;
+
+    let stored = null;
+    if (leadTimes !== null) {
+      try {
+        stored = subscriptionExpiryService.normalizeLeadTimes(leadTimes).map(subscriptionExpiryService.formatLeadTime);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+
+    await pool.query(
+      `INSERT INTO vendor_profiles (vendor_address, expiry_reminder_lead_times, created_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (vendor_address) DO UPDATE SET
+         expiry_reminder_lead_times = EXCLUDED.expiry_reminder_lead_times,
+         updated_at = NOW()`,
+      [vendorAddress.toLowerCase(), stored === null ? null : JSON.stringify(stored)]
+    );
+
+    res.json({
+      success: true,
+      vendorAddress: vendorAddress.toLowerCase(),
+      leadTimes: stored ?? subscriptionExpiryService.DEFAULT_REMINDER_LEAD_TIMES,
+      usesDefault: stored === null
+    });
+  } catch (error) {
+    console.error('Error updating vendor expiry reminders:', error);
+    next(error);
+  }
+});
+
 module.exports = router;
 
@@ -8,6 +8,7 @@ const router = express.Router();
 const crypto = require('crypto');
 const { Pool } = require('pg');
 const webhookService = require('../services/webhookService');
+const { requireScope } = require('../middleware/apiKeyAuth');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -20,6 +21,59 @@ function generateWebhookSecret() {
   return `whsec_${crypto.randomBytes(32).toString('hex')}`;
 }
 
+// How long a rotated-out secret keeps signing deliveries
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const MAX_ROTATION_GRACE_HOURS = 168;
+
+// Upper bound on rows queued by a single bulk replay
+const MAX_REPLAY_BATCH = 500;
+
+// Delivery states that can be replayed (pending/processing are still in flight)
+const REPLAYABLE_STATUSES = ['success', 'failed', 'dead_letter'];
+
+/**
+ * Resolve the app_id webhooks are registered under for an API key
+ * (apps.api_key, checkout_<id> for checkout apps, or the app of an api_keys key)
+ */
+async function resolveAppId(apiKey) {
+  const appResult = await pool.query(
+    `SELECT app_id FROM apps WHERE api_key = $1`,
+    [apiKey]
+  );
+
+  if (appResult.rows.length > 0) {
+    return appResult.rows[0].app_id;
+  }
+
+  const checkoutResult = await pool.query(
+    `SELECT id FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
+    [apiKey]
+  );
+
+  if (checkoutResult.rows.length > 0) {
+    return `checkout_${checkoutResult.rows[0].id}`;
+  }
+
+  const apiKeyResult = await pool.query(
+    `SELECT app_id FROM api_keys WHERE api_key = $1 AND active = true AND revoked_at IS NULL`,
+    [apiKey]
+  );
+
+  return apiKeyResult.rows[0]?.app_id || null;
+}
+
+/**
+ * Load a webhook owned by the app (null if it doesn't exist or belongs to another app)
+ */
+async function findAppWebhook(id, appId) {
+  const webhookResult = await pool.query(
+    `SELECT id, url, active FROM webhooks WHERE id = $1 AND app_id = $2`,
+    [id, appId]
+  );
+
+  return webhookResult.rows[0] || null;
+}
+
 /**
  * Validate webhook URL
  */
@@ -40,8 +94,21 @@ const WEBHOOK_EVENTS = [
   'subscription.expired',
   'subscription.cancelled',
   'subscription.renewed',
+  'subscription.expiring_soon',
+  'subscription.paused',
+  'subscription.resumed',
+  'subscription.pause_starting',
+  'subscription.pause_ending',
+  'subscription.pause_missed',
+  'subscription.renewal_failed',
+  'subscription.past_due',
+  'subscription.dunning_reminder',
+  'subscription.plan_changed',
+  'subscription.trial_ending',
+  'subscription.transferred',
   'order.created',
   'payment.completed',
+  'payment.reverted',
   'order.status_changed',
   'order.accepted',
   'order.delivered',
@@ -53,7 +120,7 @@ const WEBHOOK_EVENTS = [
  * POST /api/webhooks
  * Register a new webhook endpoint
  */
-router.post('/', async (req, res) => {
+router.post('/', requireScope('webhooks:manage'), async (req, res) => {
   try {
     const apiKey = req.headers['x-api-key'];
     const { url, events, description } = req.body;
@@ -87,24 +154,7 @@ router.post('/', async (req, res) => {
     }
 
     // Get app_id from API key
-    let appId;
-    const appResult = await pool.query(
-      `SELECT app_id FROM apps WHERE api_key = $1`,
-      [apiKey]
-    );
-
-    if (appResult.rows.length > 0) {
-      appId = appResult.rows[0].app_id;
-    } else {
-      // Try checkout_apps
-      const checkoutResult = await pool.query(
-        `SELECT id FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
-        [apiKey]
-      );
-      if (checkoutResult.rows.length > 0) {
-        appId = `checkout_${checkoutResult.rows[0].id}`;
-      }
-    }
+    const appId = await resolveAppId(apiKey);
 
     if (!appId) {
       return res.status(401).json({ error: 'Invalid API key' });
@@ -152,7 +202,7 @@ router.post('/', async (req, res) => {
  * GET /api/webhooks
  * List all webhooks for the authenticated app
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('webhooks:manage'), async (req, res) => {
   try {
     const apiKey = req.headers['x-api-key'];
 
@@ -161,23 +211,7 @@ router.get('/', async (req, res) => {
     }
 
     // Get app_id from API key
-    let appId;
-    const appResult = await pool.query(
-      `SELECT app_id FROM apps WHERE api_key = $1`,
-      [apiKey]
-    );
-
-    if (appResult.rows.length > 0) {
-      appId = appResult.rows[0].app_id;
-    } else {
-      const checkoutResult = await pool.query(
-        `SELECT id FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
-        [apiKey]
-      );
-      if (checkoutResult.rows.length > 0) {
-        appId = `checkout_${checkoutResult.rows[0].id}`;
-      }
-    }
+    const appId = await resolveAppId(apiKey);
 
     if (!appId) {
       return res.status(401).json({ error: 'Invalid API key' });
@@ -220,7 +254,7 @@ router.get('/', async (req, res) => {
  * GET /api/webhooks/:id
  * Get a specific webhook
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('webhooks:manage'), async (req, res) => {
   try {
     const apiKey = req.headers['x-api-key'];
     const { id } = req.params;
@@ -230,23 +264,7 @@ router.get('/:id', async (req, res) => {
     }
 
     // Get app_id from API key
-    let appId;
-    const appResult = await pool.query(
-      `SELECT app_id FROM apps WHERE api_key = $1`,
-      [apiKey]
-    );
-
-    if (appResult.rows.length > 0) {
-      appId = appResult.rows[0].app_id;
-    } else {
-      const checkoutResult = await pool.query(
-        `SELECT id FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
-        [apiKey]
-      );
-      if (checkoutResult.rows.length > 0) {
-        appId = `checkout_${checkoutResult.rows[0].id}`;
-      }
-    }
+    const appId = await resolveAppId(apiKey);
 
     if (!appId) {
       return res.status(401).json({ error: 'Invalid API key' });
@@ -291,7 +309,7 @@ router.get('/:id', async (req, res) => {
  * PUT /api/webhooks/:id
  * Update a webhook
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireScope('webhooks:manage'), async (req, res) => {
   try {
     const apiKey = req.headers['x-api-key'];
     const { id } = req.params;
@@ -302,23 +320,7 @@ router.put('/:id', async (req, res) => {
     }
 
     // Get app_id from API key
-    let appId;
-    const appResult = await pool.query(
-      `SELECT app_id FROM apps WHERE api_key = $1`,
-      [apiKey]
-    );
-
-    if (appResult.rows.length > 0) {
-      appId = appResult.rows[0].app_id;
-    } else {
-      const checkoutResult = await pool.query(
-        `SELECT id FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
-        [apiKey]
-      );
-      if (checkoutResult.rows.length > 0) {
-        appId = `checkout_${checkoutResult.rows[0].id}`;
-      }
-    }
+    const appId = await resolveAppId(apiKey);
 
     if (!appId) {
       return res.status(401).json({ error: 'Invalid API key' });
@@ -408,7 +410,7 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/webhooks/:id
  * Delete a webhook
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('webhooks:manage'), async (req, res) => {
   try {
     const apiKey = req.headers['x-api-key'];
     const { id } = req.params;
@@ -418,23 +420,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Get app_id from API key
-    let appId;
-    const appResult = await pool.query(
-      `SELECT app_id FROM apps WHERE api_key = $1`,
-      [apiKey]
-    );
-
-    if (appResult.rows.length > 0) {
-      appId = appResult.rows[0].app_id;
-    } else {
-      const checkoutResult = await pool.query(
-        `SELECT id FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
-        [apiKey]
-      );
-      if (checkoutResult.rows.length > 0) {
-        appId = `checkout_${checkoutResult.rows[0].id}`;
-      }
-    }
+    const appId = await resolveAppId(apiKey);
 
     if (!appId) {
       return res.status(401).json({ error: 'Invalid API key' });
@@ -464,7 +450,7 @@ router.delete('/:id', async (req, res) => {
  * POST /api/webhooks/:id/test
  * Send a test webhook
  */
-router.post('/:id/test', async (req, res) => {
+router.post('/:id/test', requireScope('webhooks:manage'), async (req, res) => {
   try {
     const apiKey = req.headers['x-api-key'];
     const { id } = req.params;
@@ -474,23 +460,7 @@ router.post('/:id/test', async (req, res) => {
     }
 
     // Get app_id from API key
-    let appId;
-    const appResult = await pool.query(
-      `SELECT app_id FROM apps WHERE api_key = $1`,
-      [apiKey]
-    );
-
-    if (appResult.rows.length > 0) {
-      appId = appResult.rows[0].app_id;
-    } else {
-      const checkoutResult = await pool.query(
-        `SELECT id FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
-        [apiKey]
-      );
-      if (checkoutResult.rows.length > 0) {
-        appId = `checkout_${checkoutResult.rows[0].id}`;
-      }
-    }
+    const appId = await resolveAppId(apiKey);
 
     if (!appId) {
       return res.status(401).json({ error: 'Invalid API key' });
@@ -521,22 +491,18 @@ router.post('/:id/test', async (req, res) => {
     const axios = require('axios');
     const startTime = Date.now();
 
-    // Generate signature
-    const signature = webhookService.generateWebhookSignature(
-      { event: 'test', timestamp: testPayload.timestamp, data: testPayload },
-      webhook.secret
-    );
+    // Sign with the current secret (and the previous one during rotation)
+    const rawBody = JSON.stringify({
+      event: 'test',
+      timestamp: testPayload.timestamp,
+      data: testPayload
+    });
+    const secrets = webhookService.getEndpointSecrets(webhook);
 
     try {
-      const response = await axios.post(webhook.url, {
-        event: 'test',
-        timestamp: testPayload.timestamp,
-        data: testPayload
-      }, {
+      const response = await axios.post(webhook.url, rawBody, {
         headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'ElitePass-Webhook/1.0',
-          'X-Webhook-Signature': signature,
+          ...webhookService.buildDeliveryHeaders(rawBody, secrets, `whd_${crypto.randomUUID()}`),
           'X-ElitePass-Timestamp': testPayload.timestamp
         },
         timeout: 10000
@@ -594,7 +560,7 @@ router.post('/:id/test', async (req, res) => {
  * GET /api/webhooks/:id/logs
  * Get delivery logs for a webhook
  */
-router.get('/:id/logs', async (req, res) => {
+router.get('/:id/logs', requireScope('webhooks:manage'), async (req, res) => {
   try {
     const apiKey = req.headers['x-api-key'];
     const { id } = req.params;
@@ -605,23 +571,7 @@ router.get('/:id/logs', async (req, res) => {
     }
 
     // Get app_id from API key
-    let appId;
-    const appResult = await pool.query(
-      `SELECT app_id FROM apps WHERE api_key = $1`,
-      [apiKey]
-    );
-
-    if (appResult.rows.length > 0) {
-      appId = appResult.rows[0].app_id;
-    } else {
-      const checkoutResult = await pool.query(
-        `SELECT id FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
-        [apiKey]
-      );
-      if (checkoutResult.rows.length > 0) {
-        appId = `checkout_${checkoutResult.rows[0].id}`;
-      }
-    }
+    const appId = await resolveAppId(apiKey);
 
     if (!appId) {
       return res.status(401).json({ error: 'Invalid API key' });
@@ -640,7 +590,8 @@ router.get('/:id/logs', async (req, res) => {
     // Build query
     let query = `
       SELECT id, event_type, status, status_code, error_message, 
-             attempt_number, max_attempts, duration_ms, delivered_at, created_at
+             attempt_number, max_attempts, duration_ms, next_retry_at,
+             dead_lettered_at, replay_of_log_id, delivered_at, created_at
       FROM webhook_logs
       WHERE webhook_id = $1
     `;
@@ -673,6 +624,9 @@ router.get('/:id/logs', async (req, res) => {
         attemptNumber: log.attempt_number,
         maxAttempts: log.max_attempts,
         duration: log.duration_ms ? `${log.duration_ms}ms` : null,
+        nextRetryAt: log.next_retry_at,
+        deadLetteredAt: log.dead_lettered_at,
+        replayOfLogId: log.replay_of_log_id,
         deliveredAt: log.delivered_at,
         createdAt: log.created_at
       })),
@@ -691,50 +645,231 @@ router.get('/:id/logs', async (req, res) => {
 });
 
 /**
- * POST /api/webhooks/:id/rotate-secret
- * Rotate the webhook secret
+ * POST /api/webhooks/:id/logs/:logId/redeliver
+ * Send a logged event to the endpoint again as a new delivery
  */
-router.post('/:id/rotate-secret', async (req, res) => {
+router.post('/:id/logs/:logId/redeliver', requireScope('webhooks:manage'), async (req, res) => {
   try {
     const apiKey = req.headers['x-api-key'];
-    const { id } = req.params;
+    const { id, logId } = req.params;
 
     if (!apiKey) {
       return res.status(401).json({ error: 'API key is required' });
     }
 
-    // Get app_id from API key
-    let appId;
-    const appResult = await pool.query(
-      `SELECT app_id FROM apps WHERE api_key = $1`,
-      [apiKey]
+    const appId = await resolveAppId(apiKey);
+    if (!appId) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    const webhook = await findAppWebhook(id, appId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!webhook.active) {
+      return res.status(400).json({ error: 'Webhook is disabled', message: 'Enable the webhook before redelivering events' });
+    }
+
+    const logResult = await pool.query(
+      `SELECT * FROM webhook_logs WHERE id = $1 AND webhook_id = $2`,
+      [logId, id]
     );
 
-    if (appResult.rows.length > 0) {
-      appId = appResult.rows[0].app_id;
-    } else {
-      const checkoutResult = await pool.query(
-        `SELECT id FROM checkout_apps WHERE api_key = $1 AND status = 'active'`,
-        [apiKey]
+    if (logResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook log not found' });
+    }
+
+    const originalLog = logResult.rows[0];
+    if (!REPLAYABLE_STATUSES.includes(originalLog.status)) {
+      return res.status(409).json({
+        error: 'Delivery still in progress',
+        message: `Log ${originalLog.id} is ${originalLog.status}; wait for it to finish before redelivering`
+      });
+    }
+
+    const result = await webhookService.redeliverWebhookLog(originalLog, webhook.url);
+
+    console.log(`[Webhooks] 🔁 Redelivered log ${originalLog.id} for webhook ${id} as log ${result.logId}`);
+
+    res.json({
+      success: result.success,
+      data: {
+        logId: result.logId,
+        replayOfLogId: originalLog.id,
+        queued: result.queued || false,
+        statusCode: result.statusCode,
+        duration: result.durationMs !== undefined ? `${result.durationMs}ms` : null,
+        error: result.error
+      },
+      message: result.success
+        ? 'Webhook redelivered successfully'
+        : 'Redelivery failed; it will be retried on the normal schedule'
+    });
+
+  } catch (error) {
+    console.error('[Webhooks] Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook', message: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/replay
+ * Queue redelivery of every logged event matching the filters
+ * Body: { eventType?, status?, from?, to?, limit? }
+ * Legacy webhook_url deliveries (no webhook_id) made with the app's keys are
+ * included and replayed to this endpoint, signed with its secret.
+ */
+router.post('/:id/replay', requireScope('webhooks:manage'), async (req, res) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    const { id } = req.params;
+    const { eventType, status, from, to, limit = 100 } = req.body || {};
+
+    if (!apiKey) {
+      return res.status(401).json({ error: 'API key is required' });
+    }
+
+    const appId = await resolveAppId(apiKey);
+    if (!appId) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    const webhook = await findAppWebhook(id, appId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!webhook.active) {
+      return res.status(400).json({ error: 'Webhook is disabled', message: 'Enable the webhook before replaying events' });
+    }
+
+    if (status && !REPLAYABLE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of: ${REPLAYABLE_STATUSES.join(', ')}`
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'Invalid time range', message: 'from and to must be ISO 8601 dates' });
+    }
+
+    const batchLimit = parseInt(limit);
+    if (!Number.isInteger(batchLimit) || batchLimit < 1 || batchLimit > MAX_REPLAY_BATCH) {
+      return res.status(400).json({ error: 'Invalid limit', message: `limit must be between 1 and ${MAX_REPLAY_BATCH}` });
+    }
+
+    // Build query
+    let replayQuery = `
+      SELECT * FROM webhook_logs
+      WHERE (
+          webhook_id = $1
+          OR (webhook_id IS NULL AND (
+            (source_type = 'checkout_apps' AND 'checkout_' || api_key_id = $3)
+            OR (source_type = 'api_keys' AND api_key_id IN (SELECT id FROM api_keys WHERE app_id = $3))
+          ))
+        )
+        AND status = ANY($2)`;
+    const replayParams = [id, status ? [status] : REPLAYABLE_STATUSES, appId];
+
+    if (eventType) {
+      replayParams.push(eventType);
+      replayQuery += ` AND event_type = $${replayParams.length}`;
+    }
+    if (fromDate) {
+      replayParams.push(fromDate);
+      replayQuery += ` AND created_at >= $${replayParams.length}`;
+    }
+    if (toDate) {
+      replayParams.push(toDate);
+      replayQuery += ` AND created_at <= $${replayParams.length}`;
+    }
+
+    replayParams.push(batchLimit);
+    replayQuery += ` ORDER BY created_at ASC LIMIT $${replayParams.length}`;
+
+    const logsResult = await pool.query(replayQuery, replayParams);
+
+    // Queue only - the delivery worker sends them in order
+    const replays = [];
+    for (const originalLog of logsResult.rows) {
+      const replay = await webhookService.enqueueReplay({ ...originalLog, webhook_id: webhook.id, source_type: 'webhooks' }, webhook.url);
+      replays.push({ logId: replay.id, replayOfLogId: originalLog.id, eventType: replay.event_type });
+    }
+
+    if (replays.length > 0) {
+      webhookService.retryFailedWebhooks().catch(error =>
+        console.error('[Webhooks] Error draining replay queue:', error.message)
       );
-      if (checkoutResult.rows.length > 0) {
-        appId = `checkout_${checkoutResult.rows[0].id}`;
-      }
     }
 
+    console.log(`[Webhooks] 🔁 Queued ${replays.length} replay(s) for webhook ${id}`);
+
+    res.status(202).json({
+      success: true,
+      data: {
+        queued: replays.length,
+        replays
+      },
+      message: replays.length > 0
+        ? `${replays.length} event(s) queued for redelivery`
+        : 'No logged events matched the filters'
+    });
+
+  } catch (error) {
+    console.error('[Webhooks] Error replaying webhooks:', error);
+    res.status(500).json({ error: 'Failed to replay webhooks', message: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Rotate the webhook secret
+ */
+router.post('/:id/rotate-secret', requireScope('webhooks:manage'), async (req, res) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    const { id } = req.params;
+
+    if (!apiKey) {
+      return res.status(401).json({ error: 'API key is required' });
+    }
+
+    // Get app_id from API key
+    const appId = await resolveAppId(apiKey);
+
     if (!appId) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
 
+    // Old secret keeps signing alongside the new one for the grace period
+    const gracePeriodHours = req.body?.gracePeriodHours !== undefined
+      ? Number(req.body.gracePeriodHours)
+      : DEFAULT_ROTATION_GRACE_HOURS;
+
+    if (!Number.isFinite(gracePeriodHours) || gracePeriodHours < 0 || gracePeriodHours > MAX_ROTATION_GRACE_HOURS) {
+      return res.status(400).json({
+        error: 'Invalid grace period',
+        message: `gracePeriodHours must be between 0 and ${MAX_ROTATION_GRACE_HOURS}`
+      });
+    }
+
     // Generate new secret
     const newSecret = generateWebhookSecret();
 
     const result = await pool.query(
       `UPDATE webhooks 
-       SET secret = $1, updated_at = CURRENT_TIMESTAMP
+       SET previous_secret = CASE WHEN $4::numeric > 0 THEN secret ELSE NULL END,
+           previous_secret_expires_at = CASE WHEN $4::numeric > 0
+             THEN CURRENT_TIMESTAMP + $4::numeric * INTERVAL '1 hour' ELSE NULL END,
+           secret = $1,
+           updated_at = CURRENT_TIMESTAMP
        WHERE id = $2 AND app_id = $3
-       RETURNING id, secret`,
-      [newSecret, id, appId]
+       RETURNING id, secret, previous_secret_expires_at`,
+      [newSecret, id, appId, gracePeriodHours]
     );
 
     if (result.rows.length === 0) {
@@ -745,7 +880,8 @@ router.post('/:id/rotate-secret', async (req, res) => {
       success: true,
       data: {
         id: result.rows[0].id,
-        secret: result.rows[0].secret
+        secret: result.rows[0].secret,
+        previousSecretExpiresAt: result.rows[0].previous_secret_expires_at
       },
       message: 'Webhook secret rotated successfully. Keep the new secret safe.'
     });
@@ -0,0 +1,52 @@
+/**
+ * Migration script for API key scopes
+ * - api_keys: scopes (backfilled from permission_level)
+ * - apps: api_key_scopes for the app-level key (NULL = read scopes + webhooks:manage, sandbox:manage)
+ * - checkout_apps: scopes (NULL = checkout:create, orders:read, webhooks:manage, sandbox:manage)
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+const { PERMISSION_LEVEL_SCOPES } = require('../services/apiKeyService');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addApiKeyScopes() {
+  console.log('🔄 Adding API key scopes...\n');
+
+  try {
+    await pool.query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS scopes TEXT[]`);
+    for (const [permissionLevel, scopes] of Object.entries(PERMISSION_LEVEL_SCOPES)) {
+      const result = await pool.query(
+        `UPDATE api_keys SET scopes = $1 WHERE scopes IS NULL AND permission_level = $2`,
+        [scopes, permissionLevel]
+      );
+      console.log(`✅ Backfilled scopes for ${result.rowCount} ${permissionLevel} key(s)`);
+    }
+
+    await pool.query(`ALTER TABLE apps ADD COLUMN IF NOT EXISTS api_key_scopes TEXT[]`);
+    console.log('✅ Added api_key_scopes to apps');
+
+    await pool.query(`ALTER TABLE checkout_apps ADD COLUMN IF NOT EXISTS scopes TEXT[]`);
+    console.log('✅ Added scopes to checkout_apps');
+
+    console.log('\n✅ API key scopes migration completed!');
+  } catch (error) {
+    console.error('❌ Error adding API key scopes:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addApiKeyScopes()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,58 @@
+/**
+ * Migration script for checkout payment confirmation depth
+ * - checkout_transactions track block hash and confirmation count so payments
+ *   can wait for N confirmations and be rolled back if reorged out
+ * - missing_receipt_checks counts consecutive checks that found no receipt
+ * - registers the payment.reverted webhook event
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addCheckoutConfirmationColumns() {
+  console.log('🔄 Adding confirmation tracking to checkout_transactions...\n');
+
+  try {
+    await pool.query(`ALTER TABLE checkout_transactions ADD COLUMN IF NOT EXISTS block_hash VARCHAR(66)`);
+    await pool.query(`ALTER TABLE checkout_transactions ADD COLUMN IF NOT EXISTS confirmations INTEGER DEFAULT 0`);
+    await pool.query(`ALTER TABLE checkout_transactions ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP`);
+    await pool.query(`ALTER TABLE checkout_transactions ADD COLUMN IF NOT EXISTS reverted_at TIMESTAMP`);
+    await pool.query(`ALTER TABLE checkout_transactions ADD COLUMN IF NOT EXISTS missing_receipt_checks INTEGER DEFAULT 0`);
+    console.log('✅ Added confirmation columns');
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_checkout_transactions_confirmation
+      ON checkout_transactions(status, confirmed_at)
+      WHERE status IN ('pending_confirmations', 'confirmed')
+    `);
+    console.log('✅ Created confirmation index');
+
+    await pool.query(`
+      INSERT INTO webhook_event_types (event_name, description, category)
+      VALUES ('payment.reverted', 'Triggered when a confirmed payment is dropped by a chain reorg', 'checkout')
+      ON CONFLICT (event_name) DO NOTHING
+    `);
+    console.log('✅ Registered payment.reverted event');
+
+    console.log('\n✅ Checkout confirmation migration completed!');
+  } catch (error) {
+    console.error('❌ Error adding confirmation columns:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addCheckoutConfirmationColumns()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,53 @@
+/**
+ * Migration script for automatic expiry of unpaid checkout orders
+ * - checkout_apps.order_expiry_minutes (NULL = CHECKOUT_ORDER_EXPIRY_MINUTES, default 30)
+ * - checkout_orders records why/when an order was cancelled and the on-chain cancel tx
+ * - checkout_orders.expiry_locked_at claims an order while the sweeper cancels it on-chain
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addCheckoutOrderExpiry() {
+  console.log('🔄 Adding checkout order expiry columns...\n');
+
+  try {
+    await pool.query(`ALTER TABLE checkout_apps ADD COLUMN IF NOT EXISTS order_expiry_minutes INTEGER`);
+    console.log('✅ Added checkout_apps.order_expiry_minutes');
+
+    await pool.query(`ALTER TABLE checkout_orders ADD COLUMN IF NOT EXISTS api_key_id INTEGER`);
+    await pool.query(`ALTER TABLE checkout_orders ADD COLUMN IF NOT EXISTS cancellation_reason VARCHAR(50)`);
+    await pool.query(`ALTER TABLE checkout_orders ADD COLUMN IF NOT EXISTS cancellation_tx_hash VARCHAR(255)`);
+    await pool.query(`ALTER TABLE checkout_orders ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP`);
+    await pool.query(`ALTER TABLE checkout_orders ADD COLUMN IF NOT EXISTS expiry_locked_at TIMESTAMP`);
+    console.log('✅ Added checkout_orders expiry columns');
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_checkout_orders_pending_expiry
+      ON checkout_orders(expires_at)
+      WHERE status = 'pending'
+    `);
+    console.log('✅ Created pending expiry index');
+
+    console.log('\n✅ Checkout order expiry migration completed!');
+  } catch (error) {
+    console.error('❌ Error adding order expiry columns:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addCheckoutOrderExpiry()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,48 @@
+/**
+ * Migration script for subscription.expiring_soon reminders
+ * - vendor_profiles.expiry_reminder_lead_times: e.g. ["7d", "3d", "1d"] (NULL = defaults, [] = off)
+ * - subscriptions.metadata: holds the reminders already sent for the current end time
+ * - registers the subscription.expiring_soon webhook event
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addExpiryReminderColumns() {
+  console.log('🔄 Adding expiry reminder columns...\n');
+
+  try {
+    await pool.query(`ALTER TABLE vendor_profiles ADD COLUMN IF NOT EXISTS expiry_reminder_lead_times JSONB`);
+    await pool.query(`ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::jsonb`);
+    await pool.query(`ALTER TABLE expiry_checker_runs ADD COLUMN IF NOT EXISTS reminders INTEGER DEFAULT 0`);
+    console.log('✅ Added reminder columns');
+
+    await pool.query(`
+      INSERT INTO webhook_event_types (event_name, description, category)
+      VALUES ('subscription.expiring_soon', 'Triggered at the vendor''s reminder lead times before a subscription expires', 'subscription')
+      ON CONFLICT (event_name) DO NOTHING
+    `);
+    console.log('✅ Registered subscription.expiring_soon event');
+
+    console.log('\n✅ Expiry reminder migration completed!');
+  } catch (error) {
+    console.error('❌ Error adding expiry reminder columns:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addExpiryReminderColumns()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
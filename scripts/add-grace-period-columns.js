@@ -0,0 +1,54 @@
+/**
+ * Migration script for grace periods and dunning
+ * - subscription_plans.grace_period: seconds after endTime the subscription stays past_due (0 = none)
+ * - subscription_plans.dunning_schedule: reminder offsets after endTime, e.g. ["1d", "3d"] (NULL = defaults)
+ * - expiry_checker_runs.past_due / dunning_reminders: per-run counts
+ * - registers the subscription.past_due and subscription.dunning_reminder webhook events
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addGracePeriodColumns() {
+  console.log('🔄 Adding grace period and dunning columns...\n');
+
+  try {
+    await pool.query(`ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS grace_period INTEGER DEFAULT 0`);
+    await pool.query(`ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS dunning_schedule JSONB`);
+    console.log('✅ Added subscription_plans.grace_period and dunning_schedule');
+
+    await pool.query(`ALTER TABLE expiry_checker_runs ADD COLUMN IF NOT EXISTS past_due INTEGER DEFAULT 0`);
+    await pool.query(`ALTER TABLE expiry_checker_runs ADD COLUMN IF NOT EXISTS dunning_reminders INTEGER DEFAULT 0`);
+    console.log('✅ Added expiry_checker_runs.past_due and dunning_reminders');
+
+    await pool.query(`
+      INSERT INTO webhook_event_types (event_name, description, category)
+      VALUES
+        ('subscription.past_due', 'Triggered when a subscription passes its end time and enters the plan grace period', 'subscription'),
+        ('subscription.dunning_reminder', 'Triggered at each dunning reminder while a subscription is past due', 'subscription')
+      ON CONFLICT (event_name) DO NOTHING
+    `);
+    console.log('✅ Registered subscription.past_due and subscription.dunning_reminder events');
+
+    console.log('\n✅ Grace period migration completed!');
+  } catch (error) {
+    console.error('❌ Error adding grace period columns:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addGracePeriodColumns()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
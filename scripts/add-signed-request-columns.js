@@ -0,0 +1,53 @@
+/**
+ * Migration script for HMAC-signed API requests
+ * - api_keys: require_signed_requests (reject calls without X-Timestamp / X-Signature)
+ * - api_request_signatures: signatures already used, kept until their timestamp leaves the replay window
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addSignedRequestColumns() {
+  console.log('🔄 Adding signed request support...\n');
+
+  try {
+    await pool.query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS require_signed_requests BOOLEAN NOT NULL DEFAULT false`);
+    console.log('✅ Added require_signed_requests to api_keys');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_request_signatures (
+        api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+        signature VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (api_key_id, signature)
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_api_request_signatures_expires
+      ON api_request_signatures(expires_at)
+    `);
+    console.log('✅ Created api_request_signatures table');
+
+    console.log('\n✅ Signed request migration completed!');
+  } catch (error) {
+    console.error('❌ Error adding signed request support:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addSignedRequestColumns()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,43 @@
+/**
+ * Migration script for verified pause/unpause recording
+ * - registers the subscription.paused and subscription.resumed webhook events
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addSubscriptionPauseEvents() {
+  console.log('🔄 Registering subscription pause events...\n');
+
+  try {
+    await pool.query(`
+      INSERT INTO webhook_event_types (event_name, description, category)
+      VALUES
+        ('subscription.paused', 'Triggered when a subscriber pauses a subscription on-chain', 'subscription'),
+        ('subscription.resumed', 'Triggered when a subscriber unpauses a subscription on-chain', 'subscription')
+      ON CONFLICT (event_name) DO NOTHING
+    `);
+    console.log('✅ Registered subscription.paused and subscription.resumed events');
+
+    console.log('\n✅ Subscription pause events migration completed!');
+  } catch (error) {
+    console.error('❌ Error registering subscription pause events:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addSubscriptionPauseEvents()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
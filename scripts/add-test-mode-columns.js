@@ -0,0 +1,81 @@
+/**
+ * Migration script for test-mode API keys (ep_test_ / ck_test_)
+ * - api_keys, checkout_apps: test_mode
+ * - external_users, api_integration_subscriptions, checkout_orders, webhook_logs: test_mode
+ *   (rows created with test-mode keys; wiped by DELETE /api/integration/sandbox)
+ * - external_users are unique per (app_id, external_user_id, test_mode), so a sandbox user
+ *   never overwrites the live user with the same ID
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const TEST_MODE_TABLES = [
+  'api_keys',
+  'checkout_apps',
+  'external_users',
+  'api_integration_subscriptions',
+  'checkout_orders',
+  'webhook_logs'
+];
+
+async function addTestModeColumns() {
+  console.log('🔄 Adding test mode support...\n');
+
+  try {
+    for (const table of TEST_MODE_TABLES) {
+      await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS test_mode BOOLEAN NOT NULL DEFAULT false`);
+      console.log(`✅ Added test_mode to ${table}`);
+    }
+
+    // External user IDs are scoped per mode
+    await pool.query(`
+      ALTER TABLE api_integration_subscriptions
+      DROP CONSTRAINT IF EXISTS api_integration_subscriptions_app_id_external_user_id_fkey,
+      DROP CONSTRAINT IF EXISTS api_integration_subscriptions_user_mode_fkey
+    `);
+    await pool.query(`
+      ALTER TABLE external_users
+      DROP CONSTRAINT IF EXISTS external_users_app_id_external_user_id_key,
+      DROP CONSTRAINT IF EXISTS external_users_app_user_mode_key
+    `);
+    await pool.query(`
+      ALTER TABLE external_users
+      ADD CONSTRAINT external_users_app_user_mode_key UNIQUE (app_id, external_user_id, test_mode)
+    `);
+    await pool.query(`
+      ALTER TABLE api_integration_subscriptions
+      ADD CONSTRAINT api_integration_subscriptions_user_mode_fkey
+      FOREIGN KEY (app_id, external_user_id, test_mode)
+      REFERENCES external_users(app_id, external_user_id, test_mode) ON DELETE CASCADE
+    `);
+    console.log('✅ Scoped external users per (app_id, external_user_id, test_mode)');
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_checkout_orders_test_mode
+      ON checkout_orders(vendor_address) WHERE test_mode = true
+    `);
+    console.log('✅ Created sandbox order index');
+
+    console.log('\n✅ Test mode migration completed!');
+  } catch (error) {
+    console.error('❌ Error adding test mode support:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addTestModeColumns()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
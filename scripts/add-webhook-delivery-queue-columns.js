@@ -0,0 +1,70 @@
+/**
+ * Migration script for the queue-backed webhook delivery engine
+ * - one webhook_logs row per endpoint delivery (webhook_id / source_type)
+ * - row locking columns so several server instances can drain the queue
+ * - dead_letter status once max_attempts is exhausted
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addWebhookDeliveryQueueColumns() {
+  console.log('🔄 Upgrading webhook_logs for queued delivery...\n');
+
+  try {
+    // The older api-integration schema restricted status to pending/success/failed
+    // and tied api_key_id to api_keys, but checkout_apps ids are logged here too
+    await pool.query(`ALTER TABLE webhook_logs DROP CONSTRAINT IF EXISTS webhook_logs_status_check`);
+    await pool.query(`ALTER TABLE webhook_logs DROP CONSTRAINT IF EXISTS webhook_logs_api_key_id_fkey`);
+    await pool.query(`ALTER TABLE webhook_logs ALTER COLUMN api_key_id DROP NOT NULL`);
+    await pool.query(`
+      ALTER TABLE webhook_logs
+      ADD CONSTRAINT webhook_logs_status_check
+      CHECK (status IN ('pending', 'processing', 'success', 'failed', 'dead_letter'))
+    `);
+    console.log('✅ Relaxed webhook_logs constraints');
+
+    await pool.query(`ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS webhook_id UUID REFERENCES webhooks(id) ON DELETE SET NULL`);
+    await pool.query(`ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS source_type VARCHAR(50)`);
+    await pool.query(`ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS duration_ms INTEGER`);
+    await pool.query(`ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP`);
+    await pool.query(`ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255)`);
+    await pool.query(`ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMP`);
+    console.log('✅ Added delivery queue columns');
+
+    // Rows that already exhausted their attempts under the old worker
+    await pool.query(`
+      UPDATE webhook_logs
+      SET status = 'dead_letter', dead_lettered_at = COALESCE(dead_lettered_at, CURRENT_TIMESTAMP)
+      WHERE status = 'failed' AND attempt_number >= max_attempts
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_logs_queue
+      ON webhook_logs(status, next_retry_at, created_at)
+      WHERE status IN ('pending', 'failed', 'processing')
+    `);
+    console.log('✅ Created queue index');
+
+    console.log('\n✅ Webhook delivery queue migration completed!');
+  } catch (error) {
+    console.error('❌ Error upgrading webhook_logs:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addWebhookDeliveryQueueColumns()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+/**
+ * Migration script for webhook redelivery / replay
+ * Links each replayed delivery to the webhook_logs row it was copied from
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addWebhookReplayColumn() {
+  console.log('🔄 Adding webhook_logs.replay_of_log_id...\n');
+
+  try {
+    await pool.query(`
+      ALTER TABLE webhook_logs
+      ADD COLUMN IF NOT EXISTS replay_of_log_id INTEGER REFERENCES webhook_logs(id) ON DELETE SET NULL
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_logs_replay_of
+      ON webhook_logs(replay_of_log_id)
+      WHERE replay_of_log_id IS NOT NULL
+    `);
+    console.log('✅ Added replay_of_log_id column');
+
+    console.log('\n✅ Webhook replay migration completed!');
+  } catch (error) {
+    console.error('❌ Error adding replay column:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addWebhookReplayColumn()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
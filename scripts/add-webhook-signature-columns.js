@@ -0,0 +1,47 @@
+/**
+ * Migration script for timestamped webhook signatures
+ * - webhook_logs.delivery_id: stable X-Webhook-Id sent with every attempt of a delivery
+ * - webhooks.previous_secret: rotated-out secret that keeps signing during the grace period
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function addWebhookSignatureColumns() {
+  console.log('🔄 Adding webhook signature columns...\n');
+
+  try {
+    await pool.query(`ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS delivery_id VARCHAR(64)`);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_logs_delivery_id
+      ON webhook_logs(delivery_id)
+      WHERE delivery_id IS NOT NULL
+    `);
+    console.log('✅ Added webhook_logs.delivery_id');
+
+    await pool.query(`ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS previous_secret VARCHAR(255)`);
+    await pool.query(`ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS previous_secret_expires_at TIMESTAMP`);
+    console.log('✅ Added webhooks.previous_secret / previous_secret_expires_at');
+
+    console.log('\n✅ Webhook signature migration completed!');
+  } catch (error) {
+    console.error('❌ Error adding webhook signature columns:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+addWebhookSignatureColumns()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
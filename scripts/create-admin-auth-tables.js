@@ -0,0 +1,112 @@
+/**
+ * Migration script for admin authentication and RBAC
+ * - admin_users: allowlisted admin wallets (signed in via SIWE) and their role
+ * - admin_api_tokens: hashed admin API tokens and their role
+ * - admin_audit_log: append-only log of privileged admin actions
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createAdminAuthTables() {
+  console.log('🔄 Creating admin auth tables...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        wallet_address VARCHAR(42) PRIMARY KEY,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'operator', 'superadmin')),
+        active BOOLEAN DEFAULT true,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Created admin_users table');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_api_tokens (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'operator', 'superadmin')),
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `);
+    console.log('✅ Created admin_api_tokens table');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        admin_identity VARCHAR(255),
+        auth_method VARCHAR(30),
+        role VARCHAR(20),
+        action VARCHAR(100) NOT NULL,
+        outcome VARCHAR(20) NOT NULL,
+        http_method VARCHAR(10),
+        path TEXT,
+        params JSONB,
+        status_code INTEGER,
+        ip_address VARCHAR(100),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action
+      ON admin_audit_log(action, created_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_log_identity
+      ON admin_audit_log(admin_identity, created_at DESC)
+    `);
+    console.log('✅ Created admin_audit_log table');
+
+    // The audit log is append-only: reject UPDATE, DELETE and TRUNCATE
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION admin_audit_log_immutable()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'admin_audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await pool.query(`DROP TRIGGER IF EXISTS admin_audit_log_no_update ON admin_audit_log`);
+    await pool.query(`
+      CREATE TRIGGER admin_audit_log_no_update
+      BEFORE UPDATE OR DELETE ON admin_audit_log
+      FOR EACH ROW EXECUTE FUNCTION admin_audit_log_immutable()
+    `);
+    await pool.query(`DROP TRIGGER IF EXISTS admin_audit_log_no_truncate ON admin_audit_log`);
+    await pool.query(`
+      CREATE TRIGGER admin_audit_log_no_truncate
+      BEFORE TRUNCATE ON admin_audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION admin_audit_log_immutable()
+    `);
+    console.log('✅ Made admin_audit_log append-only');
+
+    console.log('\n✅ Admin auth migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating admin auth tables:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createAdminAuthTables()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,103 @@
+/**
+ * Migration script for ERC-20 auto-renewal
+ * - auto_renewals: per-subscription opt-in, payment token, cap and retry state
+ * - auto_renewal_attempts: ledger of charge attempts per subscription period
+ * - registers the subscription.renewal_failed webhook event
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createAutoRenewalTables() {
+  console.log('🔄 Creating auto-renewal tables...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS auto_renewals (
+        token_id VARCHAR(255) PRIMARY KEY,
+        subscriber_address VARCHAR(42) NOT NULL,
+        vendor_address VARCHAR(42),
+        plan_id VARCHAR(255),
+        network VARCHAR(100) DEFAULT 'localhost',
+        token_symbol VARCHAR(20) NOT NULL,
+        token_address VARCHAR(42) NOT NULL,
+        max_amount NUMERIC(78, 0),
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP,
+        last_error TEXT,
+        last_renewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_auto_renewals_due
+      ON auto_renewals(next_attempt_at)
+      WHERE enabled = true AND status IN ('active', 'retrying')
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_auto_renewals_subscriber
+      ON auto_renewals(subscriber_address)
+    `);
+    console.log('✅ Created auto_renewals table');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS auto_renewal_attempts (
+        id SERIAL PRIMARY KEY,
+        token_id VARCHAR(255) NOT NULL,
+        period_end_time BIGINT NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        reason VARCHAR(50),
+        amount NUMERIC(78, 0),
+        token_symbol VARCHAR(20),
+        charge_tx_hash VARCHAR(66),
+        renew_tx_hash VARCHAR(66),
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    // One successful charge per subscription period
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_auto_renewal_attempts_succeeded
+      ON auto_renewal_attempts(token_id, period_end_time)
+      WHERE status = 'succeeded'
+    `);
+    // At most one charge per period waiting on its renewal
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_auto_renewal_attempts_charged
+      ON auto_renewal_attempts(token_id, period_end_time)
+      WHERE status = 'charged'
+    `);
+    console.log('✅ Created auto_renewal_attempts table');
+
+    await pool.query(`
+      INSERT INTO webhook_event_types (event_name, description, category)
+      VALUES ('subscription.renewal_failed', 'Triggered when an automatic renewal charge fails', 'subscription')
+      ON CONFLICT (event_name) DO NOTHING
+    `);
+    console.log('✅ Registered subscription.renewal_failed event');
+
+    console.log('\n✅ Auto-renewal migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating auto-renewal tables:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createAutoRenewalTables()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,74 @@
+/**
+ * Migration script for the checkout refund ledger
+ * - one checkout_refunds row per refund (full, amount or item lines)
+ * - settlement records whether refundOrder ran on-chain or the vendor paid out off-chain
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createCheckoutRefundsTable() {
+  console.log('🔄 Creating checkout_refunds table...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS checkout_refunds (
+        id SERIAL PRIMARY KEY,
+        refund_id VARCHAR(255) UNIQUE NOT NULL,
+        order_id VARCHAR(255) NOT NULL,
+        vendor_address VARCHAR(255) NOT NULL,
+        amount NUMERIC(20, 8) NOT NULL,
+        currency VARCHAR(10) DEFAULT 'ETH',
+        items JSONB DEFAULT '[]'::jsonb,
+        reason TEXT,
+        settlement VARCHAR(20) NOT NULL DEFAULT 'off_chain' CHECK (settlement IN ('on_chain', 'off_chain')),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+        transaction_hash VARCHAR(255),
+        failure_reason TEXT,
+        network VARCHAR(50) DEFAULT 'localhost',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES checkout_orders(order_id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Created checkout_refunds table');
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_checkout_refunds_order
+      ON checkout_refunds(order_id, created_at)
+    `);
+    console.log('✅ Created refund indexes');
+
+    // Orders refunded before the ledger existed were always full refunds
+    await pool.query(`
+      INSERT INTO checkout_refunds (refund_id, order_id, vendor_address, amount, currency, settlement, status, network, created_at)
+      SELECT 'RFD-legacy-' || co.order_id, co.order_id, co.vendor_address, co.total_amount, co.currency,
+             'off_chain', 'completed', co.network, co.updated_at
+      FROM checkout_orders co
+      WHERE co.status = 'refunded'
+      ON CONFLICT (refund_id) DO NOTHING
+    `);
+    console.log('✅ Backfilled ledger for previously refunded orders');
+
+    console.log('\n✅ Checkout refunds migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating checkout_refunds table:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createCheckoutRefundsTable()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,98 @@
+/**
+ * Migration script for coupons and promotion codes
+ * - coupons: vendor coupon codes (percentage or fixed discount, limits, validity window, app/plan/product scope)
+ * - coupon_redemptions: one row per order a coupon was applied to
+ * - checkout_orders: subtotal_amount, discount_amount, coupon_id, coupon_code
+ * - checkout_order_items: discount_amount (share of the order discount)
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createCouponsTables() {
+  console.log('🔄 Creating coupons tables...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS coupons (
+        id SERIAL PRIMARY KEY,
+        vendor_address VARCHAR(255) NOT NULL,
+        code VARCHAR(40) NOT NULL,
+        description TEXT,
+        discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+        discount_value NUMERIC(20, 8) NOT NULL,
+        currency VARCHAR(10),
+        max_redemptions INTEGER,
+        per_customer_limit INTEGER,
+        starts_at TIMESTAMP,
+        expires_at TIMESTAMP,
+        app_ids TEXT[] DEFAULT '{}',
+        plan_ids TEXT[] DEFAULT '{}',
+        product_ids TEXT[] DEFAULT '{}',
+        active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (vendor_address, code)
+      )
+    `);
+    console.log('✅ Created coupons table');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS coupon_redemptions (
+        id SERIAL PRIMARY KEY,
+        coupon_id INTEGER NOT NULL REFERENCES coupons(id),
+        order_id VARCHAR(255) NOT NULL,
+        vendor_address VARCHAR(255) NOT NULL,
+        customer_key VARCHAR(255),
+        discount_amount NUMERIC(20, 8) NOT NULL,
+        currency VARCHAR(10) DEFAULT 'ETH',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (order_id),
+        FOREIGN KEY (order_id) REFERENCES checkout_orders(order_id) ON DELETE CASCADE
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon
+      ON coupon_redemptions(coupon_id, customer_key)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_vendor
+      ON coupon_redemptions(vendor_address, created_at)
+    `);
+    console.log('✅ Created coupon_redemptions table');
+
+    await pool.query(`
+      ALTER TABLE checkout_orders
+      ADD COLUMN IF NOT EXISTS subtotal_amount NUMERIC(20, 8),
+      ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(20, 8) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS coupon_id INTEGER REFERENCES coupons(id),
+      ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(40)
+    `);
+    await pool.query(`
+      ALTER TABLE checkout_order_items
+      ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(20, 8) DEFAULT 0
+    `);
+    console.log('✅ Added discount columns to checkout_orders and checkout_order_items');
+
+    console.log('\n✅ Coupons migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating coupons tables:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createCouponsTables()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
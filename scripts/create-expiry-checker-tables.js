@@ -0,0 +1,62 @@
+/**
+ * Migration script for the multi-network subscription expiry checker
+ * - expiry_checker_runs: one summary row per network per run
+ * - subscriptions.expiry_notified_end_time: end time the expiry webhook was sent for
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createExpiryCheckerTables() {
+  console.log('🔄 Creating expiry checker tables...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS expiry_checker_runs (
+        id SERIAL PRIMARY KEY,
+        network VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        method VARCHAR(20),
+        block_number BIGINT,
+        checked INTEGER DEFAULT 0,
+        expired INTEGER DEFAULT 0,
+        notified INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        error_message TEXT,
+        started_at TIMESTAMP NOT NULL,
+        finished_at TIMESTAMP,
+        duration_ms INTEGER
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_expiry_checker_runs_network
+      ON expiry_checker_runs(network, started_at DESC)
+    `);
+    console.log('✅ Created expiry_checker_runs table');
+
+    await pool.query(`ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS expiry_notified_end_time BIGINT`);
+    await pool.query(`ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS network VARCHAR(100)`);
+    console.log('✅ Added expiry tracking columns');
+
+    console.log('\n✅ Expiry checker migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating expiry checker tables:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createExpiryCheckerTables()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,57 @@
+/**
+ * Migration script for Idempotency-Key support
+ * - api_idempotency_keys: per API key, the request fingerprint and stored response for
+ *   order creation / mint calls, kept until expires_at (IDEMPOTENCY_KEY_TTL_HOURS, default 24)
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createIdempotencyKeysTable() {
+  console.log('🔄 Creating idempotency keys table...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_idempotency_keys (
+        id SERIAL PRIMARY KEY,
+        owner_key VARCHAR(255) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        endpoint VARCHAR(255) NOT NULL,
+        request_fingerprint VARCHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+        response_status INTEGER,
+        response_body JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        UNIQUE (owner_key, idempotency_key)
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_api_idempotency_keys_expires
+      ON api_idempotency_keys(expires_at)
+    `);
+    console.log('✅ Created api_idempotency_keys table');
+
+    console.log('\n✅ Idempotency keys migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating idempotency keys table:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createIdempotencyKeysTable()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
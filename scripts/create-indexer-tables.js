@@ -0,0 +1,71 @@
+/**
+ * Migration script for the blockchain event indexer
+ * - indexer_cursors: last indexed block (and its hash, for reorg detection) per network
+ * - subscription_history.network / log_index: marks rows written by the indexer
+ * - subscriptions.start_time / end_time / network: on-chain state mirrored by the indexer
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createIndexerTables() {
+  console.log('🔄 Creating blockchain indexer tables...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS indexer_cursors (
+        network VARCHAR(100) PRIMARY KEY,
+        contract_address VARCHAR(255) NOT NULL,
+        last_block BIGINT NOT NULL DEFAULT -1,
+        last_block_hash VARCHAR(66),
+        reorg_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Created indexer_cursors table');
+
+    await pool.query(`ALTER TABLE subscription_history ADD COLUMN IF NOT EXISTS network VARCHAR(100)`);
+    await pool.query(`ALTER TABLE subscription_history ADD COLUMN IF NOT EXISTS log_index INTEGER`);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_subscription_history_tx
+      ON subscription_history(transaction_hash, event_type)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_subscription_history_network_block
+      ON subscription_history(network, block_number)
+      WHERE log_index IS NOT NULL
+    `);
+    console.log('✅ Added subscription_history indexer columns');
+
+    await pool.query(`ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS start_time BIGINT`);
+    await pool.query(`ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS end_time BIGINT`);
+    await pool.query(`ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS network VARCHAR(100)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_subscriptions_end_time ON subscriptions(end_time)`);
+    console.log('✅ Added subscriptions on-chain state columns');
+
+    await pool.query(`ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS network VARCHAR(100)`);
+    await pool.query(`ALTER TABLE apps ADD COLUMN IF NOT EXISTS blockchain_app_id VARCHAR(255)`);
+
+    console.log('\n✅ Blockchain indexer migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating indexer tables:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createIndexerTables()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
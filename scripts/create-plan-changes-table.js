@@ -0,0 +1,83 @@
+/**
+ * Migration script for plan changes
+ * - plan_changes: requested/scheduled/completed plan switches, linking old and new token ids
+ * - registers the subscription.plan_changed webhook event
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createPlanChangesTable() {
+  console.log('🔄 Creating plan changes table...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS plan_changes (
+        id SERIAL PRIMARY KEY,
+        token_id VARCHAR(255) NOT NULL,
+        new_token_id VARCHAR(255),
+        subscriber_address VARCHAR(42) NOT NULL,
+        vendor_address VARCHAR(42),
+        from_plan_id VARCHAR(255) NOT NULL,
+        to_plan_id VARCHAR(255) NOT NULL,
+        network VARCHAR(100) DEFAULT 'localhost',
+        mode VARCHAR(20) NOT NULL,
+        direction VARCHAR(20),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        effective_at TIMESTAMP NOT NULL,
+        proration JSONB,
+        token_uri TEXT,
+        purchase_tx_hash VARCHAR(66),
+        cancel_tx_hash VARCHAR(66),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        CHECK (mode IN ('immediate', 'end_of_period'))
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_plan_changes_token
+      ON plan_changes(token_id, status)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_plan_changes_new_token
+      ON plan_changes(new_token_id)
+    `);
+    // A purchase transaction completes at most one plan change, whatever the hash's case
+    await pool.query(`DROP INDEX IF EXISTS idx_plan_changes_purchase_tx`);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_plan_changes_purchase_tx_lower
+      ON plan_changes(LOWER(purchase_tx_hash))
+      WHERE purchase_tx_hash IS NOT NULL
+    `);
+    console.log('✅ Created plan_changes table');
+
+    await pool.query(`
+      INSERT INTO webhook_event_types (event_name, description, category)
+      VALUES ('subscription.plan_changed', 'Triggered when a subscriber switches to another plan of the same app', 'subscription')
+      ON CONFLICT (event_name) DO NOTHING
+    `);
+    console.log('✅ Registered subscription.plan_changed event');
+
+    console.log('\n✅ Plan changes migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating plan changes table:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createPlanChangesTable()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+/**
+ * Migration script for API rate limiting
+ * - rate_limit_tiers: burst, per-minute rate and daily/monthly quotas per tier (seeded with free/pro/enterprise)
+ * - vendor_profiles: rate_limit_tier (NULL = free)
+ * - api_keys: per-key overrides burst_limit, daily_quota, monthly_quota; rate_limit no longer
+ *   defaults to 60 so keys follow their tier (existing keys still on the old default are reset to NULL)
+ * - api_rate_limit_usage: daily / monthly request counters per rate-limit bucket
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+const { DEFAULT_TIERS } = require('../services/rateLimitService');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createRateLimitTables() {
+  console.log('🔄 Creating rate limit tables...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS rate_limit_tiers (
+        name VARCHAR(50) PRIMARY KEY,
+        burst_limit INTEGER NOT NULL,
+        rate_limit INTEGER NOT NULL,
+        daily_quota BIGINT,
+        monthly_quota BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    for (const [name, tier] of Object.entries(DEFAULT_TIERS)) {
+      await pool.query(
+        `INSERT INTO rate_limit_tiers (name, burst_limit, rate_limit, daily_quota, monthly_quota)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (name) DO NOTHING`,
+        [name, tier.burstLimit, tier.rateLimit, tier.dailyQuota, tier.monthlyQuota]
+      );
+    }
+    console.log('✅ Created rate_limit_tiers table');
+
+    await pool.query(`ALTER TABLE vendor_profiles ADD COLUMN IF NOT EXISTS rate_limit_tier VARCHAR(50)`);
+    console.log('✅ Added rate_limit_tier to vendor_profiles');
+
+    await pool.query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS burst_limit INTEGER`);
+    await pool.query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS daily_quota BIGINT`);
+    await pool.query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS monthly_quota BIGINT`);
+    await pool.query(`ALTER TABLE api_keys ALTER COLUMN rate_limit DROP DEFAULT`);
+    const reset = await pool.query(`UPDATE api_keys SET rate_limit = NULL WHERE rate_limit = 60`);
+    console.log(`✅ Added rate limit overrides to api_keys (${reset.rowCount} key(s) moved to their tier's rate)`);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_rate_limit_usage (
+        id SERIAL PRIMARY KEY,
+        bucket_key VARCHAR(255) NOT NULL,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE CASCADE,
+        app_id VARCHAR(255),
+        period VARCHAR(10) NOT NULL CHECK (period IN ('day', 'month')),
+        period_start TIMESTAMP NOT NULL,
+        request_count BIGINT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (bucket_key, period, period_start)
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_api_rate_limit_usage_key
+      ON api_rate_limit_usage(api_key_id, period, period_start)
+    `);
+    console.log('✅ Created api_rate_limit_usage table');
+
+    console.log('\n✅ Rate limit migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating rate limit tables:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createRateLimitTables()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+/**
+ * Migration script for scheduled pauses
+ * - scheduled_pauses: subscriber-scheduled pause windows and their state
+ * - subscription_plans.max_pause_duration: longest pause window in seconds (0 = no limit)
+ * - registers the subscription.pause_starting, pause_ending and pause_missed webhook events
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createScheduledPausesTable() {
+  console.log('🔄 Creating scheduled pauses table...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scheduled_pauses (
+        id SERIAL PRIMARY KEY,
+        token_id VARCHAR(255) NOT NULL,
+        subscriber_address VARCHAR(42) NOT NULL,
+        vendor_address VARCHAR(42),
+        plan_id VARCHAR(255),
+        network VARCHAR(100) DEFAULT 'localhost',
+        pause_start TIMESTAMP NOT NULL,
+        pause_end TIMESTAMP NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+        pause_start_notified_at TIMESTAMP,
+        pause_ending_notified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (pause_end > pause_start)
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_scheduled_pauses_token
+      ON scheduled_pauses(token_id, status)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_scheduled_pauses_open
+      ON scheduled_pauses(pause_start)
+      WHERE status IN ('scheduled', 'active')
+    `);
+    await pool.query(`ALTER TABLE scheduled_pauses ADD COLUMN IF NOT EXISTS pause_start_notified_at TIMESTAMP`);
+    console.log('✅ Created scheduled_pauses table');
+
+    await pool.query(`ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS max_pause_duration INTEGER DEFAULT 0`);
+    console.log('✅ Added subscription_plans.max_pause_duration');
+
+    await pool.query(`
+      INSERT INTO webhook_event_types (event_name, description, category)
+      VALUES
+        ('subscription.pause_starting', 'Triggered when a scheduled pause window opens, with an unsigned pause transaction', 'subscription'),
+        ('subscription.pause_ending', 'Triggered shortly before a scheduled pause window ends, with an unsigned unpause transaction', 'subscription'),
+        ('subscription.pause_missed', 'Triggered when a scheduled pause window passes without the subscription being paused', 'subscription')
+      ON CONFLICT (event_name) DO NOTHING
+    `);
+    console.log('✅ Registered scheduled pause webhook events');
+
+    console.log('\n✅ Scheduled pauses migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating scheduled pauses table:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createScheduledPausesTable()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,69 @@
+/**
+ * Migration script for Sign-In With Ethereum (EIP-4361) sessions
+ * - siwe_nonces: single-use nonces handed out by GET /api/auth/nonce
+ * - wallet_sessions: hashed session tokens bound to the signing wallet
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createSiweAuthTables() {
+  console.log('🔄 Creating SIWE auth tables...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS siwe_nonces (
+        nonce VARCHAR(64) PRIMARY KEY,
+        wallet_address VARCHAR(42),
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_siwe_nonces_expires_at
+      ON siwe_nonces(expires_at)
+    `);
+    console.log('✅ Created siwe_nonces table');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS wallet_sessions (
+        id SERIAL PRIMARY KEY,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        wallet_address VARCHAR(42) NOT NULL,
+        chain_id INTEGER,
+        domain VARCHAR(255),
+        nonce VARCHAR(64),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_wallet_sessions_wallet
+      ON wallet_sessions(wallet_address)
+    `);
+    console.log('✅ Created wallet_sessions table');
+
+    console.log('\n✅ SIWE auth migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating SIWE auth tables:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createSiweAuthTables()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+/**
+ * Migration script for subscription gifting and transfers
+ * - subscription_gifts: subscriptions bought for a recipient wallet or email, delivered by an NFT transfer
+ * - api_integration_subscriptions: 'transferred' status for mappings whose token left the user's wallet
+ * - registers the subscription.transferred webhook event
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createSubscriptionGiftsTable() {
+  console.log('🔄 Creating subscription gifts table...\n');
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS subscription_gifts (
+        id SERIAL PRIMARY KEY,
+        plan_id VARCHAR(255) NOT NULL,
+        vendor_address VARCHAR(42),
+        network VARCHAR(100) DEFAULT 'localhost',
+        purchaser_address VARCHAR(42) NOT NULL,
+        recipient_address VARCHAR(42),
+        recipient_email VARCHAR(255),
+        message TEXT,
+        token_uri TEXT,
+        token_id VARCHAR(255),
+        claim_code_hash VARCHAR(64) UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        purchase_tx_hash VARCHAR(66),
+        transfer_tx_hash VARCHAR(66),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        purchased_at TIMESTAMP,
+        claimed_at TIMESTAMP,
+        delivered_at TIMESTAMP,
+        CHECK (recipient_address IS NOT NULL OR recipient_email IS NOT NULL),
+        CHECK (status IN ('pending', 'purchased', 'claimed', 'delivered', 'cancelled'))
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_subscription_gifts_purchaser
+      ON subscription_gifts(purchaser_address, created_at)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_subscription_gifts_token
+      ON subscription_gifts(token_id)
+    `);
+    console.log('✅ Created subscription_gifts table');
+
+    await pool.query(`
+      ALTER TABLE api_integration_subscriptions
+      DROP CONSTRAINT IF EXISTS api_integration_subscriptions_status_check
+    `);
+    await pool.query(`
+      ALTER TABLE api_integration_subscriptions
+      ADD CONSTRAINT api_integration_subscriptions_status_check
+      CHECK (status IN ('active', 'expired', 'cancelled', 'transferred'))
+    `);
+    console.log('✅ Allowed transferred status on api_integration_subscriptions');
+
+    await pool.query(`
+      INSERT INTO webhook_event_types (event_name, description, category)
+      VALUES ('subscription.transferred', 'Triggered when a subscription NFT moves to another wallet (transfer or delivered gift)', 'subscription')
+      ON CONFLICT (event_name) DO NOTHING
+    `);
+    console.log('✅ Registered subscription.transferred event');
+
+    console.log('\n✅ Subscription gifts migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating subscription gifts table:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createSubscriptionGiftsTable()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
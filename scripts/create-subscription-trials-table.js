@@ -0,0 +1,81 @@
+/**
+ * Migration script for free trials and intro pricing
+ * - subscription_plans: trial_period (seconds), intro_price, intro_periods
+ * - subscription_trials: one trial per wallet per app (trial_scope), linked to the token once purchased
+ * - registers the subscription.trial_ending webhook event
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function createSubscriptionTrialsTable() {
+  console.log('🔄 Creating subscription trials table...\n');
+
+  try {
+    await pool.query(`
+      ALTER TABLE subscription_plans
+      ADD COLUMN IF NOT EXISTS trial_period INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS intro_price NUMERIC(20, 8),
+      ADD COLUMN IF NOT EXISTS intro_periods INTEGER DEFAULT 0
+    `);
+    console.log('✅ Added trial_period, intro_price and intro_periods to subscription_plans');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS subscription_trials (
+        id SERIAL PRIMARY KEY,
+        plan_id VARCHAR(255) NOT NULL,
+        vendor_address VARCHAR(42),
+        subscriber_address VARCHAR(42) NOT NULL,
+        trial_scope VARCHAR(100) NOT NULL,
+        network VARCHAR(100) DEFAULT 'localhost',
+        status VARCHAR(20) NOT NULL DEFAULT 'trialing',
+        trial_start TIMESTAMP NOT NULL,
+        trial_end TIMESTAMP NOT NULL,
+        token_id VARCHAR(255),
+        trial_ending_notified_at TIMESTAMP,
+        converted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (subscriber_address, trial_scope),
+        CHECK (status IN ('trialing', 'converted', 'expired', 'cancelled'))
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_subscription_trials_status
+      ON subscription_trials(status, trial_end)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_subscription_trials_token
+      ON subscription_trials(token_id)
+    `);
+    console.log('✅ Created subscription_trials table');
+
+    await pool.query(`
+      INSERT INTO webhook_event_types (event_name, description, category)
+      VALUES ('subscription.trial_ending', 'Triggered a few days before a free trial ends, with the purchase transaction to sign', 'subscription')
+      ON CONFLICT (event_name) DO NOTHING
+    `);
+    console.log('✅ Registered subscription.trial_ending event');
+
+    console.log('\n✅ Subscription trials migration completed!');
+  } catch (error) {
+    console.error('❌ Error creating subscription trials table:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migration
+createSubscriptionTrialsTable()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -110,8 +110,21 @@ async function createWebhooksTable() {
         ('subscription.expired', 'Triggered when a subscription expires', 'subscription'),
         ('subscription.cancelled', 'Triggered when a subscription is cancelled', 'subscription'),
         ('subscription.renewed', 'Triggered when a subscription is renewed', 'subscription'),
+        ('subscription.expiring_soon', 'Triggered at the vendor''s reminder lead times before a subscription expires', 'subscription'),
+        ('subscription.paused', 'Triggered when a subscriber pauses a subscription on-chain', 'subscription'),
+        ('subscription.resumed', 'Triggered when a subscriber unpauses a subscription on-chain', 'subscription'),
+        ('subscription.pause_starting', 'Triggered when a scheduled pause window opens, with an unsigned pause transaction', 'subscription'),
+        ('subscription.pause_ending', 'Triggered shortly before a scheduled pause window ends, with an unsigned unpause transaction', 'subscription'),
+        ('subscription.pause_missed', 'Triggered when a scheduled pause window passes without the subscription being paused', 'subscription'),
+        ('subscription.renewal_failed', 'Triggered when an automatic renewal charge fails', 'subscription'),
+        ('subscription.past_due', 'Triggered when a subscription passes its end time and enters the plan grace period', 'subscription'),
+        ('subscription.dunning_reminder', 'Triggered at each dunning reminder while a subscription is past due', 'subscription'),
+        ('subscription.plan_changed', 'Triggered when a subscriber switches to another plan of the same app', 'subscription'),
+        ('subscription.trial_ending', 'Triggered a few days before a free trial ends, with the purchase transaction to sign', 'subscription'),
+        ('subscription.transferred', 'Triggered when a subscription NFT moves to another wallet (transfer or delivered gift)', 'subscription'),
         ('order.created', 'Triggered when a new order is created', 'checkout'),
         ('payment.completed', 'Triggered when payment is confirmed on blockchain', 'checkout'),
+        ('payment.reverted', 'Triggered when a confirmed payment is dropped by a chain reorg', 'checkout'),
         ('order.status_changed', 'Triggered when order status changes', 'checkout'),
         ('order.accepted', 'Triggered when vendor accepts an order', 'checkout'),
         ('order.delivered', 'Triggered when order is marked as delivered', 'checkout'),
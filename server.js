@@ -17,6 +17,7 @@ const contractDeploymentsRoutes = require('./routes/contract-deployments');
 const contractArtifactsRoutes = require('./routes/contract-artifacts');
 const checkoutRoutes = require('./checkout/routes/checkout');
 const apiIntegrationRoutes = require('./routes/api-integration');
+const { captureRawBody } = require('./middleware/apiKeyAuth');
 
 dotenv.config();
 
@@ -29,7 +30,7 @@ app.use((req, res, next) => {
   if (req.method === 'OPTIONS' && (req.headers.origin === 'null' || (!req.headers.origin && process.env.NODE_ENV !== 'production'))) {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,X-Vendor-Address');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,X-Vendor-Address,Idempotency-Key');
     return res.status(200).end();
   }
   // Store flag for POST/GET requests
@@ -64,7 +65,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Vendor-Address']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Vendor-Address', 'Idempotency-Key']
 }));
 
 // Override CORS headers for null origin after CORS middleware sets them
@@ -78,7 +79,8 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(bodyParser.json());
+// Keep the raw JSON body for HMAC-signed API requests (see middleware/apiKeyAuth)
+app.use(bodyParser.json({ verify: captureRawBody }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Database connection
@@ -245,6 +247,7 @@ app.get('/api/contract-address', async (req, res) => {
 });
 
 // Internal routes (no CORS validation required)
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/subscriptions', subscriptionPublishRoutes);
 app.use('/api/plans', planRoutes);
@@ -256,6 +259,7 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/vendor', vendorTableRoutes);
 app.use('/api/vendor', require('./routes/vendor-domains'));
 app.use('/api/vendor', require('./routes/domain-verification'));
+app.use('/api/vendor', require('./routes/coupons'));
 app.use('/api/contract-deployments', contractDeploymentsRoutes);
 app.use('/api/contract-artifacts', contractArtifactsRoutes);
 
@@ -356,6 +360,50 @@ const initializeDatabase = async () => {
 const webhookService = require('./services/webhookService');
 webhookService.startWebhookWorker();
 
+// Start checkout payment confirmation worker (confirmation depth + reorg watch)
+const paymentConfirmationService = require('./checkout/services/paymentConfirmationService');
+paymentConfirmationService.startConfirmationWorker();
+
+// Start expired checkout order sweeper
+const orderExpiryService = require('./checkout/services/orderExpiryService');
+orderExpiryService.startOrderExpiryWorker();
+
+// Start blockchain event indexer (keeps plans/subscriptions/history in sync with the contract)
+if (process.env.INDEXER_ENABLED !== 'false') {
+  const blockchainIndexerService = require('./services/blockchainIndexerService');
+  blockchainIndexerService.startIndexer();
+}
+
+// Start subscription expiry checker (every network with a contract deployment)
+if (process.env.EXPIRY_CHECKER_ENABLED !== 'false') {
+  const subscriptionExpiryService = require('./services/subscriptionExpiryService');
+  subscriptionExpiryService.startExpiryChecker();
+}
+
+// Start scheduled pause worker (pause window tracking and pause_starting/pause_ending/pause_missed webhooks)
+const scheduledPauseService = require('./services/scheduledPauseService');
+scheduledPauseService.startScheduledPauseWorker();
+
+// Start auto-renewal worker (charges ERC-20 allowances shortly before expiry)
+const autoRenewalService = require('./services/autoRenewalService');
+autoRenewalService.startAutoRenewalWorker();
+
+// Start trial worker (trial_ending reminders and expiring unconverted trials)
+const trialService = require('./services/trialService');
+trialService.startTrialWorker();
+
+// Start rate limit worker (persists daily/monthly API quota usage)
+const rateLimitService = require('./services/rateLimitService');
+rateLimitService.startRateLimitWorker();
+
+// Start request signature cleanup (used HMAC signatures past their replay window)
+const apiKeyService = require('./services/apiKeyService');
+apiKeyService.startSignatureCleanupWorker();
+
+// Start idempotency key cleanup (expired Idempotency-Key responses)
+const idempotencyService = require('./services/idempotencyService');
+idempotencyService.startIdempotencyCleanupWorker();
+
 // Start server
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Backend server running on port ${PORT}`);
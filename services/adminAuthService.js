@@ -0,0 +1,290 @@
+const { Pool } = require('pg');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'operator', 'superadmin'];
+
+// Minimum role required for each admin permission
+const PERMISSIONS = {
+  'maintenance.bypass': 'viewer',
+  'admin.read': 'viewer',
+  'indexer.read': 'viewer',
+  'expiry_checker.read': 'viewer',
+  'maintenance.read': 'viewer',
+  'rate_limits.read': 'viewer',
+  'expiry_checker.run': 'operator',
+  'maintenance.toggle': 'operator',
+  'rate_limits.manage': 'operator',
+  'audit.read': 'superadmin',
+  'admins.manage': 'superadmin',
+  'migrations.run': 'superadmin',
+  'db.cleanup': 'superadmin'
+};
+
+/**
+ * Hash admin API tokens for storage (the raw token is only returned once)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether a role grants a permission
+ */
+function hasPermission(role, permission) {
+  const required = PERMISSIONS[permission];
+  if (!required || !ROLES.includes(role)) {
+    return false;
+  }
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Bootstrap admin wallets from ADMIN_WALLETS ("0xabc:superadmin,0xdef:viewer").
+ * Entries without a role are superadmins.
+ */
+function getBootstrapWallets() {
+  const wallets = {};
+  for (const entry of (process.env.ADMIN_WALLETS || '').split(',')) {
+    const [address, role = 'superadmin'] = entry.trim().split(':');
+    if (address && ROLES.includes(role)) {
+      wallets[address.toLowerCase()] = role;
+    }
+  }
+  return wallets;
+}
+
+/**
+ * Role of an allowlisted admin wallet, or null
+ */
+async function getWalletAdmin(walletAddress) {
+  const address = walletAddress.toLowerCase();
+
+  const bootstrapRole = getBootstrapWallets()[address];
+  if (bootstrapRole) {
+    return { identity: address, role: bootstrapRole, method: 'wallet' };
+  }
+
+  const result = await pool.query(
+    `SELECT wallet_address, role FROM admin_users
+     WHERE wallet_address = $1 AND active = true`,
+    [address]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return { identity: address, role: result.rows[0].role, method: 'wallet' };
+}
+
+/**
+ * Resolve an admin API token to its role, or null
+ */
+async function getTokenAdmin(token) {
+  const result = await pool.query(
+    `UPDATE admin_api_tokens
+     SET last_used_at = NOW()
+     WHERE token_hash = $1 AND revoked_at IS NULL
+     RETURNING id, name, role`,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return { identity: `token:${row.id}:${row.name}`, role: row.role, method: 'api_token' };
+}
+
+/**
+ * Add an admin wallet or change its role
+ */
+async function upsertAdminWallet(walletAddress, role, createdBy) {
+  if (!ROLES.includes(role)) {
+    const error = new Error(`role must be one of: ${ROLES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const result = await pool.query(
+    `INSERT INTO admin_users (wallet_address, role, active, created_by, created_at, updated_at)
+     VALUES ($1, $2, true, $3, NOW(), NOW())
+     ON CONFLICT (wallet_address) DO UPDATE
+       SET role = EXCLUDED.role, active = true, updated_at = NOW()
+     RETURNING wallet_address, role, active, created_by, created_at, updated_at`,
+    [walletAddress.toLowerCase(), role, createdBy]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Deactivate an admin wallet
+ */
+async function removeAdminWallet(walletAddress) {
+  const result = await pool.query(
+    `UPDATE admin_users SET active = false, updated_at = NOW()
+     WHERE wallet_address = $1 AND active = true
+     RETURNING wallet_address`,
+    [walletAddress.toLowerCase()]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * List admin wallets (bootstrap and stored) and admin API tokens
+ */
+async function listAdmins() {
+  const users = await pool.query(
+    `SELECT wallet_address, role, active, created_by, created_at, updated_at
+     FROM admin_users ORDER BY created_at ASC`
+  );
+  const tokens = await pool.query(
+    `SELECT id, name, role, created_by, created_at, last_used_at, revoked_at
+     FROM admin_api_tokens ORDER BY created_at ASC`
+  );
+
+  const bootstrap = Object.entries(getBootstrapWallets()).map(([wallet_address, role]) => ({
+    wallet_address,
+    role,
+    active: true,
+    source: 'env'
+  }));
+
+  return {
+    wallets: [...bootstrap, ...users.rows.map(row => ({ ...row, source: 'database' }))],
+    tokens: tokens.rows
+  };
+}
+
+/**
+ * Create an admin API token. The raw token is only returned here.
+ */
+async function createAdminToken(name, role, createdBy) {
+  if (!ROLES.includes(role)) {
+    const error = new Error(`role must be one of: ${ROLES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const token = `adm_${crypto.randomBytes(32).toString('hex')}`;
+  const result = await pool.query(
+    `INSERT INTO admin_api_tokens (name, token_hash, role, created_by, created_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     RETURNING id, name, role, created_by, created_at`,
+    [name, hashToken(token), role, createdBy]
+  );
+
+  return { ...result.rows[0], token };
+}
+
+/**
+ * Revoke an admin API token
+ */
+async function revokeAdminToken(tokenId) {
+  const result = await pool.query(
+    `UPDATE admin_api_tokens SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [tokenId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Append a privileged action to the audit log (the table rejects updates and deletes)
+ */
+async function recordAuditEntry({ admin, action, req, statusCode, outcome }) {
+  try {
+    await pool.query(
+      `INSERT INTO admin_audit_log
+       (admin_identity, auth_method, role, action, outcome, http_method, path, params, status_code, ip_address, user_agent, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())`,
+      [
+        admin ? admin.identity : null,
+        admin ? admin.method : null,
+        admin ? admin.role : null,
+        action,
+        outcome,
+        req.method,
+        req.originalUrl,
+        JSON.stringify({ params: req.params || {}, query: req.query || {}, body: redactBody(req.body) }),
+        statusCode,
+        req.ip || null,
+        req.headers['user-agent'] || null
+      ]
+    );
+  } catch (error) {
+    console.error(`[AdminAudit] ❌ Failed to record ${action}:`, error.message);
+  }
+}
+
+/**
+ * Drop secrets from request bodies before they go into the audit log
+ */
+function redactBody(body) {
+  if (!body || typeof body !== 'object') {
+    return {};
+  }
+  const redacted = { ...body };
+  for (const key of ['adminSecret', 'token', 'signature', 'privateKey']) {
+    if (redacted[key] !== undefined) {
+      redacted[key] = '[redacted]';
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Read the audit log, newest first
+ */
+async function getAuditLog({ action, adminIdentity, limit = 100, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (action) {
+    params.push(action);
+    conditions.push(`action = $${params.length}`);
+  }
+  if (adminIdentity) {
+    // Wallets are stored lowercased, token identities keep the token's name as given
+    params.push(ethers.isAddress(adminIdentity) ? adminIdentity.toLowerCase() : adminIdentity);
+    conditions.push(`admin_identity = $${params.length}`);
+  }
+
+  params.push(Math.min(parseInt(limit) || 100, 500), parseInt(offset) || 0);
+
+  const result = await pool.query(
+    `SELECT * FROM admin_audit_log
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  getWalletAdmin,
+  getTokenAdmin,
+  upsertAdminWallet,
+  removeAdminWallet,
+  listAdmins,
+  createAdminToken,
+  revokeAdminToken,
+  recordAuditEntry,
+  getAuditLog
+};
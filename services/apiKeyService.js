@@ -1,15 +1,83 @@
 const { Pool } = require('pg');
 const crypto = require('crypto');
+const { TEST_KEY_PREFIXES } = require('../utils/sandbox');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+let signatureCleanupInterval = null;
+
+/**
+ * Scopes an API key can be granted
+ */
+const API_KEY_SCOPES = {
+  'users:read': 'Read external users',
+  'users:write': 'Create and update external users',
+  'subscriptions:read': 'Read customer subscription data',
+  'subscriptions:validate': 'Validate subscriptions and free trials',
+  'subscriptions:mint': 'Mint subscriptions for external users',
+  'checkout:create': 'Create checkout orders',
+  'orders:read': 'Read orders',
+  'webhooks:manage': 'Register and manage webhooks',
+  'sandbox:manage': 'Wipe sandbox (test-mode) data'
+};
+
+const READ_SCOPES = ['users:read', 'subscriptions:read', 'subscriptions:validate', 'orders:read'];
+
+// Keys created before scopes existed get the scopes of their permission level
+const PERMISSION_LEVEL_SCOPES = {
+  read: READ_SCOPES,
+  'read-write': Object.keys(API_KEY_SCOPES)
+};
+
+// Defaults for keys without a scopes column value
+const APP_KEY_DEFAULT_SCOPES = [...READ_SCOPES, 'webhooks:manage', 'sandbox:manage'];
+const CHECKOUT_KEY_DEFAULT_SCOPES = ['checkout:create', 'orders:read', 'webhooks:manage', 'sandbox:manage'];
+
+/**
+ * Validate requested scopes. Throws an error with status 400 for unknown scopes.
+ */
+function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    const error = new Error('scopes must be a non-empty array');
+    error.status = 400;
+    throw error;
+  }
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown scopes: ${unknown.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return [...new Set(scopes)];
+}
+
+/**
+ * Scopes of an api_keys row (falls back to its permission level)
+ */
+function getKeyScopes(keyData) {
+  if (Array.isArray(keyData.scopes) && keyData.scopes.length > 0) {
+    return keyData.scopes;
+  }
+  return PERMISSION_LEVEL_SCOPES[keyData.permission_level] || READ_SCOPES;
+}
+
 /**
- * Generate a new API key and secret
+ * Legacy permission level matching a set of scopes
  */
-function generateApiKey() {
-  const apiKey = `ep_${crypto.randomBytes(24).toString('hex')}`;
+function getPermissionLevel(scopes) {
+  return scopes.every(scope => READ_SCOPES.includes(scope)) ? 'read' : 'read-write';
+}
+
+/**
+ * Generate a new API key and secret (ep_test_ prefix for test-mode keys)
+ */
+function generateApiKey(testMode = false) {
+  const prefix = testMode ? TEST_KEY_PREFIXES.api_key : 'ep_';
+  const apiKey = `${prefix}${crypto.randomBytes(24).toString('hex')}`;
   const apiSecret = crypto.randomBytes(32).toString('hex');
   return { apiKey, apiSecret };
 }
@@ -28,17 +96,22 @@ async function createApiKey(appId, options = {}) {
   const {
     name = 'Default API Key',
     permissionLevel = 'read',
-    webhookUrl = null
+    scopes = null,
+    webhookUrl = null,
+    requireSignedRequests = false,
+    testMode = false
   } = options;
 
-  const { apiKey, apiSecret } = generateApiKey();
+  const keyScopes = scopes ? normalizeScopes(scopes) : (PERMISSION_LEVEL_SCOPES[permissionLevel] || READ_SCOPES);
+
+  const { apiKey, apiSecret } = generateApiKey(testMode === true);
   const hashedSecret = hashSecret(apiSecret);
 
   const result = await pool.query(
-    `INSERT INTO api_keys (app_id, api_key, api_secret, name, permission_level, webhook_url)
-     VALUES ($1, $2, $3, $4, $5, $6)
+    `INSERT INTO api_keys (app_id, api_key, api_secret, name, permission_level, webhook_url, scopes, require_signed_requests, test_mode)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
      RETURNING *`,
-    [appId, apiKey, hashedSecret, name, permissionLevel, webhookUrl]
+    [appId, apiKey, hashedSecret, name, getPermissionLevel(keyScopes), webhookUrl, keyScopes, requireSignedRequests === true, testMode === true]
   );
 
   // Return the API key with the unhashed secret (only shown once)
@@ -72,14 +145,14 @@ async function verifyApiKey(apiKey) {
  */
 async function getApiKeysByApp(appId) {
   const result = await pool.query(
-    `SELECT id, api_key, name, permission_level, active, created_at, last_used_at, revoked_at
+    `SELECT id, api_key, name, permission_level, scopes, require_signed_requests, test_mode, active, created_at, last_used_at, revoked_at
      FROM api_keys
      WHERE app_id = $1
      ORDER BY created_at DESC`,
     [appId]
   );
 
-  return result.rows;
+  return result.rows.map(row => ({ ...row, scopes: getKeyScopes(row) }));
 }
 
 /**
@@ -108,6 +181,62 @@ async function regenerateApiKey(apiKeyId, appId, options = {}) {
   return await createApiKey(appId, options);
 }
 
+/**
+ * Require (or stop requiring) HMAC-signed requests for an API key
+ */
+async function setRequireSignedRequests(apiKeyId, required) {
+  const result = await pool.query(
+    `UPDATE api_keys
+     SET require_signed_requests = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING id, api_key, name, require_signed_requests`,
+    [required, apiKeyId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a request signature as used. Returns false if it was already seen (a replay)
+ */
+async function recordRequestSignature(apiKeyId, signature, expiresAt) {
+  const result = await pool.query(
+    `INSERT INTO api_request_signatures (api_key_id, signature, expires_at)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (api_key_id, signature) DO NOTHING
+     RETURNING api_key_id`,
+    [apiKeyId, signature, expiresAt]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Delete used signatures whose timestamp can no longer be replayed
+ */
+async function purgeExpiredRequestSignatures() {
+  const result = await pool.query(
+    `DELETE FROM api_request_signatures WHERE expires_at < CURRENT_TIMESTAMP`
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Start the worker that prunes used request signatures
+ */
+function startSignatureCleanupWorker() {
+  if (signatureCleanupInterval) {
+    return;
+  }
+
+  console.log('[API Keys] Starting request signature cleanup worker...');
+
+  signatureCleanupInterval = setInterval(() => {
+    purgeExpiredRequestSignatures().catch(console.error);
+  }, 600000);
+}
+
 /**
  * Update API key last used timestamp
  */
@@ -163,46 +292,25 @@ async function getUsageStats(apiKeyId, startDate, endDate) {
   return result.rows[0];
 }
 
-/**
- * Get rate limit status for an API key
- */
-async function getRateLimitStatus(apiKeyId, windowMinutes = 1) {
-  const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000);
-
-  const result = await pool.query(
-    `SELECT COUNT(*) as request_count
-     FROM api_activity_logs
-     WHERE api_key_id = $1 
-       AND created_at >= $2`,
-    [apiKeyId, windowStart]
-  );
-
-  const requestCount = parseInt(result.rows[0].request_count);
-  const apiKey = await pool.query(
-    `SELECT rate_limit FROM api_keys WHERE id = $1`,
-    [apiKeyId]
-  );
-
-  const rateLimit = apiKey.rows[0]?.rate_limit || 60;
-
-  return {
-    requestCount,
-    rateLimit,
-    remaining: Math.max(0, rateLimit - requestCount),
-    resetAt: new Date(Date.now() + windowMinutes * 60 * 1000)
-  };
-}
-
 module.exports = {
+  API_KEY_SCOPES,
+  APP_KEY_DEFAULT_SCOPES,
+  CHECKOUT_KEY_DEFAULT_SCOPES,
+  PERMISSION_LEVEL_SCOPES,
+  normalizeScopes,
+  getKeyScopes,
   createApiKey,
   verifyApiKey,
   getApiKeysByApp,
   revokeApiKey,
   regenerateApiKey,
+  setRequireSignedRequests,
+  recordRequestSignature,
+  purgeExpiredRequestSignatures,
+  startSignatureCleanupWorker,
   updateLastUsed,
   logActivity,
-  getUsageStats,
-  getRateLimitStatus
+  getUsageStats
 };
 
 
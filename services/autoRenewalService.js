@@ -0,0 +1,643 @@
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('./contractService');
+const webhookService = require('./webhookService');
+const priceConversion = require('../checkout/services/priceConversion');
+const { buildUnsignedTransaction, findContractEvent } = require('../utils/transactionHelper');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * Recurring auto-renewal through pre-authorized ERC-20 allowances
+ *
+ * A subscriber opts in and approves the relayer account to spend a supported
+ * stablecoin. Shortly before endTime the worker quotes the plan price in that
+ * token, pulls it with transferFrom into the treasury, and has the relayer
+ * call renewSubscription with the plan's native price. A renewal that can't
+ * be charged (balance, allowance, price above the subscriber's cap, chain
+ * errors) is retried until the grace period after endTime runs out.
+ *
+ * Token addresses come from AUTO_RENEW_<SYMBOL>_<NETWORK>
+ * (e.g. AUTO_RENEW_USDT_SEPOLIA) and the relayer key from
+ * AUTO_RENEW_RELAYER_PRIVATE_KEY.
+ */
+
+const SUPPORTED_TOKENS = ['USDT'];
+
+const ERC20_ABI = [
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)'
+];
+
+// Charge this long before endTime
+const RENEW_LEAD_SECONDS = parseInt(process.env.AUTO_RENEW_LEAD_HOURS || '24') * 3600;
+// Keep retrying failed charges until this long after endTime
+const GRACE_PERIOD_SECONDS = parseInt(process.env.AUTO_RENEW_GRACE_HOURS || '72') * 3600;
+// Wait between retries
+const RETRY_INTERVAL_SECONDS = parseInt(process.env.AUTO_RENEW_RETRY_HOURS || '6') * 3600;
+// Renewals claimed per worker run
+const BATCH_SIZE = parseInt(process.env.AUTO_RENEW_BATCH_SIZE || '20');
+// How long a claimed row is held before another instance may pick it up
+const CLAIM_SECONDS = 600;
+
+let workerInterval = null;
+let running = false;
+
+function renewalError(message, status = 400, reason = null) {
+  const error = new Error(message);
+  error.status = status;
+  if (reason) {
+    error.reason = reason;
+  }
+  return error;
+}
+
+/**
+ * Stablecoin contract address configured for a network, or null
+ */
+function getTokenConfig(network, symbol = 'USDT') {
+  const tokenSymbol = (symbol || 'USDT').toUpperCase();
+  if (!SUPPORTED_TOKENS.includes(tokenSymbol)) {
+    return null;
+  }
+  const address = process.env[`AUTO_RENEW_${tokenSymbol}_${network.toUpperCase()}`];
+  return address ? { symbol: tokenSymbol, address } : null;
+}
+
+/**
+ * Relayer wallet that pulls allowances and submits renewals, or null
+ */
+function getRelayer(provider) {
+  const privateKey = process.env.AUTO_RENEW_RELAYER_PRIVATE_KEY;
+  return privateKey ? new ethers.Wallet(privateKey, provider) : null;
+}
+
+function getTokenContract(address, runner) {
+  return new ethers.Contract(address, ERC20_ABI, runner);
+}
+
+/**
+ * Price of a plan (native wei) in token base units, rounded up
+ */
+async function quoteRenewal(priceWei, tokenSymbol, tokenDecimals) {
+  const nativeRate = await priceConversion.getExchangeRate('ETH');
+  const tokenRate = await priceConversion.getExchangeRate(tokenSymbol);
+
+  const numerator = BigInt(priceWei) * BigInt(Math.round(nativeRate.rate * 1e6)) * (10n ** BigInt(tokenDecimals));
+  const denominator = BigInt(Math.round(tokenRate.rate * 1e6)) * (10n ** 18n);
+
+  return (numerator + denominator - 1n) / denominator;
+}
+
+function formatRenewal(row) {
+  return {
+    tokenId: row.token_id.toString(),
+    enabled: row.enabled,
+    status: row.status,
+    network: row.network,
+    paymentToken: row.token_symbol,
+    paymentTokenAddress: row.token_address,
+    maxAmount: row.max_amount,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    lastRenewedAt: row.last_renewed_at
+  };
+}
+
+/**
+ * Opt a subscription into auto-renew. Returns the renewal settings, a quote
+ * and an unsigned approve() transaction for the subscriber to sign.
+ * The caller must already have checked that walletAddress owns the subscription.
+ */
+async function enableAutoRenew(tokenId, walletAddress, { network = 'localhost', paymentToken = 'USDT', maxAmount = null } = {}) {
+  const token = getTokenConfig(network, paymentToken);
+  if (!token) {
+    throw renewalError(`Auto-renew with ${paymentToken} is not available on ${network}`);
+  }
+
+  const subResult = await pool.query(
+    `SELECT s.token_id, s.subscriber_address, s.plan_id, p.vendor_address
+     FROM subscriptions s
+     JOIN subscription_plans p ON s.plan_id = p.plan_id
+     WHERE s.token_id = $1`,
+    [tokenId]
+  );
+  if (subResult.rows.length === 0) {
+    throw renewalError('Subscription not found', 404);
+  }
+
+  const sub = subResult.rows[0];
+  if (sub.subscriber_address.toLowerCase() !== walletAddress.toLowerCase()) {
+    throw renewalError('Only the subscriber can enable auto-renew', 403);
+  }
+
+  const contract = await contractService.getContract(network);
+  const provider = contract.runner.provider;
+  const relayer = getRelayer(provider);
+  if (!relayer) {
+    throw renewalError('Auto-renew relayer is not configured', 503);
+  }
+
+  const tokenContract = getTokenContract(token.address, provider);
+  const decimals = Number(await tokenContract.decimals());
+
+  const onChain = await contract.getSubscription(tokenId);
+  const plan = await contract.getPlan(onChain.planId);
+  const quote = await quoteRenewal(plan.price, token.symbol, decimals);
+
+  let maxAmountUnits = null;
+  if (maxAmount !== null && maxAmount !== undefined) {
+    try {
+      maxAmountUnits = ethers.parseUnits(String(maxAmount), decimals);
+    } catch (e) {
+      throw renewalError('maxAmount must be a decimal token amount');
+    }
+    if (maxAmountUnits < quote) {
+      throw renewalError(`maxAmount is below the current renewal price of ${ethers.formatUnits(quote, decimals)} ${token.symbol}`);
+    }
+  }
+
+  const nextAttemptAt = new Date(Math.max(Date.now(), (Number(onChain.endTime) - RENEW_LEAD_SECONDS) * 1000));
+
+  const result = await pool.query(
+    `INSERT INTO auto_renewals
+     (token_id, subscriber_address, vendor_address, plan_id, network, token_symbol, token_address,
+      max_amount, enabled, status, attempts, next_attempt_at, last_error, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, 'active', 0, $9, NULL, NOW(), NOW())
+     ON CONFLICT (token_id) DO UPDATE SET
+       network = EXCLUDED.network,
+       token_symbol = EXCLUDED.token_symbol,
+       token_address = EXCLUDED.token_address,
+       max_amount = EXCLUDED.max_amount,
+       enabled = true,
+       status = 'active',
+       attempts = 0,
+       next_attempt_at = EXCLUDED.next_attempt_at,
+       last_error = NULL,
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      tokenId,
+      sub.subscriber_address.toLowerCase(),
+      sub.vendor_address,
+      sub.plan_id,
+      network,
+      token.symbol,
+      token.address,
+      maxAmountUnits !== null ? maxAmountUnits.toString() : null,
+      nextAttemptAt
+    ]
+  );
+
+  // Approve enough for the cap, or a year of renewals at today's price
+  const approvalAmount = maxAmountUnits !== null ? maxAmountUnits * 12n : quote * 12n;
+  const transaction = await buildUnsignedTransaction(tokenContract, 'approve', [relayer.address, approvalAmount], {
+    from: walletAddress
+  });
+
+  console.log(`[AutoRenew] 🔁 Auto-renew enabled for token ${tokenId} (${token.symbol} on ${network})`);
+
+  return {
+    renewal: formatRenewal(result.rows[0]),
+    quote: {
+      amount: ethers.formatUnits(quote, decimals),
+      amountUnits: quote.toString(),
+      paymentToken: token.symbol,
+      planPrice: plan.price.toString()
+    },
+    spender: relayer.address,
+    transaction
+  };
+}
+
+/**
+ * Opt a subscription out of auto-renew
+ */
+async function disableAutoRenew(tokenId, walletAddress) {
+  const result = await pool.query(
+    `UPDATE auto_renewals
+     SET enabled = false, status = 'cancelled', updated_at = NOW()
+     WHERE token_id = $1 AND subscriber_address = $2
+     RETURNING *`,
+    [tokenId, walletAddress.toLowerCase()]
+  );
+
+  if (result.rows.length === 0) {
+    throw renewalError('Auto-renew is not set up for this subscription', 404);
+  }
+
+  return formatRenewal(result.rows[0]);
+}
+
+/**
+ * Auto-renew settings for a subscription, with the subscriber's current allowance and balance
+ */
+async function getAutoRenewStatus(tokenId) {
+  const result = await pool.query(`SELECT * FROM auto_renewals WHERE token_id = $1`, [tokenId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  const status = formatRenewal(row);
+
+  try {
+    const contract = await contractService.getContract(row.network);
+    const provider = contract.runner.provider;
+    const relayer = getRelayer(provider);
+    const tokenContract = getTokenContract(row.token_address, provider);
+    const decimals = Number(await tokenContract.decimals());
+
+    status.balance = ethers.formatUnits(await tokenContract.balanceOf(row.subscriber_address), decimals);
+    if (relayer) {
+      status.allowance = ethers.formatUnits(await tokenContract.allowance(row.subscriber_address, relayer.address), decimals);
+    }
+  } catch (error) {
+    console.warn(`[AutoRenew] Could not read token state for ${tokenId}:`, error.message);
+  }
+
+  return status;
+}
+
+/**
+ * Claim due renewals. Claimed rows get their next_attempt_at pushed out so a
+ * second instance (or a slow run) doesn't charge the same subscription twice.
+ */
+async function claimDueRenewals() {
+  const result = await pool.query(
+    `UPDATE auto_renewals
+     SET next_attempt_at = NOW() + ($2 || ' seconds')::interval, updated_at = NOW()
+     WHERE token_id IN (
+       SELECT token_id FROM auto_renewals
+       WHERE enabled = true AND status IN ('active', 'retrying') AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [BATCH_SIZE, CLAIM_SECONDS]
+  );
+  return result.rows;
+}
+
+/**
+ * A charge already taken for this period whose renewal hasn't gone through yet
+ */
+async function findOutstandingCharge(tokenId, periodEndTime) {
+  const result = await pool.query(
+    `SELECT charge_tx_hash, amount FROM auto_renewal_attempts
+     WHERE token_id = $1 AND period_end_time = $2 AND status = 'charged'
+     ORDER BY created_at DESC LIMIT 1`,
+    [tokenId, periodEndTime]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Charge the subscriber's allowance and renew on-chain. The charge is recorded
+ * as a 'charged' attempt before renewing, and a retry for the same period
+ * reuses it instead of pulling the allowance again.
+ * Returns { renewTx, chargeTx, amount, newEndTime } or throws an error with
+ * `reason` (plus `chargeTx` and `amount` when the subscriber was charged).
+ */
+async function chargeAndRenew(renewal, contract, onChain) {
+  const provider = contract.runner.provider;
+  const relayer = getRelayer(provider);
+  if (!relayer) {
+    throw renewalError('Auto-renew relayer is not configured', 503, 'relayer_unavailable');
+  }
+
+  const periodEndTime = Number(onChain.endTime);
+  const tokenContract = getTokenContract(renewal.token_address, relayer);
+  const decimals = Number(await tokenContract.decimals());
+  const plan = await contract.getPlan(onChain.planId);
+
+  let amount;
+  let chargeTx;
+  const outstanding = await findOutstandingCharge(renewal.token_id, periodEndTime);
+
+  if (outstanding) {
+    amount = BigInt(outstanding.amount);
+    chargeTx = outstanding.charge_tx_hash;
+    console.log(`[AutoRenew] ↪️ Reusing charge ${chargeTx} for token ${renewal.token_id}`);
+  } else {
+    amount = await quoteRenewal(plan.price, renewal.token_symbol, decimals);
+
+    if (renewal.max_amount && amount > BigInt(renewal.max_amount)) {
+      throw renewalError('Renewal price is above the subscriber\'s maximum', 400, 'price_above_max');
+    }
+
+    const balance = await tokenContract.balanceOf(renewal.subscriber_address);
+    if (balance < amount) {
+      throw renewalError('Insufficient token balance', 400, 'insufficient_balance');
+    }
+
+    const allowance = await tokenContract.allowance(renewal.subscriber_address, relayer.address);
+    if (allowance < amount) {
+      throw renewalError('Insufficient token allowance', 400, 'insufficient_allowance');
+    }
+
+    const treasury = process.env.AUTO_RENEW_TREASURY_ADDRESS || relayer.address;
+    const chargeReceipt = await (await tokenContract.transferFrom(renewal.subscriber_address, treasury, amount)).wait();
+    chargeTx = chargeReceipt.hash;
+    await recordAttempt(renewal, periodEndTime, 'charged', { amount: amount.toString(), chargeTx });
+  }
+
+  try {
+    const relayerContract = contract.connect(relayer);
+    const renewReceipt = await (await relayerContract.renewSubscription(renewal.token_id, { value: plan.price })).wait();
+
+    const renewedEvent = findContractEvent(
+      contract,
+      renewReceipt,
+      'SubscriptionRenewed',
+      parsed => parsed.args.tokenId.toString() === renewal.token_id.toString()
+    );
+
+    return {
+      plan,
+      amount,
+      decimals,
+      chargeTx,
+      renewTx: renewReceipt.hash,
+      blockNumber: renewReceipt.blockNumber,
+      newEndTime: renewedEvent ? renewedEvent.args.newEndTime.toString() : null
+    };
+  } catch (error) {
+    const renewError = renewalError(error.shortMessage || error.message, 502, 'renew_failed');
+    renewError.chargeTx = chargeTx;
+    renewError.amount = amount;
+    throw renewError;
+  }
+}
+
+/**
+ * Give back a charge whose renewal never went through. Only possible when the
+ * relayer holds the charged tokens (no separate treasury).
+ */
+async function refundCharge(renewal, contract, chargeTx, amount) {
+  const relayer = getRelayer(contract.runner.provider);
+  const treasury = process.env.AUTO_RENEW_TREASURY_ADDRESS || relayer.address;
+  if (treasury.toLowerCase() !== relayer.address.toLowerCase()) {
+    console.error(`[AutoRenew] ❌ Charge ${chargeTx} for token ${renewal.token_id} was not renewed; refund it from the treasury`);
+    return null;
+  }
+
+  try {
+    const tokenContract = getTokenContract(renewal.token_address, relayer);
+    const refundReceipt = await (await tokenContract.transfer(renewal.subscriber_address, amount)).wait();
+    await pool.query(
+      `UPDATE auto_renewal_attempts SET status = 'refunded'
+       WHERE token_id = $1 AND charge_tx_hash = $2 AND status = 'charged'`,
+      [renewal.token_id, chargeTx]
+    );
+    console.warn(`[AutoRenew] ↩️ Refunded ${renewal.token_symbol} charge ${chargeTx} for token ${renewal.token_id}`);
+    return refundReceipt.hash;
+  } catch (refundError) {
+    console.error(`[AutoRenew] ❌ Could not refund charge ${chargeTx} for token ${renewal.token_id}:`, refundError.message);
+    return null;
+  }
+}
+
+async function recordAttempt(renewal, periodEndTime, status, details = {}) {
+  await pool.query(
+    `INSERT INTO auto_renewal_attempts
+     (token_id, period_end_time, status, reason, amount, token_symbol, charge_tx_hash, renew_tx_hash, error_message, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+    [
+      renewal.token_id,
+      periodEndTime,
+      status,
+      details.reason || null,
+      details.amount || null,
+      renewal.token_symbol,
+      details.chargeTx || null,
+      details.renewTx || null,
+      details.error || null
+    ]
+  );
+}
+
+/**
+ * Charge and renew one claimed subscription, or schedule a retry
+ */
+async function processRenewal(renewal, contracts) {
+  const network = renewal.network || 'localhost';
+  contracts[network] = contracts[network] || await contractService.getContract(network);
+  const contract = contracts[network];
+
+  const onChain = await contract.getSubscription(renewal.token_id);
+  const endTime = Number(onChain.endTime);
+  const now = Math.floor(Date.now() / 1000);
+
+  // Not due yet (e.g. renewed manually since the last run)
+  if (endTime - RENEW_LEAD_SECONDS > now) {
+    await pool.query(
+      `UPDATE auto_renewals SET next_attempt_at = $2, status = 'active', attempts = 0, updated_at = NOW() WHERE token_id = $1`,
+      [renewal.token_id, new Date((endTime - RENEW_LEAD_SECONDS) * 1000)]
+    );
+    return 'deferred';
+  }
+
+  // Already charged for this period (guards against a crash between charge and bookkeeping)
+  const charged = await pool.query(
+    `SELECT 1 FROM auto_renewal_attempts WHERE token_id = $1 AND period_end_time = $2 AND status = 'succeeded'`,
+    [renewal.token_id, endTime]
+  );
+  if (charged.rows.length > 0) {
+    return 'deferred';
+  }
+
+  const apiKeyId = await webhookService.findVendorWebhookKeyId(renewal.vendor_address);
+
+  let result;
+  try {
+    result = await chargeAndRenew(renewal, contract, onChain);
+  } catch (error) {
+    const reason = error.reason || 'charge_failed';
+    const attempts = (renewal.attempts || 0) + 1;
+    const nextAttempt = now + RETRY_INTERVAL_SECONDS;
+    const willRetry = nextAttempt <= endTime + GRACE_PERIOD_SECONDS;
+
+    await recordAttempt(renewal, endTime, 'failed', { reason, error: error.message, chargeTx: error.chargeTx });
+
+    // Out of retries with the subscriber already charged - give the tokens back
+    if (error.chargeTx && !willRetry) {
+      await refundCharge(renewal, contract, error.chargeTx, error.amount);
+    }
+    await pool.query(
+      `UPDATE auto_renewals
+       SET status = $2, attempts = $3, last_error = $4, next_attempt_at = $5, updated_at = NOW()
+       WHERE token_id = $1`,
+      [renewal.token_id, willRetry ? 'retrying' : 'failed', attempts, error.message, willRetry ? new Date(nextAttempt * 1000) : null]
+    );
+
+    console.warn(`[AutoRenew] ⚠️ Renewal of token ${renewal.token_id} failed (${reason})${willRetry ? ', will retry' : ', giving up'}`);
+
+    if (apiKeyId) {
+      await webhookService.triggerWebhook(apiKeyId, 'subscription.renewal_failed', {
+        tokenId: renewal.token_id.toString(),
+        planId: onChain.planId.toString(),
+        customerAddress: renewal.subscriber_address,
+        reason,
+        message: error.message,
+        attempt: attempts,
+        willRetry,
+        nextAttemptAt: willRetry ? new Date(nextAttempt * 1000).toISOString() : null,
+        endTime: endTime.toString(),
+        endTimeISO: new Date(endTime * 1000).toISOString(),
+        gracePeriodEndsAt: new Date((endTime + GRACE_PERIOD_SECONDS) * 1000).toISOString(),
+        paymentToken: renewal.token_symbol,
+        chargeTransactionHash: error.chargeTx || null,
+        network
+      });
+    }
+    return 'failed';
+  }
+
+  const newEndTime = result.newEndTime || (await contract.getSubscription(renewal.token_id)).endTime.toString();
+  const amount = ethers.formatUnits(result.amount, result.decimals);
+
+  await recordAttempt(renewal, endTime, 'succeeded', {
+    amount: result.amount.toString(),
+    chargeTx: result.chargeTx,
+    renewTx: result.renewTx
+  });
+  await pool.query(
+    `UPDATE auto_renewal_attempts SET status = 'settled'
+     WHERE token_id = $1 AND period_end_time = $2 AND status = 'charged'`,
+    [renewal.token_id, endTime]
+  );
+  await pool.query(
+    `UPDATE auto_renewals
+     SET status = 'active', attempts = 0, last_error = NULL, last_renewed_at = NOW(),
+         next_attempt_at = $2, updated_at = NOW()
+     WHERE token_id = $1`,
+    [renewal.token_id, new Date((Number(newEndTime) - RENEW_LEAD_SECONDS) * 1000)]
+  );
+
+  try {
+    await pool.query(
+      `INSERT INTO subscription_history
+       (token_id, plan_id, subscriber_address, vendor_address, event_type, event_data, transaction_hash, block_number)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        renewal.token_id,
+        renewal.plan_id,
+        renewal.subscriber_address,
+        renewal.vendor_address || '',
+        'renewed',
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          previousEndTime: endTime.toString(),
+          newEndTime,
+          price: result.plan.price.toString(),
+          autoRenew: true,
+          paymentToken: renewal.token_symbol,
+          amount,
+          chargeTransactionHash: result.chargeTx
+        }),
+        result.renewTx,
+        result.blockNumber
+      ]
+    );
+  } catch (historyError) {
+    console.warn('[AutoRenew] Could not record in subscription_history:', historyError.message);
+  }
+
+  console.log(`[AutoRenew] ✅ Renewed token ${renewal.token_id} for ${amount} ${renewal.token_symbol} (${result.renewTx})`);
+
+  if (apiKeyId) {
+    await webhookService.triggerWebhook(apiKeyId, 'subscription.renewed', {
+      tokenId: renewal.token_id.toString(),
+      planId: onChain.planId.toString(),
+      customerAddress: renewal.subscriber_address,
+      previousEndTime: endTime.toString(),
+      previousEndTimeISO: new Date(endTime * 1000).toISOString(),
+      newEndTime,
+      newEndTimeISO: new Date(Number(newEndTime) * 1000).toISOString(),
+      renewalTransactionHash: result.renewTx,
+      renewalTimestamp: new Date().toISOString(),
+      autoRenew: true,
+      payment: {
+        token: renewal.token_symbol,
+        amount,
+        transactionHash: result.chargeTx
+      },
+      plan: {
+        name: result.plan.name,
+        description: result.plan.description,
+        price: result.plan.price.toString()
+      }
+    });
+  }
+  return 'renewed';
+}
+
+/**
+ * Process every due auto-renewal
+ */
+async function processAutoRenewals() {
+  if (running) {
+    return null;
+  }
+  running = true;
+
+  const summary = { claimed: 0, renewed: 0, failed: 0, deferred: 0 };
+  try {
+    const due = await claimDueRenewals();
+    summary.claimed = due.length;
+
+    const contracts = {};
+    for (const renewal of due) {
+      try {
+        const outcome = await processRenewal(renewal, contracts);
+        summary[outcome]++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`[AutoRenew] ❌ Error processing token ${renewal.token_id}:`, error.message);
+      }
+    }
+
+    if (summary.claimed > 0) {
+      console.log(`[AutoRenew] ✅ claimed=${summary.claimed} renewed=${summary.renewed} failed=${summary.failed} deferred=${summary.deferred}`);
+    }
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start auto-renewal worker (runs every 5 minutes)
+ */
+function startAutoRenewalWorker() {
+  if (workerInterval) {
+    return;
+  }
+
+  console.log('[AutoRenew] Starting auto-renewal worker...');
+
+  processAutoRenewals().catch(console.error);
+  workerInterval = setInterval(() => {
+    processAutoRenewals().catch(console.error);
+  }, 300000);
+}
+
+module.exports = {
+  SUPPORTED_TOKENS,
+  getTokenConfig,
+  quoteRenewal,
+  enableAutoRenew,
+  disableAutoRenew,
+  getAutoRenewStatus,
+  processAutoRenewals,
+  startAutoRenewalWorker
+};
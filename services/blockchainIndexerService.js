@@ -0,0 +1,652 @@
+/**
+ * Blockchain Indexer Service
+ * Follows the subscription contract's logs from a stored block cursor per
+ * network and keeps subscription_plans, subscriptions and subscription_history
+ * in sync, so read routes can trust the database instead of calling the RPC.
+ *
+ * - One cursor row per network in indexer_cursors; each batch runs in a single
+ *   DB transaction together with the cursor update, so a crash replays the batch
+ * - The cursor row is locked FOR UPDATE SKIP LOCKED, so only one server
+ *   instance indexes a network at a time
+ * - If the hash of the cursor block changes (reorg), the cursor is rewound by
+ *   INDEXER_CONFIRMATIONS blocks and the indexed rows above it are re-derived
+ * - Handlers are idempotent (upserts / dedupe by transaction hash)
+ * - ERC-721 Transfer events move subscriptions to their new owner; webhooks
+ *   for them are sent only after the batch is committed
+ */
+
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('./contractService');
+const subscriptionTransferService = require('./subscriptionTransferService');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// How many blocks to rewind when a reorg is detected
+const CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS || '12');
+
+// Max block range per eth_getLogs call
+const BLOCK_BATCH_SIZE = parseInt(process.env.INDEXER_BLOCK_BATCH_SIZE || '2000');
+
+// Batches processed per network per tick, so one tick can't run forever
+const MAX_BATCHES_PER_TICK = 20;
+
+const POLL_INTERVAL_MS = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '15000');
+
+let isRunning = false;
+let indexerInterval = null;
+
+/**
+ * Networks to index: INDEXER_NETWORKS (comma separated) or every network
+ * with a recorded contract deployment
+ */
+async function getIndexedNetworks() {
+  if (process.env.INDEXER_NETWORKS) {
+    return process.env.INDEXER_NETWORKS.split(',').map(n => n.trim()).filter(Boolean);
+  }
+
+  const result = await pool.query(
+    `SELECT DISTINCT network FROM contract_deployments WHERE network IS NOT NULL`
+  );
+  const networks = result.rows.map(row => row.network);
+  return networks.length > 0 ? networks : ['localhost'];
+}
+
+/**
+ * First block to index on a network: the deployment block if known
+ */
+async function getStartBlock(network, contractAddress) {
+  try {
+    const result = await pool.query(
+      `SELECT block_number FROM contract_deployments
+       WHERE network = $1 AND LOWER(contract_address) = LOWER($2) AND block_number IS NOT NULL
+       ORDER BY updated_at DESC
+       LIMIT 1`,
+      [network, contractAddress]
+    );
+    if (result.rows.length > 0) {
+      return parseInt(result.rows[0].block_number);
+    }
+  } catch (error) {
+    console.warn(`[Indexer] Could not read deployment block for ${network}:`, error.message);
+  }
+
+  return parseInt(process.env.INDEXER_START_BLOCK || '0');
+}
+
+/**
+ * Map an on-chain app id to the apps.app_id plans are stored under
+ */
+async function resolvePlanAppId(db, network, chainAppId) {
+  if (chainAppId === undefined || chainAppId === null || chainAppId.toString() === '0') {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT app_id FROM apps
+     WHERE blockchain_app_id = $1 AND (network = $2 OR network IS NULL)
+     LIMIT 1`,
+    [chainAppId.toString(), network]
+  );
+
+  return result.rows[0]?.app_id || chainAppId.toString();
+}
+
+/**
+ * Upsert a plan from its current on-chain state.
+ * Plan ids restart at 1 on every chain, so a row owned by another network is left alone.
+ */
+async function syncPlan(db, contract, network, planId) {
+  const plan = await contract.getPlan(planId);
+  const appId = await resolvePlanAppId(db, network, plan.appId);
+
+  await db.query(
+    `INSERT INTO subscription_plans
+     (plan_id, vendor_address, name, description, price, duration, max_subscriptions,
+      active, pause_enabled, max_pause_attempts, app_id, network)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT (plan_id) DO UPDATE SET
+       name = EXCLUDED.name,
+       description = EXCLUDED.description,
+       price = EXCLUDED.price,
+       duration = EXCLUDED.duration,
+       max_subscriptions = EXCLUDED.max_subscriptions,
+       active = EXCLUDED.active,
+       pause_enabled = EXCLUDED.pause_enabled,
+       max_pause_attempts = EXCLUDED.max_pause_attempts,
+       app_id = COALESCE(subscription_plans.app_id, EXCLUDED.app_id),
+       network = COALESCE(subscription_plans.network, EXCLUDED.network),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE subscription_plans.network IS NULL OR subscription_plans.network = EXCLUDED.network`,
+    [
+      planId.toString(),
+      plan.vendor.toLowerCase(),
+      plan.name,
+      plan.description,
+      ethers.formatEther(plan.price),
+      plan.duration.toString(),
+      plan.maxSubscriptions.toString(),
+      plan.active,
+      plan.pauseEnabled,
+      plan.maxPauseAttempts.toString(),
+      appId,
+      network
+    ]
+  );
+}
+
+/**
+ * Upsert a subscription from its current on-chain state.
+ * Returns false (and drops the row) if the token no longer exists - e.g. its
+ * purchase was orphaned by a reorg - and false if the token id is already
+ * stored for another network (token ids restart at 1 on every chain).
+ */
+async function syncSubscription(db, contract, network, tokenId) {
+  let sub;
+  try {
+    sub = await contract.getSubscription(tokenId);
+  } catch (error) {
+    sub = null;
+  }
+
+  if (!sub || sub.tokenId.toString() === '0') {
+    await db.query(
+      `DELETE FROM subscriptions WHERE token_id = $1 AND network = $2`,
+      [tokenId.toString(), network]
+    );
+    return false;
+  }
+
+  const planExists = await db.query(
+    `SELECT 1 FROM subscription_plans WHERE plan_id = $1 AND (network = $2 OR network IS NULL)`,
+    [sub.planId.toString(), network]
+  );
+  if (planExists.rows.length === 0) {
+    await syncPlan(db, contract, network, sub.planId);
+  }
+
+  let tokenURI = null;
+  try {
+    tokenURI = await contract.tokenURI(tokenId);
+  } catch (e) {
+    // Minimal ABI has no tokenURI
+  }
+
+  // The struct's subscriber is the original buyer; the NFT may have moved since
+  let owner = sub.subscriber;
+  try {
+    owner = await contract.ownerOf(tokenId);
+  } catch (e) {
+    // Minimal ABI has no ownerOf
+  }
+
+  const upserted = await db.query(
+    `INSERT INTO subscriptions
+     (token_id, plan_id, subscriber_address, token_uri, paused, pause_attempts,
+      total_paused_time, published, start_time, end_time, network)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (token_id) DO UPDATE SET
+       subscriber_address = EXCLUDED.subscriber_address,
+       token_uri = COALESCE(subscriptions.token_uri, EXCLUDED.token_uri),
+       paused = EXCLUDED.paused,
+       pause_attempts = EXCLUDED.pause_attempts,
+       total_paused_time = EXCLUDED.total_paused_time,
+       published = EXCLUDED.published,
+       start_time = EXCLUDED.start_time,
+       end_time = EXCLUDED.end_time,
+       network = COALESCE(subscriptions.network, EXCLUDED.network),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE subscriptions.network IS NULL OR subscriptions.network = EXCLUDED.network
+     RETURNING token_id`,
+    [
+      tokenId.toString(),
+      sub.planId.toString(),
+      owner.toLowerCase(),
+      tokenURI,
+      sub.paused,
+      sub.pauseAttempts.toString(),
+      sub.totalPausedTime.toString(),
+      sub.published,
+      sub.startTime.toString(),
+      sub.endTime.toString(),
+      network
+    ]
+  );
+
+  return upserted.rows.length > 0;
+}
+
+/**
+ * Append a history row for an indexed event. Rows already written for the
+ * same transaction (e.g. by a /confirm route) are left alone.
+ */
+async function recordHistory(db, network, log, tokenId, eventType, eventData) {
+  await db.query(
+    `INSERT INTO subscription_history
+     (token_id, plan_id, subscriber_address, vendor_address, event_type, event_data,
+      transaction_hash, block_number, network, log_index)
+     SELECT s.token_id, s.plan_id, s.subscriber_address, COALESCE(sp.vendor_address, ''),
+            $2, $3, $4, $5, $6, $7
+     FROM subscriptions s
+     LEFT JOIN subscription_plans sp ON sp.plan_id = s.plan_id AND (sp.network = $6 OR sp.network IS NULL)
+     WHERE s.token_id = $1 AND (s.network = $6 OR s.network IS NULL)
+       AND NOT EXISTS (
+         SELECT 1 FROM subscription_history h
+         WHERE h.token_id = $1 AND h.event_type = $2 AND h.transaction_hash = $4
+       )`,
+    [tokenId.toString(), eventType, JSON.stringify(eventData), log.transactionHash, log.blockNumber, network, log.index]
+  );
+}
+
+/**
+ * Event handlers, keyed by event name. Events missing from the loaded ABI are
+ * simply not subscribed to.
+ */
+const EVENT_HANDLERS = {
+  async AppCreated({ db, network, parsed }) {
+    // Link the backend app row created before the on-chain app existed
+    await db.query(
+      `UPDATE apps SET blockchain_app_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE LOWER(vendor_address) = LOWER($2) AND name = $3
+         AND (network = $4 OR network IS NULL) AND blockchain_app_id IS NULL`,
+      [parsed.args.appId.toString(), parsed.args.vendor, parsed.args.name, network]
+    );
+  },
+
+  async AppUpdated({ db, network, parsed }) {
+    await db.query(
+      `UPDATE apps SET active = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE blockchain_app_id = $2 AND (network = $3 OR network IS NULL)`,
+      [parsed.args.active, parsed.args.appId.toString(), network]
+    );
+  },
+
+  async PlanCreated({ db, contract, network, parsed }) {
+    await syncPlan(db, contract, network, parsed.args.planId);
+  },
+
+  async PlanUpdated({ db, contract, network, parsed }) {
+    // Price, duration and active flag are read back from the chain
+    await syncPlan(db, contract, network, parsed.args.planId);
+  },
+
+  async PlanAssociatedWithApp({ db, network, parsed }) {
+    const appId = await resolvePlanAppId(db, network, parsed.args.appId);
+    await db.query(
+      `UPDATE subscription_plans SET app_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE plan_id = $2 AND (network = $3 OR network IS NULL)`,
+      [appId, parsed.args.planId.toString(), network]
+    );
+  },
+
+  async PlanRemoved({ db, network, parsed }) {
+    await db.query(
+      `UPDATE subscription_plans SET active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE plan_id = $1 AND (network = $2 OR network IS NULL)`,
+      [parsed.args.planId.toString(), network]
+    );
+  },
+
+  async SubscriptionPurchased({ db, contract, network, log, parsed }) {
+    const { tokenId, planId, subscriber, endTime } = parsed.args;
+    if (await syncSubscription(db, contract, network, tokenId)) {
+      await db.query(
+        `UPDATE subscriptions SET transaction_hash = COALESCE(transaction_hash, $2)
+         WHERE token_id = $1 AND network = $3`,
+        [tokenId.toString(), log.transactionHash, network]
+      );
+      await recordHistory(db, network, log, tokenId, 'purchased', {
+        planId: planId.toString(),
+        subscriber: subscriber.toLowerCase(),
+        endTime: endTime.toString()
+      });
+    }
+  },
+
+  async SubscriptionRenewed({ db, contract, network, log, parsed }) {
+    const { tokenId, newEndTime } = parsed.args;
+    if (await syncSubscription(db, contract, network, tokenId)) {
+      await recordHistory(db, network, log, tokenId, 'renewed', { newEndTime: newEndTime.toString() });
+    }
+  },
+
+  async SubscriptionPaused({ db, contract, network, log, parsed }) {
+    if (await syncSubscription(db, contract, network, parsed.args.tokenId)) {
+      await recordHistory(db, network, log, parsed.args.tokenId, 'paused', {});
+    }
+  },
+
+  async SubscriptionUnpaused({ db, contract, network, log, parsed }) {
+    if (await syncSubscription(db, contract, network, parsed.args.tokenId)) {
+      await recordHistory(db, network, log, parsed.args.tokenId, 'unpaused', {});
+    }
+  },
+
+  async SubscriptionCancelled({ db, contract, network, log, parsed }) {
+    if (await syncSubscription(db, contract, network, parsed.args.tokenId)) {
+      await recordHistory(db, network, log, parsed.args.tokenId, 'cancelled', {});
+    }
+  },
+
+  async SubscriptionPublished({ db, contract, network, log, parsed }) {
+    if (await syncSubscription(db, contract, network, parsed.args.tokenId)) {
+      await recordHistory(db, network, log, parsed.args.tokenId, 'published', {});
+    }
+  },
+
+  async Transfer({ db, contract, network, log, parsed, afterCommit }) {
+    const { from, to, tokenId } = parsed.args;
+    // Mints are recorded by SubscriptionPurchased; burns are not ownership changes
+    if (from === ethers.ZeroAddress || to === ethers.ZeroAddress) {
+      return;
+    }
+
+    const known = await db.query(
+      `SELECT 1 FROM subscriptions WHERE token_id = $1 AND (network = $2 OR network IS NULL)`,
+      [tokenId.toString(), network]
+    );
+    if (known.rows.length === 0 && !(await syncSubscription(db, contract, network, tokenId))) {
+      return;
+    }
+
+    const transfer = await subscriptionTransferService.applyTransfer(db, {
+      tokenId,
+      from,
+      to,
+      network,
+      transactionHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      logIndex: log.index
+    });
+    if (transfer) {
+      afterCommit.push(() => subscriptionTransferService.notifyTransfer(transfer));
+    }
+  }
+};
+
+/**
+ * Topic hashes for every handled event present in the contract ABI
+ */
+function getIndexedTopics(contract) {
+  const topics = [];
+  for (const eventName of Object.keys(EVENT_HANDLERS)) {
+    const fragment = contract.interface.getEvent(eventName);
+    if (fragment) {
+      topics.push(fragment.topicHash);
+    }
+  }
+  return topics;
+}
+
+/**
+ * Lock (creating if needed) the cursor row for a network inside the open
+ * transaction. Returns null if another instance holds it.
+ */
+async function lockCursor(db, network, contract) {
+  const contractAddress = contract.target.toLowerCase();
+
+  let result = await db.query(
+    `SELECT * FROM indexer_cursors WHERE network = $1 FOR UPDATE SKIP LOCKED`,
+    [network]
+  );
+
+  if (result.rows.length === 0) {
+    const exists = await db.query(`SELECT 1 FROM indexer_cursors WHERE network = $1`, [network]);
+    if (exists.rows.length > 0) {
+      return null;
+    }
+
+    // First run on this network
+    const startBlock = await getStartBlock(network, contractAddress);
+    result = await db.query(
+      `INSERT INTO indexer_cursors (network, contract_address, last_block)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (network) DO NOTHING
+       RETURNING *`,
+      [network, contractAddress, startBlock - 1]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+  }
+
+  const cursor = result.rows[0];
+
+  // Contract redeployed - start over from the new deployment
+  if (cursor.contract_address !== contractAddress) {
+    const startBlock = await getStartBlock(network, contractAddress);
+    console.log(`[Indexer] Contract changed on ${network}, resetting cursor to block ${startBlock}`);
+    await db.query(
+      `UPDATE indexer_cursors
+       SET contract_address = $2, last_block = $3, last_block_hash = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE network = $1`,
+      [network, contractAddress, startBlock - 1]
+    );
+    return { ...cursor, contract_address: contractAddress, last_block: startBlock - 1, last_block_hash: null };
+  }
+
+  return { ...cursor, last_block: parseInt(cursor.last_block) };
+}
+
+/**
+ * Rewind after a reorg: drop history indexed above the rewind point and
+ * return the tokens it touched so they can be re-synced.
+ */
+async function rewindCursor(db, network, provider, cursor) {
+  const rewindTo = Math.max(-1, cursor.last_block - CONFIRMATIONS);
+  console.warn(`[Indexer] ⚠️ Reorg detected on ${network} at block ${cursor.last_block}, rewinding to ${rewindTo}`);
+
+  const removed = await db.query(
+    `DELETE FROM subscription_history
+     WHERE network = $1 AND log_index IS NOT NULL AND block_number > $2
+     RETURNING token_id`,
+    [network, rewindTo]
+  );
+
+  const rewindBlock = rewindTo >= 0 ? await provider.getBlock(rewindTo) : null;
+  await db.query(
+    `UPDATE indexer_cursors
+     SET last_block = $2, last_block_hash = $3, reorg_count = reorg_count + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE network = $1`,
+    [network, rewindTo, rewindBlock?.hash || null]
+  );
+
+  return {
+    lastBlock: rewindTo,
+    affectedTokens: [...new Set(removed.rows.map(row => row.token_id))]
+  };
+}
+
+/**
+ * Index one batch of blocks for a network. Returns true when caught up.
+ */
+async function indexBatch(network, contract, topics) {
+  const provider = contract.runner?.provider || contract.runner;
+  const db = await pool.connect();
+
+  try {
+    await db.query('BEGIN');
+
+    const cursor = await lockCursor(db, network, contract);
+    if (!cursor) {
+      await db.query('ROLLBACK');
+      return true;
+    }
+
+    let lastBlock = cursor.last_block;
+    let affectedTokens = [];
+
+    if (cursor.last_block_hash && lastBlock >= 0) {
+      const block = await provider.getBlock(lastBlock);
+      if (!block || block.hash !== cursor.last_block_hash) {
+        ({ lastBlock, affectedTokens } = await rewindCursor(db, network, provider, cursor));
+      }
+    }
+
+    const head = await provider.getBlockNumber();
+    const fromBlock = lastBlock + 1;
+
+    if (fromBlock > head) {
+      await db.query('COMMIT');
+      return true;
+    }
+
+    const toBlock = Math.min(fromBlock + BLOCK_BATCH_SIZE - 1, head);
+    const logs = await provider.getLogs({
+      address: contract.target,
+      fromBlock,
+      toBlock,
+      topics: [topics]
+    });
+
+    // Webhooks for this batch, sent once it is committed
+    const afterCommit = [];
+
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch (e) {
+        continue;
+      }
+      const handler = parsed && EVENT_HANDLERS[parsed.name];
+      if (handler) {
+        await handler({ db, contract, network, log, parsed, afterCommit });
+      }
+    }
+
+    // Tokens whose history was rewound: refresh (or drop if the purchase was orphaned)
+    for (const tokenId of affectedTokens) {
+      await syncSubscription(db, contract, network, tokenId);
+    }
+
+    const toBlockInfo = await provider.getBlock(toBlock);
+    await db.query(
+      `UPDATE indexer_cursors
+       SET last_block = $2, last_block_hash = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE network = $1`,
+      [network, toBlock, toBlockInfo?.hash || null]
+    );
+
+    await db.query('COMMIT');
+
+    for (const notify of afterCommit) {
+      await notify().catch(error => {
+        console.error(`[Indexer] Error sending webhook on ${network}:`, error.message);
+      });
+    }
+
+    if (logs.length > 0) {
+      console.log(`[Indexer] ✅ ${network}: indexed ${logs.length} event(s) in blocks ${fromBlock}-${toBlock}`);
+    }
+
+    return toBlock >= head;
+  } catch (error) {
+    await db.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Catch a network up to the chain head (bounded per tick)
+ */
+async function indexNetwork(network) {
+  const contract = await contractService.getContract(network);
+  const topics = getIndexedTopics(contract);
+
+  if (topics.length === 0) {
+    console.warn(`[Indexer] No indexable events in the ABI for ${network}`);
+    return;
+  }
+
+  for (let i = 0; i < MAX_BATCHES_PER_TICK; i++) {
+    if (await indexBatch(network, contract, topics)) {
+      return;
+    }
+  }
+}
+
+/**
+ * Run one indexing pass over every network
+ */
+async function runIndexer() {
+  if (isRunning) {
+    return;
+  }
+  isRunning = true;
+
+  try {
+    const networks = await getIndexedNetworks();
+    for (const network of networks) {
+      try {
+        await indexNetwork(network);
+      } catch (error) {
+        console.error(`[Indexer] Error indexing ${network}:`, error.message);
+      }
+    }
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Cursor state for every indexed network
+ */
+async function getIndexerStatus() {
+  const result = await pool.query(
+    `SELECT network, contract_address, last_block, last_block_hash, reorg_count, updated_at
+     FROM indexer_cursors
+     ORDER BY network`
+  );
+
+  return result.rows.map(row => ({
+    network: row.network,
+    contractAddress: row.contract_address,
+    lastBlock: parseInt(row.last_block),
+    lastBlockHash: row.last_block_hash,
+    reorgCount: row.reorg_count,
+    updatedAt: row.updated_at
+  }));
+}
+
+/**
+ * Start the indexer (polls every INDEXER_POLL_INTERVAL_MS)
+ */
+function startIndexer() {
+  if (indexerInterval) {
+    console.log('[Indexer] Indexer already running');
+    return;
+  }
+
+  console.log(`[Indexer] Starting blockchain indexer (every ${POLL_INTERVAL_MS / 1000}s, ${CONFIRMATIONS} block reorg window)...`);
+
+  runIndexer().catch(console.error);
+  indexerInterval = setInterval(() => {
+    runIndexer().catch(console.error);
+  }, POLL_INTERVAL_MS);
+}
+
+/**
+ * Stop the indexer
+ */
+function stopIndexer() {
+  if (indexerInterval) {
+    clearInterval(indexerInterval);
+    indexerInterval = null;
+    console.log('[Indexer] Stopped blockchain indexer');
+  }
+}
+
+module.exports = {
+  startIndexer,
+  stopIndexer,
+  runIndexer,
+  indexNetwork,
+  getIndexerStatus,
+  syncSubscription,
+  EVENT_HANDLERS
+};
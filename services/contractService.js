@@ -2,6 +2,7 @@ const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
 const { Pool } = require('pg');
+const { SANDBOX_NETWORK, resolveNetwork } = require('../utils/sandbox');
 
 let contracts = {}; // Store contracts per network: { network: contract }
 let providers = {}; // Store providers per network: { network: provider }
@@ -19,7 +20,9 @@ function getRpcUrlForNetwork(network) {
     sepolia: process.env.SEPOLIA_RPC_URL || 'https://sepolia.infura.io/v3/YOUR_INFURA_KEY',
     mumbai: process.env.MUMBAI_RPC_URL || 'https://matic-mumbai.chainstacklabs.com',
     ethereum: process.env.ETHEREUM_RPC_URL || 'https://mainnet.infura.io/v3/YOUR_INFURA_KEY',
-    polygon: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com'
+    polygon: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com',
+    // Test-mode API keys; a separate chain, or a separate deployment on the local one
+    [SANDBOX_NETWORK]: process.env.SANDBOX_RPC_URL || process.env.GANACHE_URL || 'http://localhost:8545'
   };
   
   return networkConfigs[network] || networkConfigs.localhost;
@@ -27,8 +30,10 @@ function getRpcUrlForNetwork(network) {
 
 /**
  * Initialize contract service for a specific network
+ * (always the sandbox network inside a test-mode API request)
  */
 async function initialize(network = 'localhost') {
+  network = resolveNetwork(network);
   const rpcUrl = getRpcUrlForNetwork(network);
   
   // Initialize provider for this network
@@ -176,6 +181,7 @@ async function initialize(network = 'localhost') {
  * Get contract instance for a specific network with retry logic and verification
  */
 async function getContract(network = 'localhost') {
+  network = resolveNetwork(network);
   const maxRetries = 3;
   let lastError = null;
   
@@ -267,6 +273,7 @@ async function getContract(network = 'localhost') {
  * Get provider instance for a specific network
  */
 function getProvider(network = 'localhost') {
+  network = resolveNetwork(network);
   if (!providers[network]) {
     const rpcUrl = getRpcUrlForNetwork(network);
     providers[network] = new ethers.JsonRpcProvider(rpcUrl);
@@ -0,0 +1,155 @@
+/**
+ * Idempotency Service
+ * Stores Idempotency-Key headers per API key, with a fingerprint of the request
+ * and the response it produced, so retried order / mint calls return the
+ * original response instead of creating a second order or NFT.
+ */
+
+const { Pool } = require('pg');
+const crypto = require('crypto');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+const MAX_KEY_LENGTH = 255;
+
+// A key still processing after this long is taken over by a retry (e.g. if the server crashed)
+const PROCESSING_LOCK_MINUTES = 5;
+
+let cleanupInterval = null;
+
+/**
+ * JSON with sorted object keys, so the same body always fingerprints the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of the endpoint and request body
+ */
+function fingerprintRequest(endpoint, body) {
+  return crypto
+    .createHash('sha256')
+    .update(`${endpoint}\n${canonicalJson(body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Claim an idempotency key for a request.
+ * Returns { claimed: true } when the caller should process the request, or
+ * { claimed: false, record } with the stored row (completed or still processing).
+ */
+async function claimKey(ownerKey, idempotencyKey, { endpoint, fingerprint }) {
+  const expiresAt = new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000);
+
+  // An expired key, or one abandoned while processing, can be reused for a new request
+  await pool.query(
+    `DELETE FROM api_idempotency_keys
+     WHERE owner_key = $1 AND idempotency_key = $2
+       AND (expires_at < CURRENT_TIMESTAMP
+         OR (status = 'processing' AND created_at < CURRENT_TIMESTAMP - ($3 || ' minutes')::interval))`,
+    [ownerKey, idempotencyKey, PROCESSING_LOCK_MINUTES.toString()]
+  );
+
+  // Second attempt covers a key released between our insert and select
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const inserted = await pool.query(
+      `INSERT INTO api_idempotency_keys (owner_key, idempotency_key, endpoint, request_fingerprint, status, expires_at)
+       VALUES ($1, $2, $3, $4, 'processing', $5)
+       ON CONFLICT (owner_key, idempotency_key) DO NOTHING
+       RETURNING id`,
+      [ownerKey, idempotencyKey, endpoint, fingerprint, expiresAt]
+    );
+
+    if (inserted.rows.length > 0) {
+      return { claimed: true };
+    }
+
+    const existing = await pool.query(
+      `SELECT endpoint, request_fingerprint, status, response_status, response_body, created_at
+       FROM api_idempotency_keys
+       WHERE owner_key = $1 AND idempotency_key = $2`,
+      [ownerKey, idempotencyKey]
+    );
+
+    if (existing.rows.length > 0) {
+      return { claimed: false, record: existing.rows[0] };
+    }
+  }
+
+  const error = new Error('Could not claim idempotency key, please retry');
+  error.status = 409;
+  throw error;
+}
+
+/**
+ * Store the response for a claimed key
+ */
+async function completeKey(ownerKey, idempotencyKey, { statusCode, body }) {
+  await pool.query(
+    `UPDATE api_idempotency_keys
+     SET status = 'completed', response_status = $3, response_body = $4, completed_at = CURRENT_TIMESTAMP
+     WHERE owner_key = $1 AND idempotency_key = $2`,
+    [ownerKey, idempotencyKey, statusCode, body === undefined ? null : JSON.stringify(body)]
+  );
+}
+
+/**
+ * Drop a claimed key without a stored response (server errors), so the client can retry
+ */
+async function releaseKey(ownerKey, idempotencyKey) {
+  await pool.query(
+    `DELETE FROM api_idempotency_keys
+     WHERE owner_key = $1 AND idempotency_key = $2 AND status = 'processing'`,
+    [ownerKey, idempotencyKey]
+  );
+}
+
+/**
+ * Delete expired idempotency keys
+ */
+async function purgeExpiredKeys() {
+  const result = await pool.query(
+    `DELETE FROM api_idempotency_keys WHERE expires_at < CURRENT_TIMESTAMP`
+  );
+
+  if (result.rowCount > 0) {
+    console.log(`[Idempotency] ✅ Purged ${result.rowCount} expired idempotency key(s)`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Start the worker that purges expired idempotency keys
+ */
+function startIdempotencyCleanupWorker() {
+  if (cleanupInterval) {
+    return;
+  }
+
+  console.log('[Idempotency] Starting idempotency key cleanup worker...');
+
+  cleanupInterval = setInterval(() => {
+    purgeExpiredKeys().catch(console.error);
+  }, 3600000);
+}
+
+module.exports = {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  MAX_KEY_LENGTH,
+  fingerprintRequest,
+  claimKey,
+  completeKey,
+  releaseKey,
+  purgeExpiredKeys,
+  startIdempotencyCleanupWorker
+};
@@ -0,0 +1,459 @@
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('./contractService');
+const ipfsService = require('./ipfsService');
+const webhookService = require('./webhookService');
+const { buildUnsignedTransaction, getVerifiedReceipt, findContractEvent } = require('../utils/transactionHelper');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * Plan changes (upgrades, downgrades and crossgrades within an app)
+ *
+ * The contract has no in-place plan switch, so a change is a purchase of the
+ * new plan (a new token) plus, for immediate switches, cancelling the old
+ * token. Both are subscriber-signed. end_of_period switches are scheduled for
+ * the old token's endTime; the purchase transaction is handed out once due.
+ *
+ * Proration is computed from subscription_plans prices and the remaining time:
+ * the unused value of the old plan is a credit against the new plan's price.
+ * The contract always charges the full on-chain price, so the credit is
+ * reported (refundDue) for the vendor to settle and sent with
+ * subscription.plan_changed.
+ */
+
+const MODES = ['immediate', 'end_of_period'];
+const OPEN_STATUSES = ['pending', 'scheduled'];
+
+function planChangeError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toWei(price) {
+  try {
+    return ethers.parseEther(String(price ?? '0'));
+  } catch (e) {
+    return 0n;
+  }
+}
+
+/**
+ * Proration for switching at `now`. Prices are subscription_plans prices (ETH),
+ * durations are seconds. All amounts are returned in wei as strings.
+ */
+function calculateProration(fromPlan, toPlan, endTime, now, mode = 'immediate') {
+  const fromPrice = toWei(fromPlan.price);
+  const toPrice = toWei(toPlan.price);
+  const fromDuration = BigInt(parseInt(fromPlan.duration) || 0);
+  const remainingSeconds = mode === 'immediate' ? Math.max(0, endTime - now) : 0;
+
+  let credit = 0n;
+  if (fromDuration > 0n && remainingSeconds > 0) {
+    credit = fromPrice * BigInt(remainingSeconds) / fromDuration;
+    if (credit > fromPrice) {
+      credit = fromPrice;
+    }
+  }
+
+  const net = toPrice - credit;
+
+  return {
+    remainingSeconds,
+    fromPrice: fromPrice.toString(),
+    toPrice: toPrice.toString(),
+    credit: credit.toString(),
+    amountDue: (net > 0n ? net : 0n).toString(),
+    unusedCredit: (net < 0n ? -net : 0n).toString(),
+    refundDue: credit.toString(),
+    creditEth: ethers.formatEther(credit),
+    amountDueEth: ethers.formatEther(net > 0n ? net : 0n)
+  };
+}
+
+function getDirection(fromPlan, toPlan) {
+  // Compare price per second so plans with different durations compare fairly
+  const fromRate = toWei(fromPlan.price) * BigInt(parseInt(toPlan.duration) || 1);
+  const toRate = toWei(toPlan.price) * BigInt(parseInt(fromPlan.duration) || 1);
+  if (toRate > fromRate) return 'upgrade';
+  if (toRate < fromRate) return 'downgrade';
+  return 'crossgrade';
+}
+
+function formatPlanChange(row) {
+  return {
+    id: row.id,
+    tokenId: row.token_id.toString(),
+    newTokenId: row.new_token_id ? row.new_token_id.toString() : null,
+    fromPlanId: row.from_plan_id.toString(),
+    toPlanId: row.to_plan_id.toString(),
+    mode: row.mode,
+    direction: row.direction,
+    status: row.status,
+    effectiveAt: row.effective_at ? new Date(row.effective_at).toISOString() : null,
+    proration: row.proration,
+    network: row.network,
+    purchaseTransactionHash: row.purchase_tx_hash || null,
+    cancelTransactionHash: row.cancel_tx_hash || null,
+    createdAt: row.created_at,
+    completedAt: row.completed_at || null
+  };
+}
+
+async function getPlanRow(planId) {
+  const result = await pool.query(
+    `SELECT plan_id, vendor_address, name, price, duration, app_id, active
+     FROM subscription_plans WHERE plan_id = $1`,
+    [planId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Unsigned transactions for a change: purchase of the new plan, then (immediate) cancel of the old token
+ */
+async function buildChangeTransactions(contract, change) {
+  const plan = await contract.getPlan(change.to_plan_id);
+  const transactions = [{
+    step: 'purchase',
+    transaction: await buildUnsignedTransaction(contract, 'purchaseSubscription', [change.to_plan_id, change.token_uri], {
+      value: plan.price,
+      from: change.subscriber_address
+    })
+  }];
+
+  if (change.mode === 'immediate') {
+    transactions.push({
+      step: 'cancel',
+      transaction: await buildUnsignedTransaction(contract, 'cancelSubscription', [change.token_id], {
+        from: change.subscriber_address
+      })
+    });
+  }
+
+  return transactions;
+}
+
+/**
+ * Request a plan change. immediate changes return the transactions to sign now;
+ * end_of_period changes are scheduled for the current endTime.
+ */
+async function createPlanChange(tokenId, walletAddress, { newPlanId, mode = 'immediate', network = 'localhost', metadata = null } = {}) {
+  if (!newPlanId) {
+    throw planChangeError('newPlanId is required');
+  }
+  if (!MODES.includes(mode)) {
+    throw planChangeError(`mode must be one of: ${MODES.join(', ')}`);
+  }
+
+  const subResult = await pool.query(
+    `SELECT token_id, plan_id, subscriber_address FROM subscriptions WHERE token_id = $1`,
+    [tokenId]
+  );
+  if (subResult.rows.length === 0) {
+    throw planChangeError('Subscription not found', 404);
+  }
+
+  const sub = subResult.rows[0];
+  if (sub.subscriber_address.toLowerCase() !== walletAddress.toLowerCase()) {
+    throw planChangeError('Only the subscriber can change plans', 403);
+  }
+  if (sub.plan_id.toString() === newPlanId.toString()) {
+    throw planChangeError('Subscription is already on this plan');
+  }
+
+  const fromPlan = await getPlanRow(sub.plan_id);
+  const toPlan = await getPlanRow(newPlanId);
+  if (!fromPlan || !toPlan) {
+    throw planChangeError('Plan not found', 404);
+  }
+  if (toPlan.active === false) {
+    throw planChangeError('The new plan is not active');
+  }
+  if (fromPlan.vendor_address.toLowerCase() !== toPlan.vendor_address.toLowerCase() ||
+      String(fromPlan.app_id ?? '') !== String(toPlan.app_id ?? '')) {
+    throw planChangeError('Plans must belong to the same app');
+  }
+
+  const contract = await contractService.getContract(network);
+  const onChain = await contract.getSubscription(tokenId);
+  const now = Math.floor(Date.now() / 1000);
+  const endTime = Number(onChain.endTime);
+
+  if (!onChain.active || endTime <= now) {
+    throw planChangeError('Only active subscriptions can change plans; purchase the new plan instead');
+  }
+  if (onChain.paused) {
+    throw planChangeError('Unpause the subscription before changing plans');
+  }
+
+  const proration = calculateProration(fromPlan, toPlan, endTime, now, mode);
+  const direction = getDirection(fromPlan, toPlan);
+  const tokenURI = metadata ? await ipfsService.uploadMetadata(metadata) : `ipfs://default-${Date.now()}`;
+
+  // A new request replaces any open one for this token
+  await pool.query(
+    `UPDATE plan_changes SET status = 'cancelled', updated_at = NOW()
+     WHERE token_id = $1 AND status = ANY($2)`,
+    [tokenId, OPEN_STATUSES]
+  );
+
+  const result = await pool.query(
+    `INSERT INTO plan_changes
+     (token_id, subscriber_address, vendor_address, from_plan_id, to_plan_id, network, mode, direction,
+      status, effective_at, proration, token_uri, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())
+     RETURNING *`,
+    [
+      tokenId,
+      sub.subscriber_address.toLowerCase(),
+      fromPlan.vendor_address.toLowerCase(),
+      sub.plan_id,
+      newPlanId,
+      network,
+      mode,
+      direction,
+      mode === 'immediate' ? 'pending' : 'scheduled',
+      new Date((mode === 'immediate' ? now : endTime) * 1000),
+      JSON.stringify(proration),
+      tokenURI
+    ]
+  );
+  const change = result.rows[0];
+
+  // For end-of-period switches, stop auto-renewing the old plan
+  if (mode === 'end_of_period') {
+    await pool.query(
+      `UPDATE auto_renewals SET enabled = false, status = 'cancelled', updated_at = NOW() WHERE token_id = $1`,
+      [tokenId]
+    );
+  }
+
+  console.log(`[PlanChange] 🔀 ${direction} requested for token ${tokenId}: plan ${sub.plan_id} → ${newPlanId} (${mode})`);
+
+  return {
+    change: formatPlanChange(change),
+    transactions: mode === 'immediate' ? await buildChangeTransactions(contract, change) : []
+  };
+}
+
+/**
+ * The open plan change for a token, with its transactions once due
+ */
+async function getPlanChange(tokenId) {
+  const result = await pool.query(
+    `SELECT * FROM plan_changes WHERE token_id = $1 AND status = ANY($2) ORDER BY created_at DESC LIMIT 1`,
+    [tokenId, OPEN_STATUSES]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const change = result.rows[0];
+  const due = new Date(change.effective_at).getTime() <= Date.now();
+  const contract = due ? await contractService.getContract(change.network) : null;
+
+  return {
+    change: formatPlanChange(change),
+    due,
+    transactions: due ? await buildChangeTransactions(contract, change) : []
+  };
+}
+
+/**
+ * Cancel an open plan change
+ */
+async function cancelPlanChange(tokenId, changeId, walletAddress) {
+  const result = await pool.query(
+    `UPDATE plan_changes SET status = 'cancelled', updated_at = NOW()
+     WHERE id = $1 AND token_id = $2 AND subscriber_address = $3 AND status = ANY($4)
+     RETURNING *`,
+    [changeId, tokenId, walletAddress.toLowerCase(), OPEN_STATUSES]
+  );
+  if (result.rows.length === 0) {
+    throw planChangeError('Plan change not found or already completed', 404);
+  }
+  return formatPlanChange(result.rows[0]);
+}
+
+/**
+ * Verify the signed transactions of a plan change, record the new subscription
+ * and the plan_changed history entries, and notify the vendor
+ */
+async function confirmPlanChange(tokenId, walletAddress, { changeId, transactionHash, cancelTransactionHash } = {}) {
+  if (!changeId || !transactionHash) {
+    throw planChangeError('changeId and transactionHash are required');
+  }
+
+  const changeResult = await pool.query(
+    `SELECT * FROM plan_changes WHERE id = $1 AND token_id = $2`,
+    [changeId, tokenId]
+  );
+  if (changeResult.rows.length === 0) {
+    throw planChangeError('Plan change not found', 404);
+  }
+
+  const change = changeResult.rows[0];
+  if (change.subscriber_address.toLowerCase() !== walletAddress.toLowerCase()) {
+    throw planChangeError('Only the subscriber can confirm a plan change', 403);
+  }
+  if (change.status === 'completed' && change.purchase_tx_hash === transactionHash) {
+    return { change: formatPlanChange(change), alreadyConfirmed: true };
+  }
+  if (!OPEN_STATUSES.includes(change.status)) {
+    throw planChangeError(`Plan change is ${change.status}`, 409);
+  }
+  if (new Date(change.effective_at).getTime() > Date.now()) {
+    throw planChangeError(`Plan change is scheduled for ${new Date(change.effective_at).toISOString()}`);
+  }
+  if (change.mode === 'immediate' && !cancelTransactionHash) {
+    throw planChangeError('cancelTransactionHash is required for immediate plan changes');
+  }
+
+  // A purchase can only complete one plan change
+  const reused = await pool.query(
+    `SELECT id FROM plan_changes WHERE LOWER(purchase_tx_hash) = LOWER($1) AND id <> $2`,
+    [transactionHash, change.id]
+  );
+  if (reused.rows.length > 0) {
+    throw planChangeError('Transaction already used for another plan change', 409);
+  }
+
+  const contract = await contractService.getContract(change.network);
+
+  const receipt = await getVerifiedReceipt(contract, transactionHash, { expectedFrom: change.subscriber_address });
+  const block = await contract.runner.provider.getBlock(receipt.blockNumber);
+  if (!block || block.timestamp * 1000 < new Date(change.created_at).getTime()) {
+    throw planChangeError('Purchase transaction was mined before the plan change was requested');
+  }
+  const purchased = findContractEvent(
+    contract,
+    receipt,
+    'SubscriptionPurchased',
+    parsed => parsed.args.planId.toString() === change.to_plan_id.toString() &&
+      parsed.args.subscriber.toLowerCase() === change.subscriber_address.toLowerCase()
+  );
+  if (!purchased) {
+    throw planChangeError(`SubscriptionPurchased event for plan ${change.to_plan_id} not found in transaction receipt`);
+  }
+  const newTokenId = purchased.args.tokenId.toString();
+
+  let cancelReceipt = null;
+  if (cancelTransactionHash) {
+    cancelReceipt = await getVerifiedReceipt(contract, cancelTransactionHash, { expectedFrom: change.subscriber_address });
+    const cancelled = findContractEvent(
+      contract,
+      cancelReceipt,
+      'SubscriptionCancelled',
+      parsed => parsed.args.tokenId.toString() === tokenId.toString()
+    );
+    if (!cancelled) {
+      throw planChangeError(`SubscriptionCancelled event for token ${tokenId} not found in transaction receipt`);
+    }
+  }
+
+  // Complete the change only while it is still open: a concurrent confirm or
+  // cancel wins, and the unique index on the purchase hash refuses a purchase
+  // another change has claimed since the check above
+  let updated;
+  try {
+    updated = await pool.query(
+      `UPDATE plan_changes
+       SET status = 'completed', new_token_id = $2, purchase_tx_hash = $3, cancel_tx_hash = $4,
+           completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = ANY($5)
+       RETURNING *`,
+      [change.id, newTokenId, receipt.hash, cancelReceipt ? cancelReceipt.hash : null, OPEN_STATUSES]
+    );
+  } catch (error) {
+    if (error.code === '23505') {
+      throw planChangeError('Transaction already used for another plan change', 409);
+    }
+    throw error;
+  }
+  if (updated.rows.length === 0) {
+    throw planChangeError('Plan change is no longer open', 409);
+  }
+
+  await pool.query(
+    `INSERT INTO subscriptions
+     (token_id, plan_id, subscriber_address, token_uri, transaction_hash, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     ON CONFLICT (token_id) DO NOTHING`,
+    [newTokenId, change.to_plan_id, change.subscriber_address, change.token_uri, receipt.hash]
+  );
+
+  // The old token no longer renews once replaced
+  await pool.query(
+    `UPDATE auto_renewals SET enabled = false, status = 'cancelled', updated_at = NOW() WHERE token_id = $1`,
+    [tokenId]
+  );
+
+  const newSubscription = await contract.getSubscription(newTokenId);
+  const eventData = {
+    timestamp: new Date().toISOString(),
+    previousTokenId: tokenId.toString(),
+    newTokenId,
+    fromPlanId: change.from_plan_id.toString(),
+    toPlanId: change.to_plan_id.toString(),
+    mode: change.mode,
+    direction: change.direction,
+    proration: change.proration,
+    cancelTransactionHash: cancelReceipt ? cancelReceipt.hash : null
+  };
+
+  // One entry on each token so either side's history shows the link
+  try {
+    for (const [historyTokenId, planId] of [[tokenId, change.from_plan_id], [newTokenId, change.to_plan_id]]) {
+      await pool.query(
+        `INSERT INTO subscription_history
+         (token_id, plan_id, subscriber_address, vendor_address, event_type, event_data, transaction_hash, block_number)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          historyTokenId,
+          planId,
+          change.subscriber_address,
+          change.vendor_address || '',
+          'plan_changed',
+          JSON.stringify(eventData),
+          receipt.hash,
+          receipt.blockNumber
+        ]
+      );
+    }
+  } catch (historyError) {
+    console.warn('[PlanChange] Could not record in subscription_history:', historyError.message);
+  }
+
+  const apiKeyId = await webhookService.findVendorWebhookKeyId(change.vendor_address);
+  if (apiKeyId) {
+    webhookService.triggerWebhook(apiKeyId, 'subscription.plan_changed', {
+      ...eventData,
+      tokenId: newTokenId,
+      customerAddress: change.subscriber_address,
+      startTime: newSubscription.startTime.toString(),
+      endTime: newSubscription.endTime.toString(),
+      endTimeISO: new Date(Number(newSubscription.endTime) * 1000).toISOString(),
+      transactionHash: receipt.hash,
+      network: change.network
+    }).catch(error => {
+      console.error('[Webhook] Error triggering subscription.plan_changed:', error.message);
+    });
+  }
+
+  console.log(`[PlanChange] ✅ Token ${tokenId} moved to plan ${change.to_plan_id} as token ${newTokenId}`);
+
+  return { change: formatPlanChange(updated.rows[0]), alreadyConfirmed: false };
+}
+
+module.exports = {
+  MODES,
+  calculateProration,
+  createPlanChange,
+  getPlanChange,
+  cancelPlanChange,
+  confirmPlanChange
+};
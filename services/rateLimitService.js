@@ -0,0 +1,419 @@
+/**
+ * Rate Limit Service
+ *
+ * Two layers per rate-limit bucket (one bucket per api_keys row, or per app for
+ * app-level keys):
+ * - a token bucket kept in memory: holds up to burstLimit requests and refills
+ *   at rateLimit requests per minute (the sustained rate)
+ * - daily and monthly quotas, counted in memory and flushed to
+ *   api_rate_limit_usage by the worker. Each flush returns the shared total, so
+ *   several backend instances converge on the same count within one interval.
+ *
+ * Limits come from the vendor's tier (vendor_profiles.rate_limit_tier, tiers in
+ * rate_limit_tiers) with per-key overrides on api_keys
+ * (rate_limit, burst_limit, daily_quota, monthly_quota).
+ */
+
+const { Pool } = require('pg');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// Used when rate_limit_tiers is missing or doesn't have the tier. null quota = unlimited
+const DEFAULT_TIERS = {
+  free: { burstLimit: 20, rateLimit: 60, dailyQuota: 10000, monthlyQuota: 200000 },
+  pro: { burstLimit: 100, rateLimit: 600, dailyQuota: 250000, monthlyQuota: 5000000 },
+  enterprise: { burstLimit: 500, rateLimit: 3000, dailyQuota: null, monthlyQuota: null }
+};
+const DEFAULT_TIER = 'free';
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.RATE_LIMIT_FLUSH_INTERVAL_MS || '10000');
+const LIMITS_CACHE_MS = parseInt(process.env.RATE_LIMIT_LIMITS_CACHE_MS || '60000');
+// Idle buckets with nothing left to flush are dropped from memory after this long
+const BUCKET_IDLE_MS = 10 * 60 * 1000;
+
+const buckets = new Map();
+const limitsCache = new Map();
+let tiersCache = null;
+let workerInterval = null;
+
+/**
+ * Bucket key for an authenticated API key (see apiKeyAuth / resolveApiKey)
+ */
+function getBucketKey(keyData) {
+  if (keyData.id) {
+    return `key:${keyData.id}`;
+  }
+  // Legacy vendor keys have no app
+  return keyData.app_id ? `app:${keyData.app_id}` : `vendor:${keyData.vendor_address.toLowerCase()}`;
+}
+
+/**
+ * Start of the current UTC day / month, used as the quota period_start
+ */
+function getPeriodStart(period, now = new Date()) {
+  if (period === 'day') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function getPeriodEnd(period, periodStart) {
+  if (period === 'day') {
+    return new Date(periodStart.getTime() + 24 * 60 * 60 * 1000);
+  }
+  return new Date(Date.UTC(periodStart.getUTCFullYear(), periodStart.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Tier definitions from rate_limit_tiers (cached), falling back to DEFAULT_TIERS
+ */
+async function getTiers() {
+  if (tiersCache && tiersCache.expiresAt > Date.now()) {
+    return tiersCache.tiers;
+  }
+
+  const tiers = { ...DEFAULT_TIERS };
+  try {
+    const result = await pool.query(
+      `SELECT name, burst_limit, rate_limit, daily_quota, monthly_quota FROM rate_limit_tiers`
+    );
+    for (const row of result.rows) {
+      tiers[row.name] = {
+        burstLimit: row.burst_limit,
+        rateLimit: row.rate_limit,
+        dailyQuota: row.daily_quota === null ? null : parseInt(row.daily_quota),
+        monthlyQuota: row.monthly_quota === null ? null : parseInt(row.monthly_quota)
+      };
+    }
+  } catch (error) {
+    console.error('[RateLimit] Could not load rate limit tiers, using defaults:', error.message);
+  }
+
+  tiersCache = { tiers, expiresAt: Date.now() + LIMITS_CACHE_MS };
+  return tiers;
+}
+
+/**
+ * Effective limits for a key: the vendor's tier with the key's own overrides on top
+ */
+async function getLimits(keyData) {
+  const bucketKey = getBucketKey(keyData);
+  const cached = limitsCache.get(bucketKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.limits;
+  }
+
+  const tiers = await getTiers();
+  let tierName = DEFAULT_TIER;
+  if (keyData.vendor_address) {
+    const vendorResult = await pool.query(
+      `SELECT rate_limit_tier FROM vendor_profiles WHERE vendor_address = $1`,
+      [keyData.vendor_address.toLowerCase()]
+    );
+    const vendorTier = vendorResult.rows[0]?.rate_limit_tier;
+    if (vendorTier && tiers[vendorTier]) {
+      tierName = vendorTier;
+    }
+  }
+
+  const tier = tiers[tierName];
+  const override = (value) => (value === null || value === undefined ? undefined : parseInt(value));
+  const limits = {
+    tier: tierName,
+    burstLimit: override(keyData.burst_limit) ?? tier.burstLimit,
+    rateLimit: override(keyData.rate_limit) ?? tier.rateLimit,
+    dailyQuota: override(keyData.daily_quota) ?? tier.dailyQuota,
+    monthlyQuota: override(keyData.monthly_quota) ?? tier.monthlyQuota
+  };
+
+  limitsCache.set(bucketKey, { limits, expiresAt: Date.now() + LIMITS_CACHE_MS });
+  return limits;
+}
+
+/**
+ * Forget cached limits (after a vendor's tier or a key's overrides change)
+ */
+function clearLimitsCache() {
+  limitsCache.clear();
+  tiersCache = null;
+}
+
+/**
+ * In-memory state for a bucket, loading this period's quota usage from Postgres
+ */
+async function getBucket(bucketKey, keyData, limits, now) {
+  let bucket = buckets.get(bucketKey);
+  if (!bucket) {
+    bucket = {
+      apiKeyId: keyData.id || null,
+      appId: keyData.app_id || null,
+      tokens: limits.burstLimit,
+      refilledAt: now,
+      lastSeenAt: now,
+      quotas: {}
+    };
+    buckets.set(bucketKey, bucket);
+  }
+
+  const stale = ['day', 'month'].filter((period) => {
+    const quota = bucket.quotas[period];
+    return !quota || quota.periodStart.getTime() !== getPeriodStart(period, new Date(now)).getTime();
+  });
+
+  if (stale.length > 0) {
+    // Usage from the previous period still has to reach the database
+    if (stale.some((period) => bucket.quotas[period]?.pending > 0)) {
+      await flushBucket(bucketKey, bucket);
+    }
+
+    for (const period of stale) {
+      bucket.quotas[period] = { periodStart: getPeriodStart(period, new Date(now)), count: 0, pending: 0 };
+    }
+
+    const usageResult = await pool.query(
+      `SELECT period, request_count FROM api_rate_limit_usage
+       WHERE bucket_key = $1
+         AND ((period = 'day' AND period_start = $2) OR (period = 'month' AND period_start = $3))`,
+      [bucketKey, bucket.quotas.day.periodStart, bucket.quotas.month.periodStart]
+    );
+    for (const row of usageResult.rows) {
+      if (stale.includes(row.period)) {
+        bucket.quotas[row.period].count = parseInt(row.request_count);
+      }
+    }
+  }
+
+  return bucket;
+}
+
+/**
+ * Refill the token bucket for the time elapsed since the last request
+ */
+function refill(bucket, limits, now) {
+  const perMs = limits.rateLimit / 60000;
+  bucket.tokens = Math.min(limits.burstLimit, bucket.tokens + (now - bucket.refilledAt) * perMs);
+  bucket.refilledAt = now;
+}
+
+function describeQuota(quota, limit) {
+  return {
+    limit,
+    used: quota.count,
+    remaining: limit === null ? null : Math.max(0, limit - quota.count),
+    resetAt: getPeriodEnd(quota.period, quota.periodStart)
+  };
+}
+
+function buildStatus(bucket, limits, now) {
+  const perMs = limits.rateLimit / 60000;
+  const msUntilFull = perMs > 0 ? (limits.burstLimit - bucket.tokens) / perMs : 0;
+
+  return {
+    tier: limits.tier,
+    burstLimit: limits.burstLimit,
+    rateLimit: limits.rateLimit,
+    remaining: Math.floor(bucket.tokens),
+    resetAt: new Date(now + Math.ceil(msUntilFull)),
+    daily: describeQuota({ ...bucket.quotas.day, period: 'day' }, limits.dailyQuota),
+    monthly: describeQuota({ ...bucket.quotas.month, period: 'month' }, limits.monthlyQuota)
+  };
+}
+
+/**
+ * Count one request against a key's limits.
+ * Returns { allowed, limitType ('burst' | 'daily_quota' | 'monthly_quota'), retryAfter (seconds), ...status }.
+ * Rejected requests don't use up tokens or quota.
+ */
+async function consume(keyData) {
+  const bucketKey = getBucketKey(keyData);
+  const limits = await getLimits(keyData);
+  const now = Date.now();
+  const bucket = await getBucket(bucketKey, keyData, limits, now);
+
+  bucket.lastSeenAt = now;
+  refill(bucket, limits, now);
+
+  for (const [period, limitType, limit] of [['month', 'monthly_quota', limits.monthlyQuota], ['day', 'daily_quota', limits.dailyQuota]]) {
+    const quota = bucket.quotas[period];
+    if (limit !== null && quota.count >= limit) {
+      const resetAt = getPeriodEnd(period, quota.periodStart);
+      return {
+        allowed: false,
+        limitType,
+        retryAfter: Math.max(1, Math.ceil((resetAt.getTime() - now) / 1000)),
+        ...buildStatus(bucket, limits, now)
+      };
+    }
+  }
+
+  if (bucket.tokens < 1) {
+    const perMs = limits.rateLimit / 60000;
+    return {
+      allowed: false,
+      limitType: 'burst',
+      retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) / perMs / 1000)),
+      ...buildStatus(bucket, limits, now)
+    };
+  }
+
+  bucket.tokens -= 1;
+  for (const period of ['day', 'month']) {
+    bucket.quotas[period].count += 1;
+    bucket.quotas[period].pending += 1;
+  }
+
+  return { allowed: true, limitType: null, retryAfter: null, ...buildStatus(bucket, limits, now) };
+}
+
+/**
+ * Response headers for a consume() result
+ */
+function getHeaders(status) {
+  const headers = {
+    'X-RateLimit-Limit': status.rateLimit.toString(),
+    'X-RateLimit-Burst': status.burstLimit.toString(),
+    'X-RateLimit-Remaining': status.remaining.toString(),
+    'X-RateLimit-Reset': status.resetAt.toISOString()
+  };
+
+  if (status.daily.limit !== null) {
+    headers['X-Quota-Daily-Limit'] = status.daily.limit.toString();
+    headers['X-Quota-Daily-Remaining'] = status.daily.remaining.toString();
+  }
+  if (status.monthly.limit !== null) {
+    headers['X-Quota-Monthly-Limit'] = status.monthly.limit.toString();
+    headers['X-Quota-Monthly-Remaining'] = status.monthly.remaining.toString();
+  }
+  if (!status.allowed && status.retryAfter) {
+    headers['Retry-After'] = status.retryAfter.toString();
+  }
+
+  return headers;
+}
+
+/**
+ * Write a bucket's pending quota usage and pick up the shared totals
+ */
+async function flushBucket(bucketKey, bucket) {
+  for (const period of ['day', 'month']) {
+    const quota = bucket.quotas[period];
+    if (!quota || quota.pending === 0) {
+      continue;
+    }
+
+    const delta = quota.pending;
+    quota.pending = 0;
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO api_rate_limit_usage (bucket_key, api_key_id, app_id, period, period_start, request_count)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (bucket_key, period, period_start)
+         DO UPDATE SET request_count = api_rate_limit_usage.request_count + EXCLUDED.request_count,
+                       updated_at = CURRENT_TIMESTAMP
+         RETURNING request_count`,
+        [bucketKey, bucket.apiKeyId, bucket.appId, period, quota.periodStart, delta]
+      );
+
+      // Requests counted while the write was in flight are still pending
+      quota.count = parseInt(result.rows[0].request_count) + quota.pending;
+    } catch (error) {
+      quota.pending += delta;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Flush pending usage for every bucket and drop idle ones
+ */
+async function flushUsage() {
+  const now = Date.now();
+  let flushed = 0;
+
+  for (const [bucketKey, bucket] of buckets) {
+    try {
+      const hasPending = Object.values(bucket.quotas).some((quota) => quota.pending > 0);
+      if (hasPending) {
+        await flushBucket(bucketKey, bucket);
+        flushed++;
+      } else if (now - bucket.lastSeenAt > BUCKET_IDLE_MS) {
+        buckets.delete(bucketKey);
+      }
+    } catch (error) {
+      console.error(`[RateLimit] Error flushing usage for ${bucketKey}:`, error.message);
+    }
+  }
+
+  return { flushed };
+}
+
+/**
+ * Current limits and usage for an api_keys row (GET /api/api-keys/:id/stats)
+ */
+async function getUsageForKey(apiKeyId, { startDate, endDate } = {}) {
+  const keyResult = await pool.query(
+    `SELECT ak.*, a.vendor_address
+     FROM api_keys ak
+     JOIN apps a ON ak.app_id = a.app_id
+     WHERE ak.id = $1`,
+    [apiKeyId]
+  );
+
+  if (keyResult.rows.length === 0) {
+    return null;
+  }
+
+  const keyData = keyResult.rows[0];
+  const bucketKey = getBucketKey(keyData);
+  const limits = await getLimits(keyData);
+  const now = Date.now();
+  const bucket = await getBucket(bucketKey, keyData, limits, now);
+  refill(bucket, limits, now);
+
+  const dailyResult = await pool.query(
+    `SELECT period_start, request_count FROM api_rate_limit_usage
+     WHERE bucket_key = $1 AND period = 'day' AND period_start >= $2 AND period_start <= $3
+     ORDER BY period_start`,
+    [bucketKey, startDate ? getPeriodStart('day', startDate) : getPeriodStart('month'), endDate || new Date()]
+  );
+
+  return {
+    ...buildStatus(bucket, limits, now),
+    history: dailyResult.rows.map((row) => ({
+      date: new Date(row.period_start).toISOString().slice(0, 10),
+      requests: parseInt(row.request_count)
+    }))
+  };
+}
+
+/**
+ * Start the worker that persists quota usage
+ */
+function startRateLimitWorker() {
+  if (workerInterval) {
+    return;
+  }
+
+  console.log('[RateLimit] Starting usage flush worker...');
+
+  workerInterval = setInterval(() => {
+    flushUsage().catch(console.error);
+  }, FLUSH_INTERVAL_MS);
+}
+
+module.exports = {
+  DEFAULT_TIERS,
+  DEFAULT_TIER,
+  getBucketKey,
+  getTiers,
+  getLimits,
+  clearLimitsCache,
+  consume,
+  getHeaders,
+  flushUsage,
+  getUsageForKey,
+  startRateLimitWorker
+};
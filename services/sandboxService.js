@@ -0,0 +1,100 @@
+/**
+ * Sandbox Service
+ * Data created with test-mode API keys (ep_test_ / ck_test_) is flagged test_mode
+ * and lives on the sandbox network; this wipes it for a vendor without touching
+ * live rows.
+ */
+
+const { Pool } = require('pg');
+const { SANDBOX_NETWORK } = require('../utils/sandbox');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * Delete a vendor's sandbox data in one transaction.
+ * Order items, transactions, refunds, coupon redemptions and vendor webhooks
+ * go with their orders (ON DELETE CASCADE).
+ * Returns the number of deleted rows per table.
+ */
+async function wipeSandboxData(vendorAddress) {
+  const vendor = vendorAddress.toLowerCase();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const subscriptionsResult = await client.query(
+      `DELETE FROM api_integration_subscriptions
+       WHERE test_mode = true
+         AND app_id IN (SELECT app_id FROM apps WHERE LOWER(vendor_address) = $1)`,
+      [vendor]
+    );
+
+    const usersResult = await client.query(
+      `DELETE FROM external_users
+       WHERE test_mode = true
+         AND app_id IN (SELECT app_id FROM apps WHERE LOWER(vendor_address) = $1)`,
+      [vendor]
+    );
+
+    const ordersResult = await client.query(
+      `DELETE FROM checkout_orders WHERE test_mode = true AND vendor_address = $1`,
+      [vendor]
+    );
+
+    // api_key_id points at api_keys or checkout_apps, depending on source_type
+    const webhookLogsResult = await client.query(
+      `DELETE FROM webhook_logs
+       WHERE test_mode = true
+         AND (
+           (source_type = 'checkout_apps' AND api_key_id IN (
+             SELECT id FROM checkout_apps WHERE LOWER(vendor_address) = $1
+           ))
+           OR (source_type IS DISTINCT FROM 'checkout_apps' AND api_key_id IN (
+             SELECT ak.id FROM api_keys ak
+             JOIN apps a ON ak.app_id = a.app_id
+             WHERE LOWER(a.vendor_address) = $1
+           ))
+         )`,
+      [vendor]
+    );
+
+    // On-chain subscriptions minted on the sandbox network (mirrored by the indexer)
+    const historyResult = await client.query(
+      `DELETE FROM subscription_history WHERE network = $2 AND LOWER(vendor_address) = $1`,
+      [vendor, SANDBOX_NETWORK]
+    );
+
+    const chainSubscriptionsResult = await client.query(
+      `DELETE FROM subscriptions
+       WHERE network = $2
+         AND plan_id IN (SELECT plan_id FROM subscription_plans WHERE LOWER(vendor_address) = $1)`,
+      [vendor, SANDBOX_NETWORK]
+    );
+
+    await client.query('COMMIT');
+
+    const deleted = {
+      subscriptions: subscriptionsResult.rowCount,
+      users: usersResult.rowCount,
+      orders: ordersResult.rowCount,
+      webhookLogs: webhookLogsResult.rowCount,
+      chainSubscriptions: chainSubscriptionsResult.rowCount,
+      subscriptionHistory: historyResult.rowCount
+    };
+    console.log(`[Sandbox] ✅ Wiped sandbox data for ${vendor}:`, deleted);
+
+    return deleted;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  wipeSandboxData
+};
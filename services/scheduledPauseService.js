@@ -0,0 +1,372 @@
+const { Pool } = require('pg');
+const contractService = require('./contractService');
+const webhookService = require('./webhookService');
+const { buildUnsignedTransaction } = require('../utils/transactionHelper');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * Scheduled pauses
+ *
+ * Subscribers schedule a pause window (start, end) ahead of time, limited by
+ * the plan's max_pause_duration. Pausing and unpausing are subscriber-signed
+ * contract calls, so the worker can't do them itself: it follows the window's
+ * on-chain state (scheduled -> active -> completed, or missed when the window
+ * passes without a pause). When a window opens it sends
+ * subscription.pause_starting with an unsigned pauseSubscription transaction,
+ * shortly before it ends subscription.pause_ending with an unsigned
+ * unpauseSubscription transaction, and subscription.pause_missed when the
+ * window passes without a pause.
+ */
+
+// How long before the window ends subscription.pause_ending is sent
+const PAUSE_ENDING_LEAD_MINUTES = parseInt(process.env.SCHEDULED_PAUSE_REMINDER_MINUTES || '60');
+
+// Windows processed per worker run
+const BATCH_SIZE = parseInt(process.env.SCHEDULED_PAUSE_BATCH_SIZE || '100');
+
+const OPEN_STATUSES = ['scheduled', 'active'];
+
+let workerInterval = null;
+
+function scheduleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw scheduleError(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+function formatSchedule(row) {
+  return {
+    id: row.id,
+    tokenId: row.token_id.toString(),
+    status: row.status,
+    pauseStart: new Date(row.pause_start).toISOString(),
+    pauseEnd: new Date(row.pause_end).toISOString(),
+    durationSeconds: Math.round((new Date(row.pause_end) - new Date(row.pause_start)) / 1000),
+    network: row.network,
+    pauseStartNotifiedAt: row.pause_start_notified_at || null,
+    pauseEndingNotifiedAt: row.pause_ending_notified_at || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Schedule a pause window for a subscription.
+ * The caller must already have checked that walletAddress owns the subscription.
+ */
+async function createScheduledPause(tokenId, walletAddress, { startDate, endDate, network = 'localhost' } = {}) {
+  const pauseStart = parseDate(startDate, 'startDate');
+  const pauseEnd = parseDate(endDate, 'endDate');
+
+  if (pauseEnd <= pauseStart) {
+    throw scheduleError('endDate must be after startDate');
+  }
+  if (pauseEnd <= new Date()) {
+    throw scheduleError('The pause window has already ended');
+  }
+
+  const subResult = await pool.query(
+    `SELECT s.token_id, s.subscriber_address, s.plan_id,
+            p.vendor_address, p.pause_enabled, p.max_pause_attempts, p.max_pause_duration
+     FROM subscriptions s
+     JOIN subscription_plans p ON s.plan_id = p.plan_id
+     WHERE s.token_id = $1`,
+    [tokenId]
+  );
+
+  if (subResult.rows.length === 0) {
+    throw scheduleError('Subscription not found', 404);
+  }
+
+  const sub = subResult.rows[0];
+
+  if (sub.subscriber_address.toLowerCase() !== walletAddress.toLowerCase()) {
+    throw scheduleError('Only the subscriber can schedule a pause', 403);
+  }
+  if (!sub.pause_enabled) {
+    throw scheduleError('Pausing is not enabled for this plan');
+  }
+
+  const durationSeconds = Math.round((pauseEnd - pauseStart) / 1000);
+  const maxPauseDuration = sub.max_pause_duration ? Number(sub.max_pause_duration) : 0;
+  if (maxPauseDuration > 0 && durationSeconds > maxPauseDuration) {
+    throw scheduleError(`Pause window exceeds the plan maximum of ${maxPauseDuration} seconds`);
+  }
+
+  const contract = await contractService.getContract(network);
+  const onChain = await contract.getSubscription(tokenId);
+
+  if (!onChain.active || Number(onChain.endTime) * 1000 <= pauseStart.getTime()) {
+    throw scheduleError('Subscription ends before the pause window starts');
+  }
+
+  const maxPauseAttempts = sub.max_pause_attempts ? Number(sub.max_pause_attempts) : 0;
+  if (maxPauseAttempts > 0 && Number(onChain.pauseAttempts) >= maxPauseAttempts) {
+    throw scheduleError(`Plan allows at most ${maxPauseAttempts} pauses`);
+  }
+
+  const overlap = await pool.query(
+    `SELECT id FROM scheduled_pauses
+     WHERE token_id = $1 AND status = ANY($2)
+       AND pause_start < $4 AND pause_end > $3`,
+    [tokenId, OPEN_STATUSES, pauseStart, pauseEnd]
+  );
+  if (overlap.rows.length > 0) {
+    throw scheduleError('Subscription already has a pause scheduled in that window', 409);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO scheduled_pauses
+     (token_id, subscriber_address, vendor_address, plan_id, network, pause_start, pause_end, status, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, 'scheduled', NOW(), NOW())
+     RETURNING *`,
+    [tokenId, sub.subscriber_address.toLowerCase(), sub.vendor_address, sub.plan_id, network, pauseStart, pauseEnd]
+  );
+
+  console.log(`[ScheduledPause] 🗓️ Pause scheduled for token ${tokenId}: ${pauseStart.toISOString()} → ${pauseEnd.toISOString()}`);
+
+  return formatSchedule(result.rows[0]);
+}
+
+/**
+ * All pause windows for a subscription, newest first
+ */
+async function listScheduledPauses(tokenId) {
+  const result = await pool.query(
+    `SELECT * FROM scheduled_pauses WHERE token_id = $1 ORDER BY pause_start DESC`,
+    [tokenId]
+  );
+  return result.rows.map(formatSchedule);
+}
+
+/**
+ * Upcoming and running pause windows for a subscriber, grouped by token id
+ */
+async function getUpcomingPausesBySubscriber(subscriberAddress) {
+  const result = await pool.query(
+    `SELECT * FROM scheduled_pauses
+     WHERE subscriber_address = $1 AND status = ANY($2) AND pause_end > NOW()
+     ORDER BY pause_start ASC`,
+    [subscriberAddress.toLowerCase(), OPEN_STATUSES]
+  );
+
+  const byToken = {};
+  for (const row of result.rows) {
+    const tokenId = row.token_id.toString();
+    (byToken[tokenId] = byToken[tokenId] || []).push(formatSchedule(row));
+  }
+  return byToken;
+}
+
+/**
+ * Cancel a pause window that hasn't started yet
+ */
+async function cancelScheduledPause(tokenId, scheduleId, walletAddress) {
+  const result = await pool.query(
+    `UPDATE scheduled_pauses
+     SET status = 'cancelled', updated_at = NOW()
+     WHERE id = $1 AND token_id = $2 AND subscriber_address = $3 AND status = 'scheduled'
+     RETURNING *`,
+    [scheduleId, tokenId, walletAddress.toLowerCase()]
+  );
+
+  if (result.rows.length === 0) {
+    throw scheduleError('Scheduled pause not found or already started', 404);
+  }
+
+  return formatSchedule(result.rows[0]);
+}
+
+async function setScheduleStatus(id, status) {
+  await pool.query(
+    `UPDATE scheduled_pauses SET status = $2, updated_at = NOW() WHERE id = $1`,
+    [id, status]
+  );
+}
+
+function schedulePayload(schedule) {
+  return {
+    tokenId: schedule.token_id.toString(),
+    planId: schedule.plan_id.toString(),
+    customerAddress: schedule.subscriber_address,
+    scheduleId: schedule.id,
+    pauseStart: new Date(schedule.pause_start).toISOString(),
+    pauseEnd: new Date(schedule.pause_end).toISOString(),
+    network: schedule.network
+  };
+}
+
+/**
+ * Unsigned pause/unpause transaction for the subscriber to sign, or null if it can't be built
+ */
+async function buildScheduleTransaction(schedule, contract, method) {
+  try {
+    return await buildUnsignedTransaction(contract, method, [schedule.token_id], {
+      from: schedule.subscriber_address
+    });
+  } catch (error) {
+    console.warn(`[ScheduledPause] Could not build ${method} transaction for token ${schedule.token_id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Send subscription.pause_starting with an unsigned pause transaction for the subscriber
+ */
+async function sendPauseStarting(schedule, contract) {
+  const transaction = await buildScheduleTransaction(schedule, contract, 'pauseSubscription');
+
+  const apiKeyId = await webhookService.findVendorWebhookKeyId(schedule.vendor_address);
+  if (apiKeyId) {
+    await webhookService.triggerWebhook(apiKeyId, 'subscription.pause_starting', {
+      ...schedulePayload(schedule),
+      transaction
+    });
+  }
+
+  await pool.query(
+    `UPDATE scheduled_pauses SET pause_start_notified_at = NOW(), updated_at = NOW() WHERE id = $1`,
+    [schedule.id]
+  );
+}
+
+/**
+ * Send subscription.pause_ending with an unsigned unpause transaction for the subscriber
+ */
+async function sendPauseEnding(schedule, contract) {
+  const transaction = await buildScheduleTransaction(schedule, contract, 'unpauseSubscription');
+
+  const apiKeyId = await webhookService.findVendorWebhookKeyId(schedule.vendor_address);
+  if (apiKeyId) {
+    const pauseEnd = new Date(schedule.pause_end);
+    await webhookService.triggerWebhook(apiKeyId, 'subscription.pause_ending', {
+      ...schedulePayload(schedule),
+      secondsRemaining: Math.max(0, Math.round((pauseEnd - Date.now()) / 1000)),
+      transaction
+    });
+  }
+
+  await pool.query(
+    `UPDATE scheduled_pauses SET pause_ending_notified_at = NOW(), updated_at = NOW() WHERE id = $1`,
+    [schedule.id]
+  );
+}
+
+/**
+ * Tell the vendor a window passed without the subscriber pausing
+ */
+async function sendPauseMissed(schedule) {
+  const apiKeyId = await webhookService.findVendorWebhookKeyId(schedule.vendor_address);
+  if (apiKeyId) {
+    await webhookService.triggerWebhook(apiKeyId, 'subscription.pause_missed', schedulePayload(schedule));
+  }
+}
+
+/**
+ * Move open pause windows along using on-chain pause state.
+ * Active windows that are over and already got pause_ending have nothing left
+ * to send, so they're left out instead of filling every batch.
+ */
+async function processScheduledPauses() {
+  const result = await pool.query(
+    `SELECT * FROM scheduled_pauses
+     WHERE status = ANY($1) AND pause_start <= NOW() + ($2 || ' minutes')::interval
+       AND NOT (status = 'active' AND pause_ending_notified_at IS NOT NULL AND pause_end < NOW())
+     ORDER BY pause_start ASC
+     LIMIT $3`,
+    [OPEN_STATUSES, PAUSE_ENDING_LEAD_MINUTES, BATCH_SIZE]
+  );
+
+  const summary = { checked: result.rows.length, started: 0, completed: 0, missed: 0, reminders: 0 };
+  const contracts = {};
+  const now = Date.now();
+
+  for (const schedule of result.rows) {
+    try {
+      const network = schedule.network || 'localhost';
+      contracts[network] = contracts[network] || await contractService.getContract(network);
+      const contract = contracts[network];
+      const onChain = await contract.getSubscription(schedule.token_id);
+
+      const started = new Date(schedule.pause_start).getTime() <= now;
+      const ended = new Date(schedule.pause_end).getTime() <= now;
+
+      if (schedule.status === 'scheduled') {
+        if (!started) {
+          continue;
+        }
+        if (onChain.paused) {
+          await setScheduleStatus(schedule.id, 'active');
+          schedule.status = 'active';
+          summary.started++;
+        } else if (ended) {
+          await setScheduleStatus(schedule.id, 'missed');
+          await sendPauseMissed(schedule);
+          summary.missed++;
+          continue;
+        } else {
+          if (!schedule.pause_start_notified_at) {
+            await sendPauseStarting(schedule, contract);
+            summary.reminders++;
+          }
+          continue;
+        }
+      }
+
+      if (schedule.status === 'active' && !onChain.paused) {
+        await setScheduleStatus(schedule.id, 'completed');
+        summary.completed++;
+        continue;
+      }
+
+      const endingSoon = new Date(schedule.pause_end).getTime() - PAUSE_ENDING_LEAD_MINUTES * 60000 <= now;
+      if (schedule.status === 'active' && endingSoon && !schedule.pause_ending_notified_at) {
+        await sendPauseEnding(schedule, contract);
+        summary.reminders++;
+      }
+    } catch (error) {
+      console.error(`[ScheduledPause] ❌ Error processing pause window ${schedule.id}:`, error.message);
+    }
+  }
+
+  if (summary.started || summary.completed || summary.missed || summary.reminders) {
+    console.log(`[ScheduledPause] ✅ started=${summary.started} completed=${summary.completed} missed=${summary.missed} reminders=${summary.reminders}`);
+  }
+
+  return summary;
+}
+
+/**
+ * Start scheduled pause worker (runs every 5 minutes)
+ */
+function startScheduledPauseWorker() {
+  if (workerInterval) {
+    return;
+  }
+
+  console.log('[ScheduledPause] Starting scheduled pause worker...');
+
+  processScheduledPauses().catch(console.error);
+  workerInterval = setInterval(() => {
+    processScheduledPauses().catch(console.error);
+  }, 300000);
+}
+
+module.exports = {
+  createScheduledPause,
+  listScheduledPauses,
+  getUpcomingPausesBySubscriber,
+  cancelScheduledPause,
+  processScheduledPauses,
+  startScheduledPauseWorker
+};
@@ -0,0 +1,242 @@
+const { Pool } = require('pg');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// How long a nonce can wait for a signed message, and how long a session lasts
+const NONCE_TTL_MINUTES = parseInt(process.env.SIWE_NONCE_TTL_MINUTES || '10');
+const SESSION_TTL_MINUTES = parseInt(process.env.SIWE_SESSION_TTL_MINUTES || '60');
+
+const MESSAGE_HEADER = / wants you to sign in with your Ethereum account:$/;
+
+/**
+ * Error with an HTTP status for the auth routes to pass through
+ */
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Hash session tokens for storage (the raw token is only returned once)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Domains and chain IDs a SIWE message may be issued for: SIWE_DOMAINS and
+ * SIWE_CHAIN_IDS (comma separated). Sign-in is refused until both are set -
+ * falling back to the request's Host header would let a phishing site choose
+ * the domain.
+ */
+function getSiweConfig() {
+  const domains = parseList(process.env.SIWE_DOMAINS);
+  const chainIds = parseList(process.env.SIWE_CHAIN_IDS).map(id => parseInt(id)).filter(id => !isNaN(id));
+
+  if (domains.length === 0 || chainIds.length === 0) {
+    throw authError('Sign-in is not configured (set SIWE_DOMAINS and SIWE_CHAIN_IDS)', 503);
+  }
+
+  return { domains, chainIds };
+}
+
+/**
+ * Host of the message URI (e.g. "app.example.com:3000"), or null if it isn't an http(s) URL
+ */
+function getUriHost(uri) {
+  try {
+    const parsed = new URL(uri);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.host.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse an EIP-4361 message into its fields
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== 'string') {
+    throw authError('message is required', 400);
+  }
+
+  const lines = message.split('\n');
+  if (lines.length < 2 || !MESSAGE_HEADER.test(lines[0])) {
+    throw authError('Invalid SIWE message', 400);
+  }
+
+  const address = lines[1].trim();
+  if (!ethers.isAddress(address)) {
+    throw authError('Invalid address in SIWE message', 400);
+  }
+
+  const fields = {};
+  const statement = [];
+  for (const line of lines.slice(2)) {
+    const match = line.match(/^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before|Request ID): (.+)$/);
+    if (match) {
+      fields[match[1]] = match[2].trim();
+    } else if (line.trim() && !line.startsWith('Resources:') && !line.startsWith('- ')) {
+      statement.push(line.trim());
+    }
+  }
+
+  if (fields.Version !== '1' || !fields.Nonce || !fields.URI || !fields['Chain ID'] || !fields['Issued At']) {
+    throw authError('SIWE message is missing required fields', 400);
+  }
+
+  return {
+    domain: lines[0].replace(MESSAGE_HEADER, '').trim(),
+    address: address.toLowerCase(),
+    statement: statement.join(' ') || null,
+    uri: fields.URI,
+    version: fields.Version,
+    chainId: parseInt(fields['Chain ID']),
+    nonce: fields.Nonce,
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time'] || null,
+    notBefore: fields['Not Before'] || null
+  };
+}
+
+/**
+ * Issue a single-use nonce for a SIWE message
+ */
+async function createNonce() {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + NONCE_TTL_MINUTES * 60 * 1000);
+
+  await pool.query(
+    `INSERT INTO siwe_nonces (nonce, expires_at, created_at)
+     VALUES ($1, $2, NOW())`,
+    [nonce, expiresAt]
+  );
+
+  return { nonce, expiresAt };
+}
+
+/**
+ * Verify a signed SIWE message and open a session for the signing wallet
+ */
+async function verifySignIn(message, signature) {
+  const config = getSiweConfig();
+
+  if (!signature) {
+    throw authError('signature is required', 400);
+  }
+
+  const siwe = parseSiweMessage(message);
+
+  if (!config.domains.includes(siwe.domain.toLowerCase())) {
+    throw authError(`SIWE message domain ${siwe.domain} is not accepted`);
+  }
+  if (!config.domains.includes(getUriHost(siwe.uri))) {
+    throw authError(`SIWE message URI ${siwe.uri} is not accepted`);
+  }
+  if (!config.chainIds.includes(siwe.chainId)) {
+    throw authError(`SIWE message chain ID ${siwe.chainId} is not accepted`);
+  }
+
+  const now = Date.now();
+  if (siwe.expirationTime && new Date(siwe.expirationTime).getTime() <= now) {
+    throw authError('SIWE message has expired');
+  }
+  if (siwe.notBefore && new Date(siwe.notBefore).getTime() > now) {
+    throw authError('SIWE message is not valid yet');
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    throw authError('Invalid signature');
+  }
+  if (recovered.toLowerCase() !== siwe.address) {
+    throw authError('Signature does not match the SIWE message address');
+  }
+
+  // Consume the nonce so the same signed message can't be replayed
+  const nonceResult = await pool.query(
+    `UPDATE siwe_nonces
+     SET used_at = NOW(), wallet_address = $2
+     WHERE nonce = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING nonce`,
+    [siwe.nonce, siwe.address]
+  );
+  if (nonceResult.rows.length === 0) {
+    throw authError('Nonce is invalid, expired or already used');
+  }
+
+  // Sessions never outlive the expiration time the wallet signed
+  let expiresAt = new Date(now + SESSION_TTL_MINUTES * 60 * 1000);
+  if (siwe.expirationTime && new Date(siwe.expirationTime) < expiresAt) {
+    expiresAt = new Date(siwe.expirationTime);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await pool.query(
+    `INSERT INTO wallet_sessions (token_hash, wallet_address, chain_id, domain, nonce, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+    [hashToken(token), siwe.address, siwe.chainId, siwe.domain, siwe.nonce, expiresAt]
+  );
+
+  console.log(`[Auth] 🔐 SIWE session opened for ${siwe.address}`);
+
+  return {
+    token,
+    walletAddress: siwe.address,
+    chainId: siwe.chainId,
+    expiresAt
+  };
+}
+
+/**
+ * Resolve a session token to its wallet, or null when unknown, expired or revoked
+ */
+async function getSession(token) {
+  if (!token) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT wallet_address, chain_id, expires_at, created_at
+     FROM wallet_sessions
+     WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke a session token (sign out)
+ */
+async function revokeSession(token) {
+  const result = await pool.query(
+    `UPDATE wallet_sessions
+     SET revoked_at = NOW()
+     WHERE token_hash = $1 AND revoked_at IS NULL
+     RETURNING wallet_address`,
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  parseSiweMessage,
+  createNonce,
+  verifySignIn,
+  getSession,
+  revokeSession,
+  hashToken
+};
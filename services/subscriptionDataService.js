@@ -1,5 +1,8 @@
 const { Pool } = require('pg');
 const contractService = require('./contractService');
+const scheduledPauseService = require('./scheduledPauseService');
+const trialService = require('./trialService');
+const { getSubscriptionState } = require('../utils/subscriptionStatus');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -14,11 +17,15 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
     return {
       activeSubscriptions: [],
       subscriptionHistory: [],
+      trials: [],
       planDetails: [],
       summary: {
         totalSubscriptions: 0,
         activeCount: 0,
+        pastDueCount: 0,
+        trialingCount: 0,
         nextExpiryDates: [],
+        upcomingPauses: [],
         totalSubscriptionValue: '0'
       }
     };
@@ -41,6 +48,8 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
               sp.max_subscriptions,
               sp.pause_enabled,
               sp.max_pause_attempts,
+              sp.max_pause_duration,
+              sp.grace_period,
               sp.app_id,
               a.name as app_name,
               a.description as app_description
@@ -52,6 +61,22 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
       [normalizedAddress]
     );
 
+    // Upcoming and running scheduled pause windows, keyed by token id
+    let scheduledPauses = {};
+    try {
+      scheduledPauses = await scheduledPauseService.getUpcomingPausesBySubscriber(normalizedAddress);
+    } catch (e) {
+      console.warn('[SubscriptionData] Could not load scheduled pauses:', e.message);
+    }
+
+    // Free trials (trialing ones are not on-chain yet)
+    let trials = [];
+    try {
+      trials = await trialService.getTrialsBySubscriber(normalizedAddress);
+    } catch (e) {
+      console.warn('[SubscriptionData] Could not load trials:', e.message);
+    }
+
     const now = Math.floor(Date.now() / 1000);
     const activeSubscriptions = [];
     const subscriptionHistory = [];
@@ -68,8 +93,10 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
         const startTime = parseInt(blockchainSub.startTime.toString());
         const endTime = parseInt(blockchainSub.endTime.toString());
         const isActive = blockchainSub.active && isValid && endTime > now;
-        const isExpired = endTime <= now;
         const isPaused = blockchainSub.paused || false;
+        const gracePeriod = parseInt(dbSub.grace_period) || 0;
+        // active / paused / past_due (in the plan's grace period) / expired / cancelled
+        const state = getSubscriptionState(blockchainSub, gracePeriod, now);
         
         // Calculate remaining duration
         const remainingDuration = isActive ? (endTime - now) : 0;
@@ -87,6 +114,8 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
             maxSubscriptions: plan.maxSubscriptions ? plan.maxSubscriptions.toString() : null,
             pauseEnabled: plan.pauseEnabled,
             maxPauseAttempts: plan.maxPauseAttempts ? plan.maxPauseAttempts.toString() : '0',
+            maxPauseDuration: dbSub.max_pause_duration?.toString() || '0',
+            gracePeriod: gracePeriod.toString(),
             appId: plan.appId ? plan.appId.toString() : null
           };
         } catch (e) {
@@ -100,6 +129,8 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
             maxSubscriptions: dbSub.max_subscriptions?.toString() || null,
             pauseEnabled: dbSub.pause_enabled || false,
             maxPauseAttempts: dbSub.max_pause_attempts?.toString() || '0',
+            maxPauseDuration: dbSub.max_pause_duration?.toString() || '0',
+            gracePeriod: gracePeriod.toString(),
             appId: dbSub.app_id?.toString() || null,
             appName: dbSub.app_name || null,
             appDescription: dbSub.app_description || null
@@ -121,13 +152,18 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
           endTime: endTime,
           startTimeISO: new Date(startTime * 1000).toISOString(),
           endTimeISO: new Date(endTime * 1000).toISOString(),
-          status: isExpired ? 'expired' : (isPaused ? 'paused' : (isActive ? 'active' : 'inactive')),
+          status: state.status === 'active' && !isActive ? 'inactive' : state.status,
           active: isActive,
+          entitled: isActive || state.status === 'past_due',
+          gracePeriodEndsAt: state.gracePeriodEndsAt,
+          gracePeriodEndsAtISO: state.gracePeriodEndsAt ? new Date(state.gracePeriodEndsAt * 1000).toISOString() : null,
           paused: isPaused,
           isValid: isValid,
           remainingDuration: remainingDuration,
           remainingDurationDays: Math.floor(remainingDuration / 86400),
           pauseAttempts: blockchainSub.pauseAttempts ? parseInt(blockchainSub.pauseAttempts.toString()) : 0,
+          scheduledPauses: scheduledPauses[dbSub.token_id.toString()] || [],
+          trialEndsAt: trials.find(t => t.tokenId === dbSub.token_id.toString())?.trialEndsAt || null,
           published: blockchainSub.published !== undefined ? blockchainSub.published : true,
           transactionHash: dbSub.transaction_hash || null,
           createdAt: dbSub.created_at ? new Date(dbSub.created_at).toISOString() : null,
@@ -207,9 +243,14 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
     const summary = {
       totalSubscriptions: subscriptionHistory.length,
       activeCount: activeSubscriptions.length,
+      pastDueCount: subscriptionHistory.filter(s => s.status === 'past_due').length,
+      trialingCount: trials.filter(t => t.status === 'trialing').length,
       expiredCount: subscriptionHistory.filter(s => s.status === 'expired').length,
       pausedCount: subscriptionHistory.filter(s => s.status === 'paused').length,
       nextExpiryDates: nextExpiryDates,
+      upcomingPauses: Object.values(scheduledPauses).flat()
+        .filter(p => p.status === 'scheduled')
+        .sort((a, b) => a.pauseStart.localeCompare(b.pauseStart)),
       totalSubscriptionValue: totalSubscriptionValue.toString(),
       customerAddress: normalizedAddress
     };
@@ -217,6 +258,7 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
     return {
       activeSubscriptions,
       subscriptionHistory,
+      trials,
       planDetails: Array.from(planDetailsMap.values()),
       summary
     };
@@ -226,13 +268,17 @@ async function getCustomerSubscriptionData(customerAddress, network = 'localhost
     return {
       activeSubscriptions: [],
       subscriptionHistory: [],
+      trials: [],
       planDetails: [],
       summary: {
         totalSubscriptions: 0,
         activeCount: 0,
+        pastDueCount: 0,
+        trialingCount: 0,
         expiredCount: 0,
         pausedCount: 0,
         nextExpiryDates: [],
+        upcomingPauses: [],
         totalSubscriptionValue: '0',
         customerAddress: normalizedAddress
       },
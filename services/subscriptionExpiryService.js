@@ -1,136 +1,616 @@
+const { ethers } = require('ethers');
 const { Pool } = require('pg');
 const contractService = require('./contractService');
 const webhookService = require('./webhookService');
+const { getSubscriptionState } = require('../utils/subscriptionStatus');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
 /**
- * Check for expired subscriptions and trigger webhooks (AC2.8)
+ * Subscription expiry checker
+ *
+ * Every run checks each network with a contract deployment. Only subscriptions
+ * whose plan lives on that network are read from that network's contract, in
+ * batches through Multicall3 when the chain has it, otherwise as parallel
+ * calls pinned to one block. Each network run is summarised in
+ * expiry_checker_runs for GET /api/admin/expiry-checker/status.
+ *
+ * Subscriptions approaching endTime get subscription.expiring_soon at the
+ * vendor's reminder lead times (vendor_profiles.expiry_reminder_lead_times),
+ * de-duplicated per lead time in subscriptions.metadata.
+ *
+ * Plans with a grace period (subscription_plans.grace_period) don't expire at
+ * endTime: the subscription is past_due (still entitled) until the grace period
+ * ends. Entering past_due sends subscription.past_due, then
+ * subscription.dunning_reminder follows at the plan's dunning schedule
+ * (offsets after endTime). subscription.expired is sent once the grace period
+ * is over.
  */
-async function checkExpiredSubscriptions(network = 'localhost') {
+
+// Canonical Multicall3 address (same on most chains); override for local/dev chains
+const MULTICALL3_ADDRESS = process.env.MULTICALL3_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+// getSubscription calls per multicall / parallel batch
+const BATCH_SIZE = parseInt(process.env.EXPIRY_CHECK_BATCH_SIZE || '100');
+
+// Reminder lead times for vendors that haven't configured their own
+const DEFAULT_REMINDER_LEAD_TIMES = (process.env.EXPIRY_REMINDER_LEAD_TIMES || '7d,3d,1d').split(',').map(t => t.trim());
+const MAX_REMINDER_LEAD_TIME_SECONDS = 90 * 86400;
+const MAX_REMINDER_LEAD_TIMES = 10;
+
+const LEAD_TIME_UNITS = { m: 60, h: 3600, d: 86400 };
+
+// Dunning reminder offsets after endTime for plans that haven't configured their own
+const DEFAULT_DUNNING_SCHEDULE = (process.env.DUNNING_REMINDER_OFFSETS || '1d,3d').split(',').map(t => t.trim());
+
+const multicallSupport = {}; // network -> boolean
+const runningNetworks = new Set();
+
+/**
+ * Networks to check: EXPIRY_CHECK_NETWORKS (comma separated) or every network
+ * with a recorded contract deployment
+ */
+async function getCheckedNetworks() {
+  if (process.env.EXPIRY_CHECK_NETWORKS) {
+    return process.env.EXPIRY_CHECK_NETWORKS.split(',').map(n => n.trim()).filter(Boolean);
+  }
+
+  const result = await pool.query(
+    `SELECT DISTINCT network FROM contract_deployments WHERE network IS NOT NULL`
+  );
+  const networks = result.rows.map(row => row.network);
+  return networks.length > 0 ? networks : ['localhost'];
+}
+
+async function hasMulticall(provider, network) {
+  if (multicallSupport[network] === undefined) {
+    try {
+      const code = await provider.getCode(MULTICALL3_ADDRESS);
+      multicallSupport[network] = !!code && code !== '0x';
+    } catch (error) {
+      multicallSupport[network] = false;
+    }
+  }
+  return multicallSupport[network];
+}
+
+/**
+ * Read subscriptions from the contract at a single block.
+ * Returns { blockNumber, method, subscriptions: Map(tokenId -> struct), failed: [tokenId] }
+ */
+async function fetchSubscriptions(contract, network, tokenIds) {
+  const provider = contract.runner.provider;
+  const blockNumber = await provider.getBlockNumber();
+  const useMulticall = await hasMulticall(provider, network);
+  const multicall = useMulticall ? new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider) : null;
+
+  const subscriptions = new Map();
+  const failed = [];
+
+  for (let i = 0; i < tokenIds.length; i += BATCH_SIZE) {
+    const batch = tokenIds.slice(i, i + BATCH_SIZE);
+
+    if (multicall) {
+      const calls = batch.map(tokenId => ({
+        target: contract.target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData('getSubscription', [tokenId])
+      }));
+      const responses = await multicall.aggregate3.staticCall(calls, { blockTag: blockNumber });
+
+      responses.forEach((response, index) => {
+        if (response.success) {
+          subscriptions.set(batch[index], contract.interface.decodeFunctionResult('getSubscription', response.returnData)[0]);
+        } else {
+          failed.push(batch[index]);
+        }
+      });
+    } else {
+      const settled = await Promise.allSettled(
+        batch.map(tokenId => contract.getSubscription(tokenId, { blockTag: blockNumber }))
+      );
+
+      settled.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+          subscriptions.set(batch[index], outcome.value);
+        } else {
+          failed.push(batch[index]);
+        }
+      });
+    }
+  }
+
+  return { blockNumber, method: multicall ? 'multicall' : 'block', subscriptions, failed };
+}
+
+/**
+ * Parse a reminder lead time ('7d', '12h', '30m' or seconds) into seconds.
+ * Returns null if invalid.
+ */
+function parseLeadTime(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 && value <= MAX_REMINDER_LEAD_TIME_SECONDS ? value : null;
+  }
+
+  const match = /^(\d+)([mhd])$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const seconds = parseInt(match[1]) * LEAD_TIME_UNITS[match[2]];
+  return seconds > 0 && seconds <= MAX_REMINDER_LEAD_TIME_SECONDS ? seconds : null;
+}
+
+/**
+ * Validate and normalise a vendor's lead time list: unique, longest first.
+ * Throws on invalid input.
+ */
+function normalizeLeadTimes(leadTimes) {
+  if (!Array.isArray(leadTimes) || leadTimes.length > MAX_REMINDER_LEAD_TIMES) {
+    throw new Error(`leadTimes must be an array of at most ${MAX_REMINDER_LEAD_TIMES} entries`);
+  }
+
+  const seconds = leadTimes.map(leadTime => {
+    const parsed = parseLeadTime(leadTime);
+    if (parsed === null) {
+      throw new Error(`Invalid lead time "${leadTime}". Use e.g. "7d", "12h", "30m" (max 90d)`);
+    }
+    return parsed;
+  });
+
+  return [...new Set(seconds)].sort((a, b) => b - a);
+}
+
+function formatLeadTime(seconds) {
+  if (seconds % 86400 === 0) return `${seconds / 86400}d`;
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+  if (seconds % 60 === 0) return `${seconds / 60}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Reminder lead times (seconds, longest first) for a vendor
+ */
+async function getVendorLeadTimes(vendorAddress, cache) {
+  const key = vendorAddress ? vendorAddress.toLowerCase() : '';
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  let configured = null;
+  if (key) {
+    const result = await pool.query(
+      `SELECT expiry_reminder_lead_times FROM vendor_profiles WHERE vendor_address = $1`,
+      [key]
+    );
+    configured = result.rows[0]?.expiry_reminder_lead_times ?? null;
+  }
+
+  let leadTimes;
+  try {
+    leadTimes = normalizeLeadTimes(configured ?? DEFAULT_REMINDER_LEAD_TIMES);
+  } catch (error) {
+    console.warn(`[SubscriptionExpiry] Invalid reminder lead times for ${key}, using defaults:`, error.message);
+    leadTimes = normalizeLeadTimes(DEFAULT_REMINDER_LEAD_TIMES);
+  }
+
+  cache.set(key, leadTimes);
+  return leadTimes;
+}
+
+/**
+ * Pick the reminder due for a subscription, if any. When several lead times
+ * are already due (e.g. 2 days left with 7d and 3d reminders configured) only
+ * the tightest one is sent; the others are marked as sent.
+ */
+function getDueReminder(metadata, endTime, now, leadTimes) {
+  const remaining = endTime - now;
+  const applicable = leadTimes.filter(leadTime => remaining <= leadTime);
+  if (applicable.length === 0) {
+    return null;
+  }
+
+  // Reminders sent for an earlier end time don't count after a renewal
+  const sent = metadata.expiryReminders?.endTime === endTime ? metadata.expiryReminders.leadTimes || [] : [];
+  const leadTime = Math.min(...applicable);
+
+  if (sent.includes(leadTime)) {
+    return null;
+  }
+
+  return {
+    leadTime,
+    sent: [...new Set([...sent, ...applicable])].sort((a, b) => b - a)
+  };
+}
+
+/**
+ * Dunning reminder offsets (seconds, longest first) for a plan, limited to its grace period
+ */
+function getDunningOffsets(dunningSchedule, gracePeriod) {
+  let offsets;
+  try {
+    offsets = normalizeLeadTimes(dunningSchedule ?? DEFAULT_DUNNING_SCHEDULE);
+  } catch (error) {
+    console.warn('[SubscriptionExpiry] Invalid dunning schedule, using defaults:', error.message);
+    offsets = normalizeLeadTimes(DEFAULT_DUNNING_SCHEDULE);
+  }
+  return offsets.filter(offset => offset < gracePeriod);
+}
+
+async function recordRun(summary) {
+  try {
+    await pool.query(
+      `INSERT INTO expiry_checker_runs
+       (network, status, method, block_number, checked, expired, notified, failed, error_message, started_at, finished_at, duration_ms, reminders, past_due, dunning_reminders)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+      [
+        summary.network,
+        summary.status,
+        summary.method,
+        summary.blockNumber,
+        summary.checked,
+        summary.expired,
+        summary.notified,
+        summary.failed,
+        summary.error,
+        summary.startedAt,
+        summary.finishedAt,
+        summary.durationMs,
+        summary.reminders,
+        summary.pastDue,
+        summary.dunningReminders
+      ]
+    );
+  } catch (error) {
+    console.warn(`[SubscriptionExpiry] Could not record run summary for ${summary.network}:`, error.message);
+  }
+}
+
+/**
+ * Send subscription.expiring_soon if one of the vendor's lead times is due.
+ * Returns true if a reminder was sent.
+ */
+async function sendExpiringSoonReminder(sub, blockchainSub, endTime, now, network, leadTimeCache) {
+  const leadTimes = await getVendorLeadTimes(sub.vendor_address, leadTimeCache);
+  const metadata = sub.metadata || {};
+  const due = getDueReminder(metadata, endTime, now, leadTimes);
+
+  if (!due) {
+    return false;
+  }
+
+  try {
+    const apiKeyId = await webhookService.findVendorWebhookKeyId(sub.vendor_address);
+
+    if (apiKeyId) {
+      await webhookService.triggerWebhook(apiKeyId, 'subscription.expiring_soon', {
+        tokenId: sub.token_id.toString(),
+        planId: blockchainSub.planId.toString(),
+        customerAddress: sub.subscriber_address.toLowerCase(),
+        endTime: endTime,
+        endTimeISO: new Date(endTime * 1000).toISOString(),
+        leadTime: formatLeadTime(due.leadTime),
+        leadTimeSeconds: due.leadTime,
+        secondsRemaining: endTime - now,
+        network,
+        plan: {
+          name: sub.plan_name || 'Unknown Plan'
+        }
+      });
+    }
+
+    await pool.query(
+      `UPDATE subscriptions
+       SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('expiryReminders', $2::jsonb)
+       WHERE token_id = $1 AND (network = $3 OR network IS NULL)`,
+      [sub.token_id, JSON.stringify({ endTime, leadTimes: due.sent }), network]
+    );
+
+    if (apiKeyId) {
+      console.log(`[SubscriptionExpiry] 🔔 Sent ${formatLeadTime(due.leadTime)} expiry reminder for subscription ${sub.token_id} on ${network}`);
+    }
+    return !!apiKeyId;
+  } catch (error) {
+    console.error(`[SubscriptionExpiry] Error sending expiry reminder for ${sub.token_id}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Send subscription.past_due when a subscription enters its grace period, then
+ * subscription.dunning_reminder at each due offset of the plan's dunning schedule.
+ * When several offsets are due at once only the latest is sent.
+ * Returns the event sent, or null.
+ */
+async function sendDunningNotice(sub, blockchainSub, endTime, now, network, gracePeriodEndsAt) {
+  const metadata = sub.metadata || {};
+  // Dunning state for an earlier end time doesn't count after a renewal
+  const dunning = metadata.dunning?.endTime === endTime ? metadata.dunning : null;
+  const offsets = getDunningOffsets(sub.dunning_schedule, gracePeriodEndsAt - endTime);
+  const dueOffsets = offsets.filter(offset => now - endTime >= offset);
+
+  let event = 'subscription.past_due';
+  let offset = null;
+  if (dunning) {
+    const pending = dueOffsets.filter(o => !(dunning.reminders || []).includes(o));
+    if (pending.length === 0) {
+      return null;
+    }
+    event = 'subscription.dunning_reminder';
+    offset = Math.max(...pending);
+  }
+
   try {
-    const contract = await contractService.getContract(network);
-    const now = Math.floor(Date.now() / 1000);
+    const apiKeyId = await webhookService.findVendorWebhookKeyId(sub.vendor_address);
 
-    // Get all active subscriptions from database
+    if (apiKeyId) {
+      await webhookService.triggerWebhook(apiKeyId, event, {
+        tokenId: sub.token_id.toString(),
+        planId: blockchainSub.planId.toString(),
+        customerAddress: sub.subscriber_address.toLowerCase(),
+        status: 'past_due',
+        endTime: endTime,
+        endTimeISO: new Date(endTime * 1000).toISOString(),
+        gracePeriodEndsAt: gracePeriodEndsAt,
+        gracePeriodEndsAtISO: new Date(gracePeriodEndsAt * 1000).toISOString(),
+        secondsUntilExpiry: gracePeriodEndsAt - now,
+        reminder: offset !== null ? formatLeadTime(offset) : null,
+        remainingReminders: offsets.filter(o => now - endTime < o).map(formatLeadTime).reverse(),
+        network,
+        plan: {
+          name: sub.plan_name || 'Unknown Plan'
+        }
+      });
+    }
+
+    const reminders = [...new Set([...(dunning?.reminders || []), ...dueOffsets])].sort((a, b) => b - a);
+    await pool.query(
+      `UPDATE subscriptions
+       SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('dunning', $2::jsonb)
+       WHERE token_id = $1 AND (network = $3 OR network IS NULL)`,
+      [sub.token_id, JSON.stringify({ endTime, reminders }), network]
+    );
+
+    if (apiKeyId) {
+      console.log(`[SubscriptionExpiry] 💳 Sent ${event} for subscription ${sub.token_id} on ${network}`);
+    }
+    return apiKeyId ? event : null;
+  } catch (error) {
+    console.error(`[SubscriptionExpiry] Error sending dunning notice for ${sub.token_id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Check one network for expired subscriptions and trigger webhooks (AC2.8)
+ */
+async function checkExpiredSubscriptions(network = 'localhost') {
+  const startedAt = new Date();
+  const summary = {
+    network,
+    status: 'success',
+    method: null,
+    blockNumber: null,
+    checked: 0,
+    expired: 0,
+    notified: 0,
+    reminders: 0,
+    pastDue: 0,
+    dunningReminders: 0,
+    failed: 0,
+    error: null,
+    startedAt,
+    finishedAt: null,
+    durationMs: null
+  };
+
+  if (runningNetworks.has(network)) {
+    summary.status = 'skipped';
+    summary.error = 'Previous run still in progress';
+    return summary;
+  }
+  runningNetworks.add(network);
+
+  try {
+    // Only subscriptions whose plan lives on this network. Plans created before
+    // plans carried a network belong to the default localhost chain. Token and
+    // plan ids restart on every chain, so the subscription row must match too.
     const result = await pool.query(
-      `SELECT s.*, sp.vendor_address, sp.name as plan_name
+      `SELECT s.token_id, s.subscriber_address, s.expiry_notified_end_time, s.metadata,
+              sp.vendor_address, sp.name as plan_name, sp.grace_period, sp.dunning_schedule
        FROM subscriptions s
-       LEFT JOIN subscription_plans sp ON s.plan_id = sp.plan_id
-       WHERE s.subscriber_address IS NOT NULL`
+       JOIN subscription_plans sp ON s.plan_id = sp.plan_id
+       WHERE COALESCE(sp.network, 'localhost') = $1
+         AND (s.network = $1 OR s.network IS NULL)
+         AND s.subscriber_address IS NOT NULL`,
+      [network]
     );
 
-    const expiredSubscriptions = [];
+    summary.checked = result.rows.length;
+
+    if (result.rows.length > 0) {
+      const contract = await contractService.getContract(network);
+      const now = Math.floor(Date.now() / 1000);
+      const tokenIds = result.rows.map(row => row.token_id.toString());
+      const onChain = await fetchSubscriptions(contract, network, tokenIds);
+      const leadTimeCache = new Map();
+
+      summary.method = onChain.method;
+      summary.blockNumber = onChain.blockNumber;
+      summary.failed = onChain.failed.length;
+
+      for (const sub of result.rows) {
+        const blockchainSub = onChain.subscriptions.get(sub.token_id.toString());
+        if (!blockchainSub) {
+          continue;
+        }
 
-    for (const sub of result.rows) {
-      try {
-        // Get subscription from blockchain
-        const blockchainSub = await contract.getSubscription(sub.token_id);
         const endTime = parseInt(blockchainSub.endTime.toString());
-        const isActive = blockchainSub.active;
-        
-        // Check if expired (endTime < now) and was previously active
-        if (endTime < now && isActive) {
-          // Check if we've already sent expiry webhook (track in metadata or separate table)
-          const expiryCheck = await pool.query(
-            `SELECT metadata FROM subscriptions WHERE token_id = $1`,
-            [sub.token_id]
+
+        if (!blockchainSub.active) {
+          continue;
+        }
+
+        if (endTime >= now) {
+          if (await sendExpiringSoonReminder(sub, blockchainSub, endTime, now, network, leadTimeCache)) {
+            summary.reminders++;
+          }
+          continue;
+        }
+
+        // Inside the plan's grace period: past_due, not expired yet
+        const state = getSubscriptionState(blockchainSub, sub.grace_period, now);
+        if (state.status === 'past_due') {
+          const sent = await sendDunningNotice(sub, blockchainSub, endTime, now, network, state.gracePeriodEndsAt);
+          if (sent === 'subscription.past_due') {
+            summary.pastDue++;
+          } else if (sent === 'subscription.dunning_reminder') {
+            summary.dunningReminders++;
+          }
+          continue;
+        }
+
+        // Already notified for this end time (a renewal moves end time, so it notifies again)
+        if (sub.expiry_notified_end_time !== null && parseInt(sub.expiry_notified_end_time) === endTime) {
+          continue;
+        }
+
+        // Notified by the old checker, which only set metadata.expiryWebhookSent:
+        // record the end time so a later renewal notifies again
+        if (sub.expiry_notified_end_time === null && sub.metadata?.expiryWebhookSent === true) {
+          await pool.query(
+            `UPDATE subscriptions SET expiry_notified_end_time = $2
+             WHERE token_id = $1 AND (network = $3 OR network IS NULL)`,
+            [sub.token_id, endTime, network]
           );
-          
-          const metadata = expiryCheck.rows[0]?.metadata ? JSON.parse(expiryCheck.rows[0].metadata) : {};
-          
-          // Only send webhook if not already sent
-          if (!metadata.expiryWebhookSent) {
-            expiredSubscriptions.push({
+          continue;
+        }
+
+        summary.expired++;
+
+        try {
+          const apiKeyId = await webhookService.findVendorWebhookKeyId(sub.vendor_address);
+
+          if (apiKeyId) {
+            await webhookService.triggerWebhook(apiKeyId, 'subscription.expired', {
               tokenId: sub.token_id.toString(),
               planId: blockchainSub.planId.toString(),
               customerAddress: sub.subscriber_address.toLowerCase(),
               endTime: endTime,
               endTimeISO: new Date(endTime * 1000).toISOString(),
+              expiryTimestamp: new Date().toISOString(),
               daysSinceExpiry: Math.floor((now - endTime) / 86400),
-              planName: sub.plan_name || 'Unknown Plan',
-              vendorAddress: sub.vendor_address?.toLowerCase()
+              gracePeriod: parseInt(sub.grace_period) || 0,
+              network,
+              plan: {
+                name: sub.plan_name || 'Unknown Plan'
+              }
             });
 
-            // Mark as webhook sent
-            await pool.query(
-              `UPDATE subscriptions 
-               SET metadata = COALESCE(metadata, '{}'::jsonb) || '{"expiryWebhookSent": true}'::jsonb
-               WHERE token_id = $1`,
-              [sub.token_id]
-            );
+            summary.notified++;
+            console.log(`[SubscriptionExpiry] ✅ Sent expiry webhook for subscription ${sub.token_id} on ${network}`);
           }
+
+          await pool.query(
+            `UPDATE subscriptions SET expiry_notified_end_time = $2
+             WHERE token_id = $1 AND (network = $3 OR network IS NULL)`,
+            [sub.token_id, endTime, network]
+          );
+        } catch (webhookError) {
+          console.error(`[SubscriptionExpiry] Error sending expiry webhook for ${sub.token_id}:`, webhookError.message);
         }
-      } catch (error) {
-        console.warn(`[SubscriptionExpiry] Error checking subscription ${sub.token_id}:`, error.message);
       }
     }
+  } catch (error) {
+    console.error(`[SubscriptionExpiry] Error checking expired subscriptions on ${network}:`, error.message);
+    summary.status = 'failed';
+    summary.error = error.message;
+  } finally {
+    runningNetworks.delete(network);
+  }
 
-    // Trigger webhooks for expired subscriptions
-    for (const expiredSub of expiredSubscriptions) {
-      try {
-        // Find API key for vendor
-        if (expiredSub.vendorAddress) {
-          const apiKeyResult = await pool.query(
-            `SELECT id FROM checkout_apps WHERE vendor_address = $1 AND status = 'active' LIMIT 1`,
-            [expiredSub.vendorAddress]
-          );
-
-          if (apiKeyResult.rows.length > 0) {
-            const payload = {
-              tokenId: expiredSub.tokenId,
-              planId: expiredSub.planId,
-              customerAddress: expiredSub.customerAddress,
-              endTime: expiredSub.endTime,
-              endTimeISO: expiredSub.endTimeISO,
-              expiryTimestamp: new Date().toISOString(),
-              daysSinceExpiry: expiredSub.daysSinceExpiry,
-              plan: {
-                name: expiredSub.planName
-              }
-            };
+  summary.finishedAt = new Date();
+  summary.durationMs = summary.finishedAt - startedAt;
+  await recordRun(summary);
 
-            await webhookService.triggerWebhook(
-              apiKeyResult.rows[0].id,
-              'subscription.expired',
-              payload
-            );
+  return summary;
+}
 
-            console.log(`[SubscriptionExpiry] ✅ Sent expiry webhook for subscription ${expiredSub.tokenId}`);
-          }
-        }
-      } catch (webhookError) {
-        console.error(`[SubscriptionExpiry] Error sending expiry webhook:`, webhookError.message);
-      }
-    }
+/**
+ * Check every network with a deployment, one after another
+ */
+async function checkAllNetworks() {
+  const networks = await getCheckedNetworks();
+  const summaries = [];
 
-    return expiredSubscriptions.length;
-  } catch (error) {
-    console.error('[SubscriptionExpiry] Error checking expired subscriptions:', error);
-    return 0;
+  for (const network of networks) {
+    summaries.push(await checkExpiredSubscriptions(network));
   }
+
+  return summaries;
+}
+
+/**
+ * Latest run per network plus totals, for the admin endpoint
+ */
+async function getExpiryCheckerStatus() {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (network) *
+     FROM expiry_checker_runs
+     ORDER BY network, started_at DESC`
+  );
+
+  return result.rows.map(row => ({
+    network: row.network,
+    status: row.status,
+    method: row.method,
+    blockNumber: row.block_number,
+    checked: row.checked,
+    expired: row.expired,
+    notified: row.notified,
+    reminders: row.reminders,
+    pastDue: row.past_due,
+    dunningReminders: row.dunning_reminders,
+    failed: row.failed,
+    error: row.error_message,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    running: runningNetworks.has(row.network)
+  }));
 }
 
 /**
- * Start subscription expiry checker (runs every hour)
+ * Start subscription expiry checker (runs every hour across all networks)
  */
-function startExpiryChecker(network = 'localhost') {
+function startExpiryChecker() {
   console.log('[SubscriptionExpiry] Starting subscription expiry checker...');
-  
+
   // Run immediately
-  checkExpiredSubscriptions(network).catch(console.error);
+  checkAllNetworks().catch(console.error);
 
   // Then run every hour
   setInterval(() => {
-    checkExpiredSubscriptions(network).catch(console.error);
+    checkAllNetworks().catch(console.error);
   }, 3600000); // 1 hour
 }
 
 module.exports = {
   checkExpiredSubscriptions,
-  startExpiryChecker
+  checkAllNetworks,
+  getCheckedNetworks,
+  getExpiryCheckerStatus,
+  startExpiryChecker,
+  parseLeadTime,
+  normalizeLeadTimes,
+  formatLeadTime,
+  getDunningOffsets,
+  DEFAULT_REMINDER_LEAD_TIMES,
+  DEFAULT_DUNNING_SCHEDULE
 };
-
-
@@ -0,0 +1,627 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('./contractService');
+const ipfsService = require('./ipfsService');
+const webhookService = require('./webhookService');
+const { buildUnsignedTransaction, getVerifiedReceipt, findContractEvent } = require('../utils/transactionHelper');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * Subscription transfers and gifting
+ *
+ * Subscriptions are ERC-721 tokens, so the owner can move one to another
+ * wallet with transferFrom. applyTransfer makes the database follow: the
+ * subscriptions row gets the new owner, a 'transferred' history entry is
+ * written, API integration mappings move to the new owner's external user in
+ * the same app (or are marked 'transferred'), and auto-renewal and open plan
+ * changes of the previous owner are cancelled. It is called by the indexer for
+ * every Transfer event and by POST /:tokenId/transfer/confirm, and is
+ * idempotent per transaction hash; callers send subscription.transferred with
+ * notifyTransfer once their changes are committed.
+ *
+ * A gift is a subscription the purchaser buys into their own wallet and then
+ * transfers. For a recipient wallet the transfer transaction is returned right
+ * after the purchase is confirmed. For a recipient email a claim code is
+ * returned instead (no email is sent - the purchaser or the vendor's frontend
+ * delivers the claim link); the recipient signs in, claims it with their
+ * wallet, and the purchaser then signs the transfer. The gift is marked
+ * delivered when its token reaches the recipient.
+ */
+
+const OPEN_GIFT_STATUSES = ['purchased', 'claimed'];
+
+const MAX_GIFT_MESSAGE_LENGTH = 500;
+
+function transferError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashClaimCode(claimCode) {
+  return crypto.createHash('sha256').update(String(claimCode)).digest('hex');
+}
+
+function getClaimUrl(claimCode) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/gift/claim/${claimCode}`;
+}
+
+function formatGift(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    planId: row.plan_id.toString(),
+    purchaserAddress: row.purchaser_address,
+    recipientAddress: row.recipient_address || null,
+    recipientEmail: row.recipient_email || null,
+    message: row.message || null,
+    status: row.status,
+    tokenId: row.token_id ? row.token_id.toString() : null,
+    network: row.network,
+    purchaseTransactionHash: row.purchase_tx_hash || null,
+    transferTransactionHash: row.transfer_tx_hash || null,
+    createdAt: row.created_at,
+    purchasedAt: row.purchased_at || null,
+    claimedAt: row.claimed_at || null,
+    deliveredAt: row.delivered_at || null
+  };
+}
+
+/**
+ * Move a subscription to its new owner in the database.
+ * `db` is a pool or a client inside an open transaction. Token ids restart at 1
+ * on every chain, so only rows of `network` are touched.
+ * Returns the applied transfer, or null if the token is unknown or this
+ * transaction was already applied.
+ */
+async function applyTransfer(db, { tokenId, from, to, network = 'localhost', transactionHash, blockNumber = null, logIndex = null }) {
+  const tokenKey = tokenId.toString();
+  const previousOwner = from.toLowerCase();
+  const newOwner = to.toLowerCase();
+
+  const applied = await db.query(
+    `SELECT 1 FROM subscription_history
+     WHERE token_id = $1 AND event_type = 'transferred' AND transaction_hash = $2
+       AND (network = $3 OR network IS NULL)`,
+    [tokenKey, transactionHash, network]
+  );
+  if (applied.rows.length > 0) {
+    return null;
+  }
+
+  const subResult = await db.query(
+    `UPDATE subscriptions SET subscriber_address = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE token_id = $1 AND (network = $3 OR network IS NULL)
+     RETURNING plan_id`,
+    [tokenKey, newOwner, network]
+  );
+  if (subResult.rows.length === 0) {
+    return null;
+  }
+
+  const planId = subResult.rows[0].plan_id.toString();
+  const planResult = await db.query(
+    `SELECT vendor_address, app_id FROM subscription_plans
+     WHERE plan_id = $1 AND (network = $2 OR network IS NULL)`,
+    [planId, network]
+  );
+  const vendorAddress = planResult.rows[0]?.vendor_address || null;
+
+  await db.query(
+    `INSERT INTO subscription_history
+     (token_id, plan_id, subscriber_address, vendor_address, event_type, event_data,
+      transaction_hash, block_number, network, log_index)
+     VALUES ($1, $2, $3, $4, 'transferred', $5, $6, $7, $8, $9)`,
+    [
+      tokenKey,
+      planId,
+      newOwner,
+      vendorAddress || '',
+      JSON.stringify({ timestamp: new Date().toISOString(), from: previousOwner, to: newOwner }),
+      transactionHash,
+      blockNumber,
+      network,
+      logIndex
+    ]
+  );
+
+  // Integration mappings follow the token to the new owner's user in the same app
+  const remapped = await db.query(
+    `UPDATE api_integration_subscriptions ais
+     SET external_user_id = eu.external_user_id, status = 'active', updated_at = CURRENT_TIMESTAMP
+     FROM external_users eu
+     WHERE ais.token_id = $1 AND eu.app_id = ais.app_id AND eu.test_mode = ais.test_mode
+       AND LOWER(eu.wallet_address) = $2
+     RETURNING ais.app_id, ais.external_user_id`,
+    [tokenKey, newOwner]
+  );
+  const orphaned = await db.query(
+    `UPDATE api_integration_subscriptions ais
+     SET status = 'transferred', updated_at = CURRENT_TIMESTAMP
+     WHERE ais.token_id = $1 AND ais.status = 'active'
+       AND NOT EXISTS (
+         SELECT 1 FROM external_users eu
+         WHERE eu.app_id = ais.app_id AND eu.external_user_id = ais.external_user_id
+           AND eu.test_mode = ais.test_mode AND LOWER(eu.wallet_address) = $2
+       )
+     RETURNING ais.app_id, ais.external_user_id`,
+    [tokenKey, newOwner]
+  );
+
+  // The previous owner's allowance and pending switches don't carry over
+  await db.query(
+    `UPDATE auto_renewals SET enabled = false, status = 'cancelled', updated_at = NOW()
+     WHERE token_id = $1 AND subscriber_address <> $2 AND network = $3`,
+    [tokenKey, newOwner, network]
+  );
+  await db.query(
+    `UPDATE plan_changes SET status = 'cancelled', updated_at = NOW()
+     WHERE token_id = $1 AND subscriber_address <> $2 AND status = ANY($3) AND network = $4`,
+    [tokenKey, newOwner, ['pending', 'scheduled'], network]
+  );
+
+  // Deliver a gift on its way to this wallet; any other open gift for the token is void
+  const delivered = await db.query(
+    `UPDATE subscription_gifts
+     SET status = 'delivered', transfer_tx_hash = $3, delivered_at = NOW(), updated_at = NOW()
+     WHERE token_id = $1 AND recipient_address = $2 AND status = ANY($4) AND network = $5
+     RETURNING id`,
+    [tokenKey, newOwner, transactionHash, OPEN_GIFT_STATUSES, network]
+  );
+  await db.query(
+    `UPDATE subscription_gifts SET status = 'cancelled', updated_at = NOW()
+     WHERE token_id = $1 AND status = ANY($2) AND network = $3`,
+    [tokenKey, OPEN_GIFT_STATUSES, network]
+  );
+
+  return {
+    tokenId: tokenKey,
+    planId,
+    appId: planResult.rows[0]?.app_id || null,
+    vendorAddress,
+    from: previousOwner,
+    to: newOwner,
+    transactionHash,
+    blockNumber,
+    network,
+    giftId: delivered.rows[0]?.id || null,
+    integrations: [
+      ...remapped.rows.map(row => ({ appId: row.app_id, externalUserId: row.external_user_id, status: 'active' })),
+      ...orphaned.rows.map(row => ({ appId: row.app_id, externalUserId: row.external_user_id, status: 'transferred' }))
+    ]
+  };
+}
+
+/**
+ * Send subscription.transferred for an applied transfer
+ */
+async function notifyTransfer(transfer) {
+  const apiKeyId = await webhookService.findVendorWebhookKeyId(transfer.vendorAddress);
+  if (!apiKeyId) {
+    return;
+  }
+
+  webhookService.triggerWebhook(apiKeyId, 'subscription.transferred', {
+    tokenId: transfer.tokenId,
+    planId: transfer.planId,
+    appId: transfer.appId,
+    previousOwner: transfer.from,
+    customerAddress: transfer.to,
+    giftId: transfer.giftId,
+    integrations: transfer.integrations,
+    transactionHash: transfer.transactionHash,
+    blockNumber: transfer.blockNumber,
+    network: transfer.network,
+    transferredAt: new Date().toISOString()
+  }).catch(error => {
+    console.error('[Webhook] Error triggering subscription.transferred:', error.message);
+  });
+}
+
+/**
+ * Build the transferFrom transaction for the current owner to sign
+ */
+async function requestTransfer(tokenId, walletAddress, { toAddress, network = 'localhost' } = {}) {
+  if (!toAddress || !ethers.isAddress(toAddress) || toAddress.toLowerCase() === ethers.ZeroAddress) {
+    throw transferError('A valid toAddress is required');
+  }
+
+  const contract = await contractService.getContract(network);
+
+  let owner;
+  try {
+    owner = (await contract.ownerOf(tokenId)).toLowerCase();
+  } catch (error) {
+    throw transferError('Subscription not found', 404);
+  }
+  if (owner !== walletAddress.toLowerCase()) {
+    throw transferError('Only the current owner can transfer a subscription', 403);
+  }
+  if (toAddress.toLowerCase() === owner) {
+    throw transferError('The subscription is already owned by this wallet');
+  }
+
+  const transaction = await buildUnsignedTransaction(contract, 'transferFrom', [owner, toAddress, tokenId], { from: owner });
+
+  return { from: owner, to: toAddress.toLowerCase(), network, transaction };
+}
+
+/**
+ * Verify a broadcast transfer transaction, apply it and notify the vendor.
+ * Only the transfer that produced the token's current owner is applied, so
+ * replaying an older Transfer can't move the subscription back.
+ */
+async function confirmTransfer(tokenId, { transactionHash, network = 'localhost' } = {}) {
+  if (!transactionHash) {
+    throw transferError('transactionHash is required');
+  }
+
+  const contract = await contractService.getContract(network);
+  const receipt = await getVerifiedReceipt(contract, transactionHash);
+  const transferred = findContractEvent(
+    contract,
+    receipt,
+    'Transfer',
+    parsed => parsed.args.tokenId.toString() === tokenId.toString() && parsed.args.from !== ethers.ZeroAddress
+  );
+  if (!transferred) {
+    throw transferError(`Transfer event for token ${tokenId} not found in transaction receipt`);
+  }
+
+  const currentOwner = (await contract.ownerOf(tokenId)).toLowerCase();
+  if (currentOwner !== transferred.args.to.toLowerCase()) {
+    throw transferError(`Token ${tokenId} is no longer owned by the recipient of this transfer`, 409);
+  }
+
+  const existing = await pool.query(
+    `SELECT 1 FROM subscriptions WHERE token_id = $1 AND (network = $2 OR network IS NULL)`,
+    [tokenId.toString(), network]
+  );
+  if (existing.rows.length === 0) {
+    throw transferError('Subscription not found', 404);
+  }
+
+  const client = await pool.connect();
+  let transfer;
+  try {
+    await client.query('BEGIN');
+    transfer = await applyTransfer(client, {
+      tokenId,
+      from: transferred.args.from,
+      to: transferred.args.to,
+      network,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (!transfer) {
+    return {
+      alreadyConfirmed: true,
+      tokenId: tokenId.toString(),
+      from: transferred.args.from.toLowerCase(),
+      to: transferred.args.to.toLowerCase(),
+      transactionHash: receipt.hash
+    };
+  }
+
+  await notifyTransfer(transfer);
+  console.log(`[Transfer] ✅ Token ${transfer.tokenId} moved from ${transfer.from} to ${transfer.to}`);
+
+  return { alreadyConfirmed: false, ...transfer };
+}
+
+/**
+ * Transfer transaction to deliver a purchased gift, once the recipient wallet is known
+ */
+async function buildGiftTransfer(gift) {
+  if (!gift.recipient_address || !gift.token_id || !OPEN_GIFT_STATUSES.includes(gift.status)) {
+    return null;
+  }
+  const contract = await contractService.getContract(gift.network);
+  return buildUnsignedTransaction(
+    contract,
+    'transferFrom',
+    [gift.purchaser_address, gift.recipient_address, gift.token_id],
+    { from: gift.purchaser_address }
+  );
+}
+
+/**
+ * Start a gift: validate the recipient and return the purchase transaction for
+ * the purchaser to sign
+ */
+async function createGift(purchaserAddress, { planId, recipientAddress, recipientEmail, message, metadata, network = 'localhost' } = {}) {
+  const purchaser = purchaserAddress.toLowerCase();
+
+  if (!planId) {
+    throw transferError('planId is required');
+  }
+  if (!recipientAddress && !recipientEmail) {
+    throw transferError('recipientAddress or recipientEmail is required');
+  }
+  if (recipientAddress && (!ethers.isAddress(recipientAddress) || recipientAddress.toLowerCase() === ethers.ZeroAddress)) {
+    throw transferError('Invalid recipient address');
+  }
+  if (recipientAddress && recipientAddress.toLowerCase() === purchaser) {
+    throw transferError('A gift must go to another wallet');
+  }
+  if (!recipientAddress && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+    throw transferError('Invalid recipient email');
+  }
+  if (message && String(message).length > MAX_GIFT_MESSAGE_LENGTH) {
+    throw transferError(`message must be at most ${MAX_GIFT_MESSAGE_LENGTH} characters`);
+  }
+
+  const planResult = await pool.query(
+    `SELECT plan_id, vendor_address, active FROM subscription_plans WHERE plan_id = $1`,
+    [planId.toString()]
+  );
+  if (planResult.rows.length === 0) {
+    throw transferError('Plan not found', 404);
+  }
+  if (planResult.rows[0].active === false) {
+    throw transferError('Plan is not active', 409);
+  }
+
+  const tokenURI = metadata
+    ? await ipfsService.uploadMetadata(metadata)
+    : `ipfs://default-${Date.now()}`;
+
+  const contract = await contractService.getContract(network);
+  const plan = await contract.getPlan(planId);
+  const transaction = await buildUnsignedTransaction(
+    contract,
+    'purchaseSubscription',
+    [planId, tokenURI],
+    { value: plan.price, from: purchaser }
+  );
+
+  const result = await pool.query(
+    `INSERT INTO subscription_gifts
+     (plan_id, vendor_address, network, purchaser_address, recipient_address, recipient_email, message, token_uri)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      planId.toString(),
+      planResult.rows[0].vendor_address,
+      network,
+      purchaser,
+      recipientAddress ? recipientAddress.toLowerCase() : null,
+      recipientAddress ? null : recipientEmail.trim().toLowerCase(),
+      message || null,
+      tokenURI
+    ]
+  );
+
+  return {
+    gift: formatGift(result.rows[0]),
+    price: plan.price.toString(),
+    priceEth: ethers.formatEther(plan.price),
+    transaction
+  };
+}
+
+async function getGiftRow(giftId) {
+  const result = await pool.query(`SELECT * FROM subscription_gifts WHERE id = $1`, [giftId]);
+  if (result.rows.length === 0) {
+    throw transferError('Gift not found', 404);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Verify the gift's purchase transaction and record the subscription (owned by
+ * the purchaser until it is transferred). Email gifts get a new claim code.
+ */
+async function confirmGiftPurchase(giftId, purchaserAddress, { transactionHash } = {}) {
+  if (!transactionHash) {
+    throw transferError('transactionHash is required');
+  }
+
+  const gift = await getGiftRow(giftId);
+  if (gift.purchaser_address !== purchaserAddress.toLowerCase()) {
+    throw transferError('Only the purchaser can confirm a gift', 403);
+  }
+  if (gift.status !== 'pending' && gift.purchase_tx_hash !== transactionHash) {
+    throw transferError(`Gift is already ${gift.status}`, 409);
+  }
+
+  let tokenId = gift.token_id;
+  let receipt = null;
+
+  if (gift.status === 'pending') {
+    const reused = await pool.query(
+      `SELECT id FROM subscription_gifts WHERE purchase_tx_hash = $1 AND id <> $2`,
+      [transactionHash, gift.id]
+    );
+    if (reused.rows.length > 0) {
+      throw transferError('Transaction was already confirmed for another gift', 409);
+    }
+
+    const contract = await contractService.getContract(gift.network);
+    receipt = await getVerifiedReceipt(contract, transactionHash, { expectedFrom: gift.purchaser_address });
+    const purchased = findContractEvent(
+      contract,
+      receipt,
+      'SubscriptionPurchased',
+      parsed => parsed.args.planId.toString() === gift.plan_id.toString() &&
+        parsed.args.subscriber.toLowerCase() === gift.purchaser_address
+    );
+    if (!purchased) {
+      throw transferError(`SubscriptionPurchased event for plan ${gift.plan_id} not found in transaction receipt`);
+    }
+    tokenId = purchased.args.tokenId.toString();
+
+    await pool.query(
+      `INSERT INTO subscriptions
+       (token_id, plan_id, subscriber_address, token_uri, transaction_hash, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (token_id) DO NOTHING`,
+      [tokenId, gift.plan_id, gift.purchaser_address, gift.token_uri, receipt.hash]
+    );
+
+    try {
+      await pool.query(
+        `INSERT INTO subscription_history
+         (token_id, plan_id, subscriber_address, vendor_address, event_type, event_data, transaction_hash, block_number)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          tokenId,
+          gift.plan_id,
+          gift.purchaser_address,
+          gift.vendor_address || '',
+          'purchased',
+          JSON.stringify({ timestamp: new Date().toISOString(), planId: gift.plan_id.toString(), tokenURI: gift.token_uri, giftId: gift.id }),
+          receipt.hash,
+          receipt.blockNumber
+        ]
+      );
+    } catch (historyError) {
+      console.warn('[Gift] Could not record in subscription_history:', historyError.message);
+    }
+  }
+
+  // Claim codes are only stored hashed, so a retry hands out a fresh one
+  let claimCode = null;
+  if (!gift.recipient_address) {
+    claimCode = crypto.randomBytes(16).toString('hex');
+  }
+
+  const updated = await pool.query(
+    `UPDATE subscription_gifts
+     SET status = CASE WHEN status = 'pending' THEN 'purchased' ELSE status END,
+         token_id = $2, purchase_tx_hash = $3,
+         claim_code_hash = COALESCE($4, claim_code_hash),
+         purchased_at = COALESCE(purchased_at, NOW()), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [gift.id, tokenId, transactionHash, claimCode ? hashClaimCode(claimCode) : null]
+  );
+  const confirmed = updated.rows[0];
+
+  if (receipt) {
+    const apiKeyId = await webhookService.findVendorWebhookKeyId(gift.vendor_address);
+    if (apiKeyId) {
+      webhookService.triggerWebhook(apiKeyId, 'subscription.purchased', {
+        tokenId,
+        planId: gift.plan_id.toString(),
+        customerAddress: gift.purchaser_address,
+        giftId: gift.id,
+        transactionHash: receipt.hash,
+        purchaseTimestamp: new Date().toISOString()
+      }).catch(error => {
+        console.error('[Webhook] Error triggering subscription.purchased:', error.message);
+      });
+    }
+    console.log(`[Gift] ✅ Gift ${gift.id} purchased as token ${tokenId}`);
+  }
+
+  const delivery = { gift: formatGift(confirmed), alreadyConfirmed: !receipt, transaction: await buildGiftTransfer(confirmed) };
+  if (claimCode && confirmed.status === 'purchased') {
+    delivery.claimCode = claimCode;
+    delivery.claimUrl = getClaimUrl(claimCode);
+  }
+  return delivery;
+}
+
+/**
+ * A gift for its purchaser or recipient, with the transfer transaction while
+ * it waits to be delivered
+ */
+async function getGift(giftId, walletAddress) {
+  const gift = await getGiftRow(giftId);
+  const wallet = walletAddress.toLowerCase();
+  if (gift.purchaser_address !== wallet && gift.recipient_address !== wallet) {
+    throw transferError('Only the purchaser or recipient can view a gift', 403);
+  }
+
+  return {
+    gift: formatGift(gift),
+    transaction: gift.purchaser_address === wallet ? await buildGiftTransfer(gift) : null
+  };
+}
+
+/**
+ * Public preview of a gift by claim code
+ */
+async function getGiftByClaimCode(claimCode) {
+  const result = await pool.query(
+    `SELECT g.*, sp.name AS plan_name, sp.duration AS plan_duration
+     FROM subscription_gifts g
+     LEFT JOIN subscription_plans sp ON sp.plan_id = g.plan_id
+     WHERE g.claim_code_hash = $1`,
+    [hashClaimCode(claimCode)]
+  );
+  if (result.rows.length === 0) {
+    throw transferError('Gift not found', 404);
+  }
+
+  const gift = result.rows[0];
+  return {
+    id: gift.id,
+    planId: gift.plan_id.toString(),
+    planName: gift.plan_name || null,
+    planDuration: gift.plan_duration ? parseInt(gift.plan_duration) : null,
+    message: gift.message || null,
+    status: gift.status,
+    claimed: Boolean(gift.recipient_address)
+  };
+}
+
+/**
+ * Claim an email gift for the signed-in wallet. The purchaser then signs the
+ * transfer (GET /gift/:giftId).
+ */
+async function claimGift(claimCode, walletAddress) {
+  const wallet = walletAddress.toLowerCase();
+
+  const result = await pool.query(
+    `UPDATE subscription_gifts
+     SET recipient_address = $2, status = 'claimed', claimed_at = NOW(), updated_at = NOW()
+     WHERE claim_code_hash = $1 AND status = 'purchased' AND recipient_address IS NULL AND purchaser_address <> $2
+     RETURNING *`,
+    [hashClaimCode(claimCode), wallet]
+  );
+  if (result.rows.length > 0) {
+    console.log(`[Gift] ✅ Gift ${result.rows[0].id} claimed by ${wallet}`);
+    return { gift: formatGift(result.rows[0]), alreadyClaimed: false };
+  }
+
+  const existing = await pool.query(`SELECT * FROM subscription_gifts WHERE claim_code_hash = $1`, [hashClaimCode(claimCode)]);
+  const gift = existing.rows[0];
+  if (!gift) {
+    throw transferError('Gift not found', 404);
+  }
+  if (gift.recipient_address === wallet) {
+    return { gift: formatGift(gift), alreadyClaimed: true };
+  }
+  if (gift.purchaser_address === wallet) {
+    throw transferError('A gift must go to another wallet');
+  }
+  throw transferError(gift.recipient_address ? 'Gift has already been claimed' : `Gift is ${gift.status}`, 409);
+}
+
+module.exports = {
+  applyTransfer,
+  notifyTransfer,
+  requestTransfer,
+  confirmTransfer,
+  createGift,
+  confirmGiftPurchase,
+  getGift,
+  getGiftByClaimCode,
+  claimGift
+};
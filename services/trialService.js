@@ -0,0 +1,353 @@
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('./contractService');
+const webhookService = require('./webhookService');
+const { buildUnsignedTransaction } = require('../utils/transactionHelper');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * Free trials and introductory pricing
+ *
+ * The contract only knows a plan's price and duration, so both are kept
+ * off-chain on subscription_plans (trial_period, intro_price, intro_periods).
+ *
+ * A trial is an off-chain entitlement for a wallet, limited to one per wallet
+ * per app (one per plan for plans without an app). The subscriber converts it
+ * by purchasing the plan on-chain before trial_end; /purchase/confirm links
+ * the token to the trial. subscription.trial_ending is sent TRIAL_ENDING_LEAD_HOURS
+ * before the trial ends with the purchase transaction to sign, and unconverted
+ * trials expire at trial_end.
+ *
+ * Intro pricing covers a wallet's first intro_periods paid periods in the app.
+ * Off-chain checkout orders are charged the intro price; on-chain purchases
+ * always pay the contract price, so the difference is reported as a discount
+ * for the vendor to settle.
+ */
+
+// How long before the trial ends subscription.trial_ending is sent
+const TRIAL_ENDING_LEAD_HOURS = parseInt(process.env.TRIAL_ENDING_LEAD_HOURS || '72');
+
+// Trials processed per worker run
+const BATCH_SIZE = parseInt(process.env.TRIAL_BATCH_SIZE || '100');
+
+let workerInterval = null;
+
+function trialError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Trials are limited per app; plans without an app are their own scope
+ */
+function getTrialScope(plan) {
+  return plan.app_id !== null && plan.app_id !== undefined ? `app:${plan.app_id}` : `plan:${plan.plan_id}`;
+}
+
+function formatTrial(row) {
+  if (!row) {
+    return null;
+  }
+  // Report lapsed trials as expired even before the worker has run
+  const lapsed = row.status === 'trialing' && new Date(row.trial_end).getTime() <= Date.now();
+  const status = lapsed ? 'expired' : row.status;
+  return {
+    id: row.id,
+    planId: row.plan_id.toString(),
+    subscriberAddress: row.subscriber_address,
+    status,
+    entitled: status === 'trialing',
+    trialStart: new Date(row.trial_start).toISOString(),
+    trialEndsAt: new Date(row.trial_end).toISOString(),
+    tokenId: row.token_id ? row.token_id.toString() : null,
+    network: row.network
+  };
+}
+
+/**
+ * Trial and intro pricing settings of a plan, as returned by the API
+ */
+function getPlanOffers(plan) {
+  const trialPeriod = parseInt(plan.trial_period) || 0;
+  const introPeriods = parseInt(plan.intro_periods) || 0;
+  const hasIntro = plan.intro_price !== null && plan.intro_price !== undefined && introPeriods > 0;
+
+  return {
+    trialPeriod,
+    trialDays: Math.floor(trialPeriod / 86400),
+    introPrice: hasIntro ? String(plan.intro_price) : null,
+    introPeriods: hasIntro ? introPeriods : 0
+  };
+}
+
+/**
+ * Paid periods (purchases and renewals) a wallet has had in the plan's app
+ */
+async function countPaidPeriods(subscriberAddress, plan) {
+  const result = await pool.query(
+    `SELECT COUNT(*) FROM subscription_history h
+     JOIN subscription_plans p ON h.plan_id = p.plan_id
+     WHERE h.subscriber_address = $1
+       AND h.event_type IN ('purchased', 'renewed')
+       AND ${plan.app_id !== null && plan.app_id !== undefined ? 'p.app_id = $2' : 'p.plan_id = $2'}`,
+    [subscriberAddress.toLowerCase(), plan.app_id ?? plan.plan_id]
+  );
+  return parseInt(result.rows[0].count) || 0;
+}
+
+/**
+ * Price for the next paid period given how many the customer already had.
+ * Prices are subscription_plans prices (ETH).
+ */
+function applyIntroPricing(plan, priorPeriods) {
+  const offers = getPlanOffers(plan);
+  const introApplied = offers.introPrice !== null && priorPeriods < offers.introPeriods;
+  const regular = ethers.parseEther(String(plan.price));
+  const charged = introApplied ? ethers.parseEther(offers.introPrice) : regular;
+
+  return {
+    regularPrice: String(plan.price),
+    price: ethers.formatEther(charged),
+    introApplied,
+    introPeriodsRemaining: introApplied ? offers.introPeriods - priorPeriods - 1 : 0,
+    discount: ethers.formatEther(regular - charged)
+  };
+}
+
+async function getPlanRow(planId) {
+  const result = await pool.query(
+    `SELECT plan_id, vendor_address, name, price, duration, app_id, active, trial_period, intro_price, intro_periods, network
+     FROM subscription_plans WHERE plan_id = $1`,
+    [planId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Start a free trial. The caller must already have checked that
+ * subscriberAddress is the signed-in wallet.
+ */
+async function startTrial(planId, subscriberAddress, { network = 'localhost' } = {}) {
+  const plan = await getPlanRow(planId);
+  if (!plan) {
+    throw trialError('Plan not found', 404);
+  }
+  if (plan.active === false) {
+    throw trialError('Plan is not active');
+  }
+
+  const { trialPeriod } = getPlanOffers(plan);
+  if (trialPeriod <= 0) {
+    throw trialError('This plan has no free trial');
+  }
+
+  const scope = getTrialScope(plan);
+  const existing = await pool.query(
+    `SELECT id FROM subscription_trials WHERE subscriber_address = $1 AND trial_scope = $2`,
+    [subscriberAddress.toLowerCase(), scope]
+  );
+  if (existing.rows.length > 0) {
+    throw trialError('This wallet has already used its free trial for this app', 409);
+  }
+  if (await countPaidPeriods(subscriberAddress, plan) > 0) {
+    throw trialError('Free trials are only available to new subscribers of this app', 409);
+  }
+
+  let result;
+  try {
+    result = await pool.query(
+      `INSERT INTO subscription_trials
+       (plan_id, vendor_address, subscriber_address, trial_scope, network, status, trial_start, trial_end, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, 'trialing', NOW(), NOW() + ($6 || ' seconds')::interval, NOW(), NOW())
+       RETURNING *`,
+      [plan.plan_id, plan.vendor_address, subscriberAddress.toLowerCase(), scope, network, trialPeriod]
+    );
+  } catch (error) {
+    // Unique (subscriber_address, trial_scope) - a concurrent request got there first
+    if (error.code === '23505') {
+      throw trialError('This wallet has already used its free trial for this app', 409);
+    }
+    throw error;
+  }
+
+  console.log(`[Trial] 🆓 Trial started for ${subscriberAddress.toLowerCase()} on plan ${plan.plan_id} until ${new Date(result.rows[0].trial_end).toISOString()}`);
+
+  return formatTrial(result.rows[0]);
+}
+
+async function getTrial(trialId) {
+  const result = await pool.query(`SELECT * FROM subscription_trials WHERE id = $1`, [trialId]);
+  return formatTrial(result.rows[0]);
+}
+
+/**
+ * A trial as seen by a vendor's API key: only the vendor's own trials, and
+ * only trials on the key's app when the key belongs to one
+ */
+async function getVendorTrial(trialId, vendorAddress, appId = null) {
+  if (!vendorAddress) {
+    return null;
+  }
+
+  const params = [trialId, vendorAddress.toLowerCase()];
+  let appFilter = '';
+  if (appId !== null && appId !== undefined) {
+    params.push(appId.toString());
+    appFilter = 'AND p.app_id = $3';
+  }
+
+  const result = await pool.query(
+    `SELECT t.* FROM subscription_trials t
+     JOIN subscription_plans p ON p.plan_id = t.plan_id
+     WHERE t.id = $1 AND LOWER(t.vendor_address) = $2 ${appFilter}`,
+    params
+  );
+  return formatTrial(result.rows[0]);
+}
+
+/**
+ * The trial a token was purchased from, if any
+ */
+async function getTrialForToken(tokenId) {
+  const result = await pool.query(`SELECT * FROM subscription_trials WHERE token_id = $1`, [tokenId]);
+  return formatTrial(result.rows[0]);
+}
+
+/**
+ * All trials of a wallet, newest first
+ */
+async function getTrialsBySubscriber(subscriberAddress) {
+  const result = await pool.query(
+    `SELECT * FROM subscription_trials WHERE subscriber_address = $1 ORDER BY trial_start DESC`,
+    [subscriberAddress.toLowerCase()]
+  );
+  return result.rows.map(formatTrial);
+}
+
+/**
+ * Link a confirmed purchase to the wallet's running trial on that plan.
+ * Returns the converted trial, or null if there was none.
+ */
+async function convertTrial(subscriberAddress, planId, tokenId) {
+  const result = await pool.query(
+    `UPDATE subscription_trials
+     SET status = 'converted', token_id = $3, converted_at = NOW(), updated_at = NOW()
+     WHERE subscriber_address = $1 AND plan_id = $2 AND status = 'trialing'
+     RETURNING *`,
+    [subscriberAddress.toLowerCase(), planId, tokenId]
+  );
+  return formatTrial(result.rows[0]);
+}
+
+/**
+ * Send subscription.trial_ending with an unsigned purchase transaction for the subscriber
+ */
+async function sendTrialEnding(trial, contracts) {
+  let transaction = null;
+  try {
+    const network = trial.network || 'localhost';
+    contracts[network] = contracts[network] || await contractService.getContract(network);
+    const contract = contracts[network];
+    const plan = await contract.getPlan(trial.plan_id);
+    transaction = await buildUnsignedTransaction(contract, 'purchaseSubscription', [trial.plan_id, `ipfs://default-${Date.now()}`], {
+      value: plan.price,
+      from: trial.subscriber_address
+    });
+  } catch (error) {
+    console.warn(`[Trial] Could not build purchase transaction for trial ${trial.id}:`, error.message);
+  }
+
+  const apiKeyId = await webhookService.findVendorWebhookKeyId(trial.vendor_address);
+  if (apiKeyId) {
+    const trialEnd = new Date(trial.trial_end);
+    await webhookService.triggerWebhook(apiKeyId, 'subscription.trial_ending', {
+      trialId: trial.id,
+      planId: trial.plan_id.toString(),
+      customerAddress: trial.subscriber_address,
+      status: 'trialing',
+      trialStart: new Date(trial.trial_start).toISOString(),
+      trialEndsAt: trialEnd.toISOString(),
+      secondsRemaining: Math.max(0, Math.round((trialEnd - Date.now()) / 1000)),
+      network: trial.network,
+      transaction
+    });
+  }
+
+  await pool.query(
+    `UPDATE subscription_trials SET trial_ending_notified_at = NOW(), updated_at = NOW() WHERE id = $1`,
+    [trial.id]
+  );
+  return !!apiKeyId;
+}
+
+/**
+ * Send trial_ending reminders and expire unconverted trials
+ */
+async function processTrials() {
+  const expired = await pool.query(
+    `UPDATE subscription_trials SET status = 'expired', updated_at = NOW()
+     WHERE status = 'trialing' AND trial_end <= NOW()
+     RETURNING id`
+  );
+
+  const ending = await pool.query(
+    `SELECT * FROM subscription_trials
+     WHERE status = 'trialing' AND trial_ending_notified_at IS NULL
+       AND trial_end <= NOW() + ($1 || ' hours')::interval
+     ORDER BY trial_end ASC
+     LIMIT $2`,
+    [TRIAL_ENDING_LEAD_HOURS, BATCH_SIZE]
+  );
+
+  const summary = { expired: expired.rows.length, reminders: 0 };
+  const contracts = {};
+
+  for (const trial of ending.rows) {
+    try {
+      if (await sendTrialEnding(trial, contracts)) {
+        summary.reminders++;
+      }
+    } catch (error) {
+      console.error(`[Trial] ❌ Error sending trial_ending for trial ${trial.id}:`, error.message);
+    }
+  }
+
+  if (summary.expired || summary.reminders) {
+    console.log(`[Trial] ✅ expired=${summary.expired} reminders=${summary.reminders}`);
+  }
+  return summary;
+}
+
+/**
+ * Start trial worker (runs every 15 minutes)
+ */
+function startTrialWorker() {
+  if (workerInterval) {
+    return;
+  }
+
+  console.log('[Trial] Starting trial worker...');
+
+  processTrials().catch(console.error);
+  workerInterval = setInterval(() => {
+    processTrials().catch(console.error);
+  }, 900000);
+}
+
+module.exports = {
+  getPlanOffers,
+  applyIntroPricing,
+  countPaidPeriods,
+  startTrial,
+  getTrial,
+  getVendorTrial,
+  getTrialForToken,
+  getTrialsBySubscriber,
+  convertTrial,
+  processTrials,
+  startTrialWorker
+};
@@ -2,12 +2,28 @@ const axios = require('axios');
 const crypto = require('crypto');
 const http = require('http');
 const https = require('https');
+const os = require('os');
 const { Pool } = require('pg');
+const { buildSignatureHeader } = require('../utils/webhookSignature');
+const { SANDBOX_NETWORK, isTestMode } = require('../utils/sandbox');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+// Default retry budget per endpoint delivery (AC3.1)
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Rows stuck in 'processing' longer than this are assumed orphaned by a crashed instance
+const STALE_LOCK_MINUTES = 5;
+
+// Identifies this process when it claims rows from webhook_logs
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Shared keep-alive agents (AC8.1 - optimize for < 2s delivery)
+const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 50 });
+const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 50 });
+
 /**
  * Calculate next retry time with exponential backoff
  */
@@ -26,247 +42,450 @@ function generateWebhookSignature(payload, secret) {
 }
 
 /**
- * Send webhook event
+ * Resolve the key-level webhook (checkout_apps first, then api_keys) and the
+ * app id that registered endpoints in the `webhooks` table are stored under
+ */
+async function resolveKeyOwner(apiKeyId) {
+  const checkoutResult = await pool.query(
+    `SELECT id, webhook_url FROM checkout_apps WHERE id = $1`,
+    [apiKeyId]
+  );
+
+  if (checkoutResult.rows.length > 0) {
+    return {
+      sourceType: 'checkout_apps',
+      appId: `checkout_${checkoutResult.rows[0].id}`,
+      webhookUrl: checkoutResult.rows[0].webhook_url
+    };
+  }
+
+  const keyResult = await pool.query(
+    `SELECT id, app_id, webhook_url FROM api_keys WHERE id = $1`,
+    [apiKeyId]
+  );
+
+  if (keyResult.rows.length > 0) {
+    return {
+      sourceType: 'api_keys',
+      appId: keyResult.rows[0].app_id,
+      webhookUrl: keyResult.rows[0].webhook_url
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build the list of endpoints that should receive an event:
+ * every active registered webhook subscribed to the event type, plus the
+ * legacy key-level webhook_url (skipped if it is also registered)
  */
-async function sendWebhook(apiKeyId, eventType, payload, webhookUrl = null, apiSecret = null) {
-  // Get webhook URL and secret from API key if not provided
-  if (!webhookUrl || !apiSecret) {
-    // Try checkout_apps table first
-    let keyResult = await pool.query(
-      `SELECT webhook_url, api_secret_hash FROM checkout_apps WHERE id = $1 AND webhook_url IS NOT NULL`,
-      [apiKeyId]
+async function resolveDeliveryTargets(apiKeyId, eventType, webhookUrl = null) {
+  const targets = [];
+  const owner = await resolveKeyOwner(apiKeyId);
+
+  if (owner?.appId) {
+    const endpoints = await pool.query(
+      `SELECT id, url FROM webhooks
+       WHERE app_id = $1 AND active = true AND events ? $2`,
+      [owner.appId, eventType]
     );
 
-    // Fallback to api_keys table
-    if (keyResult.rows.length === 0) {
-      keyResult = await pool.query(
-        `SELECT webhook_url, api_secret FROM api_keys WHERE id = $1 AND webhook_url IS NOT NULL`,
-        [apiKeyId]
-      );
+    for (const endpoint of endpoints.rows) {
+      targets.push({ webhookId: endpoint.id, url: endpoint.url, sourceType: 'webhooks' });
     }
+  }
 
-    if (keyResult.rows.length === 0 || !keyResult.rows[0].webhook_url) {
-      console.log(`[Webhook] No webhook URL configured for API key ${apiKeyId}`);
-      return null;
-    }
+  const legacyUrl = webhookUrl || owner?.webhookUrl;
+  if (legacyUrl && !targets.some(t => t.url === legacyUrl)) {
+    targets.push({ webhookId: null, url: legacyUrl, sourceType: owner?.sourceType || 'api_keys' });
+  }
 
-    if (!webhookUrl) {
-      webhookUrl = keyResult.rows[0].webhook_url;
-    }
-    
-    // Note: api_secret_hash is hashed, we need the actual secret
-    // For checkout_apps, we'll need to pass the secret separately
-    // For api_keys, we can use api_secret if available
-    if (!apiSecret && keyResult.rows[0].api_secret) {
-      apiSecret = keyResult.rows[0].api_secret;
-    }
+  return targets;
+}
+
+/**
+ * Secrets a registered endpoint should be signed with: the current secret,
+ * plus the rotated-out one while it is still inside its grace window
+ */
+function getEndpointSecrets(endpoint) {
+  const secrets = [endpoint.secret];
+  if (endpoint.previous_secret && endpoint.previous_secret_expires_at &&
+      new Date(endpoint.previous_secret_expires_at) > new Date()) {
+    secrets.push(endpoint.previous_secret);
   }
+  return secrets.filter(Boolean);
+}
 
-  // Create webhook log entry with max_attempts = 5 (AC3.1)
-  const logResult = await pool.query(
-    `INSERT INTO webhook_logs 
-     (api_key_id, event_type, payload, webhook_url, status, attempt_number, max_attempts)
-     VALUES ($1, $2, $3, $4, 'pending', 1, 5)
-     RETURNING *`,
-    [apiKeyId, eventType, JSON.stringify(payload), webhookUrl]
-  );
+/**
+ * Look up the signing secrets for a delivery at send time, so retries are
+ * always signed with the endpoint's current secret(s)
+ */
+async function getSigningSecrets(webhookLog) {
+  if (webhookLog.webhook_id) {
+    const result = await pool.query(
+      `SELECT secret, previous_secret, previous_secret_expires_at FROM webhooks WHERE id = $1`,
+      [webhookLog.webhook_id]
+    );
+    return result.rows[0] ? getEndpointSecrets(result.rows[0]) : [];
+  }
 
-  const webhookLog = logResult.rows[0];
+  // Checkout apps store sha256(apiSecret), the same derivation api_keys use for
+  // api_secret, so the vendor can compute the signing key from the app secret
+  if (webhookLog.source_type === 'checkout_apps') {
+    const result = await pool.query(
+      `SELECT api_secret_hash FROM checkout_apps WHERE id = $1`,
+      [webhookLog.api_key_id]
+    );
+    return result.rows[0]?.api_secret_hash ? [result.rows[0].api_secret_hash] : [];
+  }
 
-  // Prepare webhook payload
-  const webhookPayload = {
-    event: eventType,
-    timestamp: new Date().toISOString(),
-    data: payload
-  };
+  const result = await pool.query(
+    `SELECT api_secret FROM api_keys WHERE id = $1`,
+    [webhookLog.api_key_id]
+  );
+  return result.rows[0]?.api_secret ? [result.rows[0].api_secret] : [];
+}
 
-  // Generate signature if secret is available
+/**
+ * Build delivery headers for a serialized body.
+ * X-ElitePass-Signature is the timestamped scheme (see utils/webhookSignature);
+ * X-Webhook-Signature is kept for receivers still on the legacy check.
+ */
+function buildDeliveryHeaders(rawBody, secrets, deliveryId) {
   const headers = {
     'Content-Type': 'application/json',
-    'User-Agent': 'ElitePass-Webhook/1.0'
+    'User-Agent': 'ElitePass-Webhook/1.0',
+    'X-Webhook-Id': deliveryId
   };
 
-  if (apiSecret) {
-    const signature = generateWebhookSignature(webhookPayload, apiSecret);
-    headers['X-Webhook-Signature'] = signature;
+  if (secrets.length > 0) {
+    headers['X-ElitePass-Signature'] = buildSignatureHeader(rawBody, secrets);
+    headers['X-Webhook-Signature'] = crypto.createHmac('sha256', secrets[0]).update(rawBody).digest('hex');
   }
 
-  // Send webhook (AC8.1 - optimize for < 2s delivery)
-  try {
-    // Create reusable agents for better performance
-    const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 50 });
-    const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 50 });
-    
-    const response = await axios.post(webhookUrl, webhookPayload, {
-      timeout: 8000, // 8 second timeout (optimized for < 2s target)
-      headers: headers,
-      httpAgent: httpAgent,
-      httpsAgent: httpsAgent
-    });
+  return headers;
+}
 
-    // Update log as success
+/**
+ * Record the outcome of a delivery attempt on the log row and endpoint stats
+ */
+async function recordDeliveryResult(webhookLog, result) {
+  if (result.success) {
     await pool.query(
-      `UPDATE webhook_logs 
-       SET status = 'success', 
+      `UPDATE webhook_logs
+       SET status = 'success',
            status_code = $1,
            response_body = $2,
+           duration_ms = $3,
+           error_message = NULL,
+           next_retry_at = NULL,
+           locked_at = NULL,
+           locked_by = NULL,
            delivered_at = CURRENT_TIMESTAMP
-       WHERE id = $3`,
-      [response.status, JSON.stringify(response.data), webhookLog.id]
+       WHERE id = $4`,
+      [result.statusCode, result.responseBody, result.durationMs, webhookLog.id]
     );
-
-    console.log(`[Webhook] ✅ Successfully sent ${eventType} to ${webhookUrl}`);
-    return { success: true, logId: webhookLog.id };
-
-  } catch (error) {
-    const statusCode = error.response?.status || 0;
-    const errorMessage = error.message || 'Unknown error';
+  } else if (webhookLog.attempt_number >= webhookLog.max_attempts) {
+    // Max attempts reached - move to dead letter (AC7.1)
+    await pool.query(
+      `UPDATE webhook_logs
+       SET status = 'dead_letter',
+           status_code = $1,
+           error_message = $2,
+           duration_ms = $3,
+           next_retry_at = NULL,
+           locked_at = NULL,
+           locked_by = NULL,
+           dead_lettered_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [result.statusCode, `Max attempts (${webhookLog.max_attempts}) reached: ${result.error}`, result.durationMs, webhookLog.id]
+    );
+    console.log(`[Webhook] ❌ Max attempts reached for webhook log ${webhookLog.id} - moved to dead letter`);
+  } else {
     const nextRetry = calculateNextRetry(webhookLog.attempt_number);
-
-    // Update log as failed
     await pool.query(
-      `UPDATE webhook_logs 
+      `UPDATE webhook_logs
        SET status = 'failed',
            status_code = $1,
            error_message = $2,
-           next_retry_at = $3
-       WHERE id = $4`,
-      [statusCode, errorMessage, nextRetry, webhookLog.id]
+           duration_ms = $3,
+           next_retry_at = $4,
+           locked_at = NULL,
+           locked_by = NULL
+       WHERE id = $5`,
+      [result.statusCode, result.error, result.durationMs, nextRetry, webhookLog.id]
     );
+    console.log(`[Webhook] ⏳ Scheduling retry ${webhookLog.attempt_number + 1}/${webhookLog.max_attempts} for ${nextRetry.toISOString()}`);
+  }
+
+  if (webhookLog.webhook_id) {
+    await pool.query(
+      result.success
+        ? `UPDATE webhooks SET success_count = success_count + 1, last_triggered_at = CURRENT_TIMESTAMP WHERE id = $1`
+        : `UPDATE webhooks SET failure_count = failure_count + 1, last_triggered_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [webhookLog.webhook_id]
+    ).catch(error => console.warn('[Webhook] Could not update endpoint stats:', error.message));
+  }
+}
 
-    console.error(`[Webhook] ❌ Failed to send ${eventType} to ${webhookUrl}:`, errorMessage);
+/**
+ * Perform one HTTP delivery for a claimed log row
+ */
+async function deliverWebhookLog(webhookLog) {
+  const data = typeof webhookLog.payload === 'string' ? JSON.parse(webhookLog.payload) : webhookLog.payload;
 
-    // Schedule retry if under max attempts
-    if (webhookLog.attempt_number < webhookLog.max_attempts) {
-      console.log(`[Webhook] ⏳ Scheduling retry ${webhookLog.attempt_number + 1}/${webhookLog.max_attempts} for ${nextRetry.toISOString()}`);
-    }
+  // Prepare webhook payload (livemode: false for events from test-mode keys / the sandbox network).
+  // The delivery id is repeated in the signed body - the X-Webhook-Id header itself is not signed
+  const deliveryId = webhookLog.delivery_id || `whd_${webhookLog.id}`;
+  const webhookPayload = {
+    id: deliveryId,
+    event: webhookLog.event_type,
+    timestamp: new Date().toISOString(),
+    livemode: webhookLog.test_mode !== true,
+    data
+  };
+
+  // Sign and send the exact same bytes
+  const rawBody = JSON.stringify(webhookPayload);
+  const secrets = await getSigningSecrets(webhookLog);
+  const headers = buildDeliveryHeaders(rawBody, secrets, deliveryId);
+
+  const startTime = Date.now();
+  let result;
 
-    return { success: false, logId: webhookLog.id, error: errorMessage };
+  try {
+    const response = await axios.post(webhookLog.webhook_url, rawBody, {
+      timeout: 8000, // 8 second timeout (optimized for < 2s target)
+      headers,
+      httpAgent,
+      httpsAgent
+    });
+
+    result = {
+      success: true,
+      statusCode: response.status,
+      responseBody: JSON.stringify(response.data),
+      durationMs: Date.now() - startTime
+    };
+    console.log(`[Webhook] ✅ Delivered ${webhookLog.event_type} to ${webhookLog.webhook_url} (attempt ${webhookLog.attempt_number})`);
+  } catch (error) {
+    result = {
+      success: false,
+      statusCode: error.response?.status || 0,
+      error: error.message || 'Unknown error',
+      durationMs: Date.now() - startTime
+    };
+    console.error(`[Webhook] ❌ Failed to deliver ${webhookLog.event_type} to ${webhookLog.webhook_url}:`, result.error);
   }
+
+  await recordDeliveryResult(webhookLog, result);
+
+  return { ...result, logId: webhookLog.id, webhookId: webhookLog.webhook_id, url: webhookLog.webhook_url };
 }
 
 /**
- * Retry failed webhooks
+ * Claim a single freshly queued row so exactly one instance sends it
  */
-async function retryFailedWebhooks() {
-  const now = new Date();
-  
-  // Get pending/failed webhooks that are due for retry
+async function claimWebhookLog(logId) {
   const result = await pool.query(
-    `SELECT * FROM webhook_logs 
-     WHERE status IN ('pending', 'failed')
-       AND attempt_number < max_attempts
-       AND (next_retry_at IS NULL OR next_retry_at <= $1)
-     ORDER BY created_at ASC
-     LIMIT 50`,
-    [now]
+    `UPDATE webhook_logs
+     SET status = 'processing',
+         attempt_number = attempt_number + 1,
+         locked_at = CURRENT_TIMESTAMP,
+         locked_by = $2
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [logId, WORKER_ID]
   );
 
-  for (const webhook of result.rows) {
-    const attemptNumber = webhook.attempt_number + 1;
-    
-    // Update attempt number
-    await pool.query(
-      `UPDATE webhook_logs 
-       SET attempt_number = $1, status = 'pending'
-       WHERE id = $2`,
-      [attemptNumber, webhook.id]
+  return result.rows[0] || null;
+}
+
+/**
+ * Claim a batch of due deliveries. FOR UPDATE SKIP LOCKED lets several server
+ * instances drain the queue concurrently without sending a row twice.
+ */
+async function claimDueWebhookLogs(limit = 50) {
+  const result = await pool.query(
+    `UPDATE webhook_logs
+     SET status = 'processing',
+         attempt_number = attempt_number + 1,
+         locked_at = CURRENT_TIMESTAMP,
+         locked_by = $1
+     WHERE id IN (
+       SELECT id FROM webhook_logs
+       WHERE (
+           (status IN ('pending', 'failed') AND (next_retry_at IS NULL OR next_retry_at <= CURRENT_TIMESTAMP))
+           OR (status = 'processing' AND locked_at < CURRENT_TIMESTAMP - ($3 || ' minutes')::interval)
+         )
+         AND attempt_number < max_attempts
+       ORDER BY created_at ASC
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [WORKER_ID, limit, STALE_LOCK_MINUTES.toString()]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Dead-letter deliveries whose worker died while sending their last attempt.
+ * They can't be claimed again (attempt_number has reached max_attempts), so
+ * without this they would stay 'processing' forever.
+ */
+async function deadLetterStaleWebhookLogs() {
+  const result = await pool.query(
+    `UPDATE webhook_logs
+     SET status = 'dead_letter',
+         error_message = 'Max attempts (' || max_attempts || ') reached: worker stopped during final attempt',
+         next_retry_at = NULL,
+         locked_at = NULL,
+         locked_by = NULL,
+         dead_lettered_at = CURRENT_TIMESTAMP
+     WHERE status = 'processing'
+       AND locked_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::interval
+       AND attempt_number >= max_attempts
+     RETURNING id`,
+    [STALE_LOCK_MINUTES.toString()]
+  );
+
+  for (const row of result.rows) {
+    console.log(`[Webhook] ❌ Stale final attempt for webhook log ${row.id} - moved to dead letter`);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Queue one delivery row per endpoint
+ */
+async function enqueueDeliveries(apiKeyId, eventType, payload, targets, maxAttempts = DEFAULT_MAX_ATTEMPTS) {
+  const logs = [];
+  // Test-mode API requests, or events about the sandbox network (e.g. from workers)
+  const testMode = isTestMode() || payload?.network === SANDBOX_NETWORK;
+
+  for (const target of targets) {
+    const logResult = await pool.query(
+      `INSERT INTO webhook_logs
+       (api_key_id, webhook_id, source_type, delivery_id, event_type, payload, webhook_url, status, attempt_number, max_attempts, test_mode)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', 0, $8, $9)
+       RETURNING *`,
+      [apiKeyId, target.webhookId, target.sourceType, `whd_${crypto.randomUUID()}`, eventType, JSON.stringify(payload), target.url, maxAttempts, testMode]
     );
+    logs.push(logResult.rows[0]);
+  }
 
-    // Get API secret for signature if available
-    let apiSecret = null;
-    try {
-      const keyResult = await pool.query(
-        `SELECT api_secret FROM api_keys WHERE id = $1`,
-        [webhook.api_key_id]
-      );
-      if (keyResult.rows.length > 0 && keyResult.rows[0].api_secret) {
-        apiSecret = keyResult.rows[0].api_secret;
-      }
-    } catch (e) {
-      // Ignore
-    }
+  return logs;
+}
 
-    // Prepare webhook payload
-    const webhookPayload = {
-      event: webhook.event_type,
-      timestamp: new Date().toISOString(),
-      data: JSON.parse(webhook.payload)
-    };
+/**
+ * Queue a fresh delivery of an existing log row. The original row is left as
+ * it was; the new row points back at it through replay_of_log_id.
+ */
+async function enqueueReplay(originalLog, webhookUrl = null) {
+  const result = await pool.query(
+    `INSERT INTO webhook_logs
+     (api_key_id, webhook_id, source_type, delivery_id, event_type, payload, webhook_url,
+      status, attempt_number, max_attempts, replay_of_log_id, test_mode)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', 0, $8, $9, $10)
+     RETURNING *`,
+    [
+      originalLog.api_key_id,
+      originalLog.webhook_id,
+      originalLog.source_type,
+      `whd_${crypto.randomUUID()}`,
+      originalLog.event_type,
+      typeof originalLog.payload === 'string' ? originalLog.payload : JSON.stringify(originalLog.payload),
+      webhookUrl || originalLog.webhook_url,
+      DEFAULT_MAX_ATTEMPTS,
+      originalLog.id,
+      originalLog.test_mode === true
+    ]
+  );
 
-    // Generate signature if secret available
-    const headers = {
-      'Content-Type': 'application/json',
-      'User-Agent': 'ElitePass-Webhook/1.0'
-    };
+  return result.rows[0];
+}
+
+/**
+ * Redeliver a single log row now. Failures fall back to the normal retry
+ * schedule on the new row.
+ */
+async function redeliverWebhookLog(originalLog, webhookUrl = null) {
+  const replay = await enqueueReplay(originalLog, webhookUrl);
+  const claimed = await claimWebhookLog(replay.id);
+
+  if (!claimed) {
+    return { success: false, queued: true, logId: replay.id, webhookId: replay.webhook_id, url: replay.webhook_url };
+  }
+
+  return await deliverWebhookLog(claimed);
+}
+
+/**
+ * Send webhook event.
+ * Fans the event out to every endpoint subscribed to it. Each endpoint gets
+ * its own webhook_logs row (and therefore its own retry/dead-letter state);
+ * the first attempt is made inline, retries are picked up by the worker.
+ */
+async function sendWebhook(apiKeyId, eventType, payload, webhookUrl = null) {
+  const targets = await resolveDeliveryTargets(apiKeyId, eventType, webhookUrl);
+
+  if (targets.length === 0) {
+    console.log(`[Webhook] No endpoints subscribed to ${eventType} for API key ${apiKeyId}`);
+    return null;
+  }
 
-    if (apiSecret) {
-      const signature = generateWebhookSignature(webhookPayload, apiSecret);
-      headers['X-Webhook-Signature'] = signature;
+  const queued = await enqueueDeliveries(apiKeyId, eventType, payload, targets);
+
+  const deliveries = [];
+  for (const log of queued) {
+    const claimed = await claimWebhookLog(log.id);
+    if (!claimed) {
+      // Another instance already picked it up
+      continue;
     }
+    deliveries.push(await deliverWebhookLog(claimed));
+  }
 
-    // Retry sending
-    try {
-      const response = await axios.post(webhook.webhook_url, webhookPayload, {
-        timeout: 10000,
-        headers: headers
-      });
-
-      // Success
-      await pool.query(
-        `UPDATE webhook_logs 
-         SET status = 'success',
-             status_code = $1,
-             response_body = $2,
-             delivered_at = CURRENT_TIMESTAMP
-         WHERE id = $3`,
-        [response.status, JSON.stringify(response.data), webhook.id]
-      );
-
-      console.log(`[Webhook] ✅ Retry successful for webhook ${webhook.id} (attempt ${attemptNumber})`);
+  return {
+    success: deliveries.length > 0 && deliveries.every(d => d.success),
+    logId: queued[0].id,
+    deliveries: deliveries.map(d => ({
+      logId: d.logId,
+      webhookId: d.webhookId,
+      url: d.url,
+      success: d.success,
+      error: d.error
+    }))
+  };
+}
+
+/**
+ * Retry failed webhooks (drains due rows from the queue)
+ */
+async function retryFailedWebhooks() {
+  await deadLetterStaleWebhookLogs();
+  const claimed = await claimDueWebhookLogs();
 
+  for (const webhookLog of claimed) {
+    try {
+      await deliverWebhookLog(webhookLog);
     } catch (error) {
-      const statusCode = error.response?.status || 0;
-      const errorMessage = error.message || 'Unknown error';
-      const nextRetry = calculateNextRetry(attemptNumber);
-
-      // Update as failed, schedule next retry if under max
-      if (attemptNumber < webhook.max_attempts) {
-        await pool.query(
-          `UPDATE webhook_logs 
-           SET status = 'failed',
-               status_code = $1,
-               error_message = $2,
-               next_retry_at = $3
-           WHERE id = $4`,
-          [statusCode, errorMessage, nextRetry, webhook.id]
-        );
-      } else {
-        // Max attempts reached - mark as permanently failed (AC7.1)
-        await pool.query(
-          `UPDATE webhook_logs 
-           SET status = 'failed',
-               status_code = $1,
-               error_message = $2
-           WHERE id = $3`,
-          [statusCode, `Max attempts (${webhook.max_attempts}) reached: ${errorMessage}`, webhook.id]
-        );
-        console.log(`[Webhook] ❌ Max attempts reached for webhook ${webhook.id} - permanently failed`);
-        
-        // TODO: Optionally notify vendor via email if configured (AC7.1)
-        // This would require email service integration
-      }
+      console.error(`[Webhook] Error processing webhook log ${webhookLog.id}:`, error.message);
     }
   }
 
-  return result.rows.length;
+  return claimed.length;
 }
 
 /**
  * Trigger webhook events
  */
-async function triggerWebhook(apiKeyId, eventType, payload, webhookUrl = null, apiSecret = null) {
-  return await sendWebhook(apiKeyId, eventType, payload, webhookUrl, apiSecret);
+async function triggerWebhook(apiKeyId, eventType, payload, webhookUrl = null) {
+  return await sendWebhook(apiKeyId, eventType, payload, webhookUrl);
 }
 
 /**
@@ -304,12 +523,36 @@ async function getApiKeyIdFromKey(apiKey) {
   return null;
 }
 
+/**
+ * Find the vendor's webhook key id (checkout_apps first, then api_keys)
+ */
+async function findVendorWebhookKeyId(vendorAddress) {
+  if (!vendorAddress) {
+    return null;
+  }
+
+  let result = await pool.query(
+    `SELECT id FROM checkout_apps WHERE vendor_address = $1 AND status = 'active' LIMIT 1`,
+    [vendorAddress.toLowerCase()]
+  );
+
+  // Fallback to api_keys
+  if (result.rows.length === 0) {
+    result = await pool.query(
+      `SELECT id FROM api_keys WHERE vendor_address = $1 AND active = true LIMIT 1`,
+      [vendorAddress.toLowerCase()]
+    );
+  }
+
+  return result.rows[0]?.id || null;
+}
+
 /**
  * Get webhook logs for an API key
  */
 async function getWebhookLogs(apiKeyId, limit = 100) {
   const result = await pool.query(
-    `SELECT * FROM webhook_logs 
+    `SELECT * FROM webhook_logs
      WHERE api_key_id = $1
      ORDER BY created_at DESC
      LIMIT $2`,
@@ -323,8 +566,8 @@ async function getWebhookLogs(apiKeyId, limit = 100) {
  * Start webhook retry worker (runs every minute)
  */
 function startWebhookWorker() {
-  console.log('[Webhook] Starting webhook retry worker...');
-  
+  console.log(`[Webhook] Starting webhook delivery worker (${WORKER_ID})...`);
+
   // Run immediately
   retryFailedWebhooks().catch(console.error);
 
@@ -341,7 +584,12 @@ module.exports = {
   getWebhookLogs,
   startWebhookWorker,
   generateWebhookSignature,
-  getApiKeyIdFromKey
+  getApiKeyIdFromKey,
+  findVendorWebhookKeyId,
+  buildDeliveryHeaders,
+  getEndpointSecrets,
+  deliverWebhookLog,
+  enqueueReplay,
+  redeliverWebhookLog,
+  DEFAULT_MAX_ATTEMPTS
 };
-
-
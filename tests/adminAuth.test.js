@@ -0,0 +1,166 @@
+/**
+ * Test: Admin authentication and role-based access control
+ *
+ * This test verifies that:
+ * 1. Admin headers, referers and unknown tokens no longer grant admin access
+ * 2. Hashed admin API tokens and allowlisted SIWE wallets authenticate with their role
+ * 3. Roles are enforced per route (viewer < operator < superadmin)
+ * 4. Privileged actions, including denied attempts, are written to admin_audit_log
+ */
+
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+const adminRouter = require('../routes/admin');
+const { isAdmin } = require('../middleware/adminAuth');
+
+const ADMIN_WALLET = '0x627306090abab3a6e1400e9345bc60c78a8bef57';
+const SESSION_TOKEN = 'session-token';
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+const TOKENS = {
+  [hash('adm_viewer')]: { id: 1, name: 'dashboard', role: 'viewer' },
+  [hash('adm_operator')]: { id: 2, name: 'on-call', role: 'operator' }
+};
+
+describe('Admin RBAC', () => {
+  let app;
+  let pool;
+  let audit;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ADMIN_WALLETS = `${ADMIN_WALLET}:superadmin`;
+    audit = [];
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('UPDATE admin_api_tokens')) {
+        return { rows: TOKENS[params[0]] ? [TOKENS[params[0]]] : [] };
+      }
+      if (sql.includes('FROM wallet_sessions')) {
+        return { rows: params[0] === hash(SESSION_TOKEN) ? [{ wallet_address: ADMIN_WALLET }] : [] };
+      }
+      if (sql.includes('INSERT INTO admin_audit_log')) {
+        audit.push({ identity: params[0], role: params[2], action: params[3], outcome: params[4], status: params[8], params: JSON.parse(params[7]) });
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE maintenance_mode')) {
+        return { rows: [{ entity_type: params[3] }] };
+      }
+      if (sql.includes('INSERT INTO admin_users')) {
+        return { rows: [{ wallet_address: params[0], role: params[1], created_by: params[2] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_WALLETS;
+  });
+
+  it('should not trust admin headers or referers', async () => {
+    const res = await request(app)
+      .get('/api/admin/maintenance-mode')
+      .set('x-admin-address', ADMIN_WALLET)
+      .set('x-admin-token', 'anything')
+      .set('Referer', 'https://app.example.com/admin');
+
+    expect(res.status).toBe(401);
+    expect(await isAdmin({ headers: { 'x-admin-address': ADMIN_WALLET, referer: '/admin' } })).toBe(false);
+  });
+
+  it('should let viewers read but not toggle maintenance mode', async () => {
+    const read = await request(app).get('/api/admin/maintenance-mode').set('x-admin-token', 'adm_viewer');
+    expect(read.status).toBe(200);
+
+    const toggle = await request(app)
+      .post('/api/admin/maintenance-mode')
+      .set('x-admin-token', 'adm_viewer')
+      .send({ entityType: 'vendor', enabled: true });
+    expect(toggle.status).toBe(403);
+
+    expect(audit).toEqual([
+      expect.objectContaining({ identity: 'token:1:dashboard', action: 'maintenance.toggle', outcome: 'denied', status: 403 })
+    ]);
+  });
+
+  it('should let operators toggle maintenance mode and audit it', async () => {
+    const res = await request(app)
+      .post('/api/admin/maintenance-mode')
+      .set('x-admin-token', 'adm_operator')
+      .send({ entityType: 'vendor', enabled: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.enabledBy).toBe('token:2:on-call');
+    expect(audit).toEqual([
+      expect.objectContaining({ role: 'operator', action: 'maintenance.toggle', outcome: 'success', status: 200 })
+    ]);
+
+    // Operators can't reach superadmin routes
+    const cleanup = await request(app)
+      .post('/api/admin/db-cleanup')
+      .set('x-admin-token', 'adm_operator')
+      .send({ confirmation: 'CLEAR_ALL_EXCEPT_VENDORS' });
+    expect(cleanup.status).toBe(403);
+  });
+
+  it('should authenticate allowlisted wallets through their SIWE session', async () => {
+    const res = await request(app)
+      .post('/api/admin/admins')
+      .set('Authorization', `Bearer ${SESSION_TOKEN}`)
+      .send({ walletAddress: '0xf17f52151ebef6c7334fad080c5704d77216b732', role: 'viewer' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.created_by).toBe(ADMIN_WALLET);
+    expect(audit).toEqual([
+      expect.objectContaining({ identity: ADMIN_WALLET, role: 'superadmin', action: 'admins.manage', outcome: 'success' })
+    ]);
+  });
+
+  it('should filter the audit log by wallet or token identity', async () => {
+    const auditQuery = () => pool.query.mock.calls.filter(([sql]) => sql.includes('FROM admin_audit_log')).pop();
+
+    const byWallet = await request(app)
+      .get('/api/admin/audit-log')
+      .query({ admin: '0x627306090abaB3A6e1400e9345bC60c78a8BEf57' })
+      .set('Authorization', `Bearer ${SESSION_TOKEN}`);
+    expect(byWallet.status).toBe(200);
+    expect(auditQuery()[1][0]).toBe(ADMIN_WALLET);
+
+    const byToken = await request(app)
+      .get('/api/admin/audit-log')
+      .query({ admin: 'token:2:On-Call' })
+      .set('Authorization', `Bearer ${SESSION_TOKEN}`);
+    expect(byToken.status).toBe(200);
+    expect(auditQuery()[1][0]).toBe('token:2:On-Call');
+  });
+
+  it('should redact secrets from audited request bodies', async () => {
+    await request(app)
+      .post('/api/admin/db-cleanup')
+      .set('Authorization', `Bearer ${SESSION_TOKEN}`)
+      .send({ adminSecret: 'hunter2', confirmation: 'nope' });
+
+    expect(audit[0].params.body.adminSecret).toBe('[redacted]');
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Test: Granular API key scopes
+ *
+ * This test verifies that:
+ * 1. Keys are created with explicit scopes and unknown scopes are rejected
+ * 2. Integration endpoints require their scope, and legacy keys keep working
+ * 3. App-level keys get the default read + webhooks:manage + sandbox:manage scopes only
+ * 4. /api/webhooks, /api/checkout and the CDN checkout enforce scopes on X-API-Key requests
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { Pool } = require('pg');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  mockPool.connect = jest.fn(async () => ({ query: mockPool.query, release: jest.fn() }));
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../checkout/helpers/contract', () => ({
+  getContract: jest.fn(),
+  getOwnerContract: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const apiKeysRouter = require('../routes/api-keys');
+const integrationRouter = require('../routes/api-integration');
+const webhooksRouter = require('../routes/webhooks');
+const checkoutRouter = require('../checkout/routes/checkout');
+const cdnIntegrationRouter = require('../routes/cdn-integration');
+
+const APP_ID = 'app_scopes';
+
+describe('API key scopes', () => {
+  let app;
+  let pool;
+  let keys;
+  let appKeys;
+  let insertedKey;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/api-keys', apiKeysRouter);
+    app.use('/api/integration', integrationRouter);
+    app.use('/api/webhooks', webhooksRouter);
+    app.use('/api/checkout', checkoutRouter);
+    app.use('/cdn-integration', cdnIntegrationRouter);
+    app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    insertedKey = null;
+
+    keys = {
+      sk_users_read: { id: 1, app_id: APP_ID, permission_level: 'read', scopes: ['users:read'] },
+      sk_legacy_rw: { id: 2, app_id: APP_ID, permission_level: 'read-write', scopes: null },
+      sk_checkout: { id: 3, app_id: APP_ID, permission_level: 'read-write', scopes: ['checkout:create'] }
+    };
+    appKeys = {
+      ak_app: { app_id: APP_ID, vendor_address: '0xvendor', name: 'Scopes App', active: true, api_key_scopes: null }
+    };
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM api_keys ak')) {
+        const key = keys[params[0]];
+        return { rows: key ? [{ ...key, api_key: params[0], active: true }] : [] };
+      }
+      if (sql.includes('FROM apps WHERE api_key')) {
+        const appRow = appKeys[params[0]];
+        return { rows: appRow ? [appRow] : [] };
+      }
+      if (sql.includes('SELECT * FROM apps WHERE app_id')) {
+        return { rows: [{ app_id: APP_ID }] };
+      }
+      if (sql.includes('INSERT INTO api_keys')) {
+        insertedKey = params;
+        return { rows: [{ id: 9, api_key: params[1], name: params[3], permission_level: params[4], scopes: params[6] }] };
+      }
+      if (sql.includes('INSERT INTO external_users')) {
+        return { rows: [{ app_id: params[0], external_user_id: params[1] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('creates keys with explicit scopes and rejects unknown ones', async () => {
+    const created = await request(app)
+      .post('/api/api-keys')
+      .send({ appId: APP_ID, name: 'Reader', scopes: ['users:read', 'orders:read'] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.scopes).toEqual(['users:read', 'orders:read']);
+    expect(created.body.data.permissionLevel).toBe('read');
+    expect(insertedKey).toContainEqual(['users:read', 'orders:read']);
+
+    const rejected = await request(app)
+      .post('/api/api-keys')
+      .send({ appId: APP_ID, scopes: ['users:read', 'users:delete'] });
+
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.availableScopes).toContain('subscriptions:mint');
+  });
+
+  it('enforces scopes on integration endpoints and maps legacy keys to scopes', async () => {
+    const denied = await request(app)
+      .post('/api/integration/users')
+      .set('Authorization', 'Bearer sk_users_read')
+      .send({ userId: 'user-1' });
+
+    expect(denied.status).toBe(403);
+    expect(denied.body.requiredScope).toBe('users:write');
+    expect(denied.body.scopes).toEqual(['users:read']);
+
+    const legacy = await request(app)
+      .post('/api/integration/users')
+      .set('Authorization', 'Bearer sk_legacy_rw')
+      .send({ userId: 'user-1' });
+
+    expect(legacy.status).toBe(201);
+    expect(legacy.body.data.external_user_id).toBe('user-1');
+  });
+
+  it('limits app-level keys to the default read, webhook and sandbox scopes', async () => {
+    const minted = await request(app)
+      .post('/api/integration/mint')
+      .set('X-API-Key', 'ak_app')
+      .send({ userId: 'user-1', planId: 'plan-1' });
+
+    expect(minted.status).toBe(403);
+    expect(minted.body.requiredScope).toBe('subscriptions:mint');
+    expect(minted.body.scopes).toContain('webhooks:manage');
+    expect(minted.body.scopes).toContain('sandbox:manage');
+
+    const user = await request(app)
+      .get('/api/integration/users/user-1')
+      .set('X-API-Key', 'ak_app');
+
+    expect(user.status).toBe(404);
+  });
+
+  it('enforces scopes on webhook and checkout endpoints', async () => {
+    const webhooks = await request(app)
+      .get('/api/webhooks')
+      .set('X-API-Key', 'sk_checkout');
+
+    expect(webhooks.status).toBe(403);
+    expect(webhooks.body.requiredScope).toBe('webhooks:manage');
+
+    const order = await request(app)
+      .post('/api/checkout/create-order')
+      .set('X-API-Key', 'sk_users_read')
+      .send({ items: [] });
+
+    expect(order.status).toBe(403);
+    expect(order.body.requiredScope).toBe('checkout:create');
+
+    const unknown = await request(app)
+      .post('/api/checkout/create-order')
+      .set('X-API-Key', 'sk_unknown')
+      .send({ items: [] });
+
+    expect(unknown.status).toBe(401);
+
+    const cdnCheckout = await request(app)
+      .post('/cdn-integration/checkout')
+      .set('X-API-Key', 'sk_users_read')
+      .send({ planId: 'plan-1', walletAddress: '0x627306090abaB3A6e1400e9345bC60c78a8BEf57' });
+
+    expect(cdnCheckout.status).toBe(403);
+    expect(cdnCheckout.body.requiredScope).toBe('checkout:create');
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('FROM subscription_plans'))).toBe(false);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Test: API key rate limiting and quotas
+ *
+ * This test verifies that:
+ * 1. Keys get a token bucket: burst requests pass, the next one is 429 with Retry-After until it refills
+ *    (also for keys resolved by requireScope on X-API-Key routers)
+ * 2. Limits follow the vendor's tier, with per-key overrides on top
+ * 3. Daily quotas continue from the persisted usage and are flushed back to Postgres
+ * 4. GET /api/api-keys/:id/stats exposes limits, current usage and daily history
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { Pool } = require('pg');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+const { apiKeyAuth, requireScope } = require('../middleware/apiKeyAuth');
+const apiKeysRouter = require('../routes/api-keys');
+const rateLimitService = require('../services/rateLimitService');
+
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const NOW = Date.UTC(2026, 9, 18, 12, 0, 0);
+
+describe('API rate limiting', () => {
+  let app;
+  let pool;
+  let keys;
+  let vendorTier;
+  let usageRows;
+  let upserts;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.get('/ping', apiKeyAuth, (req, res) => res.json({ ok: true }));
+    app.get('/scoped', requireScope('users:read'), (req, res) => res.json({ ok: true }));
+    app.use('/api/api-keys', apiKeysRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    rateLimitService.clearLimitsCache();
+
+    keys = {};
+    vendorTier = null;
+    usageRows = [];
+    upserts = [];
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM api_keys ak') && sql.includes('ak.api_key = $1')) {
+        const key = Object.values(keys).find((k) => k.api_key === params[0]);
+        return { rows: key ? [key] : [] };
+      }
+      if (sql.includes('FROM api_keys ak') && sql.includes('ak.id = $1')) {
+        const key = keys[params[0]];
+        return { rows: key ? [key] : [] };
+      }
+      if (sql.includes('FROM rate_limit_tiers')) {
+        return { rows: [] };
+      }
+      if (sql.includes('FROM vendor_profiles')) {
+        return { rows: vendorTier ? [{ rate_limit_tier: vendorTier }] : [] };
+      }
+      if (sql.includes('SELECT period, request_count FROM api_rate_limit_usage')) {
+        return { rows: usageRows.filter((row) => row.bucket_key === params[0]) };
+      }
+      if (sql.includes('INSERT INTO api_rate_limit_usage')) {
+        upserts.push(params);
+        const existing = usageRows.find((row) => row.bucket_key === params[0] && row.period === params[3]);
+        return { rows: [{ request_count: (existing ? existing.request_count : 0) + params[5] }] };
+      }
+      if (sql.includes('FROM api_activity_logs')) {
+        return { rows: [{ total_requests: '2', success_count: '2', error_count: '0' }] };
+      }
+      if (sql.includes("period = 'day' AND period_start >=")) {
+        return { rows: [{ period_start: new Date(Date.UTC(2026, 9, 17)), request_count: '41' }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function addKey(id, overrides = {}) {
+    keys[id] = {
+      id,
+      api_key: `sk_rate_${id}`,
+      app_id: 'app_rate',
+      vendor_address: VENDOR,
+      permission_level: 'read',
+      scopes: ['users:read'],
+      active: true,
+      ...overrides
+    };
+    return keys[id].api_key;
+  }
+
+  it('allows a burst and then returns 429 with Retry-After until the bucket refills', async () => {
+    const apiKey = addKey(101, { burst_limit: 3, rate_limit: 60 });
+
+    for (let i = 0; i < 3; i++) {
+      const ok = await request(app).get('/ping').set('X-API-Key', apiKey);
+      expect(ok.status).toBe(200);
+      expect(ok.headers['x-ratelimit-remaining']).toBe(String(2 - i));
+    }
+
+    const limited = await request(app).get('/ping').set('X-API-Key', apiKey);
+    expect(limited.status).toBe(429);
+    expect(limited.body.limitType).toBe('burst');
+    expect(limited.headers['retry-after']).toBe('1');
+    expect(limited.headers['x-ratelimit-burst']).toBe('3');
+
+    Date.now.mockReturnValue(NOW + 1000);
+    const refilled = await request(app).get('/ping').set('X-API-Key', apiKey);
+    expect(refilled.status).toBe(200);
+
+    // Rate limiting doesn't scan the request log
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('api_activity_logs'))).toBe(false);
+  });
+
+  it('rate limits keys resolved by requireScope the same way', async () => {
+    const apiKey = addKey(106, { burst_limit: 2, rate_limit: 60 });
+
+    for (let i = 0; i < 2; i++) {
+      const ok = await request(app).get('/scoped').set('X-API-Key', apiKey);
+      expect(ok.status).toBe(200);
+      expect(ok.headers['x-ratelimit-remaining']).toBe(String(1 - i));
+    }
+
+    const limited = await request(app).get('/scoped').set('X-API-Key', apiKey);
+    expect(limited.status).toBe(429);
+    expect(limited.body).toMatchObject({ error: 'Rate limit exceeded', limitType: 'burst', retryAfter: 1 });
+    expect(limited.headers['retry-after']).toBe('1');
+  });
+
+  it('uses the vendor tier limits with per-key overrides', async () => {
+    vendorTier = 'pro';
+    const tierKey = addKey(102);
+    const overrideKey = addKey(103, { rate_limit: 1200 });
+
+    const tierResponse = await request(app).get('/ping').set('X-API-Key', tierKey);
+    expect(tierResponse.headers['x-ratelimit-limit']).toBe('600');
+    expect(tierResponse.headers['x-ratelimit-burst']).toBe('100');
+    expect(tierResponse.headers['x-quota-daily-limit']).toBe('250000');
+
+    const overrideResponse = await request(app).get('/ping').set('X-API-Key', overrideKey);
+    expect(overrideResponse.headers['x-ratelimit-limit']).toBe('1200');
+    expect(overrideResponse.headers['x-ratelimit-burst']).toBe('100');
+  });
+
+  it('continues the daily quota from persisted usage and flushes new usage', async () => {
+    const apiKey = addKey(104, { daily_quota: 5 });
+    usageRows.push({ bucket_key: 'key:104', period: 'day', request_count: 4 });
+
+    const last = await request(app).get('/ping').set('X-API-Key', apiKey);
+    expect(last.status).toBe(200);
+    expect(last.headers['x-quota-daily-remaining']).toBe('0');
+
+    const over = await request(app).get('/ping').set('X-API-Key', apiKey);
+    expect(over.status).toBe(429);
+    expect(over.body.error).toBe('Quota exceeded');
+    expect(over.body.limitType).toBe('daily_quota');
+    // Resets at the next UTC midnight (12 hours away)
+    expect(over.headers['retry-after']).toBe(String(12 * 60 * 60));
+
+    await rateLimitService.flushUsage();
+    const dayUpsert = upserts.find((params) => params[0] === 'key:104' && params[3] === 'day');
+    expect(dayUpsert[1]).toBe(104);
+    expect(dayUpsert[4]).toEqual(new Date(Date.UTC(2026, 9, 18)));
+    expect(dayUpsert[5]).toBe(1);
+  });
+
+  it('exposes limits and usage counters on the key stats endpoint', async () => {
+    const apiKey = addKey(105, { burst_limit: 10 });
+    await request(app).get('/ping').set('X-API-Key', apiKey);
+    await request(app).get('/ping').set('X-API-Key', apiKey);
+
+    const stats = await request(app).get('/api/api-keys/105/stats');
+
+    expect(stats.status).toBe(200);
+    expect(stats.body.data.total_requests).toBe('2');
+    expect(stats.body.data.rateLimit).toMatchObject({
+      tier: 'free',
+      burstLimit: 10,
+      rateLimit: 60,
+      remaining: 8,
+      daily: { limit: 10000, used: 2, remaining: 9998 },
+      monthly: { limit: 200000, used: 2 }
+    });
+    expect(stats.body.data.rateLimit.history).toEqual([{ date: '2026-10-17', requests: 41 }]);
+  });
+});
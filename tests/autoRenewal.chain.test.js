@@ -0,0 +1,107 @@
+/**
+ * Test: ERC-20 auto-renewal against a local chain (Ganache / Hardhat node)
+ *
+ * Full cycle: opt in -> approve -> time travel to the renewal window -> worker
+ * charges the allowance and renews -> allowance revoked -> next period fails
+ * and is scheduled for retry.
+ *
+ * Skipped unless RUN_CHAIN_TESTS=true. Needs:
+ * - GANACHE_URL node with evm_increaseTime, the subscription contract deployed
+ *   for "localhost" and an ERC-20 test token at AUTO_RENEW_USDT_LOCALHOST
+ * - DATABASE_URL with scripts/create-auto-renewal-tables.js applied
+ * - AUTO_RENEW_RELAYER_PRIVATE_KEY (funded with ETH for the plan price and gas)
+ * - AUTO_RENEW_TEST_SUBSCRIBER_KEY owning AUTO_RENEW_TEST_TOKEN_ID and holding test USDT
+ */
+
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const runChainTests = process.env.RUN_CHAIN_TESTS === 'true';
+const maybeDescribe = runChainTests ? describe : describe.skip;
+
+const ERC20_ABI = [
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function balanceOf(address account) view returns (uint256)'
+];
+
+maybeDescribe('ERC-20 auto-renewal (chain)', () => {
+  const network = 'localhost';
+  const tokenId = process.env.AUTO_RENEW_TEST_TOKEN_ID;
+  let autoRenewalService;
+  let contractService;
+  let pool;
+  let provider;
+  let subscriber;
+  let contract;
+  let usdt;
+
+  async function travelTo(timestamp) {
+    const block = await provider.getBlock('latest');
+    const delta = Number(timestamp) - block.timestamp;
+    if (delta > 0) {
+      await provider.send('evm_increaseTime', [delta]);
+    }
+    await provider.send('evm_mine', []);
+  }
+
+  async function runWorkerNow() {
+    await pool.query(`UPDATE auto_renewals SET next_attempt_at = NOW() - INTERVAL '1 second' WHERE token_id = $1`, [tokenId]);
+    return autoRenewalService.processAutoRenewals();
+  }
+
+  beforeAll(async () => {
+    autoRenewalService = require('../services/autoRenewalService');
+    contractService = require('../services/contractService');
+    pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+    provider = new ethers.JsonRpcProvider(process.env.GANACHE_URL || 'http://localhost:8545');
+    subscriber = new ethers.Wallet(process.env.AUTO_RENEW_TEST_SUBSCRIBER_KEY, provider);
+    contract = await contractService.getContract(network);
+    usdt = new ethers.Contract(process.env.AUTO_RENEW_USDT_LOCALHOST, ERC20_ABI, provider);
+
+    await pool.query('DELETE FROM auto_renewal_attempts WHERE token_id = $1', [tokenId]);
+    await pool.query('DELETE FROM auto_renewals WHERE token_id = $1', [tokenId]);
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  test('charges the allowance and renews before expiry', async () => {
+    const optIn = await autoRenewalService.enableAutoRenew(tokenId, subscriber.address, { network });
+    const approveTx = await subscriber.sendTransaction({ to: optIn.transaction.to, data: optIn.transaction.data });
+    await approveTx.wait();
+
+    const before = await contract.getSubscription(tokenId);
+    const balanceBefore = await usdt.balanceOf(subscriber.address);
+    await travelTo(before.endTime - 3600n);
+
+    const summary = await runWorkerNow();
+    expect(summary.renewed).toBe(1);
+
+    const after = await contract.getSubscription(tokenId);
+    expect(after.endTime).toBeGreaterThan(before.endTime);
+    expect(await usdt.balanceOf(subscriber.address)).toBe(balanceBefore - BigInt(optIn.quote.amountUnits));
+
+    const status = await autoRenewalService.getAutoRenewStatus(tokenId);
+    expect(status.status).toBe('active');
+    expect(status.lastRenewedAt).not.toBeNull();
+  }, 120000);
+
+  test('retries the next period once the allowance is revoked', async () => {
+    const revoke = await usdt.connect(subscriber).approve((await autoRenewalService.enableAutoRenew(tokenId, subscriber.address, { network })).spender, 0n);
+    await revoke.wait();
+
+    const current = await contract.getSubscription(tokenId);
+    await travelTo(current.endTime - 3600n);
+
+    const summary = await runWorkerNow();
+    expect(summary.failed).toBe(1);
+
+    const status = await autoRenewalService.getAutoRenewStatus(tokenId);
+    expect(status.status).toBe('retrying');
+    expect(status.attempts).toBe(1);
+    expect((await contract.getSubscription(tokenId)).endTime).toBe(current.endTime);
+  }, 120000);
+});
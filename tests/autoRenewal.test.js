@@ -0,0 +1,298 @@
+/**
+ * Test: ERC-20 auto-renewal
+ *
+ * This test verifies that:
+ * 1. Opting in returns a quote and an unsigned approve() transaction for the relayer
+ * 2. The worker pulls the allowance and renews on-chain shortly before endTime
+ * 3. Failed charges are retried within the grace period, then given up on
+ * 4. A charge whose renewal failed is reused on retry and refunded when giving up
+ * 5. subscription.renewed and subscription.renewal_failed webhooks are sent
+ */
+
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+const webhookService = require('../services/webhookService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+// ERC-20 calls go through ethers.Contract; everything else is the real ethers
+jest.mock('ethers', () => {
+  const actual = jest.requireActual('ethers');
+  return { ...actual, ethers: { ...actual.ethers, Contract: jest.fn() } };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true }),
+  findVendorWebhookKeyId: jest.fn().mockResolvedValue(4)
+}));
+jest.mock('../checkout/services/priceConversion', () => ({
+  getExchangeRate: jest.fn(async (coin) => ({ rate: coin === 'ETH' ? 250000 : 83, source: 'test', cached: true }))
+}));
+
+const autoRenewalService = require('../services/autoRenewalService');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const USDT_ADDRESS = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const SUBSCRIBER = '0x627306090abab3a6e1400e9345bc60c78a8bef57';
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const RELAYER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const RELAYER = new ethers.Wallet(RELAYER_KEY).address;
+const PLAN_PRICE = ethers.parseEther('0.01');
+// 0.01 ETH * 250000 INR / 83 INR, in 6-decimal USDT, rounded up
+const QUOTE = 30120482n;
+const HOUR = 3600;
+
+const subscriptionIface = new ethers.Interface([
+  'event SubscriptionRenewed(uint256 indexed tokenId, uint256 indexed planId, address indexed subscriber, uint256 newEndTime)'
+]);
+const erc20Iface = new ethers.Interface([
+  'function approve(address spender, uint256 amount) returns (bool)'
+]);
+
+describe('ERC-20 auto-renewal', () => {
+  let pool;
+  let contract;
+  let token;
+  let onChain;
+  let renewals;
+  let attempts;
+  let charges;
+
+  beforeAll(() => {
+    pool = new Pool();
+    process.env.AUTO_RENEW_USDT_LOCALHOST = USDT_ADDRESS;
+    process.env.AUTO_RENEW_RELAYER_PRIVATE_KEY = RELAYER_KEY;
+  });
+
+  afterAll(() => {
+    delete process.env.AUTO_RENEW_USDT_LOCALHOST;
+    delete process.env.AUTO_RENEW_RELAYER_PRIVATE_KEY;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const now = Math.floor(Date.now() / 1000);
+    onChain = { planId: 1n, active: true, endTime: BigInt(now + 2 * HOUR) };
+    attempts = [];
+    charges = [];
+
+    const provider = {
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 1337n }),
+      estimateGas: jest.fn().mockResolvedValue(60000n)
+    };
+
+    token = {
+      target: USDT_ADDRESS,
+      interface: erc20Iface,
+      runner: { provider },
+      decimals: jest.fn().mockResolvedValue(6n),
+      balanceOf: jest.fn().mockResolvedValue(100000000n),
+      allowance: jest.fn().mockResolvedValue(QUOTE * 12n),
+      transferFrom: jest.fn().mockResolvedValue({ wait: async () => ({ hash: '0xcharge' }) }),
+      transfer: jest.fn().mockResolvedValue({ wait: async () => ({ hash: '0xrefund' }) })
+    };
+    ethers.Contract.mockImplementation(() => token);
+
+    const renewedLog = subscriptionIface.encodeEventLog(
+      subscriptionIface.getEvent('SubscriptionRenewed'),
+      [7n, 1n, SUBSCRIBER, onChain.endTime + 30n * 24n * BigInt(HOUR)]
+    );
+    contract = {
+      target: CONTRACT_ADDRESS,
+      interface: subscriptionIface,
+      runner: { provider },
+      getSubscription: jest.fn(async () => onChain),
+      getPlan: jest.fn(async () => ({ price: PLAN_PRICE, name: 'Pro', description: 'Monthly' })),
+      renewSubscription: jest.fn().mockResolvedValue({
+        wait: async () => ({
+          hash: '0xrenew',
+          blockNumber: 42,
+          logs: [{ address: CONTRACT_ADDRESS, topics: renewedLog.topics, data: renewedLog.data }]
+        })
+      })
+    };
+    contract.connect = jest.fn(() => contract);
+    contractService.getContract.mockResolvedValue(contract);
+
+    renewals = [{
+      token_id: '7',
+      subscriber_address: SUBSCRIBER,
+      vendor_address: VENDOR,
+      plan_id: '1',
+      network: 'localhost',
+      token_symbol: 'USDT',
+      token_address: USDT_ADDRESS,
+      max_amount: null,
+      enabled: true,
+      status: 'active',
+      attempts: 0
+    }];
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM subscriptions s')) {
+        return { rows: [{ token_id: '7', subscriber_address: SUBSCRIBER, plan_id: '1', vendor_address: VENDOR }] };
+      }
+      if (sql.includes('INSERT INTO auto_renewals')) {
+        return {
+          rows: [{ token_id: params[0], network: params[4], token_symbol: params[5], token_address: params[6], max_amount: params[7], enabled: true, status: 'active', attempts: 0, next_attempt_at: params[8] }]
+        };
+      }
+      if (sql.includes('RETURNING *') && sql.includes('UPDATE auto_renewals')) {
+        return { rows: renewals };
+      }
+      if (sql.includes('FROM auto_renewal_attempts') && sql.includes("status = 'charged'")) {
+        return { rows: charges };
+      }
+      if (sql.includes('FROM auto_renewal_attempts')) {
+        return { rows: attempts };
+      }
+      return { rows: [] };
+    });
+  });
+
+  function renewalUpdate() {
+    return pool.query.mock.calls.find(call => call[0].includes('SET status = $2'));
+  }
+
+  it('should quote the plan price in the payment token, rounding up', async () => {
+    expect(await autoRenewalService.quoteRenewal(PLAN_PRICE, 'USDT', 6)).toBe(QUOTE);
+  });
+
+  it('should opt in and return an unsigned approve transaction for the relayer', async () => {
+    const result = await autoRenewalService.enableAutoRenew('7', SUBSCRIBER, { maxAmount: '40' });
+
+    expect(result.spender).toBe(RELAYER);
+    expect(result.quote).toMatchObject({ amountUnits: QUOTE.toString(), paymentToken: 'USDT' });
+    expect(result.renewal).toMatchObject({ tokenId: '7', enabled: true, maxAmount: '40000000' });
+    expect(result.transaction).toMatchObject({ to: USDT_ADDRESS, chainId: '1337' });
+
+    const approve = erc20Iface.parseTransaction({ data: result.transaction.data });
+    expect(approve.args.spender).toBe(RELAYER);
+    expect(approve.args.amount).toBe(40000000n * 12n);
+  });
+
+  it('should refuse opt-in from other wallets, unknown tokens and caps below the price', async () => {
+    await expect(autoRenewalService.enableAutoRenew('7', VENDOR)).rejects.toMatchObject({ status: 403 });
+    await expect(autoRenewalService.enableAutoRenew('7', SUBSCRIBER, { paymentToken: 'DAI' })).rejects.toMatchObject({ status: 400 });
+    await expect(autoRenewalService.enableAutoRenew('7', SUBSCRIBER, { maxAmount: '10' }))
+      .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/below the current renewal price/) });
+  });
+
+  it('should charge the allowance, renew on-chain and send subscription.renewed', async () => {
+    const summary = await autoRenewalService.processAutoRenewals();
+
+    expect(summary).toMatchObject({ claimed: 1, renewed: 1, failed: 0 });
+    expect(token.transferFrom).toHaveBeenCalledWith(SUBSCRIBER, RELAYER, QUOTE);
+    expect(contract.renewSubscription).toHaveBeenCalledWith('7', { value: PLAN_PRICE });
+
+    const history = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO subscription_history'));
+    expect(history[1][4]).toBe('renewed');
+    expect(history[1][6]).toBe('0xrenew');
+
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(4, 'subscription.renewed', expect.objectContaining({
+      tokenId: '7',
+      autoRenew: true,
+      renewalTransactionHash: '0xrenew',
+      payment: { token: 'USDT', amount: '30.120482', transactionHash: '0xcharge' }
+    }));
+  });
+
+  it('should not charge before the lead time or twice in the same period', async () => {
+    onChain.endTime = BigInt(Math.floor(Date.now() / 1000) + 10 * 24 * HOUR);
+    let summary = await autoRenewalService.processAutoRenewals();
+    expect(summary.deferred).toBe(1);
+
+    onChain.endTime = BigInt(Math.floor(Date.now() / 1000) + HOUR);
+    attempts = [{ '?column?': 1 }];
+    summary = await autoRenewalService.processAutoRenewals();
+    expect(summary.deferred).toBe(1);
+
+    expect(token.transferFrom).not.toHaveBeenCalled();
+  });
+
+  it('should retry within the grace period when the allowance is too low', async () => {
+    token.allowance.mockResolvedValue(QUOTE - 1n);
+
+    const summary = await autoRenewalService.processAutoRenewals();
+
+    expect(summary.failed).toBe(1);
+    expect(token.transferFrom).not.toHaveBeenCalled();
+    expect(renewalUpdate()[1].slice(1, 3)).toEqual(['retrying', 1]);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(4, 'subscription.renewal_failed', expect.objectContaining({
+      tokenId: '7',
+      reason: 'insufficient_allowance',
+      attempt: 1,
+      willRetry: true
+    }));
+  });
+
+  it('should give up once the grace period has passed', async () => {
+    onChain.endTime = BigInt(Math.floor(Date.now() / 1000) - 70 * HOUR);
+    renewals[0].status = 'retrying';
+    renewals[0].attempts = 11;
+    token.balanceOf.mockResolvedValue(0n);
+
+    await autoRenewalService.processAutoRenewals();
+
+    expect(renewalUpdate()[1].slice(1, 3)).toEqual(['failed', 12]);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(4, 'subscription.renewal_failed', expect.objectContaining({
+      reason: 'insufficient_balance',
+      willRetry: false,
+      nextAttemptAt: null
+    }));
+  });
+
+  function recordedAttempts(status) {
+    return pool.query.mock.calls.filter(call => call[0].includes('INSERT INTO auto_renewal_attempts') && call[1][2] === status);
+  }
+
+  it('should record the charge and reuse it when the renewal is retried', async () => {
+    contract.renewSubscription.mockRejectedValueOnce(new Error('execution reverted'));
+
+    await autoRenewalService.processAutoRenewals();
+
+    expect(token.transferFrom).toHaveBeenCalledTimes(1);
+    expect(token.transfer).not.toHaveBeenCalled();
+    expect(recordedAttempts('charged')[0][1].slice(4, 7)).toEqual([QUOTE.toString(), 'USDT', '0xcharge']);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(4, 'subscription.renewal_failed', expect.objectContaining({
+      reason: 'renew_failed',
+      willRetry: true,
+      chargeTransactionHash: '0xcharge'
+    }));
+
+    charges = [{ charge_tx_hash: '0xcharge', amount: QUOTE.toString() }];
+    const summary = await autoRenewalService.processAutoRenewals();
+
+    expect(summary.renewed).toBe(1);
+    expect(token.transferFrom).toHaveBeenCalledTimes(1);
+    expect(recordedAttempts('succeeded')[0][1][6]).toBe('0xcharge');
+  });
+
+  it('should refund the charge when the renewal still fails at the end of the grace period', async () => {
+    onChain.endTime = BigInt(Math.floor(Date.now() / 1000) - 70 * HOUR);
+    renewals[0].status = 'retrying';
+    renewals[0].attempts = 11;
+    charges = [{ charge_tx_hash: '0xcharge', amount: QUOTE.toString() }];
+    contract.renewSubscription.mockRejectedValue(new Error('execution reverted'));
+
+    await autoRenewalService.processAutoRenewals();
+
+    expect(token.transferFrom).not.toHaveBeenCalled();
+    expect(token.transfer).toHaveBeenCalledWith(SUBSCRIBER, QUOTE);
+    expect(pool.query.mock.calls.some(call => call[0].includes("SET status = 'refunded'"))).toBe(true);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(4, 'subscription.renewal_failed', expect.objectContaining({
+      reason: 'renew_failed',
+      willRetry: false
+    }));
+  });
+});
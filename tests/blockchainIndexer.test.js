@@ -0,0 +1,257 @@
+/**
+ * Test: Blockchain event indexer
+ *
+ * This test verifies that:
+ * 1. Logs after the stored cursor are applied to subscriptions / subscription_history
+ *    and the cursor advances in the same transaction
+ * 2. A changed cursor block hash (reorg) rewinds the cursor and drops orphaned rows
+ * 3. A network whose cursor is locked by another instance is skipped
+ * 4. Rows another network already stores under the same token id are left alone
+ * 5. PlanUpdated resyncs the plan and SubscriptionCancelled records a cancelled history row
+ */
+
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  mockPool.connect = jest.fn(async () => ({ query: mockPool.query, release: jest.fn() }));
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn()
+}));
+
+const blockchainIndexerService = require('../services/blockchainIndexerService');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SUBSCRIBER = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+const TX_HASH = `0x${'cd'.repeat(32)}`;
+
+const iface = new ethers.Interface([
+  'event PlanCreated(uint256 indexed planId, address indexed vendor, uint256 indexed appId, string name, uint256 price, uint256 duration)',
+  'event SubscriptionPurchased(uint256 indexed tokenId, uint256 indexed planId, address indexed subscriber, uint256 endTime)',
+  'event SubscriptionRenewed(uint256 indexed tokenId, uint256 newEndTime)',
+  'event PlanUpdated(uint256 indexed planId, address indexed vendor, bool active)',
+  'event SubscriptionCancelled(uint256 indexed tokenId, address indexed subscriber)'
+]);
+
+function buildLog(eventName, args, blockNumber, index = 0) {
+  const encoded = iface.encodeEventLog(iface.getEvent(eventName), args);
+  return {
+    address: CONTRACT_ADDRESS,
+    topics: encoded.topics,
+    data: encoded.data,
+    blockNumber,
+    transactionHash: TX_HASH,
+    index
+  };
+}
+
+function blockHash(number, fork = 'a') {
+  return `0x${fork.repeat(56)}${number.toString(16).padStart(8, '0')}`;
+}
+
+describe('Blockchain indexer', () => {
+  let pool;
+  let provider;
+  let contract;
+  let cursor;
+  let otherNetworkTokens;
+
+  beforeAll(() => {
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    otherNetworkTokens = new Set();
+
+    cursor = {
+      network: 'localhost',
+      contract_address: CONTRACT_ADDRESS.toLowerCase(),
+      last_block: '9',
+      last_block_hash: blockHash(9)
+    };
+
+    provider = {
+      getBlockNumber: jest.fn().mockResolvedValue(12),
+      getBlock: jest.fn(async number => ({ number, hash: blockHash(number) })),
+      getLogs: jest.fn().mockResolvedValue([])
+    };
+
+    contract = {
+      target: CONTRACT_ADDRESS,
+      interface: iface,
+      runner: { provider },
+      getPlan: jest.fn(),
+      getSubscription: jest.fn().mockResolvedValue({
+        tokenId: 7n,
+        planId: 1n,
+        subscriber: SUBSCRIBER,
+        startTime: 1700000000n,
+        endTime: 1702592000n,
+        active: true,
+        paused: false,
+        pauseStartTime: 0n,
+        totalPausedTime: 0n,
+        pauseAttempts: 0n,
+        published: true
+      }),
+      tokenURI: jest.fn().mockResolvedValue('ipfs://QmToken7')
+    };
+
+    contractService.getContract.mockResolvedValue(contract);
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM indexer_cursors WHERE network = $1 FOR UPDATE SKIP LOCKED')) {
+        return { rows: cursor ? [cursor] : [] };
+      }
+      if (sql.includes('SELECT 1 FROM indexer_cursors')) {
+        return { rows: [{}] };
+      }
+      if (sql.includes('SELECT 1 FROM subscription_plans')) {
+        return { rows: [{}] };
+      }
+      if (sql.includes('INSERT INTO subscriptions')) {
+        // ON CONFLICT ... WHERE network matches: no row when another chain owns the token id
+        return { rows: otherNetworkTokens.has(params[0]) ? [] : [{ token_id: params[0] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  function queriesMatching(text) {
+    return pool.query.mock.calls.filter(call => call[0].includes(text));
+  }
+
+  it('should apply new logs and advance the cursor in one transaction', async () => {
+    provider.getLogs.mockResolvedValue([
+      buildLog('SubscriptionPurchased', [7n, 1n, SUBSCRIBER, 1702592000n], 11)
+    ]);
+
+    await blockchainIndexerService.indexNetwork('localhost');
+
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 10, toBlock: 12 }));
+
+    const upsert = queriesMatching('INSERT INTO subscriptions');
+    expect(upsert).toHaveLength(1);
+    expect(upsert[0][1].slice(0, 4)).toEqual(['7', '1', SUBSCRIBER.toLowerCase(), 'ipfs://QmToken7']);
+
+    const history = queriesMatching('INSERT INTO subscription_history');
+    expect(history).toHaveLength(1);
+    expect(history[0][1].slice(0, 2)).toEqual(['7', 'purchased']);
+    expect(history[0][1][3]).toBe(TX_HASH);
+
+    const advance = queriesMatching('SET last_block = $2, last_block_hash = $3, updated_at');
+    expect(advance[0][1]).toEqual(['localhost', 12, blockHash(12)]);
+
+    const statements = pool.query.mock.calls.map(call => call[0]);
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+  });
+
+  it('should rewind and drop orphaned purchases when the cursor block hash changes', async () => {
+    // Block 9 was replaced by another fork
+    provider.getBlock.mockImplementation(async number => ({ number, hash: blockHash(number, 'b') }));
+    provider.getBlockNumber.mockResolvedValue(9);
+    contract.getSubscription.mockRejectedValue(new Error('Subscription does not exist'));
+
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+        return { rows: [cursor] };
+      }
+      if (sql.includes('DELETE FROM subscription_history')) {
+        return { rows: [{ token_id: '7' }] };
+      }
+      return { rows: [] };
+    });
+
+    await blockchainIndexerService.indexNetwork('localhost');
+
+    const removedHistory = queriesMatching('DELETE FROM subscription_history');
+    expect(removedHistory).toHaveLength(1);
+    // Default window is 12 blocks, clamped at the start of the chain
+    expect(removedHistory[0][1]).toEqual(['localhost', -1]);
+
+    const rewind = queriesMatching('reorg_count = reorg_count + 1');
+    expect(rewind).toHaveLength(1);
+
+    const orphaned = queriesMatching('DELETE FROM subscriptions');
+    expect(orphaned[0][1]).toEqual(['7', 'localhost']);
+    expect(queriesMatching('INSERT INTO subscriptions')).toHaveLength(0);
+  });
+
+  it('should skip a network whose cursor is locked by another instance', async () => {
+    cursor = null;
+
+    await blockchainIndexerService.indexNetwork('localhost');
+
+    expect(provider.getLogs).not.toHaveBeenCalled();
+    expect(queriesMatching('INSERT INTO indexer_cursors')).toHaveLength(0);
+    expect(pool.query.mock.calls.map(call => call[0])).toContain('ROLLBACK');
+  });
+
+  it('should not overwrite or record history for a token id stored for another network', async () => {
+    otherNetworkTokens.add('7');
+    provider.getLogs.mockResolvedValue([
+      buildLog('SubscriptionPurchased', [7n, 1n, SUBSCRIBER, 1702592000n], 11)
+    ]);
+
+    await blockchainIndexerService.indexNetwork('localhost');
+
+    const upsert = queriesMatching('INSERT INTO subscriptions');
+    expect(upsert).toHaveLength(1);
+    expect(upsert[0][0]).toContain('WHERE subscriptions.network IS NULL OR subscriptions.network = EXCLUDED.network');
+    expect(upsert[0][1][10]).toBe('localhost');
+    expect(queriesMatching('SET transaction_hash')).toHaveLength(0);
+    expect(queriesMatching('INSERT INTO subscription_history')).toHaveLength(0);
+    expect(queriesMatching('UPDATE indexer_cursors')).toHaveLength(1);
+  });
+
+  it('should resync a plan from the chain on PlanUpdated', async () => {
+    contract.getPlan.mockResolvedValue({
+      vendor: SUBSCRIBER,
+      name: 'Pro',
+      description: 'Pro plan',
+      price: ethers.parseEther('0.02'),
+      duration: 2592000n,
+      maxSubscriptions: 0n,
+      active: false,
+      pauseEnabled: true,
+      maxPauseAttempts: 3n,
+      appId: 0n
+    });
+    provider.getLogs.mockResolvedValue([
+      buildLog('PlanUpdated', [1n, SUBSCRIBER, false], 11)
+    ]);
+
+    await blockchainIndexerService.indexNetwork('localhost');
+
+    expect(contract.getPlan).toHaveBeenCalledWith(1n);
+    const upsert = queriesMatching('INSERT INTO subscription_plans');
+    expect(upsert).toHaveLength(1);
+    // plan id, price, duration, active, network
+    expect([upsert[0][1][0], upsert[0][1][4], upsert[0][1][5], upsert[0][1][7], upsert[0][1][11]])
+      .toEqual(['1', '0.02', '2592000', false, 'localhost']);
+  });
+
+  it('should resync the subscription and record cancelled history on SubscriptionCancelled', async () => {
+    provider.getLogs.mockResolvedValue([
+      buildLog('SubscriptionCancelled', [7n, SUBSCRIBER], 11)
+    ]);
+
+    await blockchainIndexerService.indexNetwork('localhost');
+
+    expect(queriesMatching('INSERT INTO subscriptions')).toHaveLength(1);
+    const history = queriesMatching('INSERT INTO subscription_history');
+    expect(history).toHaveLength(1);
+    expect(history[0][1].slice(0, 2)).toEqual(['7', 'cancelled']);
+    expect(history[0][1][3]).toBe(TX_HASH);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Test: Automatic expiry of unpaid checkout orders
+ *
+ * This test verifies that:
+ * 1. Overdue pending orders are cancelled on-chain (when an owner key is set) and in the DB
+ * 2. order.cancelled is sent with reason "expired"
+ * 3. Orders already paid on-chain, or whose cancel tx fails, are left alone
+ * 4. Orders already cancelled on-chain are expired; orders still pending on-chain
+ *    are left alone when no owner key can cancel them
+ * 5. The expiry window comes from the checkout app when it sets one, and only the
+ *    vendor's wallet session can change it
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { Pool } = require('pg');
+const checkoutContract = require('../checkout/helpers/contract');
+const webhookService = require('../services/webhookService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  mockPool.connect = jest.fn(async () => ({ query: mockPool.query, release: jest.fn() }));
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../checkout/helpers/contract', () => ({
+  getContract: jest.fn(),
+  getOwnerContract: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../services/siweAuthService', () => ({
+  getSession: jest.fn()
+}));
+
+const siweAuthService = require('../services/siweAuthService');
+const checkoutRouter = require('../checkout/routes/checkout');
+
+const checkoutService = require('../checkout/services/checkoutService');
+const orderExpiryService = require('../checkout/services/orderExpiryService');
+
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+
+function pendingOrder(orderId) {
+  return {
+    order_id: orderId,
+    vendor_address: VENDOR,
+    status: 'pending',
+    network: 'localhost',
+    api_key_id: 4,
+    expires_at: new Date(Date.now() - 60000).toISOString()
+  };
+}
+
+describe('Checkout order expiry', () => {
+  let pool;
+  let overdue;
+  let ownerContract;
+
+  beforeAll(() => {
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    overdue = [pendingOrder('ORD-1')];
+
+    ownerContract = {
+      orderExists: jest.fn().mockResolvedValue(true),
+      getOrder: jest.fn().mockResolvedValue({ status: 0n }),
+      cancelOrder: jest.fn().mockResolvedValue({ wait: jest.fn().mockResolvedValue({ hash: '0xcancel' }) })
+    };
+    checkoutContract.getOwnerContract.mockReturnValue(ownerContract);
+    checkoutContract.getContract.mockRejectedValue(new Error('no chain in tests'));
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+        return { rows: overdue };
+      }
+      if (sql.includes("SET status = 'cancelled'")) {
+        const order = overdue.find(o => o.order_id === params[0]);
+        return { rows: [{ ...order, status: 'cancelled', cancellation_reason: 'expired', cancellation_tx_hash: params[1] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should cancel overdue orders on-chain and fire order.cancelled with reason expired', async () => {
+    const count = await orderExpiryService.sweepExpiredOrders();
+
+    expect(count).toBe(1);
+    expect(ownerContract.cancelOrder).toHaveBeenCalledTimes(1);
+
+    // No transaction is held open while the cancel tx is mined
+    expect(pool.connect).not.toHaveBeenCalled();
+    expect(pool.query.mock.calls.map(call => call[0])).not.toContain('BEGIN');
+
+    const update = pool.query.mock.calls.find(call => call[0].includes("SET status = 'cancelled'"));
+    expect(update[0]).toContain("status = 'pending'");
+    expect(update[1]).toEqual(['ORD-1', '0xcancel']);
+
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(4, 'order.cancelled', expect.objectContaining({
+      orderId: 'ORD-1',
+      reason: 'expired',
+      transactionHash: '0xcancel'
+    }));
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(4, 'order.status_changed', expect.objectContaining({
+      previousStatus: 'pending',
+      newStatus: 'cancelled'
+    }));
+  });
+
+  it('should expire in the DB only when the order never reached the chain', async () => {
+    checkoutContract.getOwnerContract.mockReturnValue(null);
+    checkoutContract.getContract.mockResolvedValue({ orderExists: jest.fn().mockResolvedValue(false) });
+
+    const count = await orderExpiryService.sweepExpiredOrders();
+
+    expect(count).toBe(1);
+    const update = pool.query.mock.calls.find(call => call[0].includes("SET status = 'cancelled'"));
+    expect(update[1]).toEqual(['ORD-1', null]);
+  });
+
+  it('should leave orders pending on-chain alone when no owner key is configured', async () => {
+    checkoutContract.getOwnerContract.mockReturnValue(null);
+    checkoutContract.getContract.mockResolvedValue({
+      orderExists: jest.fn().mockResolvedValue(true),
+      getOrder: jest.fn().mockResolvedValue({ status: 0n })
+    });
+
+    const count = await orderExpiryService.sweepExpiredOrders();
+
+    expect(count).toBe(0);
+    expect(pool.query.mock.calls.some(call => call[0].includes("SET status = 'cancelled'"))).toBe(false);
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('SET expiry_locked_at = NULL'), ['ORD-1']);
+  });
+
+  it('should expire orders that are already cancelled on-chain', async () => {
+    ownerContract.getOrder.mockResolvedValue({ status: 4n });
+
+    const count = await orderExpiryService.sweepExpiredOrders();
+
+    expect(count).toBe(1);
+    expect(ownerContract.cancelOrder).not.toHaveBeenCalled();
+    const update = pool.query.mock.calls.find(call => call[0].includes("SET status = 'cancelled'"));
+    expect(update[1]).toEqual(['ORD-1', null]);
+  });
+
+  it('should skip orders that were paid on-chain before the sweep', async () => {
+    ownerContract.getOrder.mockResolvedValue({ status: 1n });
+
+    const count = await orderExpiryService.sweepExpiredOrders();
+
+    expect(count).toBe(0);
+    expect(ownerContract.cancelOrder).not.toHaveBeenCalled();
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should leave the order pending when the cancel transaction fails', async () => {
+    overdue.push(pendingOrder('ORD-2'));
+    ownerContract.cancelOrder
+      .mockRejectedValueOnce(new Error('nonce too low'))
+      .mockResolvedValueOnce({ wait: jest.fn().mockResolvedValue({ hash: '0xcancel2' }) });
+
+    const count = await orderExpiryService.sweepExpiredOrders();
+
+    expect(count).toBe(1);
+    const updates = pool.query.mock.calls.filter(call => call[0].includes("SET status = 'cancelled'"));
+    expect(updates.map(call => call[1][0])).toEqual(['ORD-2']);
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('SET expiry_locked_at = NULL'), ['ORD-1']);
+  });
+
+  it('should use the checkout app expiry window for new orders', async () => {
+    const before = Date.now();
+
+    await checkoutService.createOrder({
+      vendorAddress: VENDOR,
+      items: [],
+      totalAmount: 0.1,
+      checkoutApp: { id: 4, order_expiry_minutes: 120 }
+    });
+
+    const insert = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO checkout_orders'));
+    const expiresAt = insert[1][7].getTime();
+    expect(expiresAt - before).toBeGreaterThanOrEqual(120 * 60 * 1000);
+    expect(expiresAt - before).toBeLessThan(121 * 60 * 1000);
+    expect(insert[1][8]).toBe(4);
+  });
+
+  it('should only let the vendor wallet change an app expiry window', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/checkout', checkoutRouter);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: `0x${'9'.repeat(40)}` });
+    const otherWallet = await request(app)
+      .put('/api/checkout/apps/app_1/order-expiry')
+      .send({ vendorAddress: VENDOR, orderExpiryMinutes: 60 });
+
+    expect(otherWallet.status).toBe(403);
+    expect(pool.query.mock.calls.some(call => call[0].includes('UPDATE checkout_apps'))).toBe(false);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: VENDOR });
+    await request(app)
+      .put('/api/checkout/apps/app_1/order-expiry')
+      .set('Authorization', 'Bearer session-token')
+      .send({ orderExpiryMinutes: 60 });
+
+    const update = pool.query.mock.calls.find(call => call[0].includes('UPDATE checkout_apps'));
+    expect(update[1]).toEqual(['app_1', VENDOR, 60]);
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * Test: Checkout payment confirmation depth and reorg handling
+ *
+ * This test verifies that:
+ * 1. Confirmation fails hard when the PaymentReceived event is missing,
+ *    belongs to another order, pays less than the order total, or the order
+ *    total can't be determined; receipts are read on the order's own network
+ * 2. Payments below the network's confirmation depth leave the order in
+ *    payment_pending_confirmations
+ * 3. A payment that is reorged out rolls the order back and emits payment.reverted
+ * 4. A single missing receipt does not roll a payment back
+ * 5. Only the run that claims the confirmed transition sends payment.completed
+ * 6. Reading an order never promotes it to paid from the chain status alone
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const checkoutContract = require('../checkout/helpers/contract');
+const checkoutService = require('../checkout/services/checkoutService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../checkout/helpers/contract', () => ({
+  getContract: jest.fn()
+}));
+jest.mock('../checkout/services/checkoutService', () => ({
+  recordTransaction: jest.fn().mockResolvedValue({}),
+  updateOrderStatus: jest.fn().mockResolvedValue({}),
+  findOrderWebhookKeyId: jest.fn().mockResolvedValue(9)
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const webhookService = require('../services/webhookService');
+
+const checkoutRouter = require('../checkout/routes/checkout');
+const paymentConfirmationService = require('../checkout/services/paymentConfirmationService');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CUSTOMER = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const TX_HASH = `0x${'cd'.repeat(32)}`;
+const ORDER_ID = 'order_test_1';
+
+const iface = new ethers.Interface([
+  'event PaymentReceived(bytes32 indexed orderId, address indexed customer, uint256 amount, bytes32 indexed txHash)'
+]);
+
+function paymentLog(orderId, amount) {
+  const encoded = iface.encodeEventLog(iface.getEvent('PaymentReceived'), [
+    ethers.id(orderId), CUSTOMER, amount, ethers.ZeroHash
+  ]);
+  return { address: CONTRACT_ADDRESS, topics: encoded.topics, data: encoded.data };
+}
+
+function receipt(logs, overrides = {}) {
+  return {
+    hash: TX_HASH,
+    status: 1,
+    to: CONTRACT_ADDRESS,
+    from: CUSTOMER,
+    blockNumber: 100,
+    blockHash: `0x${'11'.repeat(32)}`,
+    gasUsed: 50000n,
+    gasPrice: 1000000000n,
+    logs,
+    ...overrides
+  };
+}
+
+describe('Checkout payment confirmation', () => {
+  let app;
+  let pool;
+  let provider;
+  let order;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/checkout', checkoutRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.CHECKOUT_CONFIRMATIONS_SEPOLIA;
+
+    order = {
+      order_id: ORDER_ID,
+      vendor_address: VENDOR,
+      total_amount: '0.5',
+      currency: 'ETH',
+      status: 'pending',
+      transaction_hash: null,
+      network: 'sepolia'
+    };
+
+    provider = {
+      getTransactionReceipt: jest.fn(),
+      getBlockNumber: jest.fn().mockResolvedValue(100),
+      getBlock: jest.fn().mockResolvedValue({ hash: `0x${'11'.repeat(32)}` })
+    };
+
+    checkoutContract.getContract.mockResolvedValue({
+      target: CONTRACT_ADDRESS,
+      interface: iface,
+      runner: { provider },
+      getOrder: jest.fn().mockResolvedValue({ exists: true, totalAmount: ethers.parseEther('0.5') })
+    });
+
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM checkout_orders WHERE order_id')) {
+        return { rows: [order] };
+      }
+      if (sql.includes("SET status = 'confirmed'") || sql.includes("SET status = 'reverted'")) {
+        return { rows: [{ transaction_hash: TX_HASH }] };
+      }
+      if (sql.includes('COALESCE(missing_receipt_checks, 0) + 1')) {
+        return { rows: [{ missing_receipt_checks: 1 }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should reject a transaction without a PaymentReceived event', async () => {
+    provider.getTransactionReceipt.mockResolvedValue(receipt([]));
+
+    const response = await request(app)
+      .post('/api/checkout/confirm-payment')
+      .send({ orderId: ORDER_ID, transactionHash: TX_HASH, network: 'sepolia' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/PaymentReceived event not found/);
+    expect(checkoutService.recordTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should reject a payment made for a different order', async () => {
+    provider.getTransactionReceipt.mockResolvedValue(receipt([paymentLog('order_other', ethers.parseEther('0.5'))]));
+
+    const response = await request(app)
+      .post('/api/checkout/confirm-payment')
+      .send({ orderId: ORDER_ID, transactionHash: TX_HASH, network: 'sepolia' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/different order/);
+  });
+
+  it('should reject a payment below the order total', async () => {
+    provider.getTransactionReceipt.mockResolvedValue(receipt([paymentLog(ORDER_ID, ethers.parseEther('0.1'))]));
+
+    const response = await request(app)
+      .post('/api/checkout/confirm-payment')
+      .send({ orderId: ORDER_ID, transactionHash: TX_HASH, network: 'sepolia' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/less than order total/);
+    expect(checkoutService.updateOrderStatus).not.toHaveBeenCalled();
+  });
+
+  it('should verify the payment on the order\'s network, not the requested one', async () => {
+    process.env.CHECKOUT_CONFIRMATIONS_SEPOLIA = '1';
+    provider.getTransactionReceipt.mockResolvedValue(receipt([paymentLog(ORDER_ID, ethers.parseEther('0.5'))]));
+
+    const response = await request(app)
+      .post('/api/checkout/confirm-payment')
+      .send({ orderId: ORDER_ID, transactionHash: TX_HASH, network: 'localhost' });
+
+    expect(response.status).toBe(200);
+    expect(checkoutContract.getContract).toHaveBeenCalledWith('sepolia');
+    expect(checkoutContract.getContract).not.toHaveBeenCalledWith('localhost');
+    expect(checkoutService.recordTransaction).toHaveBeenCalledWith(expect.objectContaining({ network: 'sepolia' }));
+  });
+
+  it('should reject a payment when the order total cannot be determined', async () => {
+    order.currency = 'USDC';
+    const contract = await checkoutContract.getContract();
+    contract.getOrder.mockResolvedValue({ exists: false });
+    provider.getTransactionReceipt.mockResolvedValue(receipt([paymentLog(ORDER_ID, 1n)]));
+
+    const response = await request(app)
+      .post('/api/checkout/confirm-payment')
+      .send({ orderId: ORDER_ID, transactionHash: TX_HASH });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toMatch(/Order total could not be determined/);
+    expect(checkoutService.recordTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should hold the order until the confirmation depth is reached', async () => {
+    provider.getTransactionReceipt.mockResolvedValue(receipt([paymentLog(ORDER_ID, ethers.parseEther('0.5'))]));
+    provider.getBlockNumber.mockResolvedValue(101);
+
+    const response = await request(app)
+      .post('/api/checkout/confirm-payment')
+      .send({ orderId: ORDER_ID, transactionHash: TX_HASH, network: 'sepolia' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.status).toBe('payment_pending_confirmations');
+    expect(response.body.data.confirmations).toBe(2);
+    expect(response.body.data.requiredConfirmations).toBe(3);
+    expect(checkoutService.recordTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'pending_confirmations',
+      confirmations: 2
+    }));
+    expect(checkoutService.updateOrderStatus).toHaveBeenCalledWith(ORDER_ID, 'payment_pending_confirmations', TX_HASH);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should mark the order paid once deep enough', async () => {
+    process.env.CHECKOUT_CONFIRMATIONS_SEPOLIA = '1';
+    provider.getTransactionReceipt.mockResolvedValue(receipt([paymentLog(ORDER_ID, ethers.parseEther('0.5'))]));
+
+    const response = await request(app)
+      .post('/api/checkout/confirm-payment')
+      .send({ orderId: ORDER_ID, transactionHash: TX_HASH, network: 'sepolia' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('paid');
+    expect(checkoutService.updateOrderStatus).toHaveBeenCalledWith(ORDER_ID, 'paid', TX_HASH);
+    expect(checkoutService.findOrderWebhookKeyId).toHaveBeenCalledWith(order);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(9, 'payment.completed', expect.objectContaining({ orderId: ORDER_ID }));
+  });
+
+  it('should not send payment.completed when another run already finalized the payment', async () => {
+    process.env.CHECKOUT_CONFIRMATIONS_SEPOLIA = '1';
+    provider.getTransactionReceipt.mockResolvedValue(receipt([paymentLog(ORDER_ID, ethers.parseEther('0.5'))]));
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM checkout_orders WHERE order_id')) {
+        return { rows: [order] };
+      }
+      return { rows: [] };
+    });
+
+    const finalized = await paymentConfirmationService.finalizePayment(order, receipt([]), 'sepolia', 1);
+
+    expect(finalized).toBe(false);
+    const claim = pool.query.mock.calls.find(call => call[0].includes("SET status = 'confirmed'"));
+    expect(claim[0]).toContain("AND status = 'pending_confirmations'");
+    expect(checkoutService.updateOrderStatus).not.toHaveBeenCalled();
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should keep the payment when its receipt is missing once but its block is unchanged', async () => {
+    order.status = 'paid';
+    order.transaction_hash = TX_HASH;
+    provider.getTransactionReceipt.mockResolvedValue(null);
+
+    await paymentConfirmationService.checkPaymentTransaction({
+      order_id: ORDER_ID,
+      transaction_hash: TX_HASH,
+      network: 'sepolia',
+      status: 'confirmed',
+      block_number: 100,
+      block_hash: `0x${'11'.repeat(32)}`,
+      missing_receipt_checks: 0
+    });
+
+    expect(provider.getBlock).toHaveBeenCalledWith(100);
+    expect(pool.query.mock.calls.some(call => call[0].includes('COALESCE(missing_receipt_checks, 0) + 1'))).toBe(true);
+    expect(pool.query.mock.calls.some(call => call[0].includes("SET status = 'reverted'"))).toBe(false);
+    expect(checkoutService.updateOrderStatus).not.toHaveBeenCalled();
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should roll the payment back after repeated missing receipts', async () => {
+    order.status = 'paid';
+    order.transaction_hash = TX_HASH;
+    provider.getTransactionReceipt.mockResolvedValue(null);
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM checkout_orders WHERE order_id')) {
+        return { rows: [order] };
+      }
+      if (sql.includes('COALESCE(missing_receipt_checks, 0) + 1')) {
+        return { rows: [{ missing_receipt_checks: 3 }] };
+      }
+      if (sql.includes("SET status = 'reverted'")) {
+        return { rows: [{ transaction_hash: TX_HASH }] };
+      }
+      return { rows: [] };
+    });
+
+    await paymentConfirmationService.checkPaymentTransaction({
+      order_id: ORDER_ID,
+      transaction_hash: TX_HASH,
+      network: 'sepolia',
+      status: 'confirmed',
+      block_number: 100,
+      block_hash: `0x${'11'.repeat(32)}`,
+      missing_receipt_checks: 2
+    });
+
+    expect(checkoutService.updateOrderStatus).toHaveBeenCalledWith(ORDER_ID, 'pending');
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(9, 'payment.reverted', expect.objectContaining({ transactionHash: TX_HASH }));
+  });
+
+  it('should roll the order back and emit payment.reverted when the block holding the payment is replaced', async () => {
+    order.status = 'paid';
+    order.transaction_hash = TX_HASH;
+    provider.getTransactionReceipt.mockResolvedValue(null);
+    provider.getBlock.mockResolvedValue({ hash: `0x${'22'.repeat(32)}` });
+
+    await paymentConfirmationService.checkPaymentTransaction({
+      order_id: ORDER_ID,
+      transaction_hash: TX_HASH,
+      network: 'sepolia',
+      status: 'confirmed',
+      block_number: 100,
+      block_hash: `0x${'11'.repeat(32)}`
+    });
+
+    const txUpdate = pool.query.mock.calls.find(call => call[0].includes("SET status = 'reverted'"));
+    expect(txUpdate[1]).toEqual([TX_HASH]);
+    expect(checkoutService.updateOrderStatus).toHaveBeenCalledWith(ORDER_ID, 'pending');
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(9, 'payment.reverted',
+      expect.objectContaining({ previousStatus: 'paid', transactionHash: TX_HASH })
+    );
+  });
+
+  it('should not mark an order paid when reading it before the payment is confirmed', async () => {
+    const { getOrder } = jest.requireActual('../checkout/services/checkoutService');
+    order.blockchain_order_id = ethers.id(ORDER_ID);
+
+    checkoutContract.getContract.mockResolvedValue({
+      orderExists: jest.fn().mockResolvedValue(true),
+      getOrder: jest.fn().mockResolvedValue({ status: 1n }) // paid on-chain, zero confirmations
+    });
+
+    const result = await getOrder(ORDER_ID, 'sepolia');
+
+    expect(result.status).toBe('pending');
+    expect(pool.query.mock.calls.some(call => call[0].includes('UPDATE checkout_orders'))).toBe(false);
+  });
+});
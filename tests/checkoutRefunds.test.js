@@ -0,0 +1,279 @@
+/**
+ * Test: Checkout partial refunds and refund ledger
+ *
+ * This test verifies that:
+ * 1. Refunds can be issued for a specific amount or specific order item lines
+ * 2. Refunds are written to checkout_refunds and can't exceed the order total
+ * 3. A full refund of an untouched order executes refundOrder on-chain
+ * 4. order.refunded is sent to the order's checkout app with the refund breakdown
+ * 5. POST /api/checkout/refund requires the vendor's wallet session
+ * 6. GET /api/checkout/order/:id/refunds is limited to the order's vendor (wallet session or orders:read key)
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { Pool } = require('pg');
+const checkoutContract = require('../checkout/helpers/contract');
+const webhookService = require('../services/webhookService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  mockPool.connect = jest.fn(async () => ({ query: mockPool.query, release: jest.fn() }));
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../checkout/helpers/contract', () => ({
+  getContract: jest.fn(),
+  getOwnerContract: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../services/siweAuthService', () => ({
+  getSession: jest.fn()
+}));
+
+const siweAuthService = require('../services/siweAuthService');
+const checkoutService = require('../checkout/services/checkoutService');
+const checkoutRouter = require('../checkout/routes/checkout');
+
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const ORDER_ID = 'ORD-refund-1';
+
+describe('Checkout refunds', () => {
+  let app;
+  let pool;
+  let order;
+  let ledger;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/checkout', checkoutRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    order = {
+      order_id: ORDER_ID,
+      vendor_address: VENDOR,
+      total_amount: '1.00000000',
+      currency: 'ETH',
+      status: 'paid',
+      network: 'localhost',
+      api_key_id: 12
+    };
+    ledger = [];
+
+    checkoutContract.getContract.mockRejectedValue(new Error('no chain in tests'));
+    checkoutContract.getOwnerContract.mockReturnValue(null);
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM checkout_orders WHERE order_id')) {
+        return { rows: [{ ...order }] };
+      }
+      if (sql.includes('FROM checkout_order_items')) {
+        return {
+          rows: [
+            { id: 1, product_id: 'sku-a', product_name: 'Shirt', quantity: 2, unit_price: '0.25000000' },
+            { id: 2, product_id: 'sku-b', product_name: 'Hat', quantity: 1, unit_price: '0.50000000' }
+          ]
+        };
+      }
+      if (sql.includes('FROM checkout_refunds WHERE order_id')) {
+        return { rows: ledger };
+      }
+      if (sql.includes('INSERT INTO checkout_refunds')) {
+        const row = {
+          refund_id: params[0],
+          amount: params[3],
+          currency: params[4],
+          items: JSON.parse(params[5]),
+          reason: params[6],
+          settlement: params[7],
+          status: params[8],
+          transaction_hash: params[9]
+        };
+        ledger.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes("UPDATE checkout_refunds") && sql.includes("status = 'completed'")) {
+        const row = ledger.find(r => r.refund_id === params[0]);
+        Object.assign(row, { status: 'completed', settlement: params[1], transaction_hash: params[2] });
+        return { rows: [row] };
+      }
+      if (sql.includes('UPDATE checkout_orders')) {
+        order.status = params[0];
+        return { rows: [{ ...order }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should refund a specific amount and mark the order partially refunded', async () => {
+    const result = await checkoutService.processRefund(ORDER_ID, VENDOR, { amount: '0.4', reason: 'Damaged' });
+
+    expect(result.status).toBe('partially_refunded');
+    expect(result.refund.amount).toBe('0.4');
+    expect(result.refund.settlement).toBe('off_chain');
+    expect(checkoutContract.getOwnerContract).not.toHaveBeenCalled();
+
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(12, 'order.refunded', expect.objectContaining({
+      status: 'partially_refunded',
+      amount: '0.4',
+      refundedTotal: '0.4',
+      remainingAmount: '0.6',
+      reason: 'Damaged'
+    }));
+  });
+
+  it('should price item line refunds from the order items', async () => {
+    const result = await checkoutService.processRefund(ORDER_ID, VENDOR, {
+      items: [{ itemId: 1, quantity: 1 }, { itemId: 2 }]
+    });
+
+    expect(result.refund.amount).toBe('0.75');
+    expect(result.refund.items).toEqual([
+      expect.objectContaining({ itemId: '1', quantity: 1, amount: '0.25' }),
+      expect.objectContaining({ itemId: '2', quantity: 1, amount: '0.5' })
+    ]);
+
+    // The second shirt is the only line left to refund
+    await expect(
+      checkoutService.processRefund(ORDER_ID, VENDOR, { items: [{ itemId: 2 }] })
+    ).rejects.toMatchObject({ status: 400, message: 'Item 2 has already been fully refunded' });
+
+    const last = await checkoutService.processRefund(ORDER_ID, VENDOR, { items: [{ itemId: 1 }] });
+    expect(last.status).toBe('refunded');
+  });
+
+  it('should reject refunds beyond the remaining amount', async () => {
+    ledger.push({ amount: '0.80000000', items: [] });
+    order.status = 'partially_refunded';
+
+    await expect(
+      checkoutService.processRefund(ORDER_ID, VENDOR, { amount: '0.3' })
+    ).rejects.toMatchObject({ status: 400 });
+
+    expect(ledger).toHaveLength(1);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should execute refundOrder on-chain for a full refund', async () => {
+    const ownerContract = {
+      orderExists: jest.fn().mockResolvedValue(true),
+      refundOrder: jest.fn().mockResolvedValue({ wait: jest.fn().mockResolvedValue({ hash: '0xrefund' }) })
+    };
+    checkoutContract.getOwnerContract.mockReturnValue(ownerContract);
+
+    const result = await checkoutService.processRefund(ORDER_ID, VENDOR);
+
+    expect(ownerContract.refundOrder).toHaveBeenCalledTimes(1);
+    expect(result.status).toBe('refunded');
+    expect(result.refund.settlement).toBe('on_chain');
+    expect(result.refund.transaction_hash).toBe('0xrefund');
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(12, 'order.refunded', expect.objectContaining({
+      amount: '1.0',
+      remainingAmount: '0.0',
+      settlement: 'on_chain'
+    }));
+  });
+
+  it('should refund on the network the order was created on', async () => {
+    order.network = 'sepolia';
+    const ownerContract = {
+      orderExists: jest.fn().mockResolvedValue(true),
+      refundOrder: jest.fn().mockResolvedValue({ wait: jest.fn().mockResolvedValue({ hash: '0xrefund' }) })
+    };
+    checkoutContract.getOwnerContract.mockImplementation(network => (network === 'sepolia' ? ownerContract : null));
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: VENDOR });
+
+    const response = await request(app)
+      .post('/api/checkout/refund')
+      .set('Authorization', 'Bearer session-token')
+      .send({ orderId: ORDER_ID, network: 'localhost' });
+
+    expect(response.status).toBe(200);
+    expect(checkoutContract.getContract).toHaveBeenCalledWith('sepolia');
+    expect(checkoutContract.getOwnerContract).toHaveBeenCalledWith('sepolia');
+    expect(ownerContract.refundOrder).toHaveBeenCalledTimes(1);
+    expect(response.body.data.refund.settlement).toBe('on_chain');
+    expect(response.body.data.refund.transactionHash).toBe('0xrefund');
+  });
+
+  it('should reject refunds from other vendors', async () => {
+    await expect(
+      checkoutService.processRefund(ORDER_ID, `0x${'9'.repeat(40)}`, { amount: '0.1' })
+    ).rejects.toMatchObject({ status: 403, message: 'Unauthorized' });
+  });
+
+  it('should only refund through the API for the signed-in vendor wallet', async () => {
+    siweAuthService.getSession.mockResolvedValue(null);
+    const anonymous = await request(app)
+      .post('/api/checkout/refund')
+      .send({ orderId: ORDER_ID, vendorAddress: VENDOR, amount: '0.1' });
+    expect(anonymous.status).toBe(401);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: `0x${'9'.repeat(40)}` });
+    const otherWallet = await request(app)
+      .post('/api/checkout/refund')
+      .send({ orderId: ORDER_ID, vendorAddress: VENDOR, amount: '0.1' });
+    expect(otherWallet.status).toBe(403);
+
+    // The vendor is taken from the session, not from the request
+    const withoutVendor = await request(app)
+      .post('/api/checkout/refund')
+      .set('x-vendor-address', VENDOR)
+      .send({ orderId: ORDER_ID, amount: '0.1' });
+    expect(withoutVendor.status).toBe(403);
+    expect(ledger).toHaveLength(0);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: VENDOR });
+    const vendor = await request(app)
+      .post('/api/checkout/refund')
+      .set('Authorization', 'Bearer session-token')
+      .send({ orderId: ORDER_ID, amount: '0.1' });
+
+    expect(vendor.status).toBe(200);
+    expect(vendor.body.data.status).toBe('partially_refunded');
+    expect(ledger).toHaveLength(1);
+  });
+
+  it('should only show the refund ledger to the order\'s vendor', async () => {
+    ledger = [{ refund_id: 'ref_1', amount: '0.1' }];
+    const keys = {
+      ep_vendor_orders: { id: 31, app_id: 'app_1', vendor_address: VENDOR, scopes: ['orders:read'] },
+      ep_other_orders: { id: 32, app_id: 'app_2', vendor_address: `0x${'9'.repeat(40)}`, scopes: ['orders:read'] }
+    };
+    const defaultQuery = pool.query.getMockImplementation();
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM api_keys ak')) {
+        const key = keys[params[0]];
+        return { rows: key ? [{ ...key, api_key: params[0], active: true }] : [] };
+      }
+      return defaultQuery(sql, params);
+    });
+    const getRefunds = () => request(app).get(`/api/checkout/order/${ORDER_ID}/refunds`);
+
+    siweAuthService.getSession.mockResolvedValue(null);
+    expect((await getRefunds()).status).toBe(401);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: `0x${'9'.repeat(40)}` });
+    expect((await getRefunds().set('Authorization', 'Bearer session-token')).status).toBe(403);
+    expect((await getRefunds().set('X-API-Key', 'ep_other_orders')).status).toBe(403);
+
+    const byKey = await getRefunds().set('X-API-Key', 'ep_vendor_orders');
+    expect(byKey.status).toBe(200);
+    expect(byKey.body.data).toEqual(ledger);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: VENDOR });
+    const byWallet = await getRefunds().set('Authorization', 'Bearer session-token');
+    expect(byWallet.status).toBe(200);
+    expect(byWallet.body.data).toEqual(ledger);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Test: Coupons and promotion codes
+ *
+ * This test verifies that:
+ * 1. createOrder redeems a coupon, discounting only the products it is scoped to
+ * 2. Expired, exhausted, per-customer and wrong-currency coupons are refused
+ * 3. Vendors manage coupons through /api/vendor/coupons with a wallet session
+ * 4. Redemptions are reported in the vendor tables
+ * 5. /api/integration/checkout reports a coupon used up between quote and redemption as a coupon error
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { Pool } = require('pg');
+const siweAuthService = require('../services/siweAuthService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  mockPool.connect = jest.fn(async () => ({ query: mockPool.query, release: jest.fn() }));
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../checkout/helpers/contract', () => ({
+  getContract: jest.fn().mockRejectedValue(new Error('not deployed'))
+}));
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../services/siweAuthService', () => ({
+  getSession: jest.fn()
+}));
+
+const checkoutService = require('../checkout/services/checkoutService');
+const couponRouter = require('../routes/coupons');
+const vendorTablesRouter = require('../routes/vendor-tables');
+const integrationRouter = require('../routes/api-integration');
+
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const CUSTOMER = '0x627306090abab3a6e1400e9345bc60c78a8bef57';
+
+function couponRow(overrides = {}) {
+  return {
+    id: 3,
+    vendor_address: VENDOR,
+    code: 'LAUNCH20',
+    discount_type: 'percentage',
+    discount_value: '20.00000000',
+    currency: null,
+    max_redemptions: null,
+    per_customer_limit: null,
+    starts_at: null,
+    expires_at: null,
+    app_ids: [],
+    plan_ids: [],
+    product_ids: [],
+    active: true,
+    ...overrides
+  };
+}
+
+describe('Coupons', () => {
+  let app;
+  let pool;
+  let coupon;
+  let redemptions;
+  let customerRedemptions;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/vendor', couponRouter);
+    app.use('/api/vendor', vendorTablesRouter);
+    app.use('/api/integration', integrationRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: VENDOR });
+    coupon = couponRow();
+    redemptions = 0;
+    customerRedemptions = 0;
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM coupons WHERE vendor_address = $1 AND code = $2')) {
+        return { rows: params[1] === coupon.code ? [coupon] : [] };
+      }
+      if (sql.includes('FROM coupon_redemptions r') && sql.includes('r.customer_key = $2')) {
+        return { rows: [{ count: String(customerRedemptions) }] };
+      }
+      if (sql.includes('FROM coupon_redemptions r') && sql.includes('WHERE r.coupon_id = $1')) {
+        return { rows: [{ count: String(redemptions) }] };
+      }
+      if (sql.includes('INSERT INTO checkout_orders')) {
+        return { rows: [{ order_id: params[0], total_amount: params[3], discount_amount: params[10] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  function createOrder(overrides = {}) {
+    return checkoutService.createOrder({
+      vendorAddress: VENDOR,
+      customerAddress: CUSTOMER,
+      items: [
+        { productId: 'p1', name: 'Course', unitPrice: 0.5, quantity: 1 },
+        { productId: 'p2', name: 'Stickers', unitPrice: 0.25, quantity: 2 }
+      ],
+      totalAmount: 1,
+      currency: 'ETH',
+      couponCode: 'launch20',
+      ...overrides
+    });
+  }
+
+  it('should discount only the products the coupon is scoped to', async () => {
+    coupon = couponRow({ product_ids: ['p1'] });
+
+    await createOrder();
+
+    const orderInsert = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO checkout_orders'));
+    // total, subtotal, discount, coupon id, coupon code
+    expect([orderInsert[1][3], orderInsert[1][9], orderInsert[1][10], orderInsert[1][11], orderInsert[1][12]])
+      .toEqual(['0.9', 1, '0.1', 3, 'LAUNCH20']);
+
+    const itemInserts = pool.query.mock.calls.filter(call => call[0].includes('INSERT INTO checkout_order_items'));
+    expect(itemInserts.map(call => call[1][8])).toEqual(['0.1', 0]);
+
+    const redemption = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO coupon_redemptions'));
+    expect(redemption[1]).toEqual([3, orderInsert[1][0], VENDOR, CUSTOMER, '0.1', 'ETH']);
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FOR UPDATE'), [VENDOR, 'LAUNCH20']);
+  });
+
+  it('should refuse coupons that are expired, used up or for another currency', async () => {
+    coupon = couponRow({ expires_at: new Date(Date.now() - 1000) });
+    await expect(createOrder()).rejects.toMatchObject({ status: 400, message: 'Coupon has expired' });
+
+    coupon = couponRow({ max_redemptions: 5 });
+    redemptions = 5;
+    await expect(createOrder()).rejects.toMatchObject({ status: 409 });
+
+    coupon = couponRow({ per_customer_limit: 1 });
+    redemptions = 0;
+    customerRedemptions = 1;
+    await expect(createOrder()).rejects.toMatchObject({ status: 409, message: expect.stringMatching(/this customer/) });
+
+    coupon = couponRow({ discount_type: 'fixed', discount_value: '100.00000000', currency: 'INR' });
+    await expect(createOrder()).rejects.toMatchObject({ message: 'Coupon is only valid for INR orders' });
+
+    expect(pool.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(pool.query.mock.calls.find(call => call[0].includes('INSERT INTO checkout_orders'))).toBeUndefined();
+  });
+
+  it('should let the signed-in vendor create and delete coupons', async () => {
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('INSERT INTO coupons')) {
+        return { rows: [couponRow({ id: 8, code: params[1], discount_value: params[4], product_ids: params[12] })] };
+      }
+      if (sql.includes('SELECT * FROM coupons WHERE id = $1')) {
+        return { rows: [couponRow({ id: 8 })] };
+      }
+      if (sql.includes('SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id')) {
+        return { rows: [{ count: '2' }] };
+      }
+      if (sql.includes('UPDATE coupons SET active = false')) {
+        return { rows: [couponRow({ id: 8, active: false })] };
+      }
+      return { rows: [] };
+    });
+
+    const invalid = await request(app)
+      .post('/api/vendor/coupons')
+      .set('Authorization', 'Bearer session')
+      .send({ vendorAddress: VENDOR, code: 'SPRING', discountType: 'percentage', discountValue: 150 });
+    expect(invalid.status).toBe(400);
+
+    const created = await request(app)
+      .post('/api/vendor/coupons')
+      .set('Authorization', 'Bearer session')
+      .send({ vendorAddress: VENDOR, code: 'spring-10', discountType: 'percentage', discountValue: 10, productIds: [42] });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ id: 8, code: 'SPRING-10', discountValue: '10.0', productIds: ['42'] });
+
+    const removed = await request(app)
+      .delete(`/api/vendor/coupons/8?vendorAddress=${VENDOR}`)
+      .set('Authorization', 'Bearer session');
+    expect(removed.status).toBe(200);
+    expect(removed.body).toMatchObject({ deleted: false, data: { active: false } });
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: CUSTOMER });
+    const notVendor = await request(app)
+      .post('/api/vendor/coupons')
+      .set('Authorization', 'Bearer session')
+      .send({ vendorAddress: VENDOR, code: 'SPRING', discountType: 'percentage', discountValue: 10 });
+    expect(notVendor.status).toBe(403);
+  });
+
+  it('should report redemptions with per-coupon totals', async () => {
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('GROUP BY r.coupon_id')) {
+        return { rows: [{ coupon_id: 3, code: 'LAUNCH20', currency: 'ETH', redemptions: '1', total_discount: '0.10000000', paid_revenue: '0.90000000' }] };
+      }
+      if (sql.includes('SELECT COUNT(*)')) {
+        return { rows: [{ count: '2' }] };
+      }
+      if (sql.includes('FROM coupon_redemptions r')) {
+        return {
+          rows: [
+            { id: 1, coupon_id: 3, code: 'LAUNCH20', order_id: 'ORD-1', customer_key: CUSTOMER, discount_amount: '0.10000000', currency: 'ETH', order_status: 'paid', created_at: new Date() },
+            { id: 2, coupon_id: 3, code: 'LAUNCH20', order_id: 'ORD-2', customer_key: CUSTOMER, discount_amount: '0.10000000', currency: 'ETH', order_status: 'cancelled', created_at: new Date() }
+          ]
+        };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(app)
+      .get('/api/vendor/coupon-redemptions')
+      .set('Authorization', 'Bearer session');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(row => row.counted)).toEqual([true, false]);
+    expect(res.body.summary).toEqual([
+      { couponId: 3, couponCode: 'LAUNCH20', currency: 'ETH', redemptions: 1, totalDiscount: '0.10000000', paidRevenue: '0.90000000' }
+    ]);
+    expect(res.body.pagination.total).toBe(2);
+    expect(pool.query.mock.calls[0][1][0]).toBe(VENDOR);
+  });
+
+  it('should return the redemption error when the coupon runs out after the quote', async () => {
+    coupon = couponRow({ max_redemptions: 5 });
+    redemptions = 4;
+    const baseQuery = pool.query.getMockImplementation();
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM api_keys ak')) {
+        return { rows: [{ id: 4, app_id: 'app_coupons', api_key: params[0], scopes: ['checkout:create'], active: true }] };
+      }
+      if (sql.includes('FROM subscription_plans WHERE plan_id')) {
+        return { rows: [{ plan_id: '1', app_id: 'app_coupons', vendor_address: VENDOR, price: '1', active: true }] };
+      }
+      if (sql.includes('FROM api_integration_subscriptions')) {
+        return { rows: [{ count: '0' }] };
+      }
+      if (sql.includes('FROM external_users')) {
+        return { rows: [{ app_id: 'app_coupons', external_user_id: 'user-1', wallet_address: CUSTOMER }] };
+      }
+      if (sql.includes('FROM coupons') && sql.includes('FOR UPDATE')) {
+        // Another order took the last redemption after this request's quote
+        redemptions = 5;
+      }
+      return baseQuery(sql, params);
+    });
+
+    const res = await request(app)
+      .post('/api/integration/checkout')
+      .set('X-API-Key', 'sk_coupons')
+      .send({ userId: 'user-1', planId: '1', couponCode: 'launch20' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Coupon error');
+    expect(pool.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(pool.query.mock.calls.find(call => call[0].includes('INSERT INTO checkout_orders'))).toBeUndefined();
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Test: Idempotency-Key support on order creation
+ *
+ * This test verifies that:
+ * 1. Retrying with the same key and body returns the original response without creating a second order
+ * 2. Reusing a key with a different body is a 409, and keys are scoped per API key
+ * 3. 5xx responses are not stored, so the request can be retried
+ * 4. A retry while the first request is still running is a 409 with Retry-After
+ * 5. A client disconnect does not release the key while the handler is still running,
+ *    but a handler error does
+ * 6. A key left processing past the lock (e.g. after a crash) is taken over by a retry
+ */
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const { Pool } = require('pg');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../checkout/controllers/checkoutController');
+
+const checkoutController = require('../checkout/controllers/checkoutController');
+const checkoutRouter = require('../checkout/routes/checkout');
+const { fingerprintRequest } = require('../services/idempotencyService');
+
+const flushStoredResponses = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Idempotency keys', () => {
+  let app;
+  let pool;
+  let idempotencyRows;
+  let orderCount;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/checkout', checkoutRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idempotencyRows = new Map();
+    orderCount = 0;
+
+    checkoutController.createOrder.mockImplementation((req, res) => {
+      orderCount++;
+      res.status(201).json({ success: true, orderId: `ORD-${orderCount}`, planId: req.body.planId });
+    });
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM api_keys ak')) {
+        const id = { sk_one: 1, sk_two: 2 }[params[0]];
+        return { rows: id ? [{ id, app_id: 'app_idem', api_key: params[0], scopes: ['checkout:create'], active: true }] : [] };
+      }
+      if (sql.includes('INSERT INTO api_idempotency_keys')) {
+        const rowKey = `${params[0]}|${params[1]}`;
+        if (idempotencyRows.has(rowKey)) {
+          return { rows: [] };
+        }
+        idempotencyRows.set(rowKey, { endpoint: params[2], request_fingerprint: params[3], status: 'processing', created_at: new Date() });
+        return { rows: [{ id: idempotencyRows.size }] };
+      }
+      if (sql.includes('SELECT endpoint, request_fingerprint')) {
+        const row = idempotencyRows.get(`${params[0]}|${params[1]}`);
+        return { rows: row ? [row] : [] };
+      }
+      if (sql.includes("SET status = 'completed'")) {
+        const row = idempotencyRows.get(`${params[0]}|${params[1]}`);
+        Object.assign(row, { status: 'completed', response_status: params[2], response_body: JSON.parse(params[3]) });
+        return { rows: [] };
+      }
+      if (sql.includes('DELETE FROM api_idempotency_keys') && sql.includes('expires_at < CURRENT_TIMESTAMP')) {
+        const rowKey = `${params[0]}|${params[1]}`;
+        const row = idempotencyRows.get(rowKey);
+        if (row && row.status === 'processing' && row.created_at < new Date(Date.now() - parseInt(params[2]) * 60000)) {
+          idempotencyRows.delete(rowKey);
+        }
+        return { rows: [] };
+      }
+      if (sql.includes('DELETE FROM api_idempotency_keys') && sql.includes("status = 'processing'")) {
+        idempotencyRows.delete(`${params[0]}|${params[1]}`);
+        return { rows: [] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  function createOrder(apiKey, idempotencyKey, body) {
+    return request(app)
+      .post('/api/checkout/create-order')
+      .set('X-API-Key', apiKey)
+      .set('Idempotency-Key', idempotencyKey)
+      .send(body);
+  }
+
+  it('returns the original response for a retry without creating a second order', async () => {
+    const first = await createOrder('sk_one', 'order-attempt-1', { planId: '1', customerAddress: '0xabc' });
+    await flushStoredResponses();
+    // Same body, different key order
+    const retry = await createOrder('sk_one', 'order-attempt-1', { customerAddress: '0xabc', planId: '1' });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(orderCount).toBe(1);
+
+    // Without the header every call creates an order
+    await request(app).post('/api/checkout/create-order').set('X-API-Key', 'sk_one').send({ planId: '1' });
+    expect(orderCount).toBe(2);
+  });
+
+  it('rejects a reused key with a different body and scopes keys per API key', async () => {
+    await createOrder('sk_one', 'order-attempt-2', { planId: '1' });
+    await flushStoredResponses();
+
+    const conflict = await createOrder('sk_one', 'order-attempt-2', { planId: '2' });
+    expect(conflict.status).toBe(409);
+    expect(conflict.body.error).toBe('Idempotency key conflict');
+
+    const otherKey = await createOrder('sk_two', 'order-attempt-2', { planId: '2' });
+    expect(otherKey.status).toBe(201);
+    expect(otherKey.body.planId).toBe('2');
+    expect(orderCount).toBe(2);
+  });
+
+  it('does not store 5xx responses so the request can be retried', async () => {
+    checkoutController.createOrder.mockImplementationOnce((req, res) => {
+      res.status(500).json({ success: false, error: 'RPC unavailable' });
+    });
+
+    const failed = await createOrder('sk_one', 'order-attempt-3', { planId: '1' });
+    await flushStoredResponses();
+    const retried = await createOrder('sk_one', 'order-attempt-3', { planId: '1' });
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(201);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+    expect(orderCount).toBe(1);
+  });
+
+  it('returns 409 with Retry-After while the first request is still processing', async () => {
+    idempotencyRows.set('key:1|order-attempt-4', {
+      endpoint: 'POST /api/checkout/create-order',
+      request_fingerprint: fingerprintRequest('POST /api/checkout/create-order', { planId: '1' }),
+      status: 'processing'
+    });
+
+    const inFlight = await createOrder('sk_one', 'order-attempt-4', { planId: '1' });
+
+    expect(inFlight.status).toBe(409);
+    expect(inFlight.body.error).toBe('Request in progress');
+    expect(inFlight.headers['retry-after']).toBe('1');
+    expect(orderCount).toBe(0);
+  });
+
+  it('takes over a key left processing past the lock', async () => {
+    idempotencyRows.set('key:1|order-attempt-7', {
+      endpoint: 'POST /api/checkout/create-order',
+      request_fingerprint: fingerprintRequest('POST /api/checkout/create-order', { planId: '1' }),
+      status: 'processing',
+      created_at: new Date(Date.now() - 10 * 60000)
+    });
+
+    const retried = await createOrder('sk_one', 'order-attempt-7', { planId: '1' });
+
+    expect(retried.status).toBe(201);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+    expect(orderCount).toBe(1);
+  });
+
+  it('keeps the key while the handler runs after the client disconnects', async () => {
+    let handlerStarted;
+    const started = new Promise(resolve => { handlerStarted = resolve; });
+    let finishHandler;
+    const finished = new Promise(resolve => { finishHandler = resolve; });
+
+    checkoutController.createOrder.mockImplementationOnce(async (req, res) => {
+      orderCount++;
+      handlerStarted();
+      await finished;
+      res.status(201).json({ success: true, orderId: `ORD-${orderCount}`, planId: req.body.planId });
+    });
+
+    const server = app.listen(0);
+    try {
+      const body = JSON.stringify({ planId: '1' });
+      const clientRequest = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: '/api/checkout/create-order',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'sk_one', 'Idempotency-Key': 'order-attempt-5' }
+      });
+      clientRequest.on('error', () => {});
+      clientRequest.end(body);
+
+      await started;
+      clientRequest.destroy();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(idempotencyRows.get('key:1|order-attempt-5').status).toBe('processing');
+      const retryInFlight = await createOrder('sk_one', 'order-attempt-5', { planId: '1' });
+      expect(retryInFlight.status).toBe(409);
+      expect(retryInFlight.body.error).toBe('Request in progress');
+
+      finishHandler();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await flushStoredResponses();
+
+      const replayed = await createOrder('sk_one', 'order-attempt-5', { planId: '1' });
+      expect(replayed.status).toBe(201);
+      expect(replayed.body.orderId).toBe('ORD-1');
+      expect(replayed.headers['idempotent-replayed']).toBe('true');
+      expect(orderCount).toBe(1);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('releases the key when the handler passes an error on', async () => {
+    checkoutController.createOrder.mockImplementationOnce((req, res, next) => {
+      next(new Error('RPC unavailable'));
+    });
+
+    const failed = await createOrder('sk_one', 'order-attempt-6', { planId: '1' });
+    await flushStoredResponses();
+    const retried = await createOrder('sk_one', 'order-attempt-6', { planId: '1' });
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(201);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Test: Non-custodial purchase and renew flow
+ *
+ * This test verifies that:
+ * 1. The server never accepts subscriber private keys
+ * 2. Purchase/renew return unsigned transactions with the on-chain plan price
+ * 3. Confirm endpoints verify the receipt and SubscriptionPurchased event before writing to the DB
+ * 4. A renewal transaction is recorded once, even when the subscription row is missing
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+const webhookService = require('../services/webhookService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/ipfsService', () => ({
+  uploadMetadata: jest.fn().mockResolvedValue('ipfs://QmTestMetadata'),
+  getMetadata: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const subscriptionRouter = require('../routes/subscription');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SUBSCRIBER = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+const iface = new ethers.Interface([
+  'function purchaseSubscription(uint256 planId, string memory tokenURI) external payable returns (uint256)',
+  'function renewSubscription(uint256 tokenId) external payable',
+  'event SubscriptionPurchased(uint256 indexed tokenId, uint256 indexed planId, address indexed subscriber, uint256 endTime)',
+  'event SubscriptionRenewed(uint256 indexed tokenId, uint256 newEndTime)'
+]);
+
+function buildLog(eventName, args) {
+  const encoded = iface.encodeEventLog(iface.getEvent(eventName), args);
+  return { address: CONTRACT_ADDRESS, topics: encoded.topics, data: encoded.data };
+}
+
+describe('Non-custodial subscription purchase', () => {
+  let app;
+  let pool;
+  let provider;
+  let contract;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/subscriptions', subscriptionRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    provider = {
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 1337n }),
+      estimateGas: jest.fn().mockResolvedValue(210000n),
+      getTransactionReceipt: jest.fn(),
+      getTransaction: jest.fn()
+    };
+
+    contract = {
+      target: CONTRACT_ADDRESS,
+      interface: iface,
+      runner: { provider },
+      getPlan: jest.fn().mockResolvedValue({
+        name: 'Pro',
+        description: 'Pro plan',
+        price: ethers.parseEther('0.01'),
+        duration: 2592000n
+      }),
+      getSubscription: jest.fn().mockResolvedValue({
+        tokenId: 7n,
+        planId: 1n,
+        subscriber: SUBSCRIBER,
+        startTime: 1700000000n,
+        endTime: 1702592000n,
+        active: true
+      })
+    };
+
+    contractService.getContract.mockResolvedValue(contract);
+    // Maintenance mode lookup and anything not explicitly mocked returns no rows
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  it('should reject requests that include a private key', async () => {
+    const response = await request(app)
+      .post('/api/subscriptions/purchase')
+      .send({ planId: '1', subscriberAddress: SUBSCRIBER, subscriberPrivateKey: '0xdead' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/Private keys are not accepted/);
+    expect(contractService.getContract).not.toHaveBeenCalled();
+  });
+
+  it('should return an unsigned purchase transaction priced from getPlan', async () => {
+    const response = await request(app)
+      .post('/api/subscriptions/purchase')
+      .send({ planId: '1', subscriberAddress: SUBSCRIBER, metadata: { name: 'Pro' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.tokenURI).toBe('ipfs://QmTestMetadata');
+    expect(response.body.transaction.to).toBe(CONTRACT_ADDRESS);
+    expect(response.body.transaction.value).toBe(ethers.parseEther('0.01').toString());
+    expect(response.body.transaction.chainId).toBe('1337');
+
+    const decoded = iface.parseTransaction({ data: response.body.transaction.data });
+    expect(decoded.name).toBe('purchaseSubscription');
+    expect(decoded.args.tokenURI).toBe('ipfs://QmTestMetadata');
+  });
+
+  it('should record the subscription once the receipt and event are verified', async () => {
+    provider.getTransactionReceipt.mockResolvedValue({
+      hash: TX_HASH,
+      status: 1,
+      to: CONTRACT_ADDRESS,
+      from: SUBSCRIBER,
+      blockNumber: 42,
+      logs: [buildLog('SubscriptionPurchased', [7n, 1n, SUBSCRIBER, 1702592000n])]
+    });
+    provider.getTransaction.mockResolvedValue({
+      data: iface.encodeFunctionData('purchaseSubscription', [1n, 'ipfs://QmTestMetadata']),
+      value: ethers.parseEther('0.01')
+    });
+
+    const response = await request(app)
+      .post('/api/subscriptions/purchase/confirm')
+      .send({ transactionHash: TX_HASH, subscriberAddress: SUBSCRIBER });
+
+    expect(response.status).toBe(201);
+    expect(response.body.tokenId).toBe('7');
+    expect(response.body.tokenURI).toBe('ipfs://QmTestMetadata');
+
+    const insert = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO subscriptions'));
+    expect(insert).toBeDefined();
+    expect(insert[1]).toEqual(['7', '1', SUBSCRIBER.toLowerCase(), 'ipfs://QmTestMetadata', TX_HASH]);
+
+    const history = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO subscription_history'));
+    expect(history).toBeDefined();
+  });
+
+  it('should refuse to record a purchase without a SubscriptionPurchased event', async () => {
+    provider.getTransactionReceipt.mockResolvedValue({
+      hash: TX_HASH,
+      status: 1,
+      to: CONTRACT_ADDRESS,
+      from: SUBSCRIBER,
+      blockNumber: 42,
+      logs: []
+    });
+
+    const response = await request(app)
+      .post('/api/subscriptions/purchase/confirm')
+      .send({ transactionHash: TX_HASH });
+
+    expect(response.status).toBe(400);
+    const insert = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO subscriptions'));
+    expect(insert).toBeUndefined();
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should reject a receipt sent to a different contract', async () => {
+    provider.getTransactionReceipt.mockResolvedValue({
+      hash: TX_HASH,
+      status: 1,
+      to: '0x0000000000000000000000000000000000000001',
+      from: SUBSCRIBER,
+      blockNumber: 42,
+      logs: []
+    });
+
+    const response = await request(app)
+      .post('/api/subscriptions/purchase/confirm')
+      .send({ transactionHash: TX_HASH });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/subscription contract/);
+  });
+
+  it('should return an unsigned renewal transaction from the subscriber', async () => {
+    const response = await request(app)
+      .post('/api/subscriptions/7/renew')
+      .send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.transaction.from).toBe(ethers.getAddress(SUBSCRIBER.toLowerCase()));
+    expect(iface.parseTransaction({ data: response.body.transaction.data }).name).toBe('renewSubscription');
+  });
+
+  it('should record a renewal once even without a subscription row', async () => {
+    const history = [];
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('SELECT 1 FROM subscription_history')) {
+        return { rows: history.filter(row => row[0] === params[0] && row[6] === params[1]) };
+      }
+      if (sql.includes('INSERT INTO subscription_history')) {
+        history.push(params);
+      }
+      return { rows: [] };
+    });
+    provider.getTransactionReceipt.mockResolvedValue({
+      hash: TX_HASH,
+      status: 1,
+      to: CONTRACT_ADDRESS,
+      from: SUBSCRIBER,
+      blockNumber: 42,
+      logs: [buildLog('SubscriptionRenewed', [7n, 1705184000n])]
+    });
+
+    const first = await request(app)
+      .post('/api/subscriptions/7/renew/confirm')
+      .send({ transactionHash: TX_HASH });
+    const retry = await request(app)
+      .post('/api/subscriptions/7/renew/confirm')
+      .send({ transactionHash: TX_HASH });
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.body.alreadyConfirmed).toBe(true);
+    expect(history).toHaveLength(1);
+    expect(history[0].slice(0, 3)).toEqual(['7', '1', SUBSCRIBER.toLowerCase()]);
+  });
+});
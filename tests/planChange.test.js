@@ -0,0 +1,311 @@
+/**
+ * Test: Plan changes with proration
+ *
+ * This test verifies that:
+ * 1. Immediate changes credit the unused time of the old plan and return purchase + cancel transactions
+ * 2. Changes are limited to plans of the same app and to the subscriber
+ * 3. end_of_period changes are scheduled for the current endTime
+ * 4. Confirming records plan_changed history linking old and new token ids and sends subscription.plan_changed
+ * 5. Confirming refuses a purchase already used by another plan change or mined before the request
+ * 6. Confirming only completes a change that is still open when it is written
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+const webhookService = require('../services/webhookService');
+const siweAuthService = require('../services/siweAuthService');
+const { abi } = require('../config/contract-address.json');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/ipfsService', () => ({
+  uploadMetadata: jest.fn().mockResolvedValue('ipfs://new-plan'),
+  getMetadata: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true }),
+  findVendorWebhookKeyId: jest.fn().mockResolvedValue(11)
+}));
+jest.mock('../services/siweAuthService', () => ({
+  getSession: jest.fn()
+}));
+
+const subscriptionRouter = require('../routes/subscription');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SUBSCRIBER = '0x627306090abab3a6e1400e9345bc60c78a8bef57';
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const PURCHASE_TX = `0x${'ab'.repeat(32)}`;
+const CANCEL_TX = `0x${'cd'.repeat(32)}`;
+const NOW = 1750000000000;
+const DAY = 86400;
+const END_TIME = NOW / 1000 + 15 * DAY;
+
+const iface = new ethers.Interface(abi);
+
+const PLANS = {
+  '1': { plan_id: '1', vendor_address: VENDOR, name: 'Basic', price: '0.01000000', duration: 30 * DAY, app_id: 5, active: true },
+  '2': { plan_id: '2', vendor_address: VENDOR, name: 'Pro', price: '0.03000000', duration: 30 * DAY, app_id: 5, active: true },
+  '3': { plan_id: '3', vendor_address: VENDOR, name: 'Other app', price: '0.02000000', duration: 30 * DAY, app_id: 6, active: true }
+};
+
+function buildLog(eventName, args) {
+  const encoded = iface.encodeEventLog(iface.getEvent(eventName), args);
+  return { address: CONTRACT_ADDRESS, topics: encoded.topics, data: encoded.data };
+}
+
+describe('Plan changes', () => {
+  let app;
+  let pool;
+  let provider;
+  let contract;
+  let storedChange;
+  let reusedBy;
+  let completeChange;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/subscriptions', subscriptionRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: SUBSCRIBER });
+    storedChange = null;
+    reusedBy = [];
+    // Concurrent writes that land between the confirm's checks and its UPDATE
+    completeChange = async () => {};
+
+    provider = {
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 1337n }),
+      estimateGas: jest.fn().mockResolvedValue(90000n),
+      getBlock: jest.fn(async () => ({ timestamp: NOW / 1000 + 60 })),
+      getTransactionReceipt: jest.fn(async (hash) => ({
+        hash,
+        status: 1,
+        to: CONTRACT_ADDRESS,
+        from: SUBSCRIBER,
+        blockNumber: 120,
+        logs: [hash === PURCHASE_TX
+          ? buildLog('SubscriptionPurchased', [12n, 2n, SUBSCRIBER, BigInt(NOW / 1000 + 30 * DAY)])
+          : buildLog('SubscriptionCancelled', [7n, SUBSCRIBER])]
+      }))
+    };
+    contract = {
+      target: CONTRACT_ADDRESS,
+      interface: iface,
+      runner: { provider },
+      getPlan: jest.fn(async (planId) => ({ price: ethers.parseEther(PLANS[planId.toString()].price) })),
+      getSubscription: jest.fn(async (tokenId) => ({
+        active: true,
+        paused: false,
+        startTime: BigInt(NOW / 1000),
+        endTime: BigInt(tokenId.toString() === '7' ? END_TIME : NOW / 1000 + 30 * DAY)
+      }))
+    };
+    contractService.getContract.mockResolvedValue(contract);
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM subscriptions WHERE token_id')) {
+        return { rows: [{ token_id: '7', plan_id: '1', subscriber_address: SUBSCRIBER }] };
+      }
+      if (sql.includes('FROM subscription_plans WHERE plan_id')) {
+        return { rows: PLANS[params[0]] ? [PLANS[params[0]]] : [] };
+      }
+      if (sql.includes('INSERT INTO plan_changes')) {
+        storedChange = {
+          id: 4,
+          token_id: params[0],
+          subscriber_address: params[1],
+          vendor_address: params[2],
+          from_plan_id: params[3],
+          to_plan_id: params[4],
+          network: params[5],
+          mode: params[6],
+          direction: params[7],
+          status: params[8],
+          effective_at: params[9],
+          proration: JSON.parse(params[10]),
+          token_uri: params[11],
+          created_at: new Date(NOW)
+        };
+        return { rows: [storedChange] };
+      }
+      if (sql.includes('SELECT id FROM plan_changes WHERE LOWER(purchase_tx_hash)')) {
+        return { rows: reusedBy };
+      }
+      if (sql.includes('SELECT * FROM plan_changes WHERE id')) {
+        return { rows: storedChange ? [storedChange] : [] };
+      }
+      if (sql.includes('UPDATE plan_changes') && sql.includes("status = 'completed'")) {
+        await completeChange();
+        if (!params[4].includes(storedChange.status)) {
+          return { rows: [] };
+        }
+        return { rows: [{ ...storedChange, status: 'completed', new_token_id: params[1], purchase_tx_hash: params[2], cancel_tx_hash: params[3] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function requestChange(body) {
+    return request(app)
+      .post('/api/subscriptions/7/change-plan')
+      .set('Authorization', 'Bearer session')
+      .send(body);
+  }
+
+  it('should prorate an immediate upgrade and return purchase and cancel transactions', async () => {
+    const res = await requestChange({ newPlanId: '2' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.change).toMatchObject({ tokenId: '7', fromPlanId: '1', toPlanId: '2', mode: 'immediate', direction: 'upgrade', status: 'pending' });
+    expect(res.body.change.proration).toMatchObject({
+      remainingSeconds: 15 * DAY,
+      credit: ethers.parseEther('0.005').toString(),
+      amountDue: ethers.parseEther('0.025').toString(),
+      refundDue: ethers.parseEther('0.005').toString()
+    });
+
+    const [purchase, cancel] = res.body.transactions;
+    expect(purchase.step).toBe('purchase');
+    expect(purchase.transaction.value).toBe(ethers.parseEther('0.03').toString());
+    expect(iface.parseTransaction({ data: purchase.transaction.data }).args.planId).toBe(2n);
+    expect(iface.parseTransaction({ data: cancel.transaction.data }).name).toBe('cancelSubscription');
+  });
+
+  it('should only switch between plans of the same app for the subscriber', async () => {
+    const otherApp = await requestChange({ newPlanId: '3' });
+    expect(otherApp.status).toBe(400);
+    expect(otherApp.body.error).toMatch(/same app/);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: VENDOR });
+    const notOwner = await requestChange({ newPlanId: '2' });
+    expect(notOwner.status).toBe(403);
+  });
+
+  it('should schedule end-of-period changes without proration', async () => {
+    const res = await requestChange({ newPlanId: '2', mode: 'end_of_period' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.change).toMatchObject({ status: 'scheduled', effectiveAt: new Date(END_TIME * 1000).toISOString() });
+    expect(res.body.change.proration.credit).toBe('0');
+    expect(res.body.transactions).toEqual([]);
+    expect(pool.query.mock.calls.find(call => call[0].includes('UPDATE auto_renewals'))).toBeDefined();
+
+    const early = await request(app)
+      .post('/api/subscriptions/7/change-plan/confirm')
+      .set('Authorization', 'Bearer session')
+      .send({ changeId: 4, transactionHash: PURCHASE_TX });
+    expect(early.status).toBe(400);
+    expect(early.body.error).toMatch(/scheduled for/);
+  });
+
+  it('should record the change and send subscription.plan_changed once confirmed', async () => {
+    await requestChange({ newPlanId: '2' });
+
+    const missingCancel = await request(app)
+      .post('/api/subscriptions/7/change-plan/confirm')
+      .set('Authorization', 'Bearer session')
+      .send({ changeId: 4, transactionHash: PURCHASE_TX });
+    expect(missingCancel.status).toBe(400);
+
+    const res = await request(app)
+      .post('/api/subscriptions/7/change-plan/confirm')
+      .set('Authorization', 'Bearer session')
+      .send({ changeId: 4, transactionHash: PURCHASE_TX, cancelTransactionHash: CANCEL_TX });
+
+    expect(res.status).toBe(200);
+    expect(res.body.change).toMatchObject({ status: 'completed', newTokenId: '12' });
+
+    const history = pool.query.mock.calls.filter(call => call[0].includes('INSERT INTO subscription_history'));
+    expect(history.map(call => [call[1][0], call[1][4]])).toEqual([['7', 'plan_changed'], ['12', 'plan_changed']]);
+    expect(JSON.parse(history[0][1][5])).toMatchObject({ previousTokenId: '7', newTokenId: '12', cancelTransactionHash: CANCEL_TX });
+
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(11, 'subscription.plan_changed', expect.objectContaining({
+      tokenId: '12',
+      previousTokenId: '7',
+      fromPlanId: '1',
+      toPlanId: '2',
+      direction: 'upgrade',
+      transactionHash: PURCHASE_TX
+    }));
+  });
+
+  it('should refuse a purchase used by another plan change or mined before the request', async () => {
+    await requestChange({ newPlanId: '2' });
+    const body = { changeId: 4, transactionHash: PURCHASE_TX, cancelTransactionHash: CANCEL_TX };
+
+    reusedBy = [{ id: 3 }];
+    const reused = await request(app)
+      .post('/api/subscriptions/7/change-plan/confirm')
+      .set('Authorization', 'Bearer session')
+      .send(body);
+    expect(reused.status).toBe(409);
+
+    reusedBy = [];
+    provider.getBlock.mockResolvedValue({ timestamp: NOW / 1000 - DAY });
+    const early = await request(app)
+      .post('/api/subscriptions/7/change-plan/confirm')
+      .set('Authorization', 'Bearer session')
+      .send(body);
+    expect(early.status).toBe(400);
+    expect(early.body.error).toMatch(/before the plan change was requested/);
+
+    expect(pool.query.mock.calls.some(call => call[0].includes("status = 'completed'"))).toBe(false);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should not complete a change cancelled or claimed by a concurrent request', async () => {
+    await requestChange({ newPlanId: '2' });
+    const body = { changeId: 4, transactionHash: PURCHASE_TX, cancelTransactionHash: CANCEL_TX };
+
+    completeChange = async () => {
+      storedChange.status = 'cancelled';
+    };
+    const cancelled = await request(app)
+      .post('/api/subscriptions/7/change-plan/confirm')
+      .set('Authorization', 'Bearer session')
+      .send(body);
+    expect(cancelled.status).toBe(409);
+    expect(cancelled.body.error).toBe('Plan change is no longer open');
+    expect(storedChange.status).toBe('cancelled');
+
+    storedChange.status = 'pending';
+    completeChange = async () => {
+      throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+    };
+    const claimed = await request(app)
+      .post('/api/subscriptions/7/change-plan/confirm')
+      .set('Authorization', 'Bearer session')
+      .send(body);
+    expect(claimed.status).toBe(409);
+    expect(claimed.body.error).toBe('Transaction already used for another plan change');
+
+    expect(pool.query.mock.calls.some(call => call[0].includes('INSERT INTO subscriptions'))).toBe(false);
+    expect(pool.query.mock.calls.some(call => call[0].includes('INSERT INTO subscription_history'))).toBe(false);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Test: Test-mode API keys and the sandbox network
+ *
+ * This test verifies that:
+ * 1. Contract calls made with a test-mode key always use the sandbox network (and live keys can't reach it)
+ * 2. ep_test_ / ck_test_ keys are issued on request, and the users and webhooks they create are flagged
+ * 3. /api/integration/validate never treats a sandbox subscription as valid for a live key
+ * 4. A test-mode key with sandbox:manage wipes the vendor's sandbox data in one call,
+ *    including subscriptions on the sandbox network; live keys can't
+ */
+
+const request = require('supertest');
+const express = require('express');
+const axios = require('axios');
+const { Pool } = require('pg');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  mockPool.connect = jest.fn(async () => ({ query: mockPool.query, release: jest.fn() }));
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+
+// Providers record their RPC URL instead of connecting
+jest.mock('ethers', () => {
+  const actual = jest.requireActual('ethers');
+  class MockJsonRpcProvider {
+    constructor(url) {
+      this.url = url;
+    }
+    on() {}
+  }
+  return { ...actual, ethers: { ...actual.ethers, JsonRpcProvider: MockJsonRpcProvider } };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+  initialize: jest.fn()
+}));
+
+const contractService = require('../services/contractService');
+const checkoutContract = require('../checkout/helpers/contract');
+const webhookService = require('../services/webhookService');
+const integrationRouter = require('../routes/api-integration');
+const apiKeysRouter = require('../routes/api-keys');
+const checkoutRouter = require('../checkout/routes/checkout');
+const { SANDBOX_NETWORK, runWithKeyMode } = require('../utils/sandbox');
+
+const VENDOR = '0x00000000000000000000000000000000000000aa';
+const SANDBOX_RPC_URL = 'http://sandbox-rpc:8545';
+const SANDBOX_CHECKOUT_ADDRESS = '0x1111111111111111111111111111111111111111';
+
+describe('Test-mode API keys', () => {
+  let app;
+  let pool;
+  let keys;
+  let subscriptions;
+
+  beforeAll(() => {
+    process.env.SANDBOX_RPC_URL = SANDBOX_RPC_URL;
+    process.env.SANDBOX_CHECKOUT_CONTRACT_ADDRESS = SANDBOX_CHECKOUT_ADDRESS;
+    process.env.CHECKOUT_CONTRACT_OWNER_PRIVATE_KEY = `0x${'22'.repeat(32)}`;
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/integration', integrationRouter);
+    app.use('/api/api-keys', apiKeysRouter);
+    app.use('/api/checkout', checkoutRouter);
+    pool = new Pool();
+  });
+
+  afterAll(() => {
+    delete process.env.SANDBOX_RPC_URL;
+    delete process.env.SANDBOX_CHECKOUT_CONTRACT_ADDRESS;
+    delete process.env.CHECKOUT_CONTRACT_OWNER_PRIVATE_KEY;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    const scopes = ['users:write', 'subscriptions:validate', 'sandbox:manage'];
+    keys = {
+      ep_live_key: { id: 41, app_id: 'app_sandbox', vendor_address: VENDOR, scopes },
+      ep_test_key: { id: 42, app_id: 'app_sandbox', vendor_address: VENDOR, scopes },
+      ep_test_unscoped: { id: 43, app_id: 'app_sandbox', vendor_address: VENDOR, scopes: ['users:write'] }
+    };
+
+    // Token 7 only exists on the sandbox network
+    subscriptions = [{ token_id: '7', plan_id: '1', network: SANDBOX_NETWORK, duration: 3600, created_at: new Date() }];
+
+    contractService.getContract.mockRejectedValue(new Error('Subscription not found on chain'));
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.startsWith('DELETE FROM')) {
+        return { rows: [], rowCount: 2 };
+      }
+      if (sql.includes('FROM api_keys ak')) {
+        const key = keys[params[0]];
+        return { rows: key ? [{ ...key, api_key: params[0], active: true }] : [] };
+      }
+      if (sql.includes('SELECT * FROM apps WHERE app_id')) {
+        return { rows: [{ app_id: params[0], vendor_address: VENDOR }] };
+      }
+      if (sql.includes('INSERT INTO api_keys')) {
+        return { rows: [{ id: 43, api_key: params[1], name: params[3], scopes: params[6], test_mode: params[8] }] };
+      }
+      if (sql.includes('INSERT INTO checkout_apps')) {
+        return { rows: [{ app_id: params[0], app_name: params[4], status: 'active', test_mode: params[8] }] };
+      }
+      if (sql.includes('INSERT INTO external_users')) {
+        return { rows: [{ app_id: params[0], external_user_id: params[1], test_mode: params[5] }] };
+      }
+      if (sql.includes('FROM subscriptions s') && sql.includes('JOIN subscription_plans')) {
+        const sandboxOnly = sql.includes('s.network = $2');
+        return { rows: subscriptions.filter(s => (s.network === params[1]) === sandboxOnly) };
+      }
+      if (sql.includes('INSERT INTO webhook_logs')) {
+        return { rows: [{ id: 1, api_key_id: params[0], source_type: params[2], event_type: params[4], payload: params[5], webhook_url: params[6], test_mode: params[8] }] };
+      }
+      if (sql.includes("SET status = 'processing'")) {
+        return { rows: [{ id: params[0], source_type: 'api_keys', api_key_id: 42, event_type: 'subscription_active', payload: '{"userId":"user-1"}', webhook_url: 'https://hooks.example.com/sandbox', attempt_number: 1, max_attempts: 5, test_mode: true }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('runs contract calls for test-mode keys on the sandbox network', () => {
+    const realContractService = jest.requireActual('../services/contractService');
+
+    const sandboxProvider = runWithKeyMode(true, () => realContractService.getProvider('localhost'));
+    expect(sandboxProvider.url).toBe(SANDBOX_RPC_URL);
+
+    // Whatever network the caller names, and never the live checkout contract
+    const ownerContract = runWithKeyMode(true, () => checkoutContract.getOwnerContract('polygon'));
+    expect(ownerContract.target).toBe(SANDBOX_CHECKOUT_ADDRESS);
+
+    const liveProvider = runWithKeyMode(false, () => realContractService.getProvider('localhost'));
+    expect(liveProvider.url).not.toBe(SANDBOX_RPC_URL);
+    expect(() => runWithKeyMode(false, () => realContractService.getProvider(SANDBOX_NETWORK)))
+      .toThrow('Live API keys cannot access the sandbox network');
+  });
+
+  it('issues test-mode keys and flags the users and webhooks they create', async () => {
+    const apiKey = await request(app)
+      .post('/api/api-keys')
+      .send({ appId: 'app_sandbox', testMode: true });
+
+    expect(apiKey.status).toBe(201);
+    expect(apiKey.body.data.apiKey).toMatch(/^ep_test_[0-9a-f]{48}$/);
+    expect(apiKey.body.data.testMode).toBe(true);
+
+    const checkoutApp = await request(app)
+      .post('/api/checkout/apps')
+      .send({ vendorAddress: VENDOR, appName: 'Sandbox store', testMode: true });
+
+    expect(checkoutApp.status).toBe(201);
+    expect(checkoutApp.body.data.apiKey).toMatch(/^ck_test_[0-9a-f]{48}$/);
+    expect(checkoutApp.body.data.testMode).toBe(true);
+
+    const testUser = await request(app).post('/api/integration/users').set('X-API-Key', 'ep_test_key').send({ userId: 'user-1' });
+    const liveUser = await request(app).post('/api/integration/users').set('X-API-Key', 'ep_live_key').send({ userId: 'user-1' });
+    expect(testUser.body.data.test_mode).toBe(true);
+    expect(liveUser.body.data.test_mode).toBe(false);
+
+    axios.post.mockResolvedValue({ status: 200, data: { received: true } });
+    await runWithKeyMode(true, () =>
+      webhookService.sendWebhook(42, 'subscription_active', { userId: 'user-1' }, 'https://hooks.example.com/sandbox')
+    );
+
+    const queued = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO webhook_logs'));
+    expect(queued[1][8]).toBe(true);
+    expect(JSON.parse(axios.post.mock.calls[0][1]).livemode).toBe(false);
+  });
+
+  it('never treats a sandbox subscription as valid for a live key', async () => {
+    const live = await request(app)
+      .get('/api/integration/validate?tokenId=7')
+      .set('X-API-Key', 'ep_live_key');
+
+    expect(live.status).toBe(404);
+
+    const sandbox = await request(app)
+      .get('/api/integration/validate?tokenId=7')
+      .set('X-API-Key', 'ep_test_key');
+
+    expect(sandbox.status).toBe(200);
+    expect(sandbox.body.data.entitled).toBe(true);
+    expect(sandbox.body.data.livemode).toBe(false);
+
+    const integrationLookup = pool.query.mock.calls.find(([sql]) => sql.includes('FROM api_integration_subscriptions ais'));
+    expect(integrationLookup[1]).toEqual(['7', true]);
+  });
+
+  it('wipes the vendor\'s sandbox data with a test-mode key only', async () => {
+    const live = await request(app)
+      .delete('/api/integration/sandbox')
+      .set('X-API-Key', 'ep_live_key');
+
+    expect(live.status).toBe(403);
+
+    const unscoped = await request(app)
+      .delete('/api/integration/sandbox')
+      .set('X-API-Key', 'ep_test_unscoped');
+
+    expect(unscoped.status).toBe(403);
+    expect(unscoped.body.message).toMatch(/sandbox:manage/);
+    expect(pool.query.mock.calls.some(([sql]) => sql.startsWith('DELETE FROM'))).toBe(false);
+
+    const wiped = await request(app)
+      .delete('/api/integration/sandbox')
+      .set('X-API-Key', 'ep_test_key');
+
+    expect(wiped.status).toBe(200);
+    expect(wiped.body.data.deleted).toEqual({
+      subscriptions: 2, users: 2, orders: 2, webhookLogs: 2, chainSubscriptions: 2, subscriptionHistory: 2
+    });
+
+    const deletes = pool.query.mock.calls.filter(([sql]) => sql.startsWith('DELETE FROM'));
+    expect(deletes).toHaveLength(6);
+    const [flagged, onSandboxNetwork] = [deletes.slice(0, 4), deletes.slice(4)];
+    flagged.forEach(([sql, params]) => {
+      expect(sql).toContain('test_mode = true');
+      expect(params).toEqual([VENDOR]);
+    });
+    // Subscriptions and their history carry the sandbox network instead of a test_mode flag
+    expect(onSandboxNetwork.map(([sql]) => sql.split(/\s/)[2])).toEqual(['subscription_history', 'subscriptions']);
+    onSandboxNetwork.forEach(([sql, params]) => {
+      expect(sql).toContain('network = $2');
+      expect(params).toEqual([VENDOR, SANDBOX_NETWORK]);
+    });
+
+    // Deliveries for the vendor's checkout apps go too, not only its api_keys
+    const webhookLogs = deletes.find(([sql]) => sql.startsWith('DELETE FROM webhook_logs'));
+    expect(webhookLogs[0]).toContain("source_type = 'checkout_apps'");
+    expect(webhookLogs[0]).toContain('SELECT id FROM checkout_apps WHERE LOWER(vendor_address) = $1');
+    expect(pool.query.mock.calls.map(([sql]) => sql)).toContain('COMMIT');
+  });
+});
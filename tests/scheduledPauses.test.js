@@ -0,0 +1,236 @@
+/**
+ * Test: Scheduled pauses
+ *
+ * This test verifies that:
+ * 1. Pause windows are limited by the plan's max pause length and can't overlap
+ * 2. The worker follows on-chain pause state (scheduled -> active -> completed / missed)
+ * 3. subscription.pause_starting is sent once when the window opens, with an unsigned pause transaction
+ * 4. subscription.pause_ending is sent once before the window ends, with an unsigned unpause transaction
+ * 5. subscription.pause_missed is sent when the window passes without a pause
+ * 6. Finished windows that already got pause_ending don't crowd newer windows out of the batch
+ */
+
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+const webhookService = require('../services/webhookService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true }),
+  findVendorWebhookKeyId: jest.fn().mockResolvedValue(9)
+}));
+
+const scheduledPauseService = require('../services/scheduledPauseService');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SUBSCRIBER = '0x627306090abab3a6e1400e9345bc60c78a8bef57';
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const DAY = 86400000;
+
+const iface = new ethers.Interface([
+  'function pauseSubscription(uint256 tokenId)',
+  'function unpauseSubscription(uint256 tokenId)'
+]);
+
+describe('Scheduled pauses', () => {
+  let pool;
+  let contract;
+  let onChain;
+  let plan;
+  let openWindows;
+  let overlapping;
+
+  beforeAll(() => {
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    plan = { pause_enabled: true, max_pause_attempts: 3, max_pause_duration: 14 * 86400 };
+    onChain = { active: true, paused: false, pauseAttempts: 0n, endTime: BigInt(Math.floor((Date.now() + 60 * DAY) / 1000)) };
+    openWindows = [];
+    overlapping = [];
+
+    contract = {
+      target: CONTRACT_ADDRESS,
+      interface: iface,
+      runner: {
+        provider: {
+          getNetwork: jest.fn().mockResolvedValue({ chainId: 1337n }),
+          estimateGas: jest.fn().mockResolvedValue(50000n)
+        }
+      },
+      getSubscription: jest.fn(async () => onChain)
+    };
+    contractService.getContract.mockResolvedValue(contract);
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM subscriptions s')) {
+        return { rows: [{ token_id: '7', subscriber_address: SUBSCRIBER, plan_id: '1', vendor_address: VENDOR, ...plan }] };
+      }
+      if (sql.includes('SELECT id FROM scheduled_pauses')) {
+        return { rows: overlapping };
+      }
+      if (sql.includes('INSERT INTO scheduled_pauses')) {
+        return {
+          rows: [{ id: 1, token_id: params[0], status: 'scheduled', pause_start: params[5], pause_end: params[6], network: params[4] }]
+        };
+      }
+      if (sql.includes('SELECT * FROM scheduled_pauses')) {
+        const finished = w => w.status === 'active' && w.pause_ending_notified_at && w.pause_end < new Date();
+        const excludesFinished = sql.includes("pause_ending_notified_at IS NOT NULL AND pause_end < NOW()");
+        const rows = openWindows
+          .filter(w => !(excludesFinished && finished(w)))
+          .sort((a, b) => a.pause_start - b.pause_start);
+        return { rows: params[2] ? rows.slice(0, params[2]) : rows };
+      }
+      return { rows: [] };
+    });
+  });
+
+  function window(overrides) {
+    return {
+      id: 3,
+      token_id: '7',
+      subscriber_address: SUBSCRIBER,
+      vendor_address: VENDOR,
+      plan_id: '1',
+      network: 'localhost',
+      pause_start: new Date(Date.now() - DAY),
+      pause_end: new Date(Date.now() + 30 * 60000),
+      status: 'scheduled',
+      pause_start_notified_at: null,
+      pause_ending_notified_at: null,
+      ...overrides
+    };
+  }
+
+  it('should schedule a pause window within the plan limit', async () => {
+    const start = new Date(Date.now() + DAY);
+    const end = new Date(Date.now() + 8 * DAY);
+
+    const schedule = await scheduledPauseService.createScheduledPause('7', SUBSCRIBER, {
+      startDate: start.toISOString(),
+      endDate: end.toISOString()
+    });
+
+    expect(schedule).toMatchObject({ tokenId: '7', status: 'scheduled', durationSeconds: 7 * 86400 });
+  });
+
+  it('should reject windows longer than the plan maximum or overlapping another window', async () => {
+    await expect(scheduledPauseService.createScheduledPause('7', SUBSCRIBER, {
+      startDate: new Date(Date.now() + DAY).toISOString(),
+      endDate: new Date(Date.now() + 20 * DAY).toISOString()
+    })).rejects.toMatchObject({ status: 400, message: expect.stringMatching(/plan maximum/) });
+
+    overlapping = [{ id: 2 }];
+    await expect(scheduledPauseService.createScheduledPause('7', SUBSCRIBER, {
+      startDate: new Date(Date.now() + DAY).toISOString(),
+      endDate: new Date(Date.now() + 2 * DAY).toISOString()
+    })).rejects.toMatchObject({ status: 409 });
+
+    await expect(scheduledPauseService.createScheduledPause('7', VENDOR, {
+      startDate: new Date(Date.now() + DAY).toISOString(),
+      endDate: new Date(Date.now() + 2 * DAY).toISOString()
+    })).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('should activate a window once paused on-chain and send pause_ending before it ends', async () => {
+    onChain.paused = true;
+    openWindows = [window()];
+
+    const summary = await scheduledPauseService.processScheduledPauses();
+
+    expect(summary).toMatchObject({ started: 1, reminders: 1 });
+    const statusUpdate = pool.query.mock.calls.find(call => call[0].includes('SET status = $2'));
+    expect(statusUpdate[1]).toEqual([3, 'active']);
+
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(9, 'subscription.pause_ending', expect.objectContaining({
+      tokenId: '7',
+      scheduleId: 3,
+      transaction: expect.objectContaining({ to: CONTRACT_ADDRESS, chainId: '1337' })
+    }));
+    const payload = webhookService.triggerWebhook.mock.calls[0][2];
+    expect(iface.parseTransaction({ data: payload.transaction.data }).name).toBe('unpauseSubscription');
+  });
+
+  it('should not resend pause_ending and should complete a window once unpaused', async () => {
+    onChain.paused = true;
+    openWindows = [window({ status: 'active', pause_ending_notified_at: new Date() })];
+
+    let summary = await scheduledPauseService.processScheduledPauses();
+    expect(summary.reminders).toBe(0);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+
+    onChain.paused = false;
+    summary = await scheduledPauseService.processScheduledPauses();
+    expect(summary.completed).toBe(1);
+  });
+
+  it('should send pause_starting once with an unsigned pause transaction when the window opens', async () => {
+    openWindows = [window()];
+
+    let summary = await scheduledPauseService.processScheduledPauses();
+
+    expect(summary).toMatchObject({ started: 0, reminders: 1 });
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(9, 'subscription.pause_starting', expect.objectContaining({
+      tokenId: '7',
+      scheduleId: 3,
+      transaction: expect.objectContaining({ to: CONTRACT_ADDRESS, chainId: '1337' })
+    }));
+    const payload = webhookService.triggerWebhook.mock.calls[0][2];
+    expect(iface.parseTransaction({ data: payload.transaction.data }).name).toBe('pauseSubscription');
+    expect(pool.query.mock.calls.some(call => call[0].includes('SET pause_start_notified_at = NOW()'))).toBe(true);
+
+    webhookService.triggerWebhook.mockClear();
+    openWindows = [window({ pause_start_notified_at: new Date() })];
+    summary = await scheduledPauseService.processScheduledPauses();
+    expect(summary.reminders).toBe(0);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should mark a window missed and notify the vendor when it passes without a pause', async () => {
+    openWindows = [window({ pause_start: new Date(Date.now() - 3 * DAY), pause_end: new Date(Date.now() - DAY) })];
+
+    const summary = await scheduledPauseService.processScheduledPauses();
+
+    expect(summary.missed).toBe(1);
+    const statusUpdate = pool.query.mock.calls.find(call => call[0].includes('SET status = $2'));
+    expect(statusUpdate[1]).toEqual([3, 'missed']);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(9, 'subscription.pause_missed', expect.objectContaining({
+      tokenId: '7',
+      scheduleId: 3
+    }));
+  });
+
+  it('should not keep finished windows at the front of every batch', async () => {
+    onChain.paused = true;
+    openWindows = Array.from({ length: 100 }, (_, i) => window({
+      id: 100 + i,
+      status: 'active',
+      pause_start: new Date(Date.now() - 10 * DAY + i * 1000),
+      pause_end: new Date(Date.now() - DAY),
+      pause_ending_notified_at: new Date(Date.now() - DAY - 60000)
+    }));
+    openWindows.push(window({ status: 'active' }));
+
+    const summary = await scheduledPauseService.processScheduledPauses();
+
+    expect(summary.checked).toBe(1);
+    expect(summary.reminders).toBe(1);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(9, 'subscription.pause_ending', expect.objectContaining({
+      scheduleId: 3
+    }));
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Test: HMAC-signed API requests
+ *
+ * This test verifies that:
+ * 1. Requests signed with the API secret over method, path, timestamp and body hash are accepted
+ * 2. Tampered bodies and stale timestamps are rejected
+ * 3. A signature can't be replayed
+ * 4. Keys flagged require_signed_requests reject unsigned calls (also on X-API-Key routers)
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { Pool } = require('pg');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+  initialize: jest.fn()
+}));
+
+const { captureRawBody } = require('../middleware/apiKeyAuth');
+const integrationRouter = require('../routes/api-integration');
+const webhooksRouter = require('../routes/webhooks');
+const apiKeysRouter = require('../routes/api-keys');
+const { signRequest, deriveSigningKey } = require('../utils/requestSignature');
+
+const API_SECRET = 'a'.repeat(64);
+
+describe('Signed API requests', () => {
+  let app;
+  let pool;
+  let keys;
+  let usedSignatures;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.use('/api/integration', integrationRouter);
+    app.use('/api/webhooks', webhooksRouter);
+    app.use('/api/api-keys', apiKeysRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    usedSignatures = new Set();
+
+    keys = {
+      sk_signed: {
+        id: 21,
+        app_id: 'app_signed',
+        api_key: 'sk_signed',
+        api_secret: deriveSigningKey(API_SECRET),
+        scopes: ['users:read', 'users:write', 'webhooks:manage'],
+        require_signed_requests: false
+      },
+      sk_strict: {
+        id: 22,
+        app_id: 'app_signed',
+        api_key: 'sk_strict',
+        api_secret: deriveSigningKey(API_SECRET),
+        scopes: ['users:read', 'users:write', 'webhooks:manage'],
+        require_signed_requests: true
+      }
+    };
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM api_keys ak')) {
+        const key = keys[params[0]];
+        return { rows: key ? [{ ...key, active: true }] : [] };
+      }
+      if (sql.includes('INSERT INTO api_request_signatures')) {
+        const id = `${params[0]}:${params[1]}`;
+        if (usedSignatures.has(id)) {
+          return { rows: [] };
+        }
+        usedSignatures.add(id);
+        return { rows: [{ api_key_id: params[0] }] };
+      }
+      if (sql.includes('INSERT INTO external_users')) {
+        return { rows: [{ app_id: params[0], external_user_id: params[1] }] };
+      }
+      if (sql.includes('SET require_signed_requests')) {
+        return { rows: [{ id: 22, name: 'Strict', require_signed_requests: params[0] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  function signedPost(path, apiKey, payload, timestamp) {
+    const body = JSON.stringify(payload);
+    return request(app)
+      .post(path)
+      .set(signRequest(apiKey, API_SECRET, { method: 'POST', path, body }, timestamp))
+      .set('Content-Type', 'application/json')
+      .send(body);
+  }
+
+  it('accepts requests signed over method, path, timestamp and body hash', async () => {
+    const response = await signedPost('/api/integration/users', 'sk_signed', { userId: 'user-1' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.external_user_id).toBe('user-1');
+    expect(usedSignatures.size).toBe(1);
+  });
+
+  it('rejects tampered bodies and stale timestamps', async () => {
+    const path = '/api/integration/users';
+    const headers = signRequest('sk_signed', API_SECRET, { method: 'POST', path, body: JSON.stringify({ userId: 'user-1' }) });
+
+    const tampered = await request(app)
+      .post(path)
+      .set(headers)
+      .send({ userId: 'someone-else' });
+
+    expect(tampered.status).toBe(401);
+    expect(tampered.body.message).toBe('Signature does not match');
+
+    const stale = await signedPost(path, 'sk_signed', { userId: 'user-1' }, Math.floor(Date.now() / 1000) - 600);
+
+    expect(stale.status).toBe(401);
+    expect(stale.body.message).toBe('Timestamp outside tolerance');
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO external_users'))).toBe(false);
+  });
+
+  it('rejects a replayed signature', async () => {
+    const path = '/api/integration/users';
+    const body = JSON.stringify({ userId: 'user-1' });
+    const headers = signRequest('sk_signed', API_SECRET, { method: 'POST', path, body });
+
+    const first = await request(app).post(path).set(headers).set('Content-Type', 'application/json').send(body);
+    const replay = await request(app).post(path).set(headers).set('Content-Type', 'application/json').send(body);
+
+    expect(first.status).toBe(201);
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Signature has already been used');
+  });
+
+  it('rejects signatures padded with non-hex characters', async () => {
+    const path = '/api/integration/users';
+    const body = JSON.stringify({ userId: 'user-1' });
+    const headers = signRequest('sk_signed', API_SECRET, { method: 'POST', path, body });
+
+    const first = await request(app).post(path).set(headers).set('Content-Type', 'application/json').send(body);
+    const padded = await request(app)
+      .post(path)
+      .set({ ...headers, 'X-Signature': `${headers['X-Signature']}zz` })
+      .set('Content-Type', 'application/json')
+      .send(body);
+    const uppercased = await request(app)
+      .post(path)
+      .set({ ...headers, 'X-Signature': headers['X-Signature'].toUpperCase() })
+      .set('Content-Type', 'application/json')
+      .send(body);
+
+    expect(first.status).toBe(201);
+    expect(padded.status).toBe(401);
+    expect(padded.body.message).toBe('Signature does not match');
+    expect(uppercased.status).toBe(401);
+    expect(uppercased.body.message).toBe('Signature has already been used');
+    expect(usedSignatures).toEqual(new Set([`21:${headers['X-Signature']}`]));
+  });
+
+  it('rejects unsigned calls for keys that require signed requests', async () => {
+    const unsigned = await request(app)
+      .post('/api/integration/users')
+      .set('Authorization', 'Bearer sk_strict')
+      .send({ userId: 'user-1' });
+
+    expect(unsigned.status).toBe(401);
+    expect(unsigned.body.message).toMatch(/requires signed requests/);
+
+    const unsignedWebhooks = await request(app)
+      .get('/api/webhooks')
+      .set('X-API-Key', 'sk_strict');
+
+    expect(unsignedWebhooks.status).toBe(401);
+
+    const signed = await signedPost('/api/integration/users', 'sk_strict', { userId: 'user-1' });
+    expect(signed.status).toBe(201);
+
+    const toggled = await request(app)
+      .put('/api/api-keys/22/signed-requests')
+      .send({ required: false });
+
+    expect(toggled.status).toBe(200);
+    expect(toggled.body.data.requireSignedRequests).toBe(false);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Test: Sign-In With Ethereum sessions
+ *
+ * This test verifies that:
+ * 1. A signed EIP-4361 message for an issued nonce opens a session for the signer
+ * 2. Nonces are single use and messages for other domains, URIs or chains are rejected
+ * 3. Sign-in is refused until SIWE_DOMAINS and SIWE_CHAIN_IDS are configured
+ * 4. Vendor routes require a session and reject wallets acting on another vendor's address
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const siweAuthService = require('../services/siweAuthService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+const authRouter = require('../routes/auth');
+const vendorsRouter = require('../routes/vendors');
+
+const DOMAIN = '127.0.0.1';
+
+function buildMessage(address, nonce, overrides = {}) {
+  const fields = {
+    domain: DOMAIN,
+    uri: `http://${DOMAIN}`,
+    chainId: 1337,
+    issuedAt: new Date().toISOString(),
+    ...overrides
+  };
+  return [
+    `${fields.domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to EliteSubs',
+    '',
+    `URI: ${fields.uri}`,
+    'Version: 1',
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  ].join('\n');
+}
+
+describe('SIWE authentication', () => {
+  let app;
+  let pool;
+  let wallet;
+  let nonces;
+  let sessions;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRouter);
+    app.use('/api/vendors', vendorsRouter);
+    pool = new Pool();
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  afterAll(() => {
+    delete process.env.SIWE_DOMAINS;
+    delete process.env.SIWE_CHAIN_IDS;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.SIWE_DOMAINS = DOMAIN;
+    process.env.SIWE_CHAIN_IDS = '1337';
+    nonces = {};
+    sessions = {};
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('INSERT INTO siwe_nonces')) {
+        nonces[params[0]] = { used: false };
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE siwe_nonces')) {
+        const nonce = nonces[params[0]];
+        if (!nonce || nonce.used) {
+          return { rows: [] };
+        }
+        nonce.used = true;
+        return { rows: [{ nonce: params[0] }] };
+      }
+      if (sql.includes('INSERT INTO wallet_sessions')) {
+        sessions[params[0]] = { wallet_address: params[1], chain_id: params[2], expires_at: params[5] };
+        return { rows: [] };
+      }
+      if (sql.includes('FROM wallet_sessions')) {
+        return { rows: sessions[params[0]] ? [sessions[params[0]]] : [] };
+      }
+      if (sql.includes('FROM maintenance_mode')) {
+        return { rows: [] };
+      }
+      if (sql.includes('FROM vendor_profiles')) {
+        return { rows: [{ vendor_address: wallet.address.toLowerCase() }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  async function signIn() {
+    const nonceRes = await request(app).get('/api/auth/nonce').set('Host', DOMAIN);
+    const message = buildMessage(wallet.address, nonceRes.body.nonce);
+    const signature = await wallet.signMessage(message);
+    return request(app).post('/api/auth/verify').set('Host', DOMAIN).send({ message, signature });
+  }
+
+  it('should open a session for the wallet that signed the message', async () => {
+    const res = await signIn();
+
+    expect(res.status).toBe(200);
+    expect(res.body.walletAddress).toBe(wallet.address.toLowerCase());
+    expect(res.body.chainId).toBe(1337);
+
+    const sessionRes = await request(app)
+      .get('/api/auth/session')
+      .set('Authorization', `Bearer ${res.body.token}`);
+    expect(sessionRes.status).toBe(200);
+    expect(sessionRes.body.walletAddress).toBe(wallet.address.toLowerCase());
+
+    // Only the hash of the token is stored
+    expect(Object.keys(sessions)).toEqual([siweAuthService.hashToken(res.body.token)]);
+  });
+
+  it('should reject a nonce that has already been used', async () => {
+    const nonceRes = await request(app).get('/api/auth/nonce');
+    const message = buildMessage(wallet.address, nonceRes.body.nonce);
+    const signature = await wallet.signMessage(message);
+
+    const first = await request(app).post('/api/auth/verify').set('Host', DOMAIN).send({ message, signature });
+    const replay = await request(app).post('/api/auth/verify').set('Host', DOMAIN).send({ message, signature });
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toMatch(/Nonce/);
+  });
+
+  it('should reject messages for another domain or signed by another wallet', async () => {
+    const nonceRes = await request(app).get('/api/auth/nonce');
+
+    const phishing = buildMessage(wallet.address, nonceRes.body.nonce, { domain: 'evil.example.com' });
+    const phishingRes = await request(app)
+      .post('/api/auth/verify')
+      .set('Host', DOMAIN)
+      .send({ message: phishing, signature: await wallet.signMessage(phishing) });
+    expect(phishingRes.status).toBe(401);
+
+    const message = buildMessage(wallet.address, nonceRes.body.nonce);
+    const forged = await ethers.Wallet.createRandom().signMessage(message);
+    const forgedRes = await request(app).post('/api/auth/verify').set('Host', DOMAIN).send({ message, signature: forged });
+    expect(forgedRes.status).toBe(401);
+    expect(nonces[nonceRes.body.nonce].used).toBe(false);
+  });
+
+  it('should reject messages for an unconfigured URI or chain', async () => {
+    for (const overrides of [{ uri: 'https://evil.example.com/login' }, { chainId: 1 }]) {
+      const nonceRes = await request(app).get('/api/auth/nonce');
+      const message = buildMessage(wallet.address, nonceRes.body.nonce, overrides);
+      const res = await request(app)
+        .post('/api/auth/verify')
+        .send({ message, signature: await wallet.signMessage(message) });
+
+      expect(res.status).toBe(401);
+      expect(nonces[nonceRes.body.nonce].used).toBe(false);
+    }
+  });
+
+  it('should refuse sign-in when SIWE_DOMAINS is not configured, whatever the Host header', async () => {
+    delete process.env.SIWE_DOMAINS;
+
+    const nonceRes = await request(app).get('/api/auth/nonce');
+    const phishing = buildMessage(wallet.address, nonceRes.body.nonce, { domain: 'evil.example.com', uri: 'https://evil.example.com' });
+    const res = await request(app)
+      .post('/api/auth/verify')
+      .set('Host', 'evil.example.com')
+      .send({ message: phishing, signature: await wallet.signMessage(phishing) });
+
+    expect(res.status).toBe(503);
+    expect(res.body.error).toMatch(/SIWE_DOMAINS/);
+    expect(nonces[nonceRes.body.nonce].used).toBe(false);
+  });
+
+  it('should require a session owning the vendor address on vendor routes', async () => {
+    const anonymous = await request(app)
+      .put(`/api/vendors/${wallet.address}/network`)
+      .send({ network: 'sepolia' });
+    expect(anonymous.status).toBe(401);
+
+    const { body } = await signIn();
+
+    const otherVendor = await request(app)
+      .put(`/api/vendors/0x${'9'.repeat(40)}/network`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ network: 'sepolia' });
+    expect(otherVendor.status).toBe(403);
+
+    const own = await request(app)
+      .put(`/api/vendors/${wallet.address}/network`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ network: 'sepolia' });
+    expect(own.status).toBe(200);
+    expect(own.body.network).toBe('sepolia');
+  });
+});
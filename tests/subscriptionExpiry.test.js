@@ -0,0 +1,321 @@
+/**
+ * Test: Multi-network subscription expiry checker
+ *
+ * This test verifies that:
+ * 1. Only subscriptions whose plan lives on the checked network are read
+ * 2. getSubscription calls are batched through Multicall3 when the chain has it,
+ *    and pinned to one block otherwise
+ * 3. Each expired subscription is notified once per end time
+ * 4. Each network run is summarised in expiry_checker_runs
+ * 5. subscription.expiring_soon is sent at the vendor's lead times, once per lead time
+ * 6. Inside the plan's grace period subscriptions are past_due, with dunning reminders,
+ *    and only expire once the grace period is over
+ */
+
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+const webhookService = require('../services/webhookService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true }),
+  findVendorWebhookKeyId: jest.fn().mockResolvedValue(8)
+}));
+
+const subscriptionExpiryService = require('../services/subscriptionExpiryService');
+const { getSubscriptionState } = require('../utils/subscriptionStatus');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SUBSCRIBER = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+
+const subscriptionIface = new ethers.Interface([
+  'function getSubscription(uint256 tokenId) view returns (tuple(uint256 tokenId, uint256 planId, address subscriber, uint256 startTime, uint256 endTime, bool active, bool paused, uint256 pauseStartTime, uint256 totalPausedTime, uint256 pauseAttempts, bool published))'
+]);
+const multicallIface = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+const now = Math.floor(Date.now() / 1000);
+const ON_CHAIN = {
+  '1': { planId: 1n, endTime: BigInt(now - 86400), active: true }, // expired
+  '2': { planId: 1n, endTime: BigInt(now + 30 * 86400), active: true }, // still running
+  '3': { planId: 1n, endTime: BigInt(now + 2 * 86400), active: true }, // ends in 2 days
+  '4': { planId: 1n, endTime: BigInt(now - 2 * 86400), active: true } // ended 2 days ago
+};
+
+function subscriptionStruct(tokenId) {
+  const sub = ON_CHAIN[tokenId];
+  return [BigInt(tokenId), sub.planId, SUBSCRIBER, 0n, sub.endTime, sub.active, false, 0n, 0n, 0n, true];
+}
+
+describe('Subscription expiry checker', () => {
+  let pool;
+  let provider;
+  let contract;
+  let rows;
+  let vendorLeadTimes;
+
+  beforeAll(() => {
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    rows = [
+      { token_id: '1', subscriber_address: SUBSCRIBER, expiry_notified_end_time: null, vendor_address: VENDOR, plan_name: 'Pro' },
+      { token_id: '2', subscriber_address: SUBSCRIBER, expiry_notified_end_time: null, vendor_address: VENDOR, plan_name: 'Pro' }
+    ];
+    vendorLeadTimes = null;
+
+    provider = {
+      getBlockNumber: jest.fn().mockResolvedValue(500),
+      getCode: jest.fn().mockResolvedValue('0x'),
+      call: jest.fn(async (tx) => {
+        const [calls] = multicallIface.decodeFunctionData('aggregate3', tx.data);
+        const results = calls.map(call => {
+          const [tokenId] = subscriptionIface.decodeFunctionData('getSubscription', call.callData);
+          return [true, subscriptionIface.encodeFunctionResult('getSubscription', [subscriptionStruct(tokenId.toString())])];
+        });
+        return multicallIface.encodeFunctionResult('aggregate3', [results]);
+      })
+    };
+
+    contract = {
+      target: CONTRACT_ADDRESS,
+      interface: subscriptionIface,
+      runner: { provider },
+      getSubscription: jest.fn(async (tokenId) => {
+        const decoded = subscriptionIface.decodeFunctionResult(
+          'getSubscription',
+          subscriptionIface.encodeFunctionResult('getSubscription', [subscriptionStruct(tokenId)])
+        );
+        return decoded[0];
+      })
+    };
+    contractService.getContract.mockResolvedValue(contract);
+
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM contract_deployments')) {
+        return { rows: [{ network: 'localhost' }, { network: 'sepolia' }] };
+      }
+      if (sql.includes('FROM subscriptions s')) {
+        return { rows };
+      }
+      if (sql.includes('FROM vendor_profiles')) {
+        return { rows: [{ expiry_reminder_lead_times: vendorLeadTimes }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should only load subscriptions whose plan is on the checked network', async () => {
+    await subscriptionExpiryService.checkExpiredSubscriptions('sepolia');
+
+    const select = pool.query.mock.calls.find(call => call[0].includes('FROM subscriptions s'));
+    expect(select[0]).toMatch(/COALESCE\(sp\.network, 'localhost'\) = \$1/);
+    expect(select[1]).toEqual(['sepolia']);
+    expect(contractService.getContract).toHaveBeenCalledWith('sepolia');
+  });
+
+  it('should read subscriptions pinned to one block when Multicall3 is not deployed', async () => {
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary).toMatchObject({ network: 'localhost', status: 'success', method: 'block', blockNumber: 500, checked: 2, expired: 1, notified: 1 });
+    expect(contract.getSubscription).toHaveBeenCalledWith('1', { blockTag: 500 });
+    expect(provider.call).not.toHaveBeenCalled();
+
+    expect(webhookService.triggerWebhook).toHaveBeenCalledTimes(1);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(8, 'subscription.expired', expect.objectContaining({
+      tokenId: '1',
+      network: 'localhost'
+    }));
+
+    const marked = pool.query.mock.calls.find(call => call[0].includes('SET expiry_notified_end_time'));
+    expect(marked[1]).toEqual(['1', Number(ON_CHAIN['1'].endTime), 'localhost']);
+
+    const run = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO expiry_checker_runs'));
+    expect(run[1].slice(0, 8)).toEqual(['localhost', 'success', 'block', 500, 2, 1, 1, 0]);
+  });
+
+  it('should batch getSubscription through Multicall3 when available', async () => {
+    provider.getCode.mockResolvedValue('0x6080');
+
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('polygon');
+
+    expect(summary.method).toBe('multicall');
+    expect(provider.call).toHaveBeenCalledTimes(1);
+    expect(provider.call.mock.calls[0][0].blockTag).toBe(500);
+    expect(contract.getSubscription).not.toHaveBeenCalled();
+    expect(summary.expired).toBe(1);
+  });
+
+  it('should not notify twice for the same end time', async () => {
+    rows[0].expiry_notified_end_time = ON_CHAIN['1'].endTime.toString();
+
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary.expired).toBe(0);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should not re-notify subscriptions the old checker flagged in metadata', async () => {
+    rows[0].metadata = { expiryWebhookSent: true };
+
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary.expired).toBe(0);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+    const marked = pool.query.mock.calls.find(call => call[0].includes('SET expiry_notified_end_time'));
+    expect(marked[1]).toEqual(['1', Number(ON_CHAIN['1'].endTime), 'localhost']);
+  });
+
+  it('should check every network with a deployment', async () => {
+    const summaries = await subscriptionExpiryService.checkAllNetworks();
+
+    expect(summaries.map(s => s.network)).toEqual(['localhost', 'sepolia']);
+    expect(contractService.getContract.mock.calls.map(call => call[0])).toEqual(['localhost', 'sepolia']);
+  });
+
+  it('should record a failed run when the network is unreachable', async () => {
+    contractService.getContract.mockRejectedValue(new Error('RPC down'));
+
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('mumbai');
+
+    expect(summary.status).toBe('failed');
+    expect(summary.error).toBe('RPC down');
+    const run = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO expiry_checker_runs'));
+    expect(run[1][1]).toBe('failed');
+  });
+
+  it('should send the tightest due reminder and mark the skipped lead times as sent', async () => {
+    rows = [{ token_id: '3', subscriber_address: SUBSCRIBER, expiry_notified_end_time: null, metadata: {}, vendor_address: VENDOR, plan_name: 'Pro' }];
+
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary.reminders).toBe(1);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(8, 'subscription.expiring_soon', expect.objectContaining({
+      tokenId: '3',
+      leadTime: '3d',
+      leadTimeSeconds: 3 * 86400
+    }));
+
+    const marked = pool.query.mock.calls.find(call => call[0].includes('expiryReminders'));
+    expect(JSON.parse(marked[1][1])).toEqual({ endTime: Number(ON_CHAIN['3'].endTime), leadTimes: [7 * 86400, 3 * 86400] });
+  });
+
+  it('should not repeat a reminder already sent for the current end time', async () => {
+    rows = [{
+      token_id: '3',
+      subscriber_address: SUBSCRIBER,
+      expiry_notified_end_time: null,
+      metadata: { expiryReminders: { endTime: Number(ON_CHAIN['3'].endTime), leadTimes: [7 * 86400, 3 * 86400] } },
+      vendor_address: VENDOR,
+      plan_name: 'Pro'
+    }];
+
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary.reminders).toBe(0);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should use the vendor configured lead times', async () => {
+    vendorLeadTimes = ['12h'];
+    rows = [{ token_id: '3', subscriber_address: SUBSCRIBER, expiry_notified_end_time: null, metadata: {}, vendor_address: VENDOR, plan_name: 'Pro' }];
+
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary.reminders).toBe(0);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should parse and validate lead times', () => {
+    expect(subscriptionExpiryService.normalizeLeadTimes(['1d', '7d', '12h', '7d'])).toEqual([7 * 86400, 86400, 12 * 3600]);
+    expect(() => subscriptionExpiryService.normalizeLeadTimes(['soon'])).toThrow(/Invalid lead time/);
+    expect(() => subscriptionExpiryService.normalizeLeadTimes(['365d'])).toThrow(/Invalid lead time/);
+  });
+
+  it('should report past_due instead of expired inside the grace period', async () => {
+    rows = [{ token_id: '1', subscriber_address: SUBSCRIBER, expiry_notified_end_time: null, metadata: {}, vendor_address: VENDOR, plan_name: 'Pro', grace_period: 3 * 86400 }];
+
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary).toMatchObject({ expired: 0, pastDue: 1 });
+    expect(webhookService.triggerWebhook).toHaveBeenCalledTimes(1);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(8, 'subscription.past_due', expect.objectContaining({
+      tokenId: '1',
+      status: 'past_due',
+      gracePeriodEndsAt: Number(ON_CHAIN['1'].endTime) + 3 * 86400,
+      remainingReminders: []
+    }));
+
+    // The default 1d reminder is already due, so it isn't sent separately
+    const marked = pool.query.mock.calls.find(call => call[0].includes("'dunning'"));
+    expect(JSON.parse(marked[1][1])).toEqual({ endTime: Number(ON_CHAIN['1'].endTime), reminders: [86400] });
+    expect(pool.query.mock.calls.find(call => call[0].includes('SET expiry_notified_end_time'))).toBeUndefined();
+  });
+
+  it('should send the latest due dunning reminder once', async () => {
+    const endTime = Number(ON_CHAIN['4'].endTime);
+    rows = [{
+      token_id: '4',
+      subscriber_address: SUBSCRIBER,
+      expiry_notified_end_time: null,
+      metadata: { dunning: { endTime, reminders: [] } },
+      vendor_address: VENDOR,
+      plan_name: 'Pro',
+      grace_period: 5 * 86400,
+      dunning_schedule: ['12h', '1d', '4d']
+    }];
+
+    let summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary.dunningReminders).toBe(1);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(8, 'subscription.dunning_reminder', expect.objectContaining({
+      tokenId: '4',
+      reminder: '1d',
+      remainingReminders: ['4d']
+    }));
+
+    webhookService.triggerWebhook.mockClear();
+    rows[0].metadata = { dunning: { endTime, reminders: [86400, 12 * 3600] } };
+    summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary.dunningReminders).toBe(0);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should expire once the grace period is over', async () => {
+    rows = [{ token_id: '4', subscriber_address: SUBSCRIBER, expiry_notified_end_time: null, metadata: {}, vendor_address: VENDOR, plan_name: 'Pro', grace_period: 86400 }];
+
+    const summary = await subscriptionExpiryService.checkExpiredSubscriptions('localhost');
+
+    expect(summary).toMatchObject({ expired: 1, pastDue: 0 });
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(8, 'subscription.expired', expect.objectContaining({
+      tokenId: '4',
+      gracePeriod: 86400
+    }));
+  });
+
+  it('should resolve subscription states', () => {
+    const at = 1700000000;
+    expect(getSubscriptionState({ active: true, paused: false, endTime: at + 10 }, 0, at)).toMatchObject({ status: 'active', entitled: true });
+    expect(getSubscriptionState({ active: true, paused: true, endTime: at + 10 }, 0, at)).toMatchObject({ status: 'paused', entitled: false });
+    expect(getSubscriptionState({ active: true, paused: false, endTime: at - 10 }, 60, at)).toEqual({ status: 'past_due', entitled: true, gracePeriodEndsAt: at + 50 });
+    expect(getSubscriptionState({ active: true, paused: false, endTime: at - 100 }, 60, at)).toMatchObject({ status: 'expired', entitled: false });
+    expect(getSubscriptionState({ active: false, paused: false, endTime: at + 10 }, 60, at)).toMatchObject({ status: 'cancelled', entitled: false });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Test: Verified pause/unpause recording
+ *
+ * This test verifies that:
+ * 1. Pause/unpause are only recorded after the receipt and the matching event are verified
+ * 2. Paused duration comes from on-chain pauseStartTime/totalPausedTime at the unpause block,
+ *    not created_at, and paused follows the current on-chain state
+ * 3. The plan's pause_enabled is enforced, and pauses over max_pause_attempts are
+ *    recorded (they are final on-chain) with the plan violation reported
+ * 4. subscription.paused and subscription.resumed webhooks are sent
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+const webhookService = require('../services/webhookService');
+const siweAuthService = require('../services/siweAuthService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/ipfsService', () => ({
+  uploadMetadata: jest.fn(),
+  getMetadata: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true }),
+  findVendorWebhookKeyId: jest.fn().mockResolvedValue(5)
+}));
+jest.mock('../services/siweAuthService', () => ({
+  getSession: jest.fn()
+}));
+
+const subscriptionRouter = require('../routes/subscription');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SUBSCRIBER = '0x627306090abab3a6e1400e9345bc60c78a8bef57';
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const TX_HASH = `0x${'cd'.repeat(32)}`;
+
+const iface = new ethers.Interface([
+  'event SubscriptionPaused(uint256 indexed tokenId, address indexed subscriber, uint256 pauseStartTime)',
+  'event SubscriptionUnpaused(uint256 indexed tokenId, address indexed subscriber, uint256 pauseDuration)'
+]);
+
+function buildLog(eventName, args) {
+  const encoded = iface.encodeEventLog(iface.getEvent(eventName), args);
+  return { address: CONTRACT_ADDRESS, topics: encoded.topics, data: encoded.data };
+}
+
+function receiptWith(log) {
+  return { hash: TX_HASH, status: 1, to: CONTRACT_ADDRESS, from: SUBSCRIBER, blockNumber: 90, logs: [log] };
+}
+
+describe('Verified subscription pause/unpause', () => {
+  let app;
+  let pool;
+  let provider;
+  let contract;
+  let plan;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/subscriptions', subscriptionRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    plan = { pause_enabled: true, max_pause_attempts: 3 };
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: SUBSCRIBER });
+
+    provider = { getTransactionReceipt: jest.fn() };
+    contract = {
+      target: CONTRACT_ADDRESS,
+      interface: iface,
+      runner: { provider },
+      getSubscription: jest.fn()
+    };
+    contractService.getContract.mockResolvedValue(contract);
+
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM subscriptions s')) {
+        return {
+          rows: [{
+            token_id: '7',
+            plan_id: 1,
+            subscriber_address: SUBSCRIBER,
+            vendor_address: VENDOR,
+            plan_name: 'Pro',
+            created_at: new Date('2023-01-01'),
+            ...plan
+          }]
+        };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should record a verified pause and send subscription.paused', async () => {
+    provider.getTransactionReceipt.mockResolvedValue(receiptWith(buildLog('SubscriptionPaused', [7n, SUBSCRIBER, 1700000000n])));
+    contract.getSubscription.mockResolvedValue({ pauseStartTime: 1700000000n, totalPausedTime: 0n, pauseAttempts: 1n, endTime: 1702592000n });
+
+    const res = await request(app)
+      .post('/api/subscriptions/7/pause')
+      .set('Authorization', 'Bearer session')
+      .send({ transactionHash: TX_HASH });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pauseAttempts).toBe(1);
+
+    const update = pool.query.mock.calls.find(call => call[0].includes('SET paused = true'));
+    expect(update[1]).toEqual(['7', 1, '0']);
+
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(5, 'subscription.paused', expect.objectContaining({
+      tokenId: '7',
+      pauseStartTime: '1700000000',
+      pauseAttempts: 1,
+      maxPauseAttempts: 3,
+      transactionHash: TX_HASH
+    }));
+  });
+
+  it('should refuse a transaction without the pause event for the token', async () => {
+    provider.getTransactionReceipt.mockResolvedValue(receiptWith(buildLog('SubscriptionPaused', [8n, SUBSCRIBER, 1700000000n])));
+
+    const res = await request(app)
+      .post('/api/subscriptions/7/pause')
+      .set('Authorization', 'Bearer session')
+      .send({ transactionHash: TX_HASH });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/SubscriptionPaused event for token 7/);
+    expect(pool.query.mock.calls.find(call => call[0].includes('UPDATE subscriptions'))).toBeUndefined();
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should enforce the plan pause settings', async () => {
+    plan.pause_enabled = false;
+    const disabled = await request(app)
+      .post('/api/subscriptions/7/pause')
+      .set('Authorization', 'Bearer session')
+      .send({ transactionHash: TX_HASH });
+    expect(disabled.status).toBe(400);
+    expect(provider.getTransactionReceipt).not.toHaveBeenCalled();
+
+    plan = { pause_enabled: true, max_pause_attempts: 1 };
+    provider.getTransactionReceipt.mockResolvedValue(receiptWith(buildLog('SubscriptionPaused', [7n, SUBSCRIBER, 1700000000n])));
+    contract.getSubscription.mockResolvedValue({ pauseStartTime: 1700000000n, totalPausedTime: 0n, pauseAttempts: 2n, endTime: 1702592000n });
+
+    const exceeded = await request(app)
+      .post('/api/subscriptions/7/pause')
+      .set('Authorization', 'Bearer session')
+      .send({ transactionHash: TX_HASH });
+    // Already final on-chain: recorded, with the violation reported separately
+    expect(exceeded.status).toBe(200);
+    expect(exceeded.body.planViolation).toMatch(/at most 1 pauses/);
+
+    const update = pool.query.mock.calls.find(call => call[0].includes('SET paused = true'));
+    expect(update[1]).toEqual(['7', 2, '0']);
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(5, 'subscription.paused', expect.objectContaining({
+      pauseAttempts: 2,
+      planViolation: 'Plan allows at most 1 pauses'
+    }));
+  });
+
+  it('should compute the paused duration from on-chain state and send subscription.resumed', async () => {
+    provider.getTransactionReceipt.mockResolvedValue(receiptWith(buildLog('SubscriptionUnpaused', [7n, SUBSCRIBER, 86400n])));
+    contract.getSubscription.mockImplementation(async (tokenId, overrides) => {
+      if (overrides && overrides.blockTag === 89) {
+        return { pauseStartTime: 1700000000n, totalPausedTime: 3600n, pauseAttempts: 2n, endTime: 1702592000n };
+      }
+      return { pauseStartTime: 0n, totalPausedTime: 90000n, pauseAttempts: 2n, endTime: 1702678400n };
+    });
+
+    const res = await request(app)
+      .post('/api/subscriptions/7/unpause')
+      .set('Authorization', 'Bearer session')
+      .send({ transactionHash: TX_HASH });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pauseDuration).toBe('86400');
+
+    const update = pool.query.mock.calls.find(call => call[0].includes('SET paused = $4'));
+    expect(update[0]).not.toMatch(/created_at/);
+    expect(update[1]).toEqual(['7', '90000', 2, false]);
+
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(5, 'subscription.resumed', expect.objectContaining({
+      tokenId: '7',
+      pauseStartTime: '1700000000',
+      pauseDuration: '86400',
+      totalPausedTime: '90000',
+      endTime: '1702678400'
+    }));
+  });
+
+  it('should not count later pause cycles when confirming an older unpause', async () => {
+    provider.getTransactionReceipt.mockResolvedValue(receiptWith(buildLog('SubscriptionUnpaused', [7n, SUBSCRIBER, 86400n])));
+    contract.getSubscription.mockImplementation(async (tokenId, overrides) => {
+      if (overrides && overrides.blockTag === 89) {
+        return { pauseStartTime: 1700000000n, totalPausedTime: 3600n, pauseAttempts: 2n, endTime: 1702592000n };
+      }
+      if (overrides && overrides.blockTag === 90) {
+        return { pauseStartTime: 0n, totalPausedTime: 90000n, pauseAttempts: 2n, endTime: 1702678400n };
+      }
+      // Paused and unpaused once more, then paused again since
+      return { paused: true, pauseStartTime: 1701000000n, totalPausedTime: 97200n, pauseAttempts: 4n, endTime: 1702685600n };
+    });
+
+    const res = await request(app)
+      .post('/api/subscriptions/7/unpause')
+      .set('Authorization', 'Bearer session')
+      .send({ transactionHash: TX_HASH });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pauseDuration).toBe('86400');
+
+    const update = pool.query.mock.calls.find(call => call[0].includes('SET paused = $4'));
+    expect(update[1]).toEqual(['7', '97200', 4, true]);
+  });
+
+  it('should only let the subscriber record a pause', async () => {
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: VENDOR });
+
+    const res = await request(app)
+      .post('/api/subscriptions/7/pause')
+      .set('Authorization', 'Bearer session')
+      .send({ transactionHash: TX_HASH });
+
+    expect(res.status).toBe(403);
+  });
+});
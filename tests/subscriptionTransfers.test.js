@@ -0,0 +1,338 @@
+/**
+ * Test: Subscription gifting and transfers
+ *
+ * This test verifies that:
+ * 1. The indexer follows ERC-721 Transfer events (ownership, history, integration users)
+ *    and sends subscription.transferred after the batch is committed
+ * 2. The owner gets a transferFrom transaction and confirming it records the transfer once;
+ *    a Transfer superseded by a later one is refused
+ * 3. A gift to a wallet returns the transfer transaction after the purchase is confirmed
+ * 4. A gift to an email returns a claim code the recipient claims with their wallet
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+const webhookService = require('../services/webhookService');
+const siweAuthService = require('../services/siweAuthService');
+const { abi } = require('../config/contract-address.json');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  mockPool.connect = jest.fn(async () => ({ query: mockPool.query, release: jest.fn() }));
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/ipfsService', () => ({
+  uploadMetadata: jest.fn().mockResolvedValue('ipfs://gift'),
+  getMetadata: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true }),
+  findVendorWebhookKeyId: jest.fn().mockResolvedValue(11)
+}));
+jest.mock('../services/siweAuthService', () => ({
+  getSession: jest.fn()
+}));
+
+const subscriptionRouter = require('../routes/subscription');
+const blockchainIndexerService = require('../services/blockchainIndexerService');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const OWNER = '0x627306090abab3a6e1400e9345bc60c78a8bef57';
+const RECIPIENT = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const VENDOR = '0xc5fdf4076b8f3a5357c5e395ab970b5b54098fef';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+const iface = new ethers.Interface(abi);
+
+function buildReceipt(eventName, args) {
+  const encoded = iface.encodeEventLog(iface.getEvent(eventName), args);
+  return {
+    hash: TX_HASH,
+    status: 1,
+    to: CONTRACT_ADDRESS,
+    from: OWNER,
+    blockNumber: 50,
+    logs: [{ address: CONTRACT_ADDRESS, topics: encoded.topics, data: encoded.data }]
+  };
+}
+
+describe('Subscription gifting and transfers', () => {
+  let app;
+  let pool;
+  let provider;
+  let contract;
+  let gifts;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/subscriptions', subscriptionRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: OWNER });
+    gifts = [];
+
+    provider = {
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 1337n }),
+      estimateGas: jest.fn().mockResolvedValue(90000n),
+      getTransactionReceipt: jest.fn(),
+      getBlockNumber: jest.fn().mockResolvedValue(12),
+      getBlock: jest.fn(async number => ({ number, hash: `0x${number.toString(16).padStart(64, '0')}` })),
+      getLogs: jest.fn().mockResolvedValue([])
+    };
+    contract = {
+      target: CONTRACT_ADDRESS,
+      interface: iface,
+      runner: { provider },
+      getPlan: jest.fn().mockResolvedValue({ name: 'Pro', price: ethers.parseEther('0.01') }),
+      ownerOf: jest.fn().mockResolvedValue(ethers.getAddress(OWNER))
+    };
+    contractService.getContract.mockResolvedValue(contract);
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('SELECT plan_id, vendor_address, active FROM subscription_plans')) {
+        return { rows: [{ plan_id: '1', vendor_address: VENDOR, active: true }] };
+      }
+      if (sql.includes('INSERT INTO subscription_gifts')) {
+        const row = {
+          id: gifts.length + 1,
+          plan_id: params[0],
+          vendor_address: params[1],
+          network: params[2],
+          purchaser_address: params[3],
+          recipient_address: params[4],
+          recipient_email: params[5],
+          message: params[6],
+          token_uri: params[7],
+          status: 'pending'
+        };
+        gifts.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes('SELECT * FROM subscription_gifts WHERE id = $1')) {
+        return { rows: gifts.filter(g => g.id === Number(params[0])) };
+      }
+      if (sql.includes('SET status = CASE')) {
+        const row = gifts.find(g => g.id === params[0]);
+        Object.assign(row, {
+          status: row.status === 'pending' ? 'purchased' : row.status,
+          token_id: params[1],
+          purchase_tx_hash: params[2],
+          claim_code_hash: params[3] || row.claim_code_hash
+        });
+        return { rows: [row] };
+      }
+      if (sql.includes("SET recipient_address = $2, status = 'claimed'")) {
+        const row = gifts.find(g => g.claim_code_hash === params[0] && g.status === 'purchased' &&
+          !g.recipient_address && g.purchaser_address !== params[1]);
+        if (!row) {
+          return { rows: [] };
+        }
+        Object.assign(row, { recipient_address: params[1], status: 'claimed' });
+        return { rows: [row] };
+      }
+      if (sql.includes('FROM subscription_gifts g')) {
+        return { rows: gifts.filter(g => g.claim_code_hash === params[0]).map(g => ({ ...g, plan_name: 'Pro', plan_duration: 2592000 })) };
+      }
+      if (sql.includes('SELECT * FROM subscription_gifts WHERE claim_code_hash')) {
+        return { rows: gifts.filter(g => g.claim_code_hash === params[0]) };
+      }
+      if (sql.includes('SELECT 1 FROM subscriptions WHERE token_id')) {
+        return { rows: [{}] };
+      }
+      if (sql.includes('UPDATE subscriptions SET subscriber_address')) {
+        return { rows: [{ plan_id: '1' }] };
+      }
+      if (sql.includes('SELECT vendor_address, app_id FROM subscription_plans')) {
+        return { rows: [{ vendor_address: VENDOR, app_id: '5' }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  function queriesMatching(text) {
+    return pool.query.mock.calls.filter(call => call[0].includes(text));
+  }
+
+  it('should follow Transfer events in the indexer and notify the vendor after commit', async () => {
+    const cursor = { network: 'localhost', contract_address: CONTRACT_ADDRESS.toLowerCase(), last_block: '9', last_block_hash: null };
+    const defaultQuery = pool.query.getMockImplementation();
+    pool.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+        return { rows: [cursor] };
+      }
+      if (sql.includes('SET external_user_id = eu.external_user_id')) {
+        return { rows: [{ app_id: '5', external_user_id: 'user-bob' }] };
+      }
+      return defaultQuery(sql, params);
+    });
+
+    const mint = iface.encodeEventLog(iface.getEvent('Transfer'), [ethers.ZeroAddress, OWNER, 7n]);
+    const transfer = iface.encodeEventLog(iface.getEvent('Transfer'), [OWNER, RECIPIENT, 7n]);
+    provider.getLogs.mockResolvedValue([
+      { address: CONTRACT_ADDRESS, topics: mint.topics, data: mint.data, blockNumber: 10, transactionHash: `0x${'01'.repeat(32)}`, index: 0 },
+      { address: CONTRACT_ADDRESS, topics: transfer.topics, data: transfer.data, blockNumber: 11, transactionHash: TX_HASH, index: 3 }
+    ]);
+
+    await blockchainIndexerService.indexNetwork('localhost');
+
+    // Only the wallet-to-wallet transfer moves the subscription
+    const ownerUpdates = queriesMatching('UPDATE subscriptions SET subscriber_address');
+    expect(ownerUpdates.map(call => call[1])).toEqual([['7', RECIPIENT, 'localhost']]);
+
+    const history = queriesMatching('INSERT INTO subscription_history');
+    expect(history).toHaveLength(1);
+    expect(JSON.parse(history[0][1][4])).toMatchObject({ from: OWNER, to: RECIPIENT });
+    expect(history[0][1].slice(5)).toEqual([TX_HASH, 11, 'localhost', 3]);
+    expect(queriesMatching('UPDATE auto_renewals SET enabled = false')[0][1]).toEqual(['7', RECIPIENT, 'localhost']);
+
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(11, 'subscription.transferred', expect.objectContaining({
+      tokenId: '7',
+      previousOwner: OWNER,
+      customerAddress: RECIPIENT,
+      integrations: [{ appId: '5', externalUserId: 'user-bob', status: 'active' }]
+    }));
+    const commitOrder = pool.query.mock.invocationCallOrder[pool.query.mock.calls.findIndex(call => call[0] === 'COMMIT')];
+    expect(webhookService.triggerWebhook.mock.invocationCallOrder[0]).toBeGreaterThan(commitOrder);
+  });
+
+  it('should let the owner transfer a subscription and record it once', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/7/transfer')
+      .set('Authorization', 'Bearer session')
+      .send({ toAddress: RECIPIENT });
+
+    expect(res.status).toBe(200);
+    const parsedTx = iface.parseTransaction({ data: res.body.transaction.data });
+    expect(parsedTx.name).toBe('transferFrom');
+    expect(parsedTx.args.map(arg => arg.toString().toLowerCase())).toEqual([OWNER, RECIPIENT, '7']);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: RECIPIENT });
+    const notOwner = await request(app)
+      .post('/api/subscriptions/7/transfer')
+      .set('Authorization', 'Bearer session')
+      .send({ toAddress: VENDOR });
+    expect(notOwner.status).toBe(403);
+
+    provider.getTransactionReceipt.mockResolvedValue(buildReceipt('Transfer', [OWNER, RECIPIENT, 7n]));
+    const stale = await request(app)
+      .post('/api/subscriptions/7/transfer/confirm')
+      .send({ transactionHash: TX_HASH });
+    expect(stale.status).toBe(409);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+
+    contract.ownerOf.mockResolvedValue(ethers.getAddress(RECIPIENT));
+    const confirmed = await request(app)
+      .post('/api/subscriptions/7/transfer/confirm')
+      .send({ transactionHash: TX_HASH });
+
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body).toMatchObject({ alreadyConfirmed: false, tokenId: '7', from: OWNER, to: RECIPIENT });
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(11, 'subscription.transferred', expect.anything());
+
+    // The indexer (or a retry) already recorded this transaction
+    const defaultQuery = pool.query.getMockImplementation();
+    pool.query.mockImplementation(async (sql, params) => (
+      sql.includes("event_type = 'transferred' AND transaction_hash") ? { rows: [{}] } : defaultQuery(sql, params)
+    ));
+    webhookService.triggerWebhook.mockClear();
+
+    const retried = await request(app)
+      .post('/api/subscriptions/7/transfer/confirm')
+      .send({ transactionHash: TX_HASH });
+    expect(retried.body.alreadyConfirmed).toBe(true);
+    expect(webhookService.triggerWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should hand out the transfer transaction once a gift to a wallet is purchased', async () => {
+    const created = await request(app)
+      .post('/api/subscriptions/gift')
+      .set('Authorization', 'Bearer session')
+      .send({ planId: '1', recipientAddress: RECIPIENT, message: 'Happy birthday!' });
+
+    expect(created.status).toBe(201);
+    expect(created.body.gift).toMatchObject({ id: 1, status: 'pending', recipientAddress: RECIPIENT, message: 'Happy birthday!' });
+    expect(iface.parseTransaction({ data: created.body.transaction.data }).name).toBe('purchaseSubscription');
+    expect(created.body.transaction.from.toLowerCase()).toBe(OWNER);
+
+    provider.getTransactionReceipt.mockResolvedValue(buildReceipt('SubscriptionPurchased', [9n, 1n, OWNER, 1702592000n]));
+    const confirmed = await request(app)
+      .post('/api/subscriptions/gift/1/confirm')
+      .set('Authorization', 'Bearer session')
+      .send({ transactionHash: TX_HASH });
+
+    expect(confirmed.status).toBe(201);
+    expect(confirmed.body.gift).toMatchObject({ status: 'purchased', tokenId: '9' });
+    expect(confirmed.body.claimCode).toBeUndefined();
+    const transferTx = iface.parseTransaction({ data: confirmed.body.transaction.data });
+    expect(transferTx.args.map(arg => arg.toString().toLowerCase())).toEqual([OWNER, RECIPIENT, '9']);
+
+    const history = queriesMatching('INSERT INTO subscription_history');
+    expect(JSON.parse(history[0][1][5])).toMatchObject({ giftId: 1 });
+
+    const selfGift = await request(app)
+      .post('/api/subscriptions/gift')
+      .set('Authorization', 'Bearer session')
+      .send({ planId: '1', recipientAddress: OWNER });
+    expect(selfGift.status).toBe(400);
+  });
+
+  it('should let an email recipient claim the gift with their wallet', async () => {
+    await request(app)
+      .post('/api/subscriptions/gift')
+      .set('Authorization', 'Bearer session')
+      .send({ planId: '1', recipientEmail: 'Friend@Example.com' });
+    expect(gifts[0].recipient_email).toBe('friend@example.com');
+
+    provider.getTransactionReceipt.mockResolvedValue(buildReceipt('SubscriptionPurchased', [9n, 1n, OWNER, 1702592000n]));
+    const confirmed = await request(app)
+      .post('/api/subscriptions/gift/1/confirm')
+      .set('Authorization', 'Bearer session')
+      .send({ transactionHash: TX_HASH });
+
+    const { claimCode, claimUrl } = confirmed.body;
+    expect(claimUrl).toMatch(new RegExp(`/gift/claim/${claimCode}$`));
+    expect(confirmed.body.transaction).toBeNull();
+    // Only the hash is stored
+    expect(gifts[0].claim_code_hash).toBe(crypto.createHash('sha256').update(claimCode).digest('hex'));
+
+    const preview = await request(app).get(`/api/subscriptions/gift/claim/${claimCode}`);
+    expect(preview.body.gift).toMatchObject({ planName: 'Pro', claimed: false });
+
+    const byPurchaser = await request(app)
+      .post(`/api/subscriptions/gift/claim/${claimCode}`)
+      .set('Authorization', 'Bearer session');
+    expect(byPurchaser.status).toBe(400);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: RECIPIENT });
+    const claimed = await request(app)
+      .post(`/api/subscriptions/gift/claim/${claimCode}`)
+      .set('Authorization', 'Bearer session');
+    expect(claimed.status).toBe(200);
+    expect(claimed.body.gift).toMatchObject({ status: 'claimed', recipientAddress: RECIPIENT });
+
+    // The purchaser now gets the transfer to sign
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: OWNER });
+    const pending = await request(app)
+      .get('/api/subscriptions/gift/1')
+      .set('Authorization', 'Bearer session');
+    expect(iface.parseTransaction({ data: pending.body.transaction.data }).args[1].toLowerCase()).toBe(RECIPIENT);
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * Test: Free trials and introductory pricing
+ *
+ * This test verifies that:
+ * 1. A signed-in subscriber can start one free trial per app and gets the purchase transaction to convert it
+ * 2. Purchases report intro pricing and the discount the vendor settles off-chain
+ * 3. Confirming a purchase during a trial converts it
+ * 4. The trial worker sends subscription.trial_ending and expires unconverted trials
+ * 5. /api/integration/validate?trialId only returns trials of the key's vendor and app
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+const webhookService = require('../services/webhookService');
+const siweAuthService = require('../services/siweAuthService');
+const trialService = require('../services/trialService');
+const { abi } = require('../config/contract-address.json');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/ipfsService', () => ({
+  uploadMetadata: jest.fn().mockResolvedValue('ipfs://trial'),
+  getMetadata: jest.fn(),
+  initialize: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  triggerWebhook: jest.fn().mockResolvedValue({ success: true }),
+  findVendorWebhookKeyId: jest.fn().mockResolvedValue(11)
+}));
+jest.mock('../services/siweAuthService', () => ({
+  getSession: jest.fn()
+}));
+
+const subscriptionRouter = require('../routes/subscription');
+const integrationRouter = require('../routes/api-integration');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SUBSCRIBER = '0x627306090abab3a6e1400e9345bc60c78a8bef57';
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+const NOW = 1750000000000;
+const DAY = 86400;
+
+const iface = new ethers.Interface(abi);
+
+const PLAN = {
+  plan_id: '1',
+  vendor_address: VENDOR,
+  name: 'Pro',
+  price: '0.01000000',
+  duration: 30 * DAY,
+  app_id: 5,
+  active: true,
+  trial_period: 7 * DAY,
+  intro_price: '0.00500000',
+  intro_periods: 1,
+  network: 'localhost'
+};
+
+describe('Free trials and intro pricing', () => {
+  let app;
+  let pool;
+  let provider;
+  let contract;
+  let trials;
+  let paidPeriods;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/subscriptions', subscriptionRouter);
+    app.use('/api/integration', integrationRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: SUBSCRIBER });
+    trials = [];
+    paidPeriods = 0;
+
+    provider = {
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 1337n }),
+      estimateGas: jest.fn().mockResolvedValue(150000n),
+      getTransactionReceipt: jest.fn(),
+      getTransaction: jest.fn()
+    };
+    contract = {
+      target: CONTRACT_ADDRESS,
+      interface: iface,
+      runner: { provider },
+      getPlan: jest.fn().mockResolvedValue({ name: 'Pro', description: '', price: ethers.parseEther('0.01') }),
+      getSubscription: jest.fn().mockResolvedValue({
+        planId: 1n,
+        startTime: BigInt(NOW / 1000),
+        endTime: BigInt(NOW / 1000 + 30 * DAY),
+        active: true
+      })
+    };
+    contractService.getContract.mockResolvedValue(contract);
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM subscription_plans WHERE plan_id')) {
+        return { rows: [PLAN] };
+      }
+      if (sql.includes('COUNT(*) FROM subscription_history')) {
+        return { rows: [{ count: String(paidPeriods) }] };
+      }
+      if (sql.includes('SELECT id FROM subscription_trials')) {
+        return { rows: trials.filter(t => t.subscriber_address === params[0] && t.trial_scope === params[1]) };
+      }
+      if (sql.includes('INSERT INTO subscription_trials')) {
+        const row = {
+          id: trials.length + 1,
+          plan_id: params[0],
+          vendor_address: params[1],
+          subscriber_address: params[2],
+          trial_scope: params[3],
+          network: params[4],
+          status: 'trialing',
+          trial_start: new Date(NOW),
+          trial_end: new Date(NOW + params[5] * 1000),
+          token_id: null
+        };
+        trials.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes('UPDATE subscription_trials') && sql.includes("status = 'converted'")) {
+        const row = trials.find(t => t.subscriber_address === params[0] && t.plan_id === params[1] && t.status === 'trialing');
+        if (!row) {
+          return { rows: [] };
+        }
+        Object.assign(row, { status: 'converted', token_id: params[2] });
+        return { rows: [row] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function startTrial() {
+    return request(app)
+      .post('/api/subscriptions/purchase')
+      .set('Authorization', 'Bearer session')
+      .send({ planId: '1', subscriberAddress: SUBSCRIBER, trial: true });
+  }
+
+  it('should start one trial per wallet per app with the purchase transaction to convert it', async () => {
+    const res = await startTrial();
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe('trialing');
+    expect(res.body.trialEndsAt).toBe(new Date(NOW + 7 * DAY * 1000).toISOString());
+    expect(res.body.trial).toMatchObject({ id: 1, planId: '1', status: 'trialing', entitled: true });
+    expect(iface.parseTransaction({ data: res.body.transaction.data }).name).toBe('purchaseSubscription');
+    expect(trials[0].trial_scope).toBe('app:5');
+
+    const again = await startTrial();
+    expect(again.status).toBe(409);
+
+    siweAuthService.getSession.mockResolvedValue({ wallet_address: VENDOR });
+    const otherWallet = await startTrial();
+    expect(otherWallet.status).toBe(403);
+  });
+
+  it('should report intro pricing while the wallet has intro periods left', async () => {
+    const first = await request(app)
+      .post('/api/subscriptions/purchase')
+      .send({ planId: '1', subscriberAddress: SUBSCRIBER });
+
+    expect(first.status).toBe(200);
+    expect(first.body.transaction.value).toBe(ethers.parseEther('0.01').toString());
+    expect(first.body.pricing).toMatchObject({
+      trialPeriod: 7 * DAY,
+      introApplied: true,
+      price: '0.005',
+      chargedOnChain: '0.01000000',
+      discountDue: '0.005'
+    });
+
+    paidPeriods = 1;
+    const second = await request(app)
+      .post('/api/subscriptions/purchase')
+      .send({ planId: '1', subscriberAddress: SUBSCRIBER });
+    expect(second.body.pricing).toMatchObject({ introApplied: false, discountDue: '0.0' });
+  });
+
+  it('should convert the trial when the purchase is confirmed', async () => {
+    await startTrial();
+
+    const encoded = iface.encodeEventLog(iface.getEvent('SubscriptionPurchased'), [9n, 1n, SUBSCRIBER, BigInt(NOW / 1000 + 30 * DAY)]);
+    provider.getTransactionReceipt.mockResolvedValue({
+      hash: TX_HASH,
+      status: 1,
+      to: CONTRACT_ADDRESS,
+      from: SUBSCRIBER,
+      blockNumber: 50,
+      logs: [{ address: CONTRACT_ADDRESS, topics: encoded.topics, data: encoded.data }]
+    });
+    provider.getTransaction.mockResolvedValue({
+      data: iface.encodeFunctionData('purchaseSubscription', [1n, 'ipfs://trial']),
+      value: ethers.parseEther('0.01')
+    });
+
+    const res = await request(app)
+      .post('/api/subscriptions/purchase/confirm')
+      .send({ transactionHash: TX_HASH, subscriberAddress: SUBSCRIBER });
+
+    expect(res.status).toBe(201);
+    expect(res.body.trial).toMatchObject({ id: 1, status: 'converted', tokenId: '9' });
+
+    const history = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO subscription_history'));
+    expect(JSON.parse(history[1][5])).toMatchObject({ trialId: 1, introApplied: true });
+  });
+
+  it('should send subscription.trial_ending before the trial ends', async () => {
+    const endingTrial = {
+      id: 3,
+      plan_id: '1',
+      vendor_address: VENDOR,
+      subscriber_address: SUBSCRIBER,
+      network: 'localhost',
+      status: 'trialing',
+      trial_start: new Date(NOW - 5 * DAY * 1000),
+      trial_end: new Date(NOW + 2 * DAY * 1000)
+    };
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes("SET status = 'expired'")) {
+        return { rows: [{ id: 1 }] };
+      }
+      if (sql.includes('SELECT * FROM subscription_trials')) {
+        return { rows: [endingTrial] };
+      }
+      return { rows: [] };
+    });
+
+    const summary = await trialService.processTrials();
+
+    expect(summary).toEqual({ expired: 1, reminders: 1 });
+    expect(webhookService.triggerWebhook).toHaveBeenCalledWith(11, 'subscription.trial_ending', expect.objectContaining({
+      trialId: 3,
+      status: 'trialing',
+      trialEndsAt: endingTrial.trial_end.toISOString(),
+      secondsRemaining: 2 * DAY,
+      transaction: expect.objectContaining({ to: CONTRACT_ADDRESS })
+    }));
+    expect(pool.query.mock.calls.find(call => call[0].includes('trial_ending_notified_at = NOW()'))).toBeDefined();
+  });
+
+  it('should only validate trials of the API key\'s vendor and app', async () => {
+    const keys = {
+      ep_vendor_key: { id: 21, app_id: '5', vendor_address: VENDOR, scopes: ['subscriptions:validate'] },
+      ep_other_app: { id: 22, app_id: '6', vendor_address: VENDOR, scopes: ['subscriptions:validate'] },
+      ep_other_vendor: { id: 23, app_id: '5', vendor_address: SUBSCRIBER, scopes: ['subscriptions:validate'] }
+    };
+    const trial = {
+      id: 3,
+      plan_id: '1',
+      vendor_address: VENDOR,
+      subscriber_address: SUBSCRIBER,
+      status: 'trialing',
+      trial_start: new Date(NOW - DAY * 1000),
+      trial_end: new Date(NOW + 6 * DAY * 1000),
+      token_id: null,
+      network: 'localhost'
+    };
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM api_keys ak')) {
+        const key = keys[params[0]];
+        return { rows: key ? [{ ...key, api_key: params[0], active: true }] : [] };
+      }
+      if (sql.includes('FROM subscription_trials t')) {
+        const appMatches = params.length < 3 || params[2] === PLAN.app_id.toString();
+        return { rows: params[0] === '3' && params[1] === VENDOR && appMatches ? [trial] : [] };
+      }
+      return { rows: [] };
+    });
+
+    const validate = key => request(app).get('/api/integration/validate?trialId=3').set('X-API-Key', key);
+
+    const own = await validate('ep_vendor_key');
+    expect(own.status).toBe(200);
+    expect(own.body.data).toMatchObject({ trialId: 3, status: 'trialing', entitled: true });
+
+    expect((await validate('ep_other_app')).status).toBe(404);
+    expect((await validate('ep_other_vendor')).status).toBe(404);
+  });
+});
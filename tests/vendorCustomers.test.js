@@ -0,0 +1,99 @@
+/**
+ * Test: Vendor customer list
+ *
+ * This test verifies that:
+ * 1. Customers are grouped from the indexed subscriptions of the vendor's plans
+ * 2. Status and spend come from the indexed rows without calling the contract
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { Pool } = require('pg');
+const contractService = require('../services/contractService');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('../services/contractService', () => ({
+  getContract: jest.fn()
+}));
+
+const customersRouter = require('../routes/customers');
+
+const VENDOR = '0xf17f52151ebef6c7334fad080c5704d77216b732';
+const CUSTOMER = '0x627306090abab3a6e1400e9345bc60c78a8bef57';
+
+describe('Vendor customers', () => {
+  let app;
+  let pool;
+  let now;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/api/customers', customersRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = Math.floor(Date.now() / 1000);
+
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM subscription_plans WHERE vendor_address')) {
+        return { rows: [{ plan_id: '1' }] };
+      }
+      if (sql.includes('FROM subscriptions s')) {
+        return {
+          rows: [
+            { token_id: '2', plan_id: '1', subscriber_address: CUSTOMER, plan_price: '0.5', end_time: String(now + 3 * 86400 + 60), created_at: '2026-02-01T00:00:00.000Z' },
+            { token_id: '1', plan_id: '1', subscriber_address: CUSTOMER, plan_price: '0.25', end_time: String(now - 60), created_at: '2026-01-01T00:00:00.000Z' }
+          ]
+        };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should list customers from the indexed subscriptions', async () => {
+    const response = await request(app).get(`/api/customers/vendor/${VENDOR}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0]).toMatchObject({
+      customerAddress: CUSTOMER,
+      totalSubscriptions: 2,
+      activeSubscriptions: 1,
+      expiredSubscriptions: 1,
+      totalSpent: '0.75',
+      firstPurchaseDate: '2026-01-01T00:00:00.000Z',
+      lastPurchaseDate: '2026-02-01T00:00:00.000Z'
+    });
+    expect(response.body[0].subscriptions.map(s => [s.token_id, s.status, s.daysRemaining])).toEqual([
+      ['2', 'active', 3],
+      ['1', 'expired', 0]
+    ]);
+
+    const listQuery = pool.query.mock.calls.find(([sql]) => sql.includes('FROM subscriptions s'));
+    expect(listQuery[1]).toEqual([VENDOR]);
+    expect(contractService.getContract).not.toHaveBeenCalled();
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+  });
+
+  it('should build the customer profile without calling the contract', async () => {
+    const response = await request(app).get(`/api/customers/vendor/${VENDOR}/customer/${CUSTOMER}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      totalSubscriptions: 2,
+      activeSubscriptions: 1,
+      expiredSubscriptions: 1,
+      totalSpent: '0.75'
+    });
+    expect(contractService.getContract).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Test: Queue-backed webhook delivery
+ *
+ * This test verifies that:
+ * 1. Events fan out to every registered endpoint subscribed to the event type
+ * 2. Each endpoint delivery is signed with that endpoint's own secret
+ *    and carries a unique X-Webhook-Id, repeated as the signed body's id
+ * 3. A delivery moves to dead_letter once max_attempts is exhausted,
+ *    including one whose worker died during the final attempt
+ * 4. Legacy checkout-app deliveries are signed with the SHA-256 hex of the app secret
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+
+const webhookService = require('../services/webhookService');
+const { verifyWebhookSignature } = require('../utils/webhookSignature');
+
+const ENDPOINTS = {
+  'wh-1': { url: 'https://a.example.com/hook', secret: 'whsec_a' },
+  'wh-2': { url: 'https://b.example.com/hook', secret: 'whsec_b' }
+};
+
+function sign(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+describe('Webhook delivery engine', () => {
+  let pool;
+  let nextLogId;
+  let logs;
+
+  beforeAll(() => {
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextLogId = 1;
+    logs = {};
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM checkout_apps WHERE id')) {
+        return { rows: [] };
+      }
+      if (sql.includes('SELECT id, app_id, webhook_url FROM api_keys')) {
+        return { rows: [{ id: 3, app_id: 'app_1', webhook_url: null }] };
+      }
+      if (sql.includes('FROM webhooks') && sql.includes('events ? $2')) {
+        // Only wh-1 and wh-2 subscribe to subscription.purchased
+        if (params[1] !== 'subscription.purchased') {
+          return { rows: [] };
+        }
+        return { rows: Object.entries(ENDPOINTS).map(([id, e]) => ({ id, url: e.url })) };
+      }
+      if (sql.includes('INSERT INTO webhook_logs')) {
+        const row = {
+          id: nextLogId++,
+          api_key_id: params[0],
+          webhook_id: params[1],
+          source_type: params[2],
+          delivery_id: params[3],
+          event_type: params[4],
+          payload: params[5],
+          webhook_url: params[6],
+          status: 'pending',
+          attempt_number: 0,
+          max_attempts: params[7]
+        };
+        logs[row.id] = row;
+        return { rows: [row] };
+      }
+      if (sql.includes("SET status = 'processing'") && sql.includes('WHERE id = $1')) {
+        const row = logs[params[0]];
+        if (!row || row.status !== 'pending') {
+          return { rows: [] };
+        }
+        row.status = 'processing';
+        row.attempt_number += 1;
+        return { rows: [{ ...row }] };
+      }
+      if (sql.includes('SELECT secret, previous_secret')) {
+        return { rows: [{ secret: ENDPOINTS[params[0]].secret }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should fan out to every subscribed endpoint with its own signature', async () => {
+    axios.post.mockResolvedValue({ status: 200, data: { ok: true } });
+
+    const result = await webhookService.sendWebhook(3, 'subscription.purchased', { tokenId: '7' });
+
+    expect(result.success).toBe(true);
+    expect(result.deliveries).toHaveLength(2);
+    expect(axios.post).toHaveBeenCalledTimes(2);
+
+    for (const [url, rawBody, options] of axios.post.mock.calls) {
+      const endpoint = Object.values(ENDPOINTS).find(e => e.url === url);
+      expect(endpoint).toBeDefined();
+      expect(typeof rawBody).toBe('string');
+      expect(options.headers['X-Webhook-Signature']).toBe(sign(rawBody, endpoint.secret));
+      expect(verifyWebhookSignature(rawBody, options.headers['X-ElitePass-Signature'], endpoint.secret).valid).toBe(true);
+    }
+
+    const deliveryIds = axios.post.mock.calls.map(call => call[2].headers['X-Webhook-Id']);
+    expect(new Set(deliveryIds).size).toBe(2);
+    // The id is also in the signed body, since the header is not signed
+    expect(axios.post.mock.calls.map(call => JSON.parse(call[1]).id)).toEqual(deliveryIds);
+
+    const inserts = pool.query.mock.calls.filter(call => call[0].includes('INSERT INTO webhook_logs'));
+    expect(inserts.map(call => call[1][1])).toEqual(['wh-1', 'wh-2']);
+  });
+
+  it('should not deliver to endpoints that are not subscribed to the event', async () => {
+    const result = await webhookService.sendWebhook(3, 'subscription.expired', { tokenId: '7' });
+
+    expect(result).toBeNull();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('should schedule a retry while attempts remain', async () => {
+    axios.post.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 500 } }));
+
+    await webhookService.deliverWebhookLog({
+      id: 10,
+      webhook_id: 'wh-1',
+      event_type: 'subscription.purchased',
+      payload: { tokenId: '7' },
+      webhook_url: ENDPOINTS['wh-1'].url,
+      attempt_number: 2,
+      max_attempts: webhookService.DEFAULT_MAX_ATTEMPTS
+    });
+
+    const update = pool.query.mock.calls.find(call => call[0].includes("SET status = 'failed'"));
+    expect(update).toBeDefined();
+    expect(update[1][3]).toBeInstanceOf(Date);
+  });
+
+  it('should move the delivery to dead_letter after max attempts', async () => {
+    axios.post.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 500 } }));
+
+    await webhookService.deliverWebhookLog({
+      id: 11,
+      webhook_id: 'wh-2',
+      event_type: 'subscription.purchased',
+      payload: { tokenId: '7' },
+      webhook_url: ENDPOINTS['wh-2'].url,
+      attempt_number: webhookService.DEFAULT_MAX_ATTEMPTS,
+      max_attempts: webhookService.DEFAULT_MAX_ATTEMPTS
+    });
+
+    const deadLetter = pool.query.mock.calls.find(call => call[0].includes("SET status = 'dead_letter'"));
+    expect(deadLetter).toBeDefined();
+    expect(deadLetter[1][3]).toBe(11);
+
+    const stats = pool.query.mock.calls.find(call => call[0].includes('failure_count = failure_count + 1'));
+    expect(stats[1]).toEqual(['wh-2']);
+  });
+
+  it('should dead-letter a stale delivery that crashed on its final attempt', async () => {
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes("SET status = 'dead_letter'")) {
+        return { rows: [{ id: 12 }] };
+      }
+      return { rows: [] };
+    });
+
+    await webhookService.retryFailedWebhooks();
+
+    const deadLetter = pool.query.mock.calls.find(call => call[0].includes("SET status = 'dead_letter'"));
+    expect(deadLetter[0]).toContain("WHERE status = 'processing'");
+    expect(deadLetter[0]).toContain('attempt_number >= max_attempts');
+
+    const claim = pool.query.mock.calls.find(call => call[0].includes('FOR UPDATE SKIP LOCKED'));
+    expect(claim[0]).toContain('attempt_number < max_attempts');
+  });
+
+  it('should sign legacy checkout-app deliveries with the hash of the app secret', async () => {
+    const appSecret = 'app-secret';
+    const secretHash = crypto.createHash('sha256').update(appSecret).digest('hex');
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT api_secret_hash FROM checkout_apps')) {
+        return { rows: [{ api_secret_hash: secretHash }] };
+      }
+      return { rows: [] };
+    });
+    axios.post.mockResolvedValue({ status: 200, data: { ok: true } });
+
+    await webhookService.deliverWebhookLog({
+      id: 13,
+      webhook_id: null,
+      source_type: 'checkout_apps',
+      api_key_id: 5,
+      event_type: 'payment.completed',
+      payload: { orderId: 'ord_1' },
+      webhook_url: 'https://shop.example.com/hook',
+      attempt_number: 1,
+      max_attempts: webhookService.DEFAULT_MAX_ATTEMPTS
+    });
+
+    const [, body, options] = axios.post.mock.calls[0];
+    const expected = crypto.createHmac('sha256', secretHash).update(body).digest('hex');
+    expect(options.headers['X-Webhook-Signature']).toBe(expected);
+    expect(options.headers['X-ElitePass-Signature']).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Test: Webhook redelivery and bulk replay
+ *
+ * This test verifies that:
+ * 1. A dead-lettered delivery can be pushed again as a new log row linked to the original
+ * 2. Bulk replay filters by event type / status / time range and only queues
+ * 3. Deliveries that are still in flight are not replayed
+ * 4. Legacy webhook_url deliveries are replayed through the endpoint
+ */
+
+const request = require('supertest');
+const express = require('express');
+const axios = require('axios');
+const { Pool } = require('pg');
+
+// Mock database (so tests don't require Postgres)
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+
+const webhooksRouter = require('../routes/webhooks');
+
+const WEBHOOK_ID = '11111111-1111-1111-1111-111111111111';
+
+const DEAD_LETTER_LOG = {
+  id: 40,
+  api_key_id: 3,
+  webhook_id: WEBHOOK_ID,
+  source_type: 'webhooks',
+  event_type: 'subscription.purchased',
+  payload: { tokenId: '7' },
+  webhook_url: 'https://old.example.com/hook',
+  status: 'dead_letter',
+  attempt_number: 5,
+  max_attempts: 5
+};
+
+describe('Webhook redelivery', () => {
+  let app;
+  let pool;
+  let nextLogId;
+  let inserted;
+  let logRows;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/webhooks', webhooksRouter);
+    pool = new Pool();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextLogId = 100;
+    inserted = [];
+    logRows = [DEAD_LETTER_LOG];
+
+    pool.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM apps WHERE api_key')) {
+        return { rows: params[0] === 'ep_valid' ? [{ app_id: 'app_1' }] : [] };
+      }
+      if (sql.includes('FROM checkout_apps WHERE api_key')) {
+        return { rows: [] };
+      }
+      if (sql.includes('FROM webhooks WHERE id = $1 AND app_id = $2')) {
+        return { rows: params[0] === WEBHOOK_ID ? [{ id: WEBHOOK_ID, url: 'https://new.example.com/hook', active: true }] : [] };
+      }
+      if (sql.includes('FROM webhook_logs WHERE id = $1 AND webhook_id = $2')) {
+        return { rows: logRows.filter(row => String(row.id) === String(params[0])) };
+      }
+      if (sql.includes('webhook_id IS NULL') && sql.includes('status = ANY($2)')) {
+        return { rows: logRows };
+      }
+      if (sql.includes('INSERT INTO webhook_logs')) {
+        const row = {
+          id: nextLogId++,
+          api_key_id: params[0],
+          webhook_id: params[1],
+          source_type: params[2],
+          delivery_id: params[3],
+          event_type: params[4],
+          payload: params[5],
+          webhook_url: params[6],
+          status: 'pending',
+          attempt_number: 0,
+          max_attempts: params[7],
+          replay_of_log_id: params[8]
+        };
+        inserted.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes("SET status = 'processing'") && sql.includes('WHERE id = $1')) {
+        const row = inserted.find(r => r.id === params[0]);
+        return { rows: row ? [{ ...row, status: 'processing', attempt_number: 1 }] : [] };
+      }
+      if (sql.includes('SELECT secret, previous_secret')) {
+        return { rows: [{ secret: 'whsec_a' }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should redeliver a dead-lettered log as a new linked delivery', async () => {
+    axios.post.mockResolvedValue({ status: 200, data: {} });
+
+    const response = await request(app)
+      .post(`/api/webhooks/${WEBHOOK_ID}/logs/40/redeliver`)
+      .set('x-api-key', 'ep_valid');
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.logId).toBe(100);
+    expect(response.body.data.replayOfLogId).toBe(40);
+
+    expect(inserted).toHaveLength(1);
+    expect(inserted[0].replay_of_log_id).toBe(40);
+    expect(inserted[0].webhook_url).toBe('https://new.example.com/hook');
+    expect(JSON.parse(inserted[0].payload)).toEqual({ tokenId: '7' });
+
+    // Original row is never rewritten
+    const touchedOriginal = pool.query.mock.calls.find(call => call[0].includes('UPDATE webhook_logs') && call[1].includes(40));
+    expect(touchedOriginal).toBeUndefined();
+  });
+
+  it('should refuse to redeliver a log that is still in flight', async () => {
+    logRows = [{ ...DEAD_LETTER_LOG, status: 'processing' }];
+
+    const response = await request(app)
+      .post(`/api/webhooks/${WEBHOOK_ID}/logs/40/redeliver`)
+      .set('x-api-key', 'ep_valid');
+
+    expect(response.status).toBe(409);
+    expect(inserted).toHaveLength(0);
+  });
+
+  it('should return 404 for a log on another webhook', async () => {
+    const response = await request(app)
+      .post(`/api/webhooks/${WEBHOOK_ID}/logs/999/redeliver`)
+      .set('x-api-key', 'ep_valid');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should queue a filtered bulk replay', async () => {
+    logRows = [DEAD_LETTER_LOG, { ...DEAD_LETTER_LOG, id: 41, status: 'failed' }];
+
+    const response = await request(app)
+      .post(`/api/webhooks/${WEBHOOK_ID}/replay`)
+      .set('x-api-key', 'ep_valid')
+      .send({ eventType: 'subscription.purchased', from: '2024-01-01T00:00:00Z', to: '2024-01-02T00:00:00Z' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.queued).toBe(2);
+    expect(inserted.map(row => row.replay_of_log_id)).toEqual([40, 41]);
+
+    const select = pool.query.mock.calls.find(call => call[0].includes('status = ANY($2)'));
+    expect(select[0]).toContain('event_type = $4');
+    expect(select[0]).toContain('created_at >= $5');
+    expect(select[0]).toContain('created_at <= $6');
+    expect(select[1][1]).toEqual(['success', 'failed', 'dead_letter']);
+    expect(select[1][2]).toBe('app_1');
+  });
+
+  it('should replay legacy webhook_url deliveries through the endpoint', async () => {
+    logRows = [{ ...DEAD_LETTER_LOG, id: 42, webhook_id: null, source_type: 'api_keys' }];
+
+    const response = await request(app)
+      .post(`/api/webhooks/${WEBHOOK_ID}/replay`)
+      .set('x-api-key', 'ep_valid')
+      .send({});
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.queued).toBe(1);
+    expect(inserted[0].replay_of_log_id).toBe(42);
+    expect(inserted[0].webhook_id).toBe(WEBHOOK_ID);
+    expect(inserted[0].source_type).toBe('webhooks');
+    expect(inserted[0].webhook_url).toBe('https://new.example.com/hook');
+  });
+
+  it('should reject replay filters on in-flight statuses', async () => {
+    const response = await request(app)
+      .post(`/api/webhooks/${WEBHOOK_ID}/replay`)
+      .set('x-api-key', 'ep_valid')
+      .send({ status: 'pending' });
+
+    expect(response.status).toBe(400);
+    expect(inserted).toHaveLength(0);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Test: Timestamped webhook signatures
+ *
+ * This test verifies that:
+ * 1. Signatures cover the timestamp and the raw body
+ * 2. Stale timestamps are rejected (replay protection)
+ * 3. Either secret verifies while a rotation is in its grace window
+ */
+
+const {
+  buildSignatureHeader,
+  parseSignatureHeader,
+  verifyWebhookSignature
+} = require('../utils/webhookSignature');
+
+const SECRET = 'whsec_current';
+const OLD_SECRET = 'whsec_previous';
+const RAW_BODY = '{"event":"subscription.purchased","timestamp":"2024-01-01T00:00:00.000Z","data":{"tokenId":"7"}}';
+const NOW = 1704067200;
+
+describe('Webhook signatures', () => {
+  it('should build a t=,v1= header that verifies against the raw body', () => {
+    const header = buildSignatureHeader(RAW_BODY, SECRET, NOW);
+
+    expect(header).toMatch(/^t=1704067200,v1=[0-9a-f]{64}$/);
+    expect(verifyWebhookSignature(RAW_BODY, header, SECRET, { now: NOW })).toEqual({ valid: true, timestamp: NOW });
+    expect(verifyWebhookSignature(Buffer.from(RAW_BODY), header, SECRET, { now: NOW }).valid).toBe(true);
+  });
+
+  it('should reject a modified body or a re-serialized payload with different key order', () => {
+    const header = buildSignatureHeader(RAW_BODY, SECRET, NOW);
+    const reordered = JSON.stringify({ data: { tokenId: '7' }, event: 'subscription.purchased', timestamp: '2024-01-01T00:00:00.000Z' });
+
+    expect(verifyWebhookSignature(RAW_BODY.replace('"7"', '"8"'), header, SECRET, { now: NOW }).valid).toBe(false);
+    expect(verifyWebhookSignature(reordered, header, SECRET, { now: NOW }).valid).toBe(false);
+  });
+
+  it('should reject timestamps outside the tolerance', () => {
+    const header = buildSignatureHeader(RAW_BODY, SECRET, NOW);
+
+    const result = verifyWebhookSignature(RAW_BODY, header, SECRET, { now: NOW + 301 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Timestamp outside tolerance');
+
+    expect(verifyWebhookSignature(RAW_BODY, header, SECRET, { now: NOW + 301, tolerance: 600 }).valid).toBe(true);
+  });
+
+  it('should carry one v1 entry per secret during rotation', () => {
+    const header = buildSignatureHeader(RAW_BODY, [SECRET, OLD_SECRET], NOW);
+
+    expect(parseSignatureHeader(header).signatures).toHaveLength(2);
+    expect(verifyWebhookSignature(RAW_BODY, header, SECRET, { now: NOW }).valid).toBe(true);
+    expect(verifyWebhookSignature(RAW_BODY, header, OLD_SECRET, { now: NOW }).valid).toBe(true);
+    expect(verifyWebhookSignature(RAW_BODY, header, 'whsec_other', { now: NOW }).valid).toBe(false);
+  });
+
+  it('should reject malformed headers', () => {
+    expect(verifyWebhookSignature(RAW_BODY, undefined, SECRET).reason).toBe('Malformed signature header');
+    expect(verifyWebhookSignature(RAW_BODY, 'deadbeef', SECRET).reason).toBe('Malformed signature header');
+    expect(verifyWebhookSignature(RAW_BODY, `t=${NOW},v1=zz`, SECRET, { now: NOW }).valid).toBe(false);
+  });
+
+  it('should reject a valid v1 with trailing non-hex characters', () => {
+    const header = buildSignatureHeader(RAW_BODY, SECRET, NOW);
+
+    const result = verifyWebhookSignature(RAW_BODY, `${header}zz`, SECRET, { now: NOW });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('No matching signature');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Elite Pass signed API requests (server-to-server integrations)
+ *
+ * Headers:
+ *   X-API-Key: <api key>
+ *   X-Timestamp: <unix seconds>
+ *   X-Signature: <hex hmac>
+ *
+ * X-Signature = HMAC-SHA256(signingKey, canonical request), where
+ *   signingKey = SHA-256 hex of the API secret (the value stored in api_keys.api_secret)
+ *   canonical request = `${timestamp}\n${METHOD}\n${path with query}\n${SHA-256 hex of raw body}`
+ *
+ * A signature is only accepted once and only within the timestamp tolerance.
+ *
+ * This file has no dependencies besides `crypto` - it is also served at
+ * /cdn/request-sign.js for integrators to use signRequest() in their own Node.js backends.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Signing key for an API secret (what the server keeps in api_keys.api_secret)
+ */
+function deriveSigningKey(apiSecret) {
+  return crypto.createHash('sha256').update(apiSecret).digest('hex');
+}
+
+/**
+ * SHA-256 hex of the raw request body ('' for requests without one)
+ */
+function hashBody(rawBody) {
+  return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+/**
+ * The string that gets signed
+ */
+function buildCanonicalRequest({ method, path, timestamp, body }) {
+  return [String(timestamp), method.toUpperCase(), path, hashBody(body)].join('\n');
+}
+
+/**
+ * Compute the X-Signature value with a signing key
+ */
+function computeRequestSignature(signingKey, request) {
+  return crypto
+    .createHmac('sha256', signingKey)
+    .update(buildCanonicalRequest(request))
+    .digest('hex');
+}
+
+/**
+ * Client helper: headers for a signed request
+ *
+ * @param {string} apiKey
+ * @param {string} apiSecret - the secret returned when the key was created
+ * @param {Object} request - { method, path, body } with body as the exact string sent
+ */
+function signRequest(apiKey, apiSecret, { method, path, body = '' }, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    'X-API-Key': apiKey,
+    'X-Timestamp': String(timestamp),
+    'X-Signature': computeRequestSignature(deriveSigningKey(apiSecret), { method, path, timestamp, body })
+  };
+}
+
+/**
+ * Compare two SHA-256 hex digests. Anything that is not exactly 64 hex characters
+ * is rejected up front: Buffer.from(hex) stops at the first non-hex character,
+ * so `<sig>zz` would otherwise decode to the same bytes as `<sig>`.
+ */
+function safeEqualHex(a, b) {
+  if (!SIGNATURE_PATTERN.test(a) || !SIGNATURE_PATTERN.test(b)) {
+    return false;
+  }
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verify a signed request.
+ *
+ * @param {string} signingKey - api_keys.api_secret
+ * @param {Object} request - { method, path, body, timestamp, signature } from the incoming request
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=300] - max age of the timestamp in seconds
+ * @param {number} [options.now] - current unix time in seconds (for testing)
+ * @returns {{ valid: boolean, reason?: string, timestamp?: number, signature?: string }}
+ *   signature is the verified signature as lowercase hex (use it as the replay key)
+ */
+function verifyRequestSignature(signingKey, request, options = {}) {
+  const tolerance = options.tolerance ?? DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+
+  const timestamp = /^\d+$/.test(String(request.timestamp || '')) ? parseInt(request.timestamp, 10) : NaN;
+  if (!Number.isFinite(timestamp) || !request.signature || typeof request.signature !== 'string') {
+    return { valid: false, reason: 'X-Timestamp and X-Signature headers are required for signed requests' };
+  }
+
+  if (Math.abs(now - timestamp) > tolerance) {
+    return { valid: false, reason: 'Timestamp outside tolerance', timestamp };
+  }
+
+  const expected = computeRequestSignature(signingKey, { ...request, timestamp });
+  if (!safeEqualHex(request.signature, expected)) {
+    return { valid: false, reason: 'Signature does not match', timestamp };
+  }
+
+  return { valid: true, timestamp, signature: request.signature.toLowerCase() };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  deriveSigningKey,
+  hashBody,
+  buildCanonicalRequest,
+  computeRequestSignature,
+  signRequest,
+  verifyRequestSignature
+};
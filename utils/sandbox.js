@@ -0,0 +1,69 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Test-mode API keys (ep_test_ / ck_test_) run against an isolated sandbox network.
+ * apiKeyAuth / requireScope run the rest of the request inside a key-mode context,
+ * and the contract helpers resolve every network through resolveNetwork:
+ * - test-mode keys: always the sandbox network, whatever network the caller asked for
+ * - live keys: the requested network, but never the sandbox network
+ * - no API key (dashboard, workers): the requested network
+ */
+
+const SANDBOX_NETWORK = process.env.SANDBOX_NETWORK || 'sandbox';
+
+const TEST_KEY_PREFIXES = {
+  api_key: 'ep_test_',
+  checkout_app: 'ck_test_'
+};
+
+const keyModeContext = new AsyncLocalStorage();
+
+/**
+ * Whether an API key string is a test-mode key
+ */
+function isTestKey(apiKey) {
+  return typeof apiKey === 'string' &&
+    Object.values(TEST_KEY_PREFIXES).some(prefix => apiKey.startsWith(prefix));
+}
+
+/**
+ * Run fn (and everything it awaits) as a live or test-mode API request
+ */
+function runWithKeyMode(testMode, fn) {
+  return keyModeContext.run({ testMode: testMode === true }, fn);
+}
+
+/**
+ * Whether the current request was made with a test-mode key
+ */
+function isTestMode() {
+  return keyModeContext.getStore()?.testMode === true;
+}
+
+/**
+ * Network to use for a contract call in the current request
+ */
+function resolveNetwork(network = 'localhost') {
+  const store = keyModeContext.getStore();
+
+  if (store?.testMode) {
+    return SANDBOX_NETWORK;
+  }
+
+  if (store && network === SANDBOX_NETWORK) {
+    const error = new Error('Live API keys cannot access the sandbox network. Use a test-mode key.');
+    error.status = 403;
+    throw error;
+  }
+
+  return network;
+}
+
+module.exports = {
+  SANDBOX_NETWORK,
+  TEST_KEY_PREFIXES,
+  isTestKey,
+  runWithKeyMode,
+  isTestMode,
+  resolveNetwork
+};
@@ -0,0 +1,48 @@
+/**
+ * Subscription lifecycle state
+ *
+ * active -> past_due (endTime passed, inside the plan's grace period, still
+ * entitled) -> expired (grace period over). cancelled when the subscription is
+ * inactive on-chain; paused while paused on-chain before endTime.
+ * trialing is an off-chain free trial that has not been purchased yet
+ * (see services/trialService).
+ */
+
+const SUBSCRIPTION_STATUSES = ['trialing', 'active', 'paused', 'past_due', 'expired', 'cancelled'];
+
+// Statuses that should still be granted access
+const ENTITLED_STATUSES = ['trialing', 'active', 'past_due'];
+
+/**
+ * Resolve the status of an on-chain subscription.
+ * endTime and now are unix seconds, gracePeriod is seconds (0 = none).
+ * Returns { status, entitled, gracePeriodEndsAt (unix seconds or null) }
+ */
+function getSubscriptionState({ active, paused, endTime }, gracePeriod = 0, now = Math.floor(Date.now() / 1000)) {
+  const end = Number(endTime);
+  const grace = Math.max(0, parseInt(gracePeriod) || 0);
+  const gracePeriodEndsAt = grace > 0 ? end + grace : null;
+
+  let status;
+  if (!active) {
+    status = 'cancelled';
+  } else if (end > now) {
+    status = paused ? 'paused' : 'active';
+  } else if (gracePeriodEndsAt !== null && now < gracePeriodEndsAt) {
+    status = 'past_due';
+  } else {
+    status = 'expired';
+  }
+
+  return {
+    status,
+    entitled: ENTITLED_STATUSES.includes(status),
+    gracePeriodEndsAt
+  };
+}
+
+module.exports = {
+  SUBSCRIPTION_STATUSES,
+  ENTITLED_STATUSES,
+  getSubscriptionState
+};
@@ -0,0 +1,113 @@
+const { ethers } = require('ethers');
+
+/**
+ * Build an unsigned contract call for the client wallet to sign and broadcast.
+ * The server never sees a private key - it only encodes calldata.
+ */
+async function buildUnsignedTransaction(contract, method, args = [], options = {}) {
+  const { value = 0n, from = null } = options;
+  const provider = contract.runner?.provider || contract.runner;
+
+  let chainId = null;
+  try {
+    const network = await provider.getNetwork();
+    chainId = network.chainId.toString();
+  } catch (e) {
+    console.warn('[Transaction Helper] Could not resolve chainId:', e.message);
+  }
+
+  const transaction = {
+    to: contract.target,
+    data: contract.interface.encodeFunctionData(method, args),
+    value: value.toString(),
+    chainId
+  };
+
+  if (from) {
+    transaction.from = ethers.getAddress(from.toLowerCase());
+  }
+
+  try {
+    const gasLimit = await provider.estimateGas(transaction);
+    transaction.gasLimit = gasLimit.toString();
+  } catch (e) {
+    // Estimation fails if the caller can't afford it or the call would revert.
+    // The wallet will re-estimate, so just surface the reason.
+    transaction.gasEstimateError = e.shortMessage || e.message;
+  }
+
+  return transaction;
+}
+
+/**
+ * Fetch a mined receipt and check it succeeded against the expected contract.
+ * Throws an error with a `status` property suitable for the HTTP response.
+ */
+async function getVerifiedReceipt(contract, transactionHash, options = {}) {
+  const { expectedFrom = null } = options;
+  const provider = contract.runner?.provider || contract.runner;
+
+  if (!transactionHash || !/^0x[0-9a-fA-F]{64}$/.test(transactionHash)) {
+    const error = new Error('Invalid transaction hash');
+    error.status = 400;
+    throw error;
+  }
+
+  const receipt = await provider.getTransactionReceipt(transactionHash);
+
+  if (!receipt) {
+    const error = new Error('Transaction not found or not yet mined');
+    error.status = 409;
+    throw error;
+  }
+
+  if (receipt.status !== 1) {
+    const error = new Error('Transaction reverted on-chain');
+    error.status = 400;
+    throw error;
+  }
+
+  if (!receipt.to || receipt.to.toLowerCase() !== contract.target.toLowerCase()) {
+    const error = new Error('Transaction was not sent to the subscription contract');
+    error.status = 400;
+    throw error;
+  }
+
+  if (expectedFrom && receipt.from.toLowerCase() !== expectedFrom.toLowerCase()) {
+    const error = new Error('Transaction sender does not match the expected address');
+    error.status = 403;
+    throw error;
+  }
+
+  return receipt;
+}
+
+/**
+ * Find and parse the first log of `eventName` emitted by the contract.
+ * Optional predicate receives the parsed log to narrow the match.
+ */
+function findContractEvent(contract, receipt, eventName, predicate = null) {
+  const contractAddress = contract.target.toLowerCase();
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contractAddress) {
+      continue;
+    }
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName && (!predicate || predicate(parsed))) {
+        return parsed;
+      }
+    } catch {
+      // Log from a different ABI fragment - skip
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  buildUnsignedTransaction,
+  getVerifiedReceipt,
+  findContractEvent
+};
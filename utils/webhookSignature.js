@@ -0,0 +1,129 @@
+/**
+ * Elite Pass webhook signatures
+ *
+ * Header format (X-ElitePass-Signature):
+ *   t=<unix seconds>,v1=<hex hmac>[,v1=<hex hmac>...]
+ *
+ * v1 = HMAC-SHA256(secret, `${t}.${rawBody}`). During a secret rotation the
+ * header carries one v1 entry per active secret, so receivers can switch
+ * secrets without dropping deliveries.
+ *
+ * Only the body is signed, not the X-Webhook-Id header: dedupe deliveries on
+ * the body's `id` field (the same value), never on the header alone.
+ *
+ * This file has no dependencies besides `crypto` - it is also served at
+ * /cdn/webhook-verify.js for receivers to drop into their own Node.js apps.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Compute a v1 signature for a raw request body
+ */
+function computeSignature(rawBody, timestamp, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+/**
+ * Build the signature header value for one or more secrets
+ */
+function buildSignatureHeader(rawBody, secrets, timestamp = Math.floor(Date.now() / 1000)) {
+  const list = (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean);
+  const parts = [`t=${timestamp}`];
+
+  for (const secret of list) {
+    parts.push(`${SIGNATURE_VERSION}=${computeSignature(rawBody, timestamp, secret)}`);
+  }
+
+  return parts.join(',');
+}
+
+/**
+ * Parse `t=...,v1=...` into { timestamp, signatures }
+ */
+function parseSignatureHeader(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  let timestamp = null;
+  const signatures = [];
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') {
+      timestamp = parseInt(value, 10);
+    } else if (key === SIGNATURE_VERSION && value) {
+      signatures.push(value);
+    }
+  }
+
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    return null;
+  }
+
+  return { timestamp, signatures };
+}
+
+/**
+ * Compare two SHA-256 hex digests. Anything that is not exactly 64 hex characters
+ * is rejected: Buffer.from(hex) stops at the first non-hex character.
+ */
+function safeEqualHex(a, b) {
+  if (!SIGNATURE_PATTERN.test(a) || !SIGNATURE_PATTERN.test(b)) {
+    return false;
+  }
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verify a webhook request.
+ *
+ * @param {string|Buffer} rawBody - the exact request body bytes (not re-serialized JSON)
+ * @param {string} header - value of the X-ElitePass-Signature header
+ * @param {string} secret - your endpoint secret (whsec_...)
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=300] - max age of the timestamp in seconds
+ * @param {number} [options.now] - current unix time in seconds (for testing)
+ * @returns {{ valid: boolean, reason?: string, timestamp?: number }}
+ */
+function verifyWebhookSignature(rawBody, header, secret, options = {}) {
+  const tolerance = options.tolerance ?? DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) {
+    return { valid: false, reason: 'Malformed signature header' };
+  }
+
+  if (tolerance > 0 && Math.abs(now - parsed.timestamp) > tolerance) {
+    return { valid: false, reason: 'Timestamp outside tolerance', timestamp: parsed.timestamp };
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+  const expected = computeSignature(body, parsed.timestamp, secret);
+
+  if (!parsed.signatures.some(signature => safeEqualHex(signature, expected))) {
+    return { valid: false, reason: 'No matching signature', timestamp: parsed.timestamp };
+  }
+
+  return { valid: true, timestamp: parsed.timestamp };
+}
+
+module.exports = {
+  SIGNATURE_VERSION,
+  DEFAULT_TOLERANCE_SECONDS,
+  computeSignature,
+  buildSignatureHeader,
+  parseSignatureHeader,
+  verifyWebhookSignature
+};